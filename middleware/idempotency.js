@@ -0,0 +1,94 @@
+/**
+ * Idempotency Middleware
+ * Replays the stored response when a POST is retried with the same
+ * Idempotency-Key header, so a retried checkout is never charged twice.
+ */
+
+const crypto = require('crypto');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Hash the parts of a request that must match for a key to be reused
+ */
+function fingerprintRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Create idempotency middleware backed by the given store
+ */
+function createIdempotencyMiddleware(store) {
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    
+    if (req.method !== 'POST' || key === undefined) {
+      return next();
+    }
+    
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `${IDEMPOTENCY_HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters`,
+      });
+    }
+    
+    try {
+      const fingerprint = fingerprintRequest(req);
+      const isNewKey = await store.start(key, fingerprint);
+      
+      if (!isNewKey) {
+        const record = await store.get(key);
+        
+        // The key may have expired or been released between start() and get()
+        if (!record) {
+          return res.status(409).json({
+            success: false,
+            error: 'Request with this Idempotency-Key is being retried; please try again',
+          });
+        }
+        
+        if (record.fingerprint !== fingerprint) {
+          return res.status(422).json({
+            success: false,
+            error: `${IDEMPOTENCY_HEADER} was already used for a different request`,
+          });
+        }
+        
+        if (record.state === 'in_progress') {
+          return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is already in progress',
+          });
+        }
+        
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.response.statusCode).json(record.response.body);
+      }
+      
+      // Record the response as it is sent; server errors and rate limiting
+      // (the request was never handled) release the key so the client can
+      // safely retry
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode >= 500 || res.statusCode === 429) {
+          store.release(key);
+        } else {
+          store.complete(key, { statusCode: res.statusCode, body });
+        }
+        
+        return originalJson(body);
+      };
+      
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = createIdempotencyMiddleware;
@@ -0,0 +1,61 @@
+/**
+ * Metrics Middleware
+ * Counts every request and times it once the response has been sent, by
+ * method, route and status. Routes are labelled by their pattern (e.g.
+ * '/orders/:orderId') so IDs do not create a series each.
+ */
+
+/**
+ * The label for a matched route: its mount path and pattern. Routes with
+ * several paths (the pages) use the requested one.
+ */
+function routeLabel(req, route) {
+  return Array.isArray(route.path) ? req.path : `${req.baseUrl}${route.path}`;
+}
+
+/**
+ * Create metrics middleware recording into the `metrics` registry
+ */
+function createMetricsMiddleware(metrics) {
+  const requests = metrics.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status',
+    labelNames: ['method', 'route', 'status'],
+  });
+  const duration = metrics.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency in seconds by method and route',
+    labelNames: ['method', 'route'],
+  });
+  
+  return (req, res, next) => {
+    const end = duration.startTimer({ method: req.method });
+    let matchedRoute = null;
+    let matchedLabel = null;
+    
+    // Express sets req.route when a route matches, but restores req.baseUrl
+    // when an error leaves the router, so the label is taken at that point
+    Object.defineProperty(req, 'route', {
+      configurable: true,
+      enumerable: true,
+      get: () => matchedRoute,
+      set: route => {
+        matchedRoute = route;
+        matchedLabel = route ? routeLabel(req, route) : null;
+      },
+    });
+    
+    res.on('finish', () => {
+      // Requests answered before any route: by mount-level middleware such as
+      // the rate limits (labelled by mount path), static files, or the 404 handler
+      const route = matchedLabel || req.baseUrl || (res.statusCode === 404 ? 'unmatched' : 'other');
+      
+      requests.inc({ method: req.method, route, status: res.statusCode });
+      end({ route });
+    });
+    
+    next();
+  };
+}
+
+module.exports = createMetricsMiddleware;
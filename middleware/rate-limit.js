@@ -0,0 +1,69 @@
+/**
+ * Rate Limit Middleware
+ * Throttles a route per client IP and per browser session (the
+ * X-Checkout-Session header), answering 429 with Retry-After once either
+ * limit is reached within the window.
+ */
+
+const SESSION_HEADER = 'X-Checkout-Session';
+const SESSION_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Create rate limit middleware for the named route, backed by the given
+ * store. A missing or zero `perIp` or `perSession` turns that limit off.
+ */
+function createRateLimitMiddleware(store, { name, windowSeconds, perIp, perSession }) {
+  const windowMs = windowSeconds * 1000;
+  
+  return async (req, res, next) => {
+    const sessionId = req.get(SESSION_HEADER);
+    
+    if (sessionId !== undefined && !SESSION_PATTERN.test(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        error: `${SESSION_HEADER} must be 1 to 128 letters, digits, dashes or underscores`,
+      });
+    }
+    
+    const limits = [];
+    
+    if (perIp) {
+      limits.push({ key: `${name}:ip:${req.ip}`, max: perIp });
+    }
+    
+    if (perSession && sessionId) {
+      limits.push({ key: `${name}:session:${sessionId}`, max: perSession });
+    }
+    
+    try {
+      let resetAt = 0;
+      
+      // Every limit counts the request, so one exhausted limit does not
+      // leave the others unused
+      for (const { key, max } of limits) {
+        const window = await store.increment(key, windowMs);
+        
+        if (window.count > max) {
+          resetAt = Math.max(resetAt, window.resetAt);
+        }
+      }
+      
+      if (!resetAt) {
+        return next();
+      }
+      
+      const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+      
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many attempts. Please wait a moment and try again.',
+        retryAfter,
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = createRateLimitMiddleware;
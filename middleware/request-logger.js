@@ -0,0 +1,41 @@
+/**
+ * Request Logger Middleware
+ * Gives every request a correlation ID (echoed in the X-Request-Id response
+ * header), a logger that tags its entries with the ID (`req.log`) and a log
+ * entry once the response has been sent.
+ */
+
+const crypto = require('crypto');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Create request logger middleware writing to `logger`
+ */
+function createRequestLoggerMiddleware(logger) {
+  return (req, res, next) => {
+    // The checkout page sends its own ID along, so its API calls share it
+    const incomingId = req.get(REQUEST_ID_HEADER);
+    const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+    
+    req.id = requestId;
+    req.log = logger.child({ requestId });
+    res.locals.requestId = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+    
+    res.on('finish', () => {
+      req.log.info('Request completed', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+      });
+    });
+    
+    next();
+  };
+}
+
+module.exports = createRequestLoggerMiddleware;
@@ -0,0 +1,47 @@
+/**
+ * Admin Authentication Middleware
+ * Protects support/back-office routes with the ADMIN_API_KEY bearer token
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Require `Authorization: Bearer <ADMIN_API_KEY>`.
+ * Without a configured key, admin routes stay open in development only.
+ */
+function requireAdmin(req, res, next) {
+  const apiKey = process.env.ADMIN_API_KEY;
+  
+  if (!apiKey) {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin API is not configured',
+      });
+    }
+    
+    return next();
+  }
+  
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  
+  if (scheme !== 'Bearer' || !token || !safeEqual(token, apiKey)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+    });
+  }
+  
+  next();
+}
+
+module.exports = requireAdmin;
@@ -0,0 +1,69 @@
+/**
+ * Security Headers Middleware
+ * Sets the Content Security Policy, with a fresh nonce per response for the
+ * page's inline script (exposed as `res.locals.cspNonce`), along with the
+ * referrer policy, framing and content sniffing headers, and HSTS in
+ * production.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Build the Content-Security-Policy header value
+ */
+function buildPolicy(policy, nonce, production) {
+  const directives = [
+    ['default-src', "'self'"],
+    ['base-uri', "'self'"],
+    ['object-src', "'none'"],
+    ['form-action', "'self'"],
+    ['script-src', "'self'", `'nonce-${nonce}'`, ...policy.scriptSrc],
+    ['style-src', "'self'", ...policy.styleSrc],
+    ['img-src', "'self'", ...policy.imgSrc],
+    ['connect-src', "'self'", ...policy.connectSrc],
+    ['frame-src', ...(policy.frameSrc.length > 0 ? policy.frameSrc : ["'none'"])],
+    ['frame-ancestors', ...policy.frameAncestors],
+  ];
+  
+  if (production) {
+    directives.push(['upgrade-insecure-requests']);
+  }
+  
+  return directives.map(directive => directive.join(' ')).join('; ');
+}
+
+/**
+ * Create security headers middleware from the security configuration
+ */
+function createSecurityHeadersMiddleware(config, { production = false } = {}) {
+  const { contentSecurityPolicy, referrerPolicy, hsts } = config;
+  const frameAncestors = contentSecurityPolicy.frameAncestors.join(' ');
+  
+  // X-Frame-Options covers browsers without frame-ancestors support
+  const frameOptions = { "'none'": 'DENY', "'self'": 'SAMEORIGIN' }[frameAncestors];
+  
+  return (req, res, next) => {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.locals.cspNonce = nonce;
+    
+    res.set('Content-Security-Policy', buildPolicy(contentSecurityPolicy, nonce, production));
+    res.set('Referrer-Policy', referrerPolicy);
+    res.set('X-Content-Type-Options', 'nosniff');
+    
+    if (frameOptions) {
+      res.set('X-Frame-Options', frameOptions);
+    }
+    
+    // Browsers only honor HSTS over HTTPS, which production is served over
+    if (production) {
+      res.set(
+        'Strict-Transport-Security',
+        `max-age=${hsts.maxAgeSeconds}${hsts.includeSubDomains ? '; includeSubDomains' : ''}`
+      );
+    }
+    
+    next();
+  };
+}
+
+module.exports = createSecurityHeadersMiddleware;
@@ -0,0 +1,40 @@
+/**
+ * Validation Middleware
+ * Check request bodies and query strings against a schema before the route
+ * handler runs; failures reach the error handler as a ValidationError
+ */
+
+const { assertValid } = require('../services/validation');
+
+/**
+ * Validate `req.body` against a schema
+ */
+function validateBody(schema) {
+  return (req, res, next) => {
+    try {
+      assertValid(req.body || {}, schema);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Validate `req.query` against a schema
+ */
+function validateQuery(schema) {
+  return (req, res, next) => {
+    try {
+      assertValid(req.query, schema);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  validateBody,
+  validateQuery,
+};
@@ -1,16 +1,70 @@
 /**
  * Braintree Integration Module
- * Handles Braintree hosted fields setup and payment processing
+ * Handles Braintree hosted fields setup and payment processing. The
+ * `braintree` global comes from Braintree's own SDK scripts, which the page
+ * loads from js.braintreegateway.com.
  */
 
-class BraintreeIntegration {
-  constructor() {
+import { Logger } from './logger.js';
+
+export class BraintreeIntegration {
+  constructor({ logger = new Logger() } = {}) {
+    this.logger = logger;
     this.client = null;
     this.hostedFields = null;
+    this.threeDSecure = null;
     this.clientToken = null;
     this.environment = null;
     this.isInitialized = false;
     
+    // Themes whose hosted field styles are built into the fields (Braintree
+    // only accepts styles when the fields are created) and the active one
+    this.fieldThemes = [];
+    this.fieldTheme = null;
+    
+    // 3D Secure settings sent by the server with the client token
+    this.threeDSecureConfig = { enabled: false, required: false };
+    
+    // Payment methods offered by the server; 'card' uses the hosted fields,
+    // the others are set up from BraintreeIntegration.paymentMethodTypes
+    this.availablePaymentMethods = ['card'];
+    this.paymentMethods = {};
+    this.selectedPaymentMethod = 'card';
+    this.approvedPayment = null;
+    
+    // Server-side cart being paid for, in the store currency
+    this.cartId = null;
+    this.cartTotal = null;
+    this.currency = 'USD';
+    
+    // Returns the buyer's `{ email, billing, shipping }` sent with each
+    // payment; throws when the addresses are incomplete
+    this.getBuyerDetails = null;
+    
+    // Device data for Braintree's fraud tools, sent with each payment
+    this.dataCollector = null;
+    this.deviceData = null;
+    
+    // Checkout attempt awaiting a definitive server response, reused on retry
+    this.pendingCheckout = null;
+    this.isProcessing = false;
+    this.maxCheckoutRetries = 2;
+    
+    // Browser session the server rate limits by, and when payments may resume
+    // after the server answered 429 Too Many Requests
+    this.sessionStorageKey = '3d-checkout:session';
+    this.sessionId = this.loadSessionId();
+    this.rateLimitedUntil = null;
+    this.rateLimitTimer = null;
+    this.statusTimer = null;
+    
+    // Vault customer remembered in this browser and their saved cards
+    this.savedCardsEnabled = true;
+    this.customerStorageKey = '3d-checkout:customerId';
+    this.customerId = this.loadCustomerId();
+    this.savedPaymentMethods = [];
+    this.selectedPaymentMethodToken = null;
+    
     // Field state tracking
     this.fieldStates = {
       number: { valid: false, focused: false },
@@ -21,11 +75,26 @@ class BraintreeIntegration {
     
     // Event callbacks
     this.onFieldUpdate = null;
+    this.onCardTypeChange = null;
     this.onFieldFocus = null;
     this.onFieldBlur = null;
     this.onValidationChange = null;
     this.onPaymentSuccess = null;
     this.onPaymentError = null;
+    this.onSavedPaymentMethodsChange = null;
+    this.onSavedPaymentMethodSelect = null;
+    this.onThreeDSecureStart = null;
+    this.onThreeDSecureEnd = null;
+    this.onPaymentMethodChange = null;
+    this.onRateLimited = null;
+  }
+  
+  /**
+   * Make a payment method available under the ID the server lists in
+   * `paymentMethods` (see payment-methods.js for the expected shape)
+   */
+  static registerPaymentMethod(id, PaymentMethodType) {
+    BraintreeIntegration.paymentMethodTypes[id] = PaymentMethodType;
   }
   
   /**
@@ -39,36 +108,71 @@ class BraintreeIntegration {
       // Create Braintree client
       await this.createClient();
       
+      // Device data for fraud screening
+      await this.setupDataCollector();
+      
       // Setup hosted fields
       await this.setupHostedFields();
       
+      // Strong Customer Authentication, when the server asks for it
+      if (this.threeDSecureConfig.enabled) {
+        await this.setupThreeDSecure();
+      }
+      
+      // PayPal, Venmo and other methods offered alongside cards
+      await this.setupAlternativePaymentMethods();
+      
+      // Offer cards saved by a returning customer
+      if (this.savedCardsEnabled) {
+        await this.loadSavedPaymentMethods();
+      }
+      
       this.isInitialized = true;
-      console.log('✅ Braintree integration initialized successfully');
+      this.logger.info('✅ Braintree integration initialized successfully');
       
       return true;
     } catch (error) {
-      console.error('❌ Failed to initialize Braintree:', error);
+      this.logger.error('❌ Failed to initialize Braintree:', error);
       throw error;
     }
   }
   
   /**
-   * Get client token from server
+   * Get client token from server. A rate limited request shows the same
+   * countdown as a rate limited payment and is retried once the wait is over.
    */
   async getClientToken() {
     try {
-      const response = await fetch('/client-token');
+      const query = this.customerId ? `?customerId=${encodeURIComponent(this.customerId)}` : '';
+      const response = await fetch(`/client-token${query}`, {
+        headers: this.sessionHeaders(),
+      });
       const data = await response.json();
       
+      if (response.status === 429) {
+        this.logger.warn(`⏳ Client token rate limited for ${data.retryAfter}s`);
+        this.handleRateLimited(data.retryAfter);
+        await this.waitForRateLimit();
+        return this.getClientToken();
+      }
+      
+      // The remembered customer no longer exists; continue as a guest
+      if (response.status === 404 && this.customerId) {
+        this.forgetCustomer();
+        return this.getClientToken();
+      }
+      
       if (!data.success) {
         throw new Error(data.error || 'Failed to get client token');
       }
       
       this.clientToken = data.clientToken;
       this.environment = data.environment;
-      console.log('✅ Client token and environment data received');
+      this.threeDSecureConfig = data.threeDSecure || { enabled: false, required: false };
+      this.availablePaymentMethods = data.paymentMethods || ['card'];
+      this.logger.info('✅ Client token and environment data received');
     } catch (error) {
-      console.error('❌ Error getting client token:', error);
+      this.logger.error('❌ Error getting client token:', error);
       throw error;
     }
   }
@@ -82,13 +186,30 @@ class BraintreeIntegration {
         authorization: this.clientToken,
       });
       
-      console.log('✅ Braintree client created');
+      this.logger.info('✅ Braintree client created');
     } catch (error) {
-      console.error('❌ Error creating Braintree client:', error);
+      this.logger.error('❌ Error creating Braintree client:', error);
       throw error;
     }
   }
   
+  /**
+   * Collect device data for Braintree's fraud tools. Payments still go
+   * through without it (e.g. when a blocker stops the collector loading).
+   */
+  async setupDataCollector() {
+    try {
+      this.dataCollector = await braintree.dataCollector.create({
+        client: this.client,
+      });
+      this.deviceData = this.dataCollector.deviceData;
+      
+      this.logger.info('✅ Device data collected');
+    } catch (error) {
+      this.logger.warn('⚠️ Device data unavailable, continuing without it:', error);
+    }
+  }
+  
   /**
    * Setup Braintree hosted fields
    */
@@ -118,17 +239,132 @@ class BraintreeIntegration {
       });
       
       this.setupEventListeners();
-      console.log('✅ Hosted fields created');
+      
+      if (this.fieldTheme) {
+        this.setFieldTheme(this.fieldTheme);
+      }
+      
+      this.logger.info('✅ Hosted fields created');
     } catch (error) {
-      console.error('❌ Error creating hosted fields:', error);
+      this.logger.error('❌ Error creating hosted fields:', error);
       throw error;
     }
   }
   
   /**
-   * Get styles for hosted fields
+   * Setup the Braintree 3D Secure component
+   */
+  async setupThreeDSecure() {
+    try {
+      this.threeDSecure = await braintree.threeDSecure.create({
+        client: this.client,
+        version: 2,
+      });
+      
+      const cancelButton = document.getElementById('three-d-secure-cancel');
+      if (cancelButton) {
+        cancelButton.addEventListener('click', () => {
+          this.threeDSecure.cancelVerifyCard();
+        });
+      }
+      
+      this.logger.info('✅ 3D Secure ready');
+    } catch (error) {
+      // Optional verification can be skipped; required verification cannot
+      if (this.threeDSecureConfig.required) {
+        this.logger.error('❌ Error creating 3D Secure:', error);
+        throw error;
+      }
+      
+      this.logger.warn('⚠️ 3D Secure unavailable, continuing without it:', error);
+    }
+  }
+  
+  /**
+   * Set up every alternative payment method the server offers. A method that
+   * cannot be offered (e.g. Venmo in an unsupported browser) is left out
+   * rather than failing the checkout.
+   */
+  async setupAlternativePaymentMethods() {
+    const container = document.getElementById('alternative-payment');
+    const ids = this.availablePaymentMethods.filter(id => id !== 'card');
+    
+    for (const id of ids) {
+      const PaymentMethodType = BraintreeIntegration.paymentMethodTypes[id];
+      
+      if (!PaymentMethodType || !container) {
+        this.logger.warn(`⚠️ Payment method not available: ${id}`);
+        continue;
+      }
+      
+      const buttonContainer = document.createElement('div');
+      buttonContainer.id = `${id}-button`;
+      buttonContainer.className = 'alternative-payment-button';
+      buttonContainer.style.display = 'none';
+      container.appendChild(buttonContainer);
+      
+      const method = new PaymentMethodType({
+        client: this.client,
+        container: buttonContainer,
+        getAmount: () => this.cartTotal,
+        currency: this.currency,
+        onApprove: payload => this.processAlternativePayment(id, payload),
+        onCancel: () => this.logger.info(`↩️ ${method.label} payment canceled`),
+        onError: error => this.handlePaymentError(error.message || `${method.label} payment failed`),
+      });
+      
+      try {
+        await method.setup();
+        this.paymentMethods[id] = method;
+        this.logger.info(`✅ ${method.label} ready`);
+      } catch (error) {
+        this.logger.warn(`⚠️ ${method.label} unavailable:`, error);
+        method.teardown();
+        buttonContainer.remove();
+      }
+    }
+    
+    this.renderPaymentMethodTabs();
+  }
+  
+  /**
+   * Get styles for hosted fields, including every theme's field styles
+   * scoped to the `theme-<id>` class that setFieldTheme() adds to the inputs
    */
   getFieldStyles() {
+    const styles = this.getBaseFieldStyles();
+    
+    this.fieldThemes.forEach(theme => {
+      Object.entries(theme.fieldStyles || {}).forEach(([selector, style]) => {
+        const suffix = selector.replace(/^input/, '');
+        styles[`input.theme-${theme.id}${suffix}`] = style;
+      });
+    });
+    
+    return styles;
+  }
+  
+  /**
+   * Switch the hosted fields to a theme's styles
+   */
+  setFieldTheme(themeId) {
+    const previousTheme = this.fieldTheme;
+    this.fieldTheme = themeId;
+    
+    if (!this.hostedFields) return;
+    
+    Object.keys(this.fieldStates).forEach(fieldName => {
+      if (previousTheme) {
+        this.hostedFields.removeClass(fieldName, `theme-${previousTheme}`);
+      }
+      this.hostedFields.addClass(fieldName, `theme-${themeId}`);
+    });
+  }
+  
+  /**
+   * Hosted field styles shared by every theme
+   */
+  getBaseFieldStyles() {
     return {
       input: {
         'font-size': '16px',
@@ -202,7 +438,7 @@ class BraintreeIntegration {
       this.onFieldFocus(fieldName);
     }
     
-    console.log(`🎯 Field focused: ${fieldName}`);
+    this.logger.debug(`🎯 Field focused: ${fieldName}`);
   }
   
   /**
@@ -220,7 +456,7 @@ class BraintreeIntegration {
       this.onFieldBlur(fieldName);
     }
     
-    console.log(`👁️ Field blurred: ${fieldName}`);
+    this.logger.debug(`👁️ Field blurred: ${fieldName}`);
   }
   
   /**
@@ -258,22 +494,23 @@ class BraintreeIntegration {
       this.onValidationChange(fieldName, field);
     }
     
-    console.log(`✅ Field validation changed: ${fieldName} - Valid: ${field.isValid}`);
+    this.logger.debug(`✅ Field validation changed: ${fieldName} - Valid: ${field.isValid}`);
   }
   
   /**
    * Handle card type changes
    */
   handleCardTypeChange(event) {
-    const cardType = event.cards[0];
+    // Several possible types means the brand is not known yet
+    const cardType = event.cards.length === 1 ? event.cards[0] : null;
     
     if (cardType) {
-      console.log(`💳 Card type detected: ${cardType.type}`);
-      
-      // Update card visual in 3D scene
-      if (this.onFieldUpdate) {
-        this.onFieldUpdate('cardType', cardType.type);
-      }
+      this.logger.debug(`💳 Card type detected: ${cardType.type}`);
+    }
+    
+    // Update card visual in 3D scene
+    if (this.onCardTypeChange) {
+      this.onCardTypeChange(cardType ? cardType.type : null);
     }
   }
   
@@ -320,63 +557,112 @@ class BraintreeIntegration {
     const submitButton = document.getElementById('submit-button');
     if (!submitButton) return;
     
-    const allFieldsValid = Object.values(this.fieldStates).every(field => field.valid);
+    const formValid = this.isFormValid();
     
-    submitButton.disabled = !allFieldsValid;
+    submitButton.disabled = !formValid;
     
-    if (allFieldsValid) {
+    if (formValid) {
       submitButton.classList.add('pulse');
     } else {
       submitButton.classList.remove('pulse');
     }
   }
   
+  /**
+   * Set the cart that submitted payments are charged against
+   */
+  setCart(cart) {
+    const cartId = cart ? cart.id : null;
+    const cartTotal = cart ? cart.totals.total : null;
+    
+    if (cartId !== this.cartId || cartTotal !== this.cartTotal) {
+      this.pendingCheckout = null;
+    }
+    
+    this.cartId = cartId;
+    this.cartTotal = cartTotal;
+    
+    if (cart) {
+      this.currency = cart.currency;
+    }
+  }
+  
   /**
    * Process payment
+   * The server charges the cart total; the amount is sent only so the server
+   * can reject the payment if the displayed total is out of date.
    */
-  async processPayment(amount = '29.99') {
+  async processPayment(cartId = this.cartId, amount = this.cartTotal) {
     if (!this.isInitialized || !this.hostedFields) {
       throw new Error('Braintree not initialized');
     }
     
+    // Ignore repeated submits (double-click, Enter key) while a payment is in flight
+    if (this.isProcessing) {
+      this.logger.warn('⚠️ Payment already in progress');
+      return;
+    }
+    
+    if (this.rateLimitedUntil) {
+      this.logger.warn('⏳ Payments are paused after too many attempts');
+      return;
+    }
+    
     try {
       // Show loading state
       this.setPaymentProcessing(true);
       
-      // Tokenize the payment method
-      const payload = await this.hostedFields.tokenize();
+      // Addresses are checked first so an incomplete form does not tokenize the card
+      const buyer = this.getBuyerDetails ? this.getBuyerDetails(this.selectedPaymentMethod) : {};
+      const buyerKey = JSON.stringify(buyer);
+      const pending = this.pendingCheckout;
       
-      if (!payload.nonce) {
-        throw new Error('Failed to tokenize payment method');
+      // A previous attempt that never got an answer is resent as-is, with the
+      // same Idempotency-Key, so the server replays it instead of charging
+      // again. It is only reused for the same cart, amount and buyer details;
+      // otherwise it no longer describes what the buyer is paying for.
+      if (!pending || pending.cartId !== cartId || pending.amount !== amount || pending.buyerKey !== buyerKey) {
+        const body = { ...(await this.buildCheckoutBody(cartId, amount)), ...buyer };
+        
+        if (this.deviceData) {
+          body.deviceData = this.deviceData;
+        }
+        
+        this.pendingCheckout = {
+          idempotencyKey: this.generateIdempotencyKey(),
+          cartId,
+          amount,
+          buyerKey,
+          body,
+        };
       }
       
-      console.log('🔐 Payment method tokenized successfully');
-      
       // Send payment to server
-      const response = await fetch('/checkout', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          paymentMethodNonce: payload.nonce,
-          amount: amount,
-        }),
-      });
+      const result = await this.submitCheckout(this.pendingCheckout);
       
-      const result = await response.json();
+      // The server has answered this attempt; the next submit starts a new one
+      this.pendingCheckout = null;
       
       if (result.success) {
         // Payment successful
-        console.log('🎉 Payment successful:', result.transaction);
-        this.handlePaymentSuccess(result.transaction);
+        this.logger.info('🎉 Payment successful:', result.transaction);
+        
+        if (result.savedPaymentMethod) {
+          await this.loadSavedPaymentMethods();
+        }
+        
+        this.handlePaymentSuccess({ ...result.transaction, orderId: result.orderId });
+      } else if (result.retryAfter) {
+        // Too many attempts; nothing was charged
+        this.logger.warn(`⏳ Payment rate limited for ${result.retryAfter}s`);
+        this.handleRateLimited(result.retryAfter);
       } else {
         // Payment failed
-        console.error('💳 Payment failed:', result.error);
-        this.handlePaymentError(result.error);
+        this.logger.error('💳 Payment failed:', result.error, result.details || '');
+        this.handlePaymentError(this.describeError(result));
       }
     } catch (error) {
-      console.error('❌ Payment processing error:', error);
+      this.logger.error('❌ Payment processing error:', error);
       this.handlePaymentError(error.message || 'Payment processing failed');
     } finally {
       // Hide loading state
@@ -384,6 +670,565 @@ class BraintreeIntegration {
     }
   }
   
+  /**
+   * Charge the payload approved in a PayPal or Venmo flow
+   */
+  async processAlternativePayment(methodId, payload) {
+    if (methodId !== this.selectedPaymentMethod) {
+      this.selectPaymentMethod(methodId);
+    }
+    
+    this.approvedPayment = { methodId, nonce: payload.nonce };
+    this.logger.info(`👛 ${this.paymentMethods[methodId].label} payment approved`);
+    
+    return this.processPayment();
+  }
+  
+  /**
+   * Build the checkout request for an approved PayPal or Venmo payment, the
+   * selected saved card, or tokenize the hosted fields for a new card (saving
+   * it when requested)
+   */
+  async buildCheckoutBody(cartId, amount) {
+    if (this.selectedPaymentMethod !== 'card') {
+      if (!this.approvedPayment) {
+        throw new Error(`Approve the payment with ${this.paymentMethods[this.selectedPaymentMethod].label} first`);
+      }
+      
+      const { nonce } = this.approvedPayment;
+      this.approvedPayment = null;
+      
+      return {
+        paymentMethodNonce: nonce,
+        cartId: cartId,
+        amount: amount,
+      };
+    }
+    
+    if (this.selectedPaymentMethodToken && this.threeDSecure) {
+      // Saved cards are verified through a single-use nonce created for them
+      const { nonce, bin } = await this.createSavedCardNonce(this.selectedPaymentMethodToken);
+      
+      return {
+        paymentMethodNonce: await this.verifyCard({ nonce, bin, amount }),
+        customerId: this.customerId,
+        cartId: cartId,
+        amount: amount,
+      };
+    }
+    
+    if (this.selectedPaymentMethodToken) {
+      return {
+        paymentMethodToken: this.selectedPaymentMethodToken,
+        customerId: this.customerId,
+        cartId: cartId,
+        amount: amount,
+      };
+    }
+    
+    // Tokenize the payment method
+    const payload = await this.hostedFields.tokenize();
+    
+    if (!payload.nonce) {
+      throw new Error('Failed to tokenize payment method');
+    }
+    
+    this.logger.info('🔐 Payment method tokenized successfully');
+    
+    const nonce = this.threeDSecure
+      ? await this.verifyCard({ nonce: payload.nonce, bin: payload.details && payload.details.bin, amount })
+      : payload.nonce;
+    
+    const body = {
+      paymentMethodNonce: nonce,
+      cartId: cartId,
+      amount: amount,
+    };
+    
+    const saveCheckbox = document.getElementById('save-card');
+    if (saveCheckbox && saveCheckbox.checked) {
+      await this.ensureCustomer();
+      body.savePaymentMethod = true;
+    }
+    
+    if (this.customerId) {
+      body.customerId = this.customerId;
+    }
+    
+    return body;
+  }
+  
+  /**
+   * Run a nonce through 3D Secure, showing the bank's challenge if one is
+   * needed, and return the verified nonce
+   */
+  async verifyCard({ nonce, bin, amount }) {
+    let result = null;
+    
+    this.showThreeDSecureModal(true);
+    if (this.onThreeDSecureStart) {
+      this.onThreeDSecureStart();
+    }
+    
+    try {
+      result = await this.threeDSecure.verifyCard({
+        amount: amount,
+        nonce: nonce,
+        bin: bin,
+        onLookupComplete: (data, next) => next(),
+      });
+    } catch (error) {
+      this.logger.error('❌ 3D Secure verification error:', error);
+      throw new Error(/CANCELED/.test(error.code || '')
+        ? 'Card verification was canceled'
+        : 'Card verification failed. Please try again.');
+    } finally {
+      this.showThreeDSecureModal(false);
+      if (this.onThreeDSecureEnd) {
+        this.onThreeDSecureEnd(result);
+      }
+    }
+    
+    // A possible but missing liability shift means the buyer failed authentication
+    if (result.liabilityShiftPossible && !result.liabilityShifted) {
+      throw new Error('Card verification failed. Please try another card.');
+    }
+    
+    this.logger.info(`🛡️ 3D Secure complete (liability shifted: ${result.liabilityShifted})`);
+    return result.nonce;
+  }
+  
+  /**
+   * Show or hide the modal that hosts the 3D Secure challenge
+   */
+  showThreeDSecureModal(visible) {
+    const modal = document.getElementById('three-d-secure-modal');
+    if (modal) {
+      modal.style.display = visible ? 'flex' : 'none';
+    }
+  }
+  
+  /**
+   * Post a checkout attempt, retrying network failures and in-progress
+   * conflicts with the same Idempotency-Key
+   */
+  async submitCheckout({ idempotencyKey, body }) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await fetch('/checkout', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey,
+            ...this.sessionHeaders(),
+          },
+          body: JSON.stringify(body),
+        });
+        
+        const result = await response.json();
+        
+        // Throttled attempts are not retried; the caller waits out retryAfter
+        if (response.status === 429) {
+          return { ...result, retryAfter: Number(result.retryAfter) || 60 };
+        }
+        
+        if (response.status !== 409 || attempt >= this.maxCheckoutRetries) {
+          return result;
+        }
+        
+        this.logger.warn('⏳ Checkout still in progress, retrying...');
+      } catch (error) {
+        if (attempt >= this.maxCheckoutRetries) {
+          throw new Error('Network error while processing payment. Please try again.');
+        }
+        
+        this.logger.warn('🔁 Checkout request failed, retrying...', error);
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+    }
+  }
+  
+  /**
+   * Read the rate limiting session ID for this tab, creating one on first use
+   */
+  loadSessionId() {
+    try {
+      let sessionId = window.sessionStorage.getItem(this.sessionStorageKey);
+      
+      if (!sessionId) {
+        sessionId = this.generateIdempotencyKey();
+        window.sessionStorage.setItem(this.sessionStorageKey, sessionId);
+      }
+      
+      return sessionId;
+    } catch (error) {
+      // Storage can be unavailable, e.g. in private browsing
+      return this.generateIdempotencyKey();
+    }
+  }
+  
+  /**
+   * Headers identifying this browser session for rate limiting and the page
+   * for the server's logs, which then share the logger's request ID
+   */
+  sessionHeaders() {
+    const headers = { 'X-Checkout-Session': this.sessionId };
+    
+    if (this.logger.requestId) {
+      headers['X-Request-Id'] = this.logger.requestId;
+    }
+    
+    return headers;
+  }
+  
+  /**
+   * Read the customer ID remembered in this browser
+   */
+  loadCustomerId() {
+    try {
+      return window.localStorage.getItem(this.customerStorageKey);
+    } catch (error) {
+      // Storage can be unavailable, e.g. in private browsing
+      return null;
+    }
+  }
+  
+  /**
+   * Remember a customer for future visits. The ID is the random handle the
+   * server issued, which alone grants access to the saved cards.
+   */
+  rememberCustomer(customerId) {
+    this.customerId = customerId;
+    
+    try {
+      window.localStorage.setItem(this.customerStorageKey, customerId);
+    } catch (error) {
+      this.logger.warn('⚠️ Unable to remember customer:', error);
+    }
+  }
+  
+  /**
+   * Forget the remembered customer and their saved cards
+   */
+  forgetCustomer() {
+    this.customerId = null;
+    this.savedPaymentMethods = [];
+    this.selectedPaymentMethodToken = null;
+    
+    try {
+      window.localStorage.removeItem(this.customerStorageKey);
+    } catch (error) {
+      // Nothing to clean up
+    }
+  }
+  
+  /**
+   * Create a vault customer for this browser if there is none yet
+   */
+  async ensureCustomer() {
+    if (this.customerId) {
+      return this.customerId;
+    }
+    
+    const response = await fetch('/customers', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.sessionHeaders() },
+      body: JSON.stringify({}),
+    });
+    const result = await response.json();
+    
+    if (!result.success) {
+      throw new Error(this.describeError(result, 'Failed to save card'));
+    }
+    
+    this.logger.info('👤 Customer created');
+    this.rememberCustomer(result.customer.id);
+    return this.customerId;
+  }
+  
+  /**
+   * Fetch the customer's saved cards. Failures are not fatal: the buyer can
+   * always pay with a new card.
+   */
+  async loadSavedPaymentMethods() {
+    if (this.customerId) {
+      try {
+        const response = await fetch(`/customers/${encodeURIComponent(this.customerId)}/payment-methods`, {
+          headers: this.sessionHeaders(),
+        });
+        const result = await response.json();
+        
+        if (response.status === 404) {
+          this.forgetCustomer();
+        } else if (result.success) {
+          this.savedPaymentMethods = result.paymentMethods;
+          this.logger.info(`💳 Loaded ${result.paymentMethods.length} saved card(s)`);
+        }
+      } catch (error) {
+        this.logger.warn('⚠️ Unable to load saved cards:', error);
+      }
+    }
+    
+    const selectionStillSaved = this.savedPaymentMethods
+      .some(method => method.token === this.selectedPaymentMethodToken);
+    
+    if (!selectionStillSaved) {
+      this.selectedPaymentMethodToken = null;
+    }
+    
+    this.renderSavedPaymentMethods();
+    
+    if (this.onSavedPaymentMethodsChange) {
+      this.onSavedPaymentMethodsChange(this.savedPaymentMethods, this.selectedPaymentMethodToken);
+    }
+    
+    return this.savedPaymentMethods;
+  }
+  
+  /**
+   * Pay with a saved card, or with a new card when `token` is null
+   */
+  selectSavedPaymentMethod(token) {
+    const method = this.savedPaymentMethods.find(candidate => candidate.token === token) || null;
+    
+    if (token && !method) {
+      throw new Error(`Unknown saved card: ${token}`);
+    }
+    
+    if (this.selectedPaymentMethodToken !== (method && method.token)) {
+      this.pendingCheckout = null;
+    }
+    
+    this.selectedPaymentMethodToken = method ? method.token : null;
+    this.renderSavedPaymentMethods();
+    this.updateSubmitButtonState();
+    
+    if (this.onSavedPaymentMethodSelect) {
+      this.onSavedPaymentMethodSelect(this.selectedPaymentMethodToken, method);
+    }
+  }
+  
+  /**
+   * Pay with cards (hosted fields and saved cards) or one of the alternative
+   * payment methods
+   */
+  selectPaymentMethod(methodId) {
+    if (methodId !== 'card' && !this.paymentMethods[methodId]) {
+      throw new Error(`Unknown payment method: ${methodId}`);
+    }
+    
+    if (methodId !== this.selectedPaymentMethod) {
+      this.pendingCheckout = null;
+      this.approvedPayment = null;
+    }
+    
+    this.selectedPaymentMethod = methodId;
+    this.renderPaymentMethodTabs();
+    this.renderSavedPaymentMethods();
+    this.updateSubmitButtonState();
+    
+    if (this.onPaymentMethodChange) {
+      this.onPaymentMethodChange(methodId);
+    }
+  }
+  
+  /**
+   * Render the payment method tabs and show the selected method's form or
+   * button. Tabs are hidden when cards are the only method.
+   */
+  renderPaymentMethodTabs() {
+    const tabs = document.getElementById('payment-method-tabs');
+    const alternativePayment = document.getElementById('alternative-payment');
+    const form = document.getElementById('checkout-form');
+    if (!tabs) return;
+    
+    const methodIds = ['card', ...Object.keys(this.paymentMethods)];
+    const isCard = this.selectedPaymentMethod === 'card';
+    
+    tabs.innerHTML = '';
+    
+    methodIds.forEach(id => {
+      const tab = document.createElement('button');
+      tab.type = 'button';
+      tab.className = 'payment-method-tab';
+      tab.dataset.paymentMethod = id;
+      tab.textContent = id === 'card' ? 'Card' : this.paymentMethods[id].label;
+      tab.classList.toggle('selected', id === this.selectedPaymentMethod);
+      tab.addEventListener('click', () => this.selectPaymentMethod(id));
+      tabs.appendChild(tab);
+    });
+    
+    tabs.style.display = methodIds.length > 1 ? 'flex' : 'none';
+    
+    Object.keys(this.paymentMethods).forEach(id => {
+      const buttonContainer = document.getElementById(`${id}-button`);
+      if (buttonContainer) {
+        buttonContainer.style.display = id === this.selectedPaymentMethod ? 'block' : 'none';
+      }
+    });
+    
+    if (alternativePayment) {
+      alternativePayment.style.display = isCard ? 'none' : 'block';
+    }
+    
+    if (form) {
+      form.style.display = isCard ? '' : 'none';
+    }
+  }
+  
+  /**
+   * Ask the server for a single-use nonce for a saved card
+   */
+  async createSavedCardNonce(token) {
+    const response = await fetch(
+      `/customers/${encodeURIComponent(this.customerId)}/payment-methods/${encodeURIComponent(token)}/nonce`,
+      { method: 'POST', headers: this.sessionHeaders() }
+    );
+    const result = await response.json();
+    
+    if (!result.success) {
+      throw new Error(this.describeError(result, 'Failed to prepare saved card'));
+    }
+    
+    return result.paymentMethodNonce;
+  }
+  
+  /**
+   * Remove a saved card from the customer's vault
+   */
+  async deleteSavedPaymentMethod(token) {
+    const response = await fetch(
+      `/customers/${encodeURIComponent(this.customerId)}/payment-methods/${encodeURIComponent(token)}`,
+      { method: 'DELETE', headers: this.sessionHeaders() }
+    );
+    const result = await response.json();
+    
+    if (!result.success) {
+      throw new Error(this.describeError(result, 'Failed to remove card'));
+    }
+    
+    this.logger.info('🗑️ Saved card removed');
+    return this.loadSavedPaymentMethods();
+  }
+  
+  /**
+   * Render the saved card picker above the hosted fields
+   */
+  renderSavedPaymentMethods() {
+    const container = document.getElementById('saved-cards');
+    const list = document.getElementById('saved-card-list');
+    const form = document.getElementById('checkout-form');
+    if (!container || !list) return;
+    
+    list.innerHTML = '';
+    
+    this.savedPaymentMethods.forEach(method => {
+      const item = document.createElement('div');
+      item.className = 'saved-card';
+      item.classList.toggle('selected', method.token === this.selectedPaymentMethodToken);
+      
+      const selectButton = document.createElement('button');
+      selectButton.type = 'button';
+      selectButton.className = 'saved-card-select';
+      selectButton.textContent = `${method.cardType || 'Card'} •••• ${method.last4}`
+        + (method.expirationDate ? ` (exp. ${method.expirationDate})` : '');
+      selectButton.addEventListener('click', () => this.selectSavedPaymentMethod(method.token));
+      
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'saved-card-remove';
+      removeButton.title = 'Remove card';
+      removeButton.textContent = '×';
+      removeButton.addEventListener('click', () => {
+        this.deleteSavedPaymentMethod(method.token).catch(error => {
+          this.showPaymentStatus('error', error.message);
+        });
+      });
+      
+      item.appendChild(selectButton);
+      item.appendChild(removeButton);
+      list.appendChild(item);
+    });
+    
+    const newCard = document.createElement('div');
+    newCard.className = 'saved-card';
+    newCard.classList.toggle('selected', !this.selectedPaymentMethodToken);
+    
+    const newCardButton = document.createElement('button');
+    newCardButton.type = 'button';
+    newCardButton.className = 'saved-card-select';
+    newCardButton.textContent = 'Use a new card';
+    newCardButton.addEventListener('click', () => this.selectSavedPaymentMethod(null));
+    newCard.appendChild(newCardButton);
+    list.appendChild(newCard);
+    
+    container.style.display = this.savedPaymentMethods.length > 0 && this.selectedPaymentMethod === 'card'
+      ? 'block'
+      : 'none';
+    
+    // Hosted fields and the save option only apply to a new card
+    if (form) {
+      form.classList.toggle('using-saved-card', Boolean(this.selectedPaymentMethodToken));
+    }
+  }
+  
+  /**
+   * Generate a unique Idempotency-Key for a checkout attempt
+   */
+  generateIdempotencyKey() {
+    if (window.crypto && window.crypto.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+    
+    const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+  
+  /**
+   * Turn a failed server response into a readable message, including any
+   * field problems reported by request validation
+   */
+  describeError(result, fallback = 'Payment processing failed') {
+    const message = result.error || fallback;
+    
+    if (!Array.isArray(result.details) || result.details.length === 0) {
+      return message;
+    }
+    
+    const problems = result.details.map(({ field, message: problem }) => `${field} ${problem}`);
+    return `${message}: ${problems.join('; ')}`;
+  }
+  
+  /**
+   * Refund or void a completed order. Requires the admin API key when the
+   * server has one configured.
+   */
+  async reversePayment(orderId, { type = 'refund', amount, adminApiKey } = {}) {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+    
+    if (adminApiKey) {
+      headers.Authorization = `Bearer ${adminApiKey}`;
+    }
+    
+    const response = await fetch(`/orders/${encodeURIComponent(orderId)}/${type}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(amount ? { amount } : {}),
+    });
+    
+    const result = await response.json();
+    
+    if (!result.success) {
+      throw new Error(this.describeError(result, 'Failed to reverse payment'));
+    }
+    
+    this.logger.info(`↩️ Payment ${result.reversal.type} completed:`, result.reversal);
+    return result;
+  }
+  
   /**
    * Set payment processing state
    */
@@ -392,12 +1237,14 @@ class BraintreeIntegration {
     const btnText = submitButton.querySelector('.btn-text');
     const btnSpinner = submitButton.querySelector('.btn-spinner');
     
+    this.isProcessing = processing;
+    
     if (processing) {
       submitButton.disabled = true;
       btnText.style.display = 'none';
       btnSpinner.style.display = 'block';
     } else {
-      submitButton.disabled = !Object.values(this.fieldStates).every(field => field.valid);
+      submitButton.disabled = !this.isFormValid();
       btnText.style.display = 'block';
       btnSpinner.style.display = 'none';
     }
@@ -432,6 +1279,67 @@ class BraintreeIntegration {
     }
   }
   
+  /**
+   * Pause payments after the server answered 429, counting down on the
+   * payment status until the next attempt is allowed
+   */
+  handleRateLimited(retryAfter) {
+    this.rateLimitedUntil = Date.now() + retryAfter * 1000;
+    clearInterval(this.rateLimitTimer);
+    
+    const showCountdown = () => {
+      const remaining = Math.ceil((this.rateLimitedUntil - Date.now()) / 1000);
+      
+      if (remaining <= 0) {
+        this.clearRateLimit();
+        return;
+      }
+      
+      this.showPaymentStatus('rate-limited', `Too many attempts. You can try again in ${this.formatWait(remaining)}.`);
+    };
+    
+    showCountdown();
+    this.rateLimitTimer = setInterval(showCountdown, 1000);
+    this.updateSubmitButtonState();
+    
+    // Notify callback
+    if (this.onRateLimited) {
+      this.onRateLimited(retryAfter);
+    }
+  }
+  
+  /**
+   * Resolve once the current rate limit window has passed
+   */
+  waitForRateLimit() {
+    const remaining = Math.max(0, (this.rateLimitedUntil || 0) - Date.now());
+    return new Promise(resolve => setTimeout(resolve, remaining));
+  }
+  
+  /**
+   * Allow payments again once the rate limit window has passed
+   */
+  clearRateLimit() {
+    clearInterval(this.rateLimitTimer);
+    this.rateLimitTimer = null;
+    this.rateLimitedUntil = null;
+    
+    document.getElementById('payment-status').style.display = 'none';
+    this.updateSubmitButtonState();
+  }
+  
+  /**
+   * Describe a wait in seconds, e.g. "1 second" or "2 minutes"
+   */
+  formatWait(seconds) {
+    if (seconds > 90) {
+      const minutes = Math.ceil(seconds / 60);
+      return `${minutes} minutes`;
+    }
+    
+    return seconds === 1 ? '1 second' : `${seconds} seconds`;
+  }
+  
   /**
    * Show payment status message
    */
@@ -441,15 +1349,16 @@ class BraintreeIntegration {
     const statusMessage = statusElement.querySelector('.status-message');
     
     // Set status content
-    statusIcon.textContent = type === 'success' ? '✅' : '❌';
+    statusIcon.textContent = BraintreeIntegration.STATUS_ICONS[type] || '❌';
     statusMessage.textContent = message;
     
     // Set status styling
     statusElement.className = `payment-status ${type}`;
     statusElement.style.display = 'block';
     
-    // Hide after delay
-    setTimeout(() => {
+    // Hide after delay, unless a newer status replaces this one first
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => {
       statusElement.style.display = 'none';
     }, 5000);
   }
@@ -463,6 +1372,11 @@ class BraintreeIntegration {
       this.hostedFields.clear();
     }
     
+    // Back to the default card design
+    if (this.onCardTypeChange) {
+      this.onCardTypeChange(null);
+    }
+    
     // Reset field states
     Object.keys(this.fieldStates).forEach(fieldName => {
       this.fieldStates[fieldName] = { valid: false, focused: false };
@@ -486,9 +1400,23 @@ class BraintreeIntegration {
   }
   
   /**
-   * Check if all fields are valid
+   * Check if a saved card is selected or all fields are valid. PayPal and
+   * Venmo submit from their own buttons, so the card form is never valid for them.
    */
   isFormValid() {
+    // Payments are paused until the rate limit window has passed
+    if (this.rateLimitedUntil) {
+      return false;
+    }
+    
+    if (this.selectedPaymentMethod !== 'card') {
+      return false;
+    }
+    
+    if (this.selectedPaymentMethodToken) {
+      return true;
+    }
+    
     return Object.values(this.fieldStates).every(field => field.valid);
   }
   
@@ -501,13 +1429,40 @@ class BraintreeIntegration {
       this.hostedFields = null;
     }
     
+    if (this.threeDSecure) {
+      this.threeDSecure.teardown();
+      this.threeDSecure = null;
+    }
+    
+    if (this.dataCollector) {
+      this.dataCollector.teardown();
+      this.dataCollector = null;
+      this.deviceData = null;
+    }
+    
+    clearInterval(this.rateLimitTimer);
+    clearTimeout(this.statusTimer);
+    this.rateLimitTimer = null;
+    this.rateLimitedUntil = null;
+    
+    Object.values(this.paymentMethods).forEach(method => method.teardown());
+    this.paymentMethods = {};
+    this.selectedPaymentMethod = 'card';
+    
     this.client = null;
     this.clientToken = null;
     this.isInitialized = false;
     
-    console.log('🧹 Braintree integration disposed');
+    this.logger.info('🧹 Braintree integration disposed');
   }
 }
 
-// Export for use in other modules
-window.BraintreeIntegration = BraintreeIntegration;
+// Alternative payment method classes by ID, filled by registerPaymentMethod()
+BraintreeIntegration.paymentMethodTypes = {};
+
+// Icons shown with each payment status type
+BraintreeIntegration.STATUS_ICONS = {
+  success: '✅',
+  error: '❌',
+  'rate-limited': '⏳',
+};
@@ -3,69 +3,133 @@
  * Coordinates between Three.js scene and Braintree integration
  */
 
-class CheckoutApp {
-  constructor() {
+import { ThemeRegistry } from './theme-registry.js';
+import { ThreeScene } from './three-scene.js';
+import { BraintreeIntegration } from './braintree-integration.js';
+import { Logger } from './logger.js';
+import { EventBus } from './event-bus.js';
+
+// Registers the PayPal and Venmo payment methods
+import './payment-methods.js';
+
+export class CheckoutApp {
+  /**
+   * @param {Object} [options]
+   * @param {Object[]} [options.themes] custom themes to register (see ThemeRegistry)
+   * @param {string[]} [options.themeUrls] JSON theme files to load at startup
+   * @param {Logger} [options.logger] defaults to the level and request ID
+   *   the server rendered into the page
+   * @param {EventBus} [options.events] analytics and error events, sent to POST /events
+   */
+  constructor({
+    themes = [],
+    themeUrls = [],
+    logger = Logger.fromPage(),
+    events = new EventBus({ logger }),
+  } = {}) {
+    // Shared with the scene, themes and Braintree so every entry carries the
+    // page's request ID
+    this.logger = logger;
+    this.events = events;
     this.scene = null;
     this.braintree = null;
     this.isInitialized = false;
     this.loadingScreen = null;
     
+    // Themes for the scene, form overlay and hosted fields
+    this.themes = new ThemeRegistry({ logger });
+    themes.forEach(theme => this.themes.register(theme));
+    this.themeUrls = themeUrls;
+    this.currentThemeId = 'default';
+    
     // DOM elements
     this.canvas = null;
     this.checkoutForm = null;
     this.submitButton = null;
     this.sceneControls = null;
     
+    // Store branding, currency and feature flags from GET /config
+    this.config = null;
+    
     // Application state
     this.currentStep = 'loading'; // loading, form, processing, complete
-    this.paymentAmount = '29.99';
+    this.productId = null;
+    this.cart = null;
+    this.lastOrderId = null;
   }
   
   /**
    * Initialize the complete application
    */
   async initialize() {
+    const startedAt = performance.now();
+    
     try {
-      console.log('🚀 Initializing 3D Checkout Application...');
+      this.logger.info('🚀 Initializing 3D Checkout Application...');
       
       // Get DOM elements
       try {
         this.getDOMElements();
-        console.log('✅ DOM elements found');
+        this.logger.info('✅ DOM elements found');
       } catch (error) {
-        console.error('❌ DOM elements error:', error);
+        this.logger.error('❌ DOM elements error:', error);
         throw new Error(`DOM setup failed: ${error.message}`);
       }
       
       // Show loading screen
       this.showLoadingScreen();
       
+      // Created before the first request so the config and cart requests
+      // carry the same session and request ID headers as the payment ones
+      this.braintree = new BraintreeIntegration({ logger: this.logger });
+      
+      // Store configuration the UI and card branding are built from
+      try {
+        await this.timeStep('config', () => this.loadConfig());
+        this.logger.info('✅ Store configuration loaded');
+      } catch (error) {
+        this.logger.error('❌ Store configuration error:', error);
+        throw new Error(`Configuration failed: ${error.message}`);
+      }
+      
+      // Custom themes are loaded before the scene and hosted fields use them
+      await this.timeStep('themes', () => this.loadThemes());
+      
       // Initialize Three.js scene
       try {
-        console.log('🎨 Starting Three.js initialization...');
-        await this.initializeScene();
-        console.log('✅ Three.js scene initialized');
+        this.logger.info('🎨 Starting Three.js initialization...');
+        await this.timeStep('scene', () => this.initializeScene());
+        this.logger.info('✅ Three.js scene initialized');
       } catch (error) {
-        console.error('❌ Three.js initialization error:', error);
+        this.logger.error('❌ Three.js initialization error:', error);
         throw new Error(`3D scene initialization failed: ${error.message}`);
       }
       
+      // Create the server-side cart that determines the charged amount
+      try {
+        await this.timeStep('cart', () => this.initializeCart());
+        this.logger.info('✅ Cart created');
+      } catch (error) {
+        this.logger.error('❌ Cart creation error:', error);
+        throw new Error(`Cart setup failed: ${error.message}`);
+      }
+      
       // Initialize Braintree integration
       try {
-        console.log('💳 Starting Braintree initialization...');
-        await this.initializeBraintree();
-        console.log('✅ Braintree integration initialized');
+        this.logger.info('💳 Starting Braintree initialization...');
+        await this.timeStep('braintree', () => this.initializeBraintree());
+        this.logger.info('✅ Braintree integration initialized');
       } catch (error) {
-        console.error('❌ Braintree initialization error:', error);
+        this.logger.error('❌ Braintree initialization error:', error);
         throw new Error(`Braintree initialization failed: ${error.message}`);
       }
       
       // Setup event listeners
       try {
         this.setupEventListeners();
-        console.log('✅ Event listeners setup');
+        this.logger.info('✅ Event listeners setup');
       } catch (error) {
-        console.error('❌ Event listeners error:', error);
+        this.logger.error('❌ Event listeners error:', error);
         throw new Error(`Event setup failed: ${error.message}`);
       }
       
@@ -75,23 +139,36 @@ class CheckoutApp {
       // Setup initial animations
       try {
         this.setupInitialAnimations();
-        console.log('✅ Initial animations setup');
+        this.logger.info('✅ Initial animations setup');
       } catch (error) {
-        console.error('❌ Animation setup error:', error);
+        this.logger.error('❌ Animation setup error:', error);
         // Don't throw here, animations are not critical
       }
       
       this.isInitialized = true;
       this.currentStep = 'form';
+      this.events.emit('init_timing', { step: 'total', durationMs: Math.round(performance.now() - startedAt) });
       
-      console.log('✅ 3D Checkout Application initialized successfully!');
+      this.logger.info('✅ 3D Checkout Application initialized successfully!');
     } catch (error) {
-      console.error('❌ Failed to initialize application:', error);
+      this.logger.error('❌ Failed to initialize application:', error);
+      this.events.emit('client_error', { message: error.message.slice(0, 512), context: 'initialize' });
       this.showError(`Failed to initialize checkout: ${error.message}. Please refresh and try again.`);
       throw error;
     }
   }
   
+  /**
+   * Run an initialization step and report how long it took
+   */
+  async timeStep(step, task) {
+    const startedAt = performance.now();
+    const result = await task();
+    
+    this.events.emit('init_timing', { step, durationMs: Math.round(performance.now() - startedAt) });
+    return result;
+  }
+  
   /**
    * Get references to DOM elements
    */
@@ -122,44 +199,488 @@ class CheckoutApp {
    */
   async initializeScene() {
     try {
-      console.log('🎨 Initializing 3D scene...');
+      this.logger.info('🎨 Initializing 3D scene...');
       
-      this.scene = new ThreeScene(this.canvas);
+      this.scene = new ThreeScene(this.canvas, { logger: this.logger });
       
       // Set up scene event callbacks
       this.scene.onCardUpdate = this.handleCardUpdate.bind(this);
       this.scene.onFieldFocus = this.handleFieldFocus.bind(this);
       this.scene.onFieldBlur = this.handleFieldBlur.bind(this);
+      this.scene.onSavedCardSelect = this.handleSavedCardSelect.bind(this);
       
-      console.log('✅ 3D scene initialized');
+      // Start in the theme chosen on a previous visit, or the store's default
+      const { features, theme: themeConfig } = this.config;
+      const savedThemeId = features.themeSwitcher ? this.themes.loadSavedThemeId() : null;
+      
+      if (this.themes.has(savedThemeId)) {
+        this.currentThemeId = savedThemeId;
+      } else if (this.themes.has(themeConfig.default)) {
+        this.currentThemeId = themeConfig.default;
+      } else {
+        this.logger.warn(`⚠️ Unknown default theme: ${themeConfig.default}`);
+        this.currentThemeId = 'default';
+      }
+      
+      const theme = this.themes.get(this.currentThemeId);
+      this.scene.applyTheme(theme, 0);
+      this.themes.applyCssProperties(theme);
+      
+      // Print the store's name or logo on the card
+      this.scene.setStoreBranding({ name: this.config.name, logoUrl: this.config.logoUrl });
+      
+      if (!features.particles) {
+        this.scene.toggleParticles();
+      }
+      
+      this.logger.info('✅ 3D scene initialized');
     } catch (error) {
-      console.error('❌ Error initializing 3D scene:', error);
+      this.logger.error('❌ Error initializing 3D scene:', error);
+      
+      // Usually the browser or device cannot run WebGL
+      this.events.emit('webgl_failure', { message: error.message.slice(0, 512) });
       throw error;
     }
   }
   
+  /**
+   * Fetch the store configuration and apply its branding to the page
+   */
+  async loadConfig() {
+    const response = await fetch('/config', {
+      headers: this.braintree.sessionHeaders(),
+    });
+    const data = await response.json();
+    
+    if (!data.success) {
+      throw new Error(data.error || 'Failed to load store configuration');
+    }
+    
+    this.config = data.config;
+    this.productId = data.config.productId;
+    this.themeUrls = [...data.config.theme.urls, ...this.themeUrls];
+    
+    this.applyBranding();
+  }
+  
+  /**
+   * Show the store name and hide controls for disabled features
+   */
+  applyBranding() {
+    const { name, headline, features } = this.config;
+    const heading = document.querySelector('.checkout-header h1');
+    const toggleThemeBtn = document.getElementById('toggle-theme');
+    const toggleParticlesBtn = document.getElementById('toggle-particles');
+    const saveCardOption = document.querySelector('.save-card-option');
+    
+    document.title = name;
+    
+    if (heading) {
+      heading.textContent = headline;
+    }
+    
+    if (toggleThemeBtn && !features.themeSwitcher) {
+      toggleThemeBtn.style.display = 'none';
+    }
+    
+    if (toggleParticlesBtn && !features.particles) {
+      toggleParticlesBtn.style.display = 'none';
+    }
+    
+    if (saveCardOption && !features.savedCards) {
+      saveCardOption.style.display = 'none';
+    }
+  }
+  
+  /**
+   * Format an amount such as '29.99' for the buyer's locale, in the cart
+   * currency unless another is given
+   */
+  formatAmount(amount, currency = this.cart ? this.cart.currency : this.config.currency) {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(Number(amount));
+  }
+  
+  /**
+   * Create a server-side cart for the product and render its totals
+   */
+  async initializeCart() {
+    const response = await fetch('/carts', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.braintree.sessionHeaders(),
+      },
+      body: JSON.stringify({
+        currency: this.config.currency,
+        items: [{ productId: this.productId, quantity: 1 }],
+      }),
+    });
+    
+    const data = await response.json();
+    
+    if (!data.success) {
+      throw new Error(data.error || 'Failed to create cart');
+    }
+    
+    this.cart = data.cart;
+    this.renderCartSummary();
+    
+    if (this.braintree) {
+      this.braintree.setCart(this.cart);
+    }
+  }
+  
+  /**
+   * Render server-computed cart line items, price breakdown and shipping
+   * options in the product summary
+   */
+  renderCartSummary() {
+    const [item] = this.cart.items;
+    const { totals } = this.cart;
+    const productName = document.querySelector('.product-name');
+    const productPrice = document.querySelector('.product-price');
+    const taxLabel = document.getElementById('tax-label');
+    
+    if (item && productName) {
+      productName.textContent = item.name;
+    }
+    
+    if (item && productPrice) {
+      productPrice.textContent = this.formatAmount(item.total);
+    }
+    
+    const amounts = {
+      'subtotal-amount': totals.subtotal,
+      'shipping-amount': totals.shipping,
+      'tax-amount': totals.tax,
+      'total-amount': totals.total,
+    };
+    
+    Object.entries(amounts).forEach(([id, amount]) => {
+      const element = document.getElementById(id);
+      
+      if (element) {
+        element.textContent = this.formatAmount(amount);
+      }
+    });
+    
+    if (taxLabel) {
+      taxLabel.textContent = totals.taxRegion
+        ? `Tax (${totals.taxRegion}, ${(totals.taxRate * 100).toFixed(2).replace(/\.?0+$/, '')}%)`
+        : 'Tax';
+    }
+    
+    this.renderShippingOptions();
+    this.renderDiscount();
+  }
+  
+  /**
+   * Show the applied discount code, or why it no longer applies
+   */
+  renderDiscount() {
+    const { discount, totals } = this.cart;
+    const row = document.getElementById('discount-row');
+    const label = document.getElementById('discount-label');
+    const amount = document.getElementById('discount-amount');
+    const codeInput = document.getElementById('discount-code');
+    const applyBtn = document.getElementById('apply-discount');
+    const removeBtn = document.getElementById('remove-discount');
+    
+    if (row) {
+      row.style.display = discount ? 'flex' : 'none';
+    }
+    
+    if (discount && label) {
+      label.textContent = discount.error || `Discount (${discount.code})`;
+    }
+    
+    if (discount && amount) {
+      amount.textContent = `-${this.formatAmount(totals.discount)}`;
+    }
+    
+    if (codeInput) {
+      codeInput.readOnly = Boolean(discount);
+      
+      if (discount) {
+        codeInput.value = discount.code;
+      }
+    }
+    
+    if (applyBtn) {
+      applyBtn.style.display = discount ? 'none' : 'block';
+    }
+    
+    if (removeBtn) {
+      removeBtn.style.display = discount ? 'block' : 'none';
+    }
+  }
+  
+  /**
+   * Render the cart's shipping options as radio buttons
+   */
+  renderShippingOptions() {
+    const container = document.getElementById('shipping-options');
+    const postalCodeInput = document.getElementById('shipping-postal-code');
+    
+    if (postalCodeInput && document.activeElement !== postalCodeInput) {
+      postalCodeInput.value = this.cart.postalCode || '';
+    }
+    
+    // Digital delivery needs no shipping address
+    const shippingSection = document.getElementById('shipping-section');
+    
+    if (shippingSection) {
+      shippingSection.style.display = this.requiresShippingAddress() ? 'block' : 'none';
+    }
+    
+    if (!container) {
+      return;
+    }
+    
+    container.innerHTML = '';
+    
+    this.cart.shippingOptions.forEach(option => {
+      const label = document.createElement('label');
+      label.className = 'shipping-option';
+      label.classList.toggle('selected', option.id === this.cart.shippingOptionId);
+      
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'shipping-option';
+      radio.value = option.id;
+      radio.checked = option.id === this.cart.shippingOptionId;
+      
+      const name = document.createElement('span');
+      name.textContent = option.name;
+      
+      const price = document.createElement('span');
+      price.className = 'shipping-option-price';
+      price.textContent = Number(option.amount) === 0 ? 'Free' : this.formatAmount(option.amount);
+      
+      label.append(radio, name, price);
+      container.appendChild(label);
+    });
+  }
+  
+  /**
+   * Send a change to the server cart and show the repriced totals
+   */
+  async updateCart(path, { method, body }) {
+    const response = await fetch(`/carts/${encodeURIComponent(this.cart.id)}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.braintree.sessionHeaders(),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    
+    const data = await response.json();
+    
+    if (!data.success) {
+      throw new Error(data.error || 'Failed to update cart');
+    }
+    
+    this.cart = data.cart;
+    this.renderCartSummary();
+    
+    if (this.braintree) {
+      this.braintree.setCart(this.cart);
+    }
+    
+    return this.cart;
+  }
+  
+  /**
+   * Change the cart's shipping option or destination and show the repriced
+   * totals
+   */
+  async updateShipping(changes) {
+    try {
+      await this.updateCart('/shipping', { method: 'PUT', body: changes });
+    } catch (error) {
+      this.logger.error('❌ Shipping update failed:', error);
+      this.showError(error.message);
+      this.renderShippingOptions();
+    }
+  }
+  
+  /**
+   * Apply a discount code to the cart and celebrate it in the scene
+   */
+  async applyDiscount(code) {
+    if (!code.trim()) {
+      return;
+    }
+    
+    try {
+      await this.updateCart('/discount', { method: 'POST', body: { code } });
+      this.logger.info('🎉 Discount code applied:', this.cart.discount.code);
+      
+      if (this.scene) {
+        this.scene.celebrateDiscount();
+      }
+    } catch (error) {
+      this.logger.error('❌ Discount code rejected:', error);
+      this.showError(error.message);
+    }
+  }
+  
+  /**
+   * Remove the cart's discount code
+   */
+  async removeDiscount() {
+    try {
+      await this.updateCart('/discount', { method: 'DELETE' });
+      
+      const codeInput = document.getElementById('discount-code');
+      if (codeInput) {
+        codeInput.value = '';
+      }
+    } catch (error) {
+      this.logger.error('❌ Discount removal failed:', error);
+      this.showError(error.message);
+    }
+  }
+  
+  /**
+   * Read an address section into Braintree address fields, leaving out
+   * empty ones
+   */
+  readAddress(prefix) {
+    const address = {};
+    
+    Object.entries(CheckoutApp.ADDRESS_FIELDS).forEach(([field, suffix]) => {
+      const input = document.getElementById(`${prefix}-${suffix}`);
+      const value = input ? input.value.trim() : '';
+      
+      if (value) {
+        address[field] = field === 'countryCodeAlpha2' ? value.toUpperCase() : value;
+      }
+    });
+    
+    return address;
+  }
+  
+  /**
+   * Email and billing and shipping addresses sent with a payment. The billing
+   * address is only asked for with cards, the one payment method Braintree
+   * verifies it for; a card's billing postal code comes from its hosted field.
+   * The shipping address is only asked for when the chosen shipping option
+   * ships something, and goes to the postal code the cart was taxed for.
+   */
+  getBuyerDetails(paymentMethodId = 'card') {
+    const details = {};
+    const billing = this.readAddress('billing');
+    
+    const missingField = (address) => ['streetAddress', 'locality', 'countryCodeAlpha2']
+      .find(field => !address[field]);
+    
+    if (paymentMethodId === 'card') {
+      if (missingField(billing)) {
+        throw new Error('Please enter your billing street address, city and country');
+      }
+      
+      details.billing = billing;
+    }
+    
+    if (this.requiresShippingAddress()) {
+      const sameAsBilling = document.getElementById('same-as-billing');
+      const shipping = sameAsBilling && !sameAsBilling.checked ? this.readAddress('shipping') : { ...billing };
+      
+      if (missingField(shipping)) {
+        throw new Error('Please enter your shipping street address, city and country');
+      }
+      
+      if (!this.cart.postalCode) {
+        throw new Error('Please enter your shipping postal code');
+      }
+      
+      details.shipping = { ...shipping, postalCode: this.cart.postalCode };
+    }
+    
+    const emailInput = document.getElementById('billing-email');
+    const email = emailInput ? emailInput.value.trim() : '';
+    
+    return email ? { email, ...details } : details;
+  }
+  
+  /**
+   * Whether the cart's shipping option ships something to an address
+   */
+  requiresShippingAddress() {
+    const option = this.cart && this.cart.shippingOptions.find(({ id }) => id === this.cart.shippingOptionId);
+    return Boolean(option && option.requiresAddress);
+  }
+  
+  /**
+   * Country the order ships to: the shipping address country, or the billing
+   * one while shipping goes to the billing address; empty until it is valid
+   */
+  getShippingCountry() {
+    const sameAsBilling = document.getElementById('same-as-billing');
+    const prefix = sameAsBilling && !sameAsBilling.checked ? 'shipping' : 'billing';
+    const input = document.getElementById(`${prefix}-country`);
+    const country = input ? input.value.trim().toUpperCase() : '';
+    
+    return /^[A-Z]{2}$/.test(country) ? country : '';
+  }
+  
+  /**
+   * Reprice the cart when the country it ships to has changed
+   */
+  syncShippingCountry() {
+    const countryCode = this.getShippingCountry();
+    
+    if (this.cart && countryCode !== (this.cart.countryCode || '')) {
+      this.updateShipping({ countryCode });
+    }
+  }
+  
+  /**
+   * Show the shipping address fields unless shipping goes to the billing address
+   */
+  toggleShippingAddress() {
+    const sameAsBilling = document.getElementById('same-as-billing');
+    const fields = document.getElementById('shipping-address-fields');
+    
+    if (sameAsBilling && fields) {
+      fields.style.display = sameAsBilling.checked ? 'none' : 'block';
+    }
+  }
+  
   /**
    * Initialize Braintree integration
    */
   async initializeBraintree() {
     try {
-      console.log('💳 Initializing Braintree integration...');
-      
-      this.braintree = new BraintreeIntegration();
+      this.logger.info('💳 Initializing Braintree integration...');
       
       // Set up Braintree event callbacks
       this.braintree.onFieldUpdate = this.handleBraintreeFieldUpdate.bind(this);
+      this.braintree.onCardTypeChange = this.handleCardTypeChange.bind(this);
       this.braintree.onFieldFocus = this.handleBraintreeFieldFocus.bind(this);
       this.braintree.onFieldBlur = this.handleBraintreeFieldBlur.bind(this);
       this.braintree.onValidationChange = this.handleValidationChange.bind(this);
       this.braintree.onPaymentSuccess = this.handlePaymentSuccess.bind(this);
       this.braintree.onPaymentError = this.handlePaymentError.bind(this);
+      this.braintree.onRateLimited = this.handleRateLimited.bind(this);
+      this.braintree.onSavedPaymentMethodsChange = this.handleSavedPaymentMethodsChange.bind(this);
+      this.braintree.onSavedPaymentMethodSelect = this.handleSavedPaymentMethodSelect.bind(this);
+      this.braintree.onThreeDSecureStart = this.handleThreeDSecureStart.bind(this);
+      this.braintree.onThreeDSecureEnd = this.handleThreeDSecureEnd.bind(this);
+      this.braintree.onPaymentMethodChange = this.handlePaymentMethodChange.bind(this);
+      this.braintree.getBuyerDetails = this.getBuyerDetails.bind(this);
+      this.braintree.setCart(this.cart);
+      this.braintree.savedCardsEnabled = this.config.features.savedCards;
+      this.braintree.fieldThemes = this.themes.list();
+      this.braintree.fieldTheme = this.currentThemeId;
       
       await this.braintree.initialize();
       
-      console.log('✅ Braintree integration initialized');
+      this.logger.info('✅ Braintree integration initialized');
     } catch (error) {
-      console.error('❌ Error initializing Braintree:', error);
+      this.logger.error('❌ Error initializing Braintree:', error);
       throw error;
     }
   }
@@ -171,6 +692,68 @@ class CheckoutApp {
     // Form submission
     this.checkoutForm.addEventListener('submit', this.handleFormSubmit.bind(this));
     
+    // Shipping choices reprice the cart on the server
+    const shippingOptions = document.getElementById('shipping-options');
+    const postalCodeInput = document.getElementById('shipping-postal-code');
+    
+    if (shippingOptions) {
+      shippingOptions.addEventListener('change', (event) => {
+        this.updateShipping({ shippingOptionId: event.target.value });
+      });
+    }
+    
+    if (postalCodeInput) {
+      postalCodeInput.addEventListener('change', () => {
+        this.updateShipping({ countryCode: this.getShippingCountry(), postalCode: postalCodeInput.value });
+      });
+    }
+    
+    // Tax also depends on the country the address is in
+    ['billing-country', 'shipping-country'].forEach(id => {
+      const countryInput = document.getElementById(id);
+      
+      if (countryInput) {
+        countryInput.addEventListener('change', () => {
+          this.syncShippingCountry();
+        });
+      }
+    });
+    
+    // A separate shipping address is only asked for when it differs from billing
+    const sameAsBilling = document.getElementById('same-as-billing');
+    
+    if (sameAsBilling) {
+      sameAsBilling.addEventListener('change', () => {
+        this.toggleShippingAddress();
+        this.syncShippingCountry();
+      });
+    }
+    
+    // Discount codes are checked and applied by the server
+    const discountInput = document.getElementById('discount-code');
+    const applyDiscountBtn = document.getElementById('apply-discount');
+    const removeDiscountBtn = document.getElementById('remove-discount');
+    
+    if (discountInput && applyDiscountBtn) {
+      applyDiscountBtn.addEventListener('click', () => {
+        this.applyDiscount(discountInput.value);
+      });
+      
+      // Enter applies the code instead of submitting the payment form
+      discountInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+          event.preventDefault();
+          this.applyDiscount(discountInput.value);
+        }
+      });
+    }
+    
+    if (removeDiscountBtn) {
+      removeDiscountBtn.addEventListener('click', () => {
+        this.removeDiscount();
+      });
+    }
+    
     // Scene control buttons
     if (this.sceneControls) {
       const resetCameraBtn = this.sceneControls.querySelector('#reset-camera');
@@ -185,7 +768,7 @@ class CheckoutApp {
       
       if (toggleThemeBtn) {
         toggleThemeBtn.addEventListener('click', () => {
-          this.scene.toggleTheme();
+          this.toggleTheme();
         });
       }
       
@@ -201,6 +784,57 @@ class CheckoutApp {
     
     // Window events
     window.addEventListener('beforeunload', this.handleBeforeUnload.bind(this));
+    
+    // Send pending events while the page can still make requests
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.events.flush();
+      }
+    });
+  }
+  
+  /**
+   * Load the JSON theme files passed to the constructor. A theme that fails
+   * to load is skipped; the built-in themes are always available.
+   */
+  async loadThemes() {
+    for (const url of this.themeUrls) {
+      try {
+        const loaded = await this.themes.load(url);
+        this.logger.info(`🎨 Loaded ${loaded.length} theme(s) from ${url}`);
+      } catch (error) {
+        this.logger.warn(`⚠️ Unable to load themes from ${url}:`, error);
+      }
+    }
+  }
+  
+  /**
+   * Switch the scene, form overlay and hosted fields to a registered theme
+   * and remember the choice
+   */
+  setTheme(themeId) {
+    const theme = this.themes.get(themeId);
+    
+    this.currentThemeId = theme.id;
+    this.themes.applyCssProperties(theme);
+    this.themes.saveThemeId(theme.id);
+    
+    if (this.scene) {
+      this.scene.applyTheme(theme);
+    }
+    
+    if (this.braintree) {
+      this.braintree.setFieldTheme(theme.id);
+    }
+    
+    this.logger.info(`🎨 Theme: ${theme.name}`);
+  }
+  
+  /**
+   * Switch to the next registered theme
+   */
+  toggleTheme() {
+    this.setTheme(this.themes.nextThemeId(this.currentThemeId));
   }
   
   /**
@@ -254,15 +888,17 @@ class CheckoutApp {
     event.preventDefault();
     
     if (!this.braintree || !this.braintree.isFormValid()) {
-      console.warn('⚠️ Form is not valid, cannot submit');
+      this.logger.warn('⚠️ Form is not valid, cannot submit');
       return;
     }
     
+    this.events.emit('payment_submit', { paymentMethod: this.braintree.selectedPaymentMethod });
+    
     try {
       this.currentStep = 'processing';
-      await this.braintree.processPayment(this.paymentAmount);
+      await this.braintree.processPayment(this.cart.id, this.cart.totals.total);
     } catch (error) {
-      console.error('❌ Payment processing failed:', error);
+      this.logger.error('❌ Payment processing failed:', error);
       this.handlePaymentError(error.message);
     }
   }
@@ -271,7 +907,7 @@ class CheckoutApp {
    * Handle card data updates from 3D scene
    */
   handleCardUpdate(field, value) {
-    console.log(`🎨 3D scene card update: ${field} = ${value}`);
+    this.logger.debug(`🎨 3D scene card update: ${field} = ${value}`);
     // Additional visual feedback can be added here
   }
   
@@ -279,7 +915,7 @@ class CheckoutApp {
    * Handle field focus from 3D scene
    */
   handleFieldFocus(fieldName) {
-    console.log(`🎯 3D scene field focus: ${fieldName}`);
+    this.logger.debug(`🎯 3D scene field focus: ${fieldName}`);
     // Additional visual feedback can be added here
   }
   
@@ -287,7 +923,7 @@ class CheckoutApp {
    * Handle field blur from 3D scene
    */
   handleFieldBlur(fieldName) {
-    console.log(`👁️ 3D scene field blur: ${fieldName}`);
+    this.logger.debug(`👁️ 3D scene field blur: ${fieldName}`);
     // Additional visual feedback can be added here
   }
   
@@ -295,7 +931,7 @@ class CheckoutApp {
    * Handle field updates from Braintree
    */
   handleBraintreeFieldUpdate(fieldName, isValid) {
-    console.log(`💳 Braintree field update: ${fieldName} - Valid: ${isValid}`);
+    this.logger.debug(`💳 Braintree field update: ${fieldName} - Valid: ${isValid}`);
     
     // Update 3D scene
     if (this.scene && isValid) {
@@ -305,11 +941,22 @@ class CheckoutApp {
     }
   }
   
+  /**
+   * Switch the 3D card to the detected brand's design, or back to the default
+   * one when `cardType` is null
+   */
+  handleCardTypeChange(cardType) {
+    if (this.scene) {
+      this.scene.setCardBrand(cardType);
+    }
+  }
+  
   /**
    * Handle field focus from Braintree
    */
   handleBraintreeFieldFocus(fieldName) {
-    console.log(`🎯 Braintree field focus: ${fieldName}`);
+    this.logger.debug(`🎯 Braintree field focus: ${fieldName}`);
+    this.events.emit('field_focus', { field: fieldName });
     
     // Update 3D scene
     if (this.scene) {
@@ -321,7 +968,7 @@ class CheckoutApp {
    * Handle field blur from Braintree
    */
   handleBraintreeFieldBlur(fieldName) {
-    console.log(`👁️ Braintree field blur: ${fieldName}`);
+    this.logger.debug(`👁️ Braintree field blur: ${fieldName}`);
     
     // Update 3D scene
     if (this.scene) {
@@ -333,11 +980,73 @@ class CheckoutApp {
    * Handle validation changes
    */
   handleValidationChange(fieldName, field) {
-    console.log(`✅ Validation change: ${fieldName}`, field);
+    this.logger.debug(`✅ Validation change: ${fieldName}`, field);
     
     // Add any additional validation feedback here
     if (field.isValid) {
       this.showFieldSuccess(fieldName);
+    } else if (!field.isPotentiallyValid) {
+      this.events.emit('validation_error', { field: fieldName });
+    }
+  }
+  
+  /**
+   * Show the customer's saved cards in the 3D scene
+   */
+  handleSavedPaymentMethodsChange(paymentMethods, selectedToken) {
+    if (this.scene) {
+      this.scene.showSavedCards(paymentMethods, selectedToken);
+    }
+  }
+  
+  /**
+   * Handle a saved card (or a new card) being picked in the form
+   */
+  handleSavedPaymentMethodSelect(token, paymentMethod) {
+    this.logger.info(token ? `💳 Paying with saved card •••• ${paymentMethod.last4}` : '💳 Paying with a new card');
+    
+    if (this.scene) {
+      this.scene.selectSavedCard(token);
+    }
+  }
+  
+  /**
+   * Handle a saved card being clicked in the 3D scene
+   */
+  handleSavedCardSelect(token) {
+    if (this.braintree && this.currentStep === 'form') {
+      this.braintree.selectSavedPaymentMethod(token);
+    }
+  }
+  
+  /**
+   * Swap the 3D card for the chosen payment method's object
+   */
+  handlePaymentMethodChange(methodId) {
+    this.logger.info(`👛 Paying with ${methodId}`);
+    
+    if (this.scene) {
+      this.scene.showPaymentMethod(methodId);
+    }
+  }
+  
+  /**
+   * Show the verifying state while the bank's 3D Secure challenge is open
+   */
+  handleThreeDSecureStart() {
+    this.logger.info('🛡️ Verifying card with 3D Secure...');
+    
+    if (this.scene) {
+      this.scene.startVerification();
+    }
+  }
+  
+  /**
+   * Leave the verifying state once 3D Secure has finished
+   */
+  handleThreeDSecureEnd(result) {
+    if (this.scene) {
+      this.scene.endVerification(Boolean(result && result.liabilityShifted));
     }
   }
   
@@ -345,15 +1054,17 @@ class CheckoutApp {
    * Handle successful payment
    */
   handlePaymentSuccess(transaction) {
-    console.log('🎉 Payment successful!', transaction);
+    this.logger.info('🎉 Payment successful!', transaction);
     
     this.currentStep = 'complete';
+    this.lastOrderId = transaction.orderId;
     
     // Trigger 3D success animation with transaction data
     if (this.scene) {
       this.scene.animateSuccess({
         transactionId: transaction.id,
         status: 'Successful',
+        amount: this.formatAmount(transaction.amount, transaction.currency),
         environment: this.braintree.environment
       });
     }
@@ -363,13 +1074,57 @@ class CheckoutApp {
     
     // Analytics or tracking can be added here
     this.trackPaymentSuccess(transaction);
+    
+    // The paid cart is closed on the server; start a fresh one for the next purchase
+    this.initializeCart().catch(error => {
+      this.logger.error('❌ Failed to create a new cart:', error);
+    });
+  }
+  
+  /**
+   * Refund or void the most recent successful payment (support tooling)
+   */
+  async reverseLastPayment({ type = 'refund', amount, adminApiKey } = {}) {
+    if (!this.lastOrderId) {
+      throw new Error('No completed payment to reverse');
+    }
+    
+    try {
+      const result = await this.braintree.reversePayment(this.lastOrderId, { type, amount, adminApiKey });
+      this.handlePaymentReversal(result);
+      return result;
+    } catch (error) {
+      this.logger.error('❌ Payment reversal failed:', error);
+      this.showError(error.message);
+      throw error;
+    }
+  }
+  
+  /**
+   * Handle a completed refund or void
+   */
+  handlePaymentReversal({ reversal, order }) {
+    this.logger.info('↩️ Payment reversed:', reversal);
+    
+    // Show the reversal in the 3D scene, linking to the original transaction
+    if (this.scene) {
+      this.scene.animateReversal({
+        type: reversal.type,
+        amount: this.formatAmount(reversal.amount, order.currency),
+        transactionId: order.transactionId,
+        environment: this.braintree.environment,
+        isPartial: order.status === 'partially_refunded',
+      });
+    }
+    
+    this.showSuccess(`Payment ${reversal.type === 'void' ? 'voided' : 'refunded'}: ${this.formatAmount(reversal.amount, order.currency)}`);
   }
   
   /**
    * Handle payment error
    */
   handlePaymentError(error) {
-    console.error('❌ Payment error:', error);
+    this.logger.error('❌ Payment error:', error);
     
     this.currentStep = 'form';
     
@@ -380,6 +1135,28 @@ class CheckoutApp {
     this.trackPaymentError(error);
   }
   
+  /**
+   * Handle the server pausing payments after too many attempts. The payment
+   * status shows the countdown, so there is no error alert. While the page is
+   * still loading (a rate limited client token), the loading screen says why
+   * it is waiting; loading continues by itself once the wait is over.
+   */
+  handleRateLimited(retryAfter) {
+    this.logger.warn(`⏳ Too many payment attempts, paused for ${retryAfter}s`);
+    this.events.emit('rate_limited', { retryAfter });
+    
+    if (!this.isInitialized) {
+      const loadingText = this.loadingScreen && this.loadingScreen.querySelector('.loading-text');
+      
+      if (loadingText) {
+        loadingText.textContent = `Too many attempts. Checkout will continue in ${this.braintree.formatWait(retryAfter)}...`;
+      }
+      return;
+    }
+    
+    this.currentStep = 'form';
+  }
+  
   /**
    * Show field success feedback
    */
@@ -398,7 +1175,7 @@ class CheckoutApp {
    */
   showSuccess(message) {
     // This could be enhanced with a proper notification system
-    console.log('✅ Success:', message);
+    this.logger.info('✅ Success:', message);
   }
   
   /**
@@ -406,7 +1183,7 @@ class CheckoutApp {
    */
   showError(message) {
     // This could be enhanced with a proper notification system
-    console.error('❌ Error:', message);
+    this.logger.error('❌ Error:', message);
     
     // Show basic alert for now
     alert(`Error: ${message}`);
@@ -431,7 +1208,7 @@ class CheckoutApp {
     }
     
     // Space to toggle particles
-    if (event.key === ' ' && event.ctrlKey) {
+    if (event.key === ' ' && event.ctrlKey && this.config.features.particles) {
       event.preventDefault();
       if (this.scene) {
         this.scene.toggleParticles();
@@ -451,29 +1228,23 @@ class CheckoutApp {
   }
   
   /**
-   * Track payment success for analytics
+   * Track payment success for analytics. Other tools can subscribe with
+   * `app.events.on('payment_success', listener)`.
    */
   trackPaymentSuccess(transaction) {
-    // Add your analytics tracking here
-    console.log('📊 Tracking payment success:', transaction.id);
-    
-    // Example: Google Analytics, Mixpanel, etc.
-    // gtag('event', 'purchase', {
-    //   transaction_id: transaction.id,
-    //   value: transaction.amount,
-    //   currency: 'USD'
-    // });
+    this.events.emit('payment_success', {
+      orderId: transaction.orderId,
+      transactionId: transaction.id,
+      amount: transaction.amount,
+      currency: transaction.currency,
+    });
   }
   
   /**
-   * Track payment error for analytics
+   * Track a declined or failed payment with its reason
    */
   trackPaymentError(error) {
-    // Add your analytics tracking here
-    console.log('📊 Tracking payment error:', error);
-    
-    // Example: Error tracking service
-    // Sentry.captureException(new Error(error));
+    this.events.emit('payment_decline', { reason: String(error).slice(0, 512) });
   }
   
   /**
@@ -486,6 +1257,7 @@ class CheckoutApp {
       braintreeInitialized: this.braintree?.isInitialized || false,
       sceneInitialized: !!this.scene,
       formValid: this.braintree?.isFormValid() || false,
+      theme: this.currentThemeId,
     };
   }
   
@@ -493,7 +1265,7 @@ class CheckoutApp {
    * Dispose of application resources
    */
   dispose() {
-    console.log('🧹 Disposing 3D Checkout Application...');
+    this.logger.info('🧹 Disposing 3D Checkout Application...');
     
     // Dispose Three.js scene
     if (this.scene) {
@@ -507,14 +1279,25 @@ class CheckoutApp {
       this.braintree = null;
     }
     
+    // Send any events still waiting for the next batch
+    this.events.dispose();
+    
     // Remove event listeners
     window.removeEventListener('beforeunload', this.handleBeforeUnload);
     document.removeEventListener('keydown', this.handleKeyboard);
     
     this.isInitialized = false;
-    console.log('✅ Application disposed');
+    this.logger.info('✅ Application disposed');
   }
 }
 
-// Make CheckoutApp available globally
-window.CheckoutApp = CheckoutApp;
+// Braintree address fields and the suffix of their inputs' IDs, e.g. #billing-street-address
+CheckoutApp.ADDRESS_FIELDS = {
+  firstName: 'first-name',
+  lastName: 'last-name',
+  streetAddress: 'street-address',
+  extendedAddress: 'extended-address',
+  locality: 'locality',
+  region: 'region',
+  countryCodeAlpha2: 'country',
+};
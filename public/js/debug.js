@@ -0,0 +1,114 @@
+/**
+ * Debug Page Entry Point
+ * Checks the bundled libraries, the Braintree SDK, the server connection and
+ * a basic Three.js scene step by step, reporting each on debug.html
+ */
+
+import * as THREE from 'three';
+import * as TWEEN from '@tweenjs/tween.js';
+
+function updateStatus(message) {
+  console.log(message);
+  document.getElementById('status').innerHTML += '<br>' + message;
+}
+
+async function testInitialization() {
+  try {
+    updateStatus('🔍 Starting debug test...');
+    
+    // Test 1: Report the bundled libraries
+    updateStatus('✅ Three.js r' + THREE.REVISION + ' bundled');
+    updateStatus('✅ TWEEN.js ' + TWEEN.VERSION + ' bundled');
+    
+    // Test 2: Check if Braintree is loaded
+    if (typeof braintree !== 'undefined') {
+      updateStatus('✅ Braintree SDK loaded successfully');
+    } else {
+      updateStatus('❌ Braintree SDK not loaded');
+      return;
+    }
+    
+    // Test 3: Test server connection
+    try {
+      const response = await fetch('/client-token');
+      
+      if (!response.ok) {
+        updateStatus('❌ Server responded with ' + response.status + ': ' + response.statusText);
+        return;
+      }
+      
+      const data = await response.json();
+      console.log('Server response:', data);
+      
+      if (data.success && data.clientToken) {
+        updateStatus('✅ Server connection successful');
+        updateStatus('✅ Braintree client token received');
+        
+        // Test 4: Test Braintree client creation
+        try {
+          const client = await braintree.client.create({
+            authorization: data.clientToken
+          });
+          updateStatus('✅ Braintree client created successfully');
+          console.log('Braintree client:', client);
+        } catch (braintreeError) {
+          updateStatus('❌ Braintree client creation failed: ' + braintreeError.message);
+          console.error('Braintree error:', braintreeError);
+        }
+      } else {
+        updateStatus('❌ Failed to get client token: ' + (data.error || 'Unknown error'));
+        console.error('Server error response:', data);
+        return;
+      }
+    } catch (error) {
+      updateStatus('❌ Server connection failed: ' + error.message);
+      console.error('Fetch error:', error);
+      return;
+    }
+    
+    // Test 5: Test basic Three.js scene
+    try {
+      const canvas = document.getElementById('three-canvas');
+      const scene = new THREE.Scene();
+      const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+      const renderer = new THREE.WebGLRenderer({ canvas: canvas });
+      renderer.setSize(window.innerWidth, window.innerHeight);
+      
+      // Create a simple cube
+      const geometry = new THREE.BoxGeometry();
+      const material = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
+      const cube = new THREE.Mesh(geometry, material);
+      scene.add(cube);
+      
+      camera.position.z = 5;
+      
+      // Render once
+      renderer.render(scene, camera);
+      updateStatus('✅ Basic Three.js scene rendered');
+      
+      // Test animation
+      function animate() {
+        requestAnimationFrame(animate);
+        cube.rotation.x += 0.01;
+        cube.rotation.y += 0.01;
+        renderer.render(scene, camera);
+      }
+      animate();
+      updateStatus('✅ Three.js animation working');
+    
+    } catch (error) {
+      updateStatus('❌ Three.js scene error: ' + error.message);
+      console.error('Three.js error:', error);
+      return;
+    }
+    
+    // Test 6: All tests complete
+    updateStatus('🎉 All tests passed! The issue might be in the complex integration.');
+  
+  } catch (error) {
+    updateStatus('❌ Unexpected error: ' + error.message);
+    console.error('Debug error:', error);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', testInitialization);
@@ -0,0 +1,234 @@
+/**
+ * Event Bus
+ * Typed analytics and error events from the checkout page. Events are passed
+ * to local listeners (e.g. to feed a tag manager) and sent to POST /events
+ * in batches: once `batchSize` events are waiting, after `flushIntervalMs`,
+ * or when the page is hidden.
+ *
+ * Every event type declares its data fields; the server checks the same
+ * types (see services/event-service.js). A `?` marks an optional field.
+ */
+
+import { Logger } from './logger.js';
+
+// The server accepts at most this many events per request
+const MAX_BATCH_SIZE = 50;
+
+export class EventBus {
+  constructor({
+    endpoint = '/events',
+    batchSize = 20,
+    flushIntervalMs = 5000,
+    maxQueueSize = 200,
+    logger = new Logger(),
+  } = {}) {
+    this.endpoint = endpoint;
+    this.batchSize = Math.min(batchSize, MAX_BATCH_SIZE);
+    this.flushIntervalMs = flushIntervalMs;
+    this.maxQueueSize = maxQueueSize;
+    this.logger = logger;
+    this.queue = [];
+    this.listeners = new Map();
+    this.flushTimer = null;
+    this.flushing = null;
+    this.isDisposed = false;
+  }
+  
+  /**
+   * Call `listener(event)` for every event of `type`, or of any type with
+   * '*'. Returns a function that removes the listener.
+   */
+  on(type, listener) {
+    if (type !== '*' && !EventBus.EVENT_TYPES[type]) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+    
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    
+    this.listeners.get(type).add(listener);
+    return () => this.listeners.get(type).delete(listener);
+  }
+  
+  /**
+   * Record an event. Events whose data does not match their type are logged
+   * and dropped; tracking never interrupts the checkout.
+   */
+  emit(type, data = {}) {
+    const problem = this.check(type, data);
+    
+    if (problem) {
+      this.logger.error(`❌ Invalid event: ${problem}`);
+      return null;
+    }
+    
+    // Optional fields left empty are not sent
+    const event = {
+      type,
+      time: new Date().toISOString(),
+      data: Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined && value !== null)),
+    };
+    
+    this.notify(event);
+    this.enqueue(event);
+    return event;
+  }
+  
+  /**
+   * Describe what is wrong with an event's data, or return null if it matches its type
+   */
+  check(type, data) {
+    const fields = EventBus.EVENT_TYPES[type];
+    
+    if (!fields) {
+      return `unknown event type ${type}`;
+    }
+    
+    const unknownField = Object.keys(data).find(name => !fields[name]);
+    
+    if (unknownField) {
+      return `${type} has no field ${unknownField}`;
+    }
+    
+    for (const [name, fieldType] of Object.entries(fields)) {
+      const expectedType = fieldType.replace('?', '');
+      const value = data[name];
+      
+      if (value === undefined || value === null) {
+        if (!fieldType.endsWith('?')) {
+          return `${type} requires ${name}`;
+        }
+      } else if (typeof value !== expectedType) {
+        return `${type} field ${name} must be a ${expectedType}`;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Pass an event to its listeners; a failing listener does not stop the others
+   */
+  notify(event) {
+    [event.type, '*'].forEach(type => {
+      (this.listeners.get(type) || []).forEach(listener => {
+        try {
+          listener(event);
+        } catch (error) {
+          this.logger.warn(`⚠️ Event listener failed for ${event.type}:`, error);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Queue an event for the next batch, dropping the oldest once the queue is full
+   */
+  enqueue(event) {
+    this.queue.push(event);
+    
+    if (this.queue.length > this.maxQueueSize) {
+      this.queue.splice(0, this.queue.length - this.maxQueueSize);
+    }
+    
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushIntervalMs);
+    }
+  }
+  
+  /**
+   * Send the queued events. Batches the server could not take are queued
+   * again and retried after `flushIntervalMs`; batches it rejected are dropped.
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    
+    // One request at a time keeps the events in order; events queued while
+    // sending go out with the same flush
+    if (!this.flushing) {
+      this.flushing = this.sendQueue().finally(() => {
+        this.flushing = null;
+      });
+    }
+    
+    return this.flushing;
+  }
+  
+  /**
+   * Send the queue in batches until it is empty or a batch is not delivered
+   */
+  async sendQueue() {
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, MAX_BATCH_SIZE);
+      
+      if (!await this.send(batch)) {
+        this.queue.unshift(...batch.slice(0, this.maxQueueSize - this.queue.length));
+        
+        if (!this.flushTimer && !this.isDisposed) {
+          this.flushTimer = setTimeout(() => this.flush(), this.flushIntervalMs);
+        }
+        return;
+      }
+    }
+  }
+  
+  /**
+   * POST a batch; resolves false when it should be sent again later. The
+   * request outlives the page (keepalive), so a batch sent as the page is
+   * hidden still arrives.
+   */
+  async send(events) {
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      
+      if (this.logger.requestId) {
+        headers['X-Request-Id'] = this.logger.requestId;
+      }
+      
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ events }),
+        keepalive: true,
+      });
+      
+      if (response.ok) {
+        return true;
+      }
+      
+      if (response.status === 429 || response.status >= 500) {
+        return false;
+      }
+      
+      this.logger.warn(`⚠️ Dropped ${events.length} event(s) rejected by the server (${response.status})`);
+      return true;
+    } catch (error) {
+      this.logger.warn('⚠️ Unable to send events:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Send whatever is still queued, without retrying later
+   */
+  dispose() {
+    this.isDisposed = true;
+    return this.flush();
+  }
+}
+
+EventBus.EVENT_TYPES = {
+  init_timing: { step: 'string', durationMs: 'number' },
+  field_focus: { field: 'string' },
+  validation_error: { field: 'string' },
+  payment_submit: { paymentMethod: 'string' },
+  payment_success: { orderId: 'string?', transactionId: 'string', amount: 'string?', currency: 'string?' },
+  payment_decline: { reason: 'string' },
+  rate_limited: { retryAfter: 'number' },
+  webgl_failure: { message: 'string' },
+  client_error: { message: 'string', context: 'string?' },
+};
@@ -0,0 +1,70 @@
+/**
+ * Logger
+ * Console logging for the checkout page at a minimum level, with every entry
+ * tagged by the page's request ID so it can be matched with the server's
+ * logs. The server renders the ID and level into the page's `request-id`
+ * and `log-level` meta tags; in production the level defaults to 'silent'.
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+export class Logger {
+  constructor({ level = 'debug', requestId = null } = {}) {
+    this.level = LEVELS.includes(level) ? level : 'debug';
+    this.requestId = requestId;
+  }
+  
+  /**
+   * Create a logger from the page's `request-id` and `log-level` meta tags
+   */
+  static fromPage(doc = document) {
+    const meta = name => {
+      const element = doc.querySelector(`meta[name="${name}"]`);
+      return element ? element.content : null;
+    };
+    
+    return new Logger({
+      level: meta('log-level') || undefined,
+      requestId: meta('request-id'),
+    });
+  }
+  
+  /**
+   * Whether entries at `level` are written
+   */
+  isEnabled(level) {
+    return LEVELS.indexOf(level) >= LEVELS.indexOf(this.level);
+  }
+  
+  debug(message, ...details) {
+    this.log('debug', message, details);
+  }
+  
+  info(message, ...details) {
+    this.log('info', message, details);
+  }
+  
+  warn(message, ...details) {
+    this.log('warn', message, details);
+  }
+  
+  error(message, ...details) {
+    this.log('error', message, details);
+  }
+  
+  /**
+   * Write an entry at `level`, prefixed with the request ID
+   */
+  log(level, message, details = []) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+    
+    const method = level === 'warn' || level === 'error' ? level : 'log';
+    const tagged = this.requestId ? `[${this.requestId}] ${message}` : message;
+    
+    console[method](tagged, ...details);
+  }
+}
+
+Logger.LEVELS = LEVELS;
@@ -0,0 +1,16 @@
+/**
+ * Checkout Page Entry Point
+ * Bundled with everything it imports into the hashed script index.html loads
+ * (see scripts/build-assets.js)
+ */
+
+import { CheckoutApp } from './checkout-3d.js';
+
+// Initialize the application when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  const app = new CheckoutApp();
+  app.initialize();
+  
+  // Exposed for support tooling and debugging, e.g. checkoutApp.reverseLastPayment()
+  window.checkoutApp = app;
+});
@@ -0,0 +1,154 @@
+/**
+ * Alternative Payment Methods
+ * PayPal and Venmo buttons offered alongside card hosted fields. Each method
+ * creates its Braintree component, renders its button into `container` and
+ * hands the tokenized payload to `onApprove`; the nonce is then charged
+ * through /checkout like a card nonce.
+ *
+ * A payment method is any class with this shape, registered under the ID the
+ * server lists in `paymentMethods`:
+ *
+ *   constructor({ client, container, getAmount, onApprove, onCancel, onError })
+ *   label       name shown on the payment method tab
+ *   setup()     async; throws when the method cannot be offered
+ *   teardown()
+ */
+
+import { BraintreeIntegration } from './braintree-integration.js';
+
+export class PayPalPaymentMethod {
+  constructor({ client, container, getAmount, onApprove, onCancel, onError, currency = 'USD' }) {
+    this.label = 'PayPal';
+    this.client = client;
+    this.container = container;
+    this.getAmount = getAmount;
+    this.onApprove = onApprove;
+    this.onCancel = onCancel;
+    this.onError = onError;
+    this.currency = currency;
+    this.paypalCheckout = null;
+    this.buttons = null;
+  }
+  
+  /**
+   * Load the PayPal SDK through Braintree and render the PayPal button
+   */
+  async setup() {
+    this.paypalCheckout = await braintree.paypalCheckout.create({
+      client: this.client,
+    });
+    
+    // The server submits sales for settlement, so PayPal captures immediately
+    await this.paypalCheckout.loadPayPalSDK({
+      currency: this.currency,
+      intent: 'capture',
+    });
+    
+    this.buttons = paypal.Buttons({
+      fundingSource: paypal.FUNDING.PAYPAL,
+      createOrder: () => this.paypalCheckout.createPayment({
+        flow: 'checkout',
+        amount: this.getAmount(),
+        currency: this.currency,
+        intent: 'capture',
+      }),
+      onApprove: async (data) => {
+        const payload = await this.paypalCheckout.tokenizePayment(data);
+        return this.onApprove(payload);
+      },
+      onCancel: () => this.onCancel(),
+      onError: (error) => this.onError(error),
+    });
+    
+    await this.buttons.render(this.container);
+  }
+  
+  /**
+   * Remove the PayPal button and component
+   */
+  teardown() {
+    if (this.buttons) {
+      this.buttons.close();
+      this.buttons = null;
+    }
+    
+    if (this.paypalCheckout) {
+      this.paypalCheckout.teardown();
+      this.paypalCheckout = null;
+    }
+  }
+}
+
+export class VenmoPaymentMethod {
+  constructor({ client, container, onApprove, onCancel, onError }) {
+    this.label = 'Venmo';
+    this.client = client;
+    this.container = container;
+    this.onApprove = onApprove;
+    this.onCancel = onCancel;
+    this.onError = onError;
+    this.venmo = null;
+    this.button = null;
+  }
+  
+  /**
+   * Create the Venmo component and render the Venmo button. Desktop browsers
+   * pay by scanning a QR code with the Venmo app.
+   */
+  async setup() {
+    this.venmo = await braintree.venmo.create({
+      client: this.client,
+      allowDesktop: true,
+      paymentMethodUsage: 'single_use',
+    });
+    
+    if (!this.venmo.isBrowserSupported()) {
+      throw new Error('Venmo is not supported in this browser');
+    }
+    
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.className = 'venmo-button';
+    this.button.textContent = 'Pay with Venmo';
+    this.button.addEventListener('click', () => this.tokenize());
+    this.container.appendChild(this.button);
+  }
+  
+  /**
+   * Hand off to the Venmo app and tokenize the approved account
+   */
+  async tokenize() {
+    this.button.disabled = true;
+    
+    try {
+      const payload = await this.venmo.tokenize();
+      await this.onApprove(payload);
+    } catch (error) {
+      if (/CANCELED/.test(error.code || '')) {
+        this.onCancel();
+      } else {
+        this.onError(error);
+      }
+    } finally {
+      this.button.disabled = false;
+    }
+  }
+  
+  /**
+   * Remove the Venmo button and component
+   */
+  teardown() {
+    if (this.button) {
+      this.button.remove();
+      this.button = null;
+    }
+    
+    if (this.venmo) {
+      this.venmo.teardown();
+      this.venmo = null;
+    }
+  }
+}
+
+BraintreeIntegration.registerPaymentMethod('paypal', PayPalPaymentMethod);
+BraintreeIntegration.registerPaymentMethod('venmo', VenmoPaymentMethod);
@@ -0,0 +1,232 @@
+/**
+ * Theme Registry
+ * Declarative themes for the 3D scene, the form overlay and the hosted
+ * fields. Themes are plain objects (or JSON files) and only need an `id` and
+ * `name`; anything left out is taken from the default theme:
+ *
+ *   background      skybox color
+ *   fog             { color, near, far }
+ *   lights          { ambient, directional, point, rim }, each { color, intensity }
+ *   card            { color, metalness, roughness } for the default card design
+ *   particles       { colors: [...] } palette the particles are drawn from
+ *   css             CSS custom properties set on <html>, e.g. { '--accent-color': '#4ecdc4' }
+ *   fieldStyles     hosted field styles in Braintree's format, applied over
+ *                   BraintreeIntegration.getBaseFieldStyles()
+ */
+
+import { Logger } from './logger.js';
+
+export class ThemeRegistry {
+  constructor({ logger = new Logger() } = {}) {
+    this.logger = logger;
+    this.themes = new Map();
+    this.storageKey = '3d-checkout:theme';
+    
+    ThemeRegistry.BUILT_IN_THEMES.forEach(theme => this.register(theme));
+  }
+  
+  /**
+   * Register a theme, replacing any theme with the same ID. Returns the
+   * complete theme with defaults filled in.
+   */
+  register(theme) {
+    if (!theme || typeof theme !== 'object') {
+      throw new Error('Invalid theme: expected an object');
+    }
+    
+    if (typeof theme.id !== 'string' || !/^[a-z0-9-]+$/.test(theme.id)) {
+      throw new Error('Invalid theme: id must use lowercase letters, digits and dashes');
+    }
+    
+    if (typeof theme.name !== 'string' || theme.name.trim() === '') {
+      throw new Error(`Invalid theme ${theme.id}: name is required`);
+    }
+    
+    const invalidProperty = Object.keys(theme.css || {}).find(property => !property.startsWith('--'));
+    if (invalidProperty) {
+      throw new Error(`Invalid theme ${theme.id}: ${invalidProperty} is not a CSS custom property`);
+    }
+    
+    const base = this.themes.get('default');
+    const complete = base ? this.merge(base, theme) : theme;
+    
+    this.themes.set(theme.id, complete);
+    return complete;
+  }
+  
+  /**
+   * Fetch and register a theme, or a list of themes, from a JSON file
+   */
+  async load(url) {
+    const response = await fetch(url);
+    
+    if (!response.ok) {
+      throw new Error(`Failed to load theme from ${url}`);
+    }
+    
+    const data = await response.json();
+    const themes = Array.isArray(data) ? data : [data];
+    
+    return themes.map(theme => this.register(theme));
+  }
+  
+  /**
+   * Get a registered theme
+   */
+  get(themeId) {
+    const theme = this.themes.get(themeId);
+    
+    if (!theme) {
+      throw new Error(`Unknown theme: ${themeId}`);
+    }
+    
+    return theme;
+  }
+  
+  /**
+   * Check whether a theme is registered
+   */
+  has(themeId) {
+    return this.themes.has(themeId);
+  }
+  
+  /**
+   * All registered themes, in registration order
+   */
+  list() {
+    return Array.from(this.themes.values());
+  }
+  
+  /**
+   * The theme after `themeId`, wrapping around to the first
+   */
+  nextThemeId(themeId) {
+    const ids = Array.from(this.themes.keys());
+    return ids[(ids.indexOf(themeId) + 1) % ids.length];
+  }
+  
+  /**
+   * Set a theme's CSS custom properties on the document
+   */
+  applyCssProperties(theme, element = document.documentElement) {
+    Object.entries(theme.css).forEach(([property, value]) => {
+      element.style.setProperty(property, value);
+    });
+    
+    element.dataset.theme = theme.id;
+  }
+  
+  /**
+   * Read the theme chosen on a previous visit
+   */
+  loadSavedThemeId() {
+    try {
+      return window.localStorage.getItem(this.storageKey);
+    } catch (error) {
+      // Storage can be unavailable, e.g. in private browsing
+      return null;
+    }
+  }
+  
+  /**
+   * Remember the chosen theme for future visits
+   */
+  saveThemeId(themeId) {
+    try {
+      window.localStorage.setItem(this.storageKey, themeId);
+    } catch (error) {
+      this.logger.warn('⚠️ Unable to remember theme:', error);
+    }
+  }
+  
+  /**
+   * Deep-merge a partial theme over a complete one; arrays are replaced
+   */
+  merge(base, overrides) {
+    const merged = { ...base };
+    
+    Object.entries(overrides).forEach(([key, value]) => {
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      const baseIsObject = base[key] && typeof base[key] === 'object' && !Array.isArray(base[key]);
+      
+      merged[key] = isObject && baseIsObject ? this.merge(base[key], value) : value;
+    });
+    
+    return merged;
+  }
+}
+
+ThemeRegistry.BUILT_IN_THEMES = [
+  {
+    id: 'default',
+    name: 'Default',
+    background: '#1e3c72',
+    fog: { color: '#1e3c72', near: 10, far: 50 },
+    lights: {
+      ambient: { color: '#404040', intensity: 0.6 },
+      directional: { color: '#ffffff', intensity: 1 },
+      point: { color: '#4ecdc4', intensity: 0.8 },
+      rim: { color: '#ff6b6b', intensity: 0.5 },
+    },
+    card: { color: '#2c3e50', metalness: 0.1, roughness: 0.2 },
+    particles: { colors: ['#26d9d9', '#26bed9', '#26a3d9', '#2688d9', '#266ed9'] },
+    css: {
+      '--canvas-background': 'linear-gradient(135deg, #1e3c72 0%, #2a5298 100%)',
+      '--brand-gradient': 'linear-gradient(45deg, #ff6b6b, #4ecdc4)',
+      '--accent-color': '#4ecdc4',
+      '--highlight-color': '#ff6b6b',
+      '--panel-background': 'rgba(255, 255, 255, 0.1)',
+      '--panel-border': 'rgba(255, 255, 255, 0.2)',
+      '--text-color': '#ffffff',
+    },
+    fieldStyles: {},
+  },
+  {
+    id: 'cyberpunk',
+    name: 'Cyberpunk',
+    background: '#1a0033',
+    fog: { color: '#330066' },
+    lights: {
+      point: { color: '#ff00ff', intensity: 1.2 },
+      rim: { color: '#00ffff', intensity: 0.8 },
+    },
+    card: { color: '#1a1a2e', metalness: 0.6, roughness: 0.1 },
+    particles: { colors: ['#ff00ff', '#00ffff', '#ff0066'] },
+    css: {
+      '--canvas-background': 'linear-gradient(135deg, #330066 0%, #1a0033 100%)',
+      '--brand-gradient': 'linear-gradient(45deg, #ff0066, #00ffcc)',
+      '--accent-color': '#00ffcc',
+      '--highlight-color': '#ff0066',
+      '--panel-background': 'rgba(26, 0, 51, 0.6)',
+      '--panel-border': 'rgba(0, 255, 204, 0.4)',
+    },
+    fieldStyles: {
+      input: { color: '#e0e0ff' },
+      '.valid': { color: '#00ffcc' },
+      '.invalid': { color: '#ff0066' },
+    },
+  },
+  {
+    id: 'space',
+    name: 'Space',
+    background: '#000011',
+    fog: { color: '#000011', far: 80 },
+    lights: {
+      ambient: { intensity: 0.3 },
+      point: { color: '#8899ff' },
+      rim: { color: '#445588' },
+    },
+    card: { color: '#0f0f23', metalness: 0.3 },
+    particles: { colors: ['#ffffff', '#aabbff', '#ffeecc'] },
+    css: {
+      '--canvas-background': 'linear-gradient(135deg, #000011 0%, #0f0f23 100%)',
+      '--brand-gradient': 'linear-gradient(45deg, #ffcc66, #8899ff)',
+      '--accent-color': '#8899ff',
+      '--highlight-color': '#ffcc66',
+      '--panel-background': 'rgba(15, 15, 35, 0.6)',
+    },
+    fieldStyles: {
+      input: { color: '#cfd8ff' },
+    },
+  },
+];
@@ -3,9 +3,15 @@
  * Handles all 3D rendering, animations, and visual effects
  */
 
-class ThreeScene {
-  constructor(canvas) {
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import * as TWEEN from '@tweenjs/tween.js';
+import { Logger } from './logger.js';
+
+export class ThreeScene {
+  constructor(canvas, { logger = new Logger() } = {}) {
     this.canvas = canvas;
+    this.logger = logger;
     this.scene = null;
     this.camera = null;
     this.renderer = null;
@@ -15,16 +21,38 @@ class ThreeScene {
     // 3D Objects
     this.creditCard = null;
     this.cardGroup = null;
+    this.savedCardStack = null;
+    this.savedCards = [];
+    this.paymentMethodObject = null;
     this.particles = null;
+    this.skybox = null;
     this.ambientLight = null;
     this.directionalLight = null;
+    this.pointLight = null;
+    this.rimLight = null;
     
     // Animation properties
     this.clock = new THREE.Clock();
     this.isAnimating = true;
+    this.isVerifying = false;
     this.currentTheme = 'default';
+    this.themeTween = null;
     this.particlesEnabled = true;
     
+    // Card brand design (see ThreeScene.CARD_BRANDS); 'default' cards take
+    // their color from the theme
+    this.cardBrand = 'default';
+    this.themeCardColor = 0x2c3e50;
+    this.cardLogo = null;
+    
+    // The tip out of view and the tip back chained after it; stopping the
+    // first does not stop the second once it has started
+    this.brandTween = null;
+    this.brandTipBackTween = null;
+    
+    // Store name or logo printed on the card front
+    this.storeMark = null;
+    
     // Card data
     this.cardData = {
       number: '',
@@ -37,6 +65,7 @@ class ThreeScene {
     this.onCardUpdate = null;
     this.onFieldFocus = null;
     this.onFieldBlur = null;
+    this.onSavedCardSelect = null;
     
     this.init();
   }
@@ -59,38 +88,38 @@ class ThreeScene {
    */
   init() {
     try {
-      console.log('🎨 Starting Three.js scene initialization...');
+      this.logger.info('🎨 Starting Three.js scene initialization...');
       this.setupScene();
-      console.log('✅ Scene setup complete');
+      this.logger.debug('✅ Scene setup complete');
       
       this.setupCamera();
-      console.log('✅ Camera setup complete');
+      this.logger.debug('✅ Camera setup complete');
       
       this.setupRenderer();
-      console.log('✅ Renderer setup complete');
+      this.logger.debug('✅ Renderer setup complete');
       
       this.setupLights();
-      console.log('✅ Lights setup complete');
+      this.logger.debug('✅ Lights setup complete');
       
       this.setupControls();
-      console.log('✅ Controls setup complete');
+      this.logger.debug('✅ Controls setup complete');
       
       this.createCreditCard();
-      console.log('✅ Credit card created');
+      this.logger.debug('✅ Credit card created');
       
       this.createParticles();
-      console.log('✅ Particles created');
+      this.logger.debug('✅ Particles created');
       
       this.setupPostProcessing();
-      console.log('✅ Post-processing setup complete');
+      this.logger.debug('✅ Post-processing setup complete');
       
       this.addEventListeners();
-      console.log('✅ Event listeners added');
+      this.logger.debug('✅ Event listeners added');
       
       this.animate();
-      console.log('✅ Animation loop started');
+      this.logger.debug('✅ Animation loop started');
     } catch (error) {
-      console.error('❌ Error in Three.js scene initialization:', error);
+      this.logger.error('❌ Error in Three.js scene initialization:', error);
       throw error;
     }
   }
@@ -109,8 +138,8 @@ class ThreeScene {
       color: 0x1e3c72,
       side: THREE.BackSide,
     });
-    const skybox = new THREE.Mesh(geometry, material);
-    this.scene.add(skybox);
+    this.skybox = new THREE.Mesh(geometry, material);
+    this.scene.add(this.skybox);
   }
   
   /**
@@ -162,26 +191,21 @@ class ThreeScene {
     this.scene.add(this.directionalLight);
     
     // Point light for card highlighting
-    const pointLight = new THREE.PointLight(0x4ecdc4, 0.8, 20);
-    pointLight.position.set(0, 2, 4);
-    this.scene.add(pointLight);
+    this.pointLight = new THREE.PointLight(0x4ecdc4, 0.8, 20);
+    this.pointLight.position.set(0, 2, 4);
+    this.scene.add(this.pointLight);
     
     // Rim light
-    const rimLight = new THREE.DirectionalLight(0xff6b6b, 0.5);
-    rimLight.position.set(-5, -5, -5);
-    this.scene.add(rimLight);
+    this.rimLight = new THREE.DirectionalLight(0xff6b6b, 0.5);
+    this.rimLight.position.set(-5, -5, -5);
+    this.scene.add(this.rimLight);
   }
   
   /**
    * Setup camera controls
    */
   setupControls() {
-    if (typeof THREE.OrbitControls === 'undefined') {
-      console.warn('⚠️ OrbitControls not available, using basic camera setup');
-      return;
-    }
-    
-    this.controls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
+    this.controls = new OrbitControls(this.camera, this.renderer.domElement);
     this.controls.enableDamping = true;
     this.controls.dampingFactor = 0.05;
     this.controls.enableZoom = true;
@@ -230,15 +254,8 @@ class ThreeScene {
     this.cardGroup.add(chip);
     
     // Card logo area
-    const logoGeometry = new THREE.CircleGeometry(0.3, 32);
-    const logoMaterial = new THREE.MeshBasicMaterial({
-      color: 0x4ecdc4,
-      transparent: true,
-      opacity: 0.8,
-    });
-    const logo = new THREE.Mesh(logoGeometry, logoMaterial);
-    logo.position.set(1.2, 0.5, 0.06);
-    this.cardGroup.add(logo);
+    this.cardLogo = this.createBrandLogo(ThreeScene.CARD_BRANDS.default);
+    this.cardGroup.add(this.cardLogo);
     
     // Position the card
     this.cardGroup.position.set(-3, 0, 0);
@@ -267,6 +284,88 @@ class ThreeScene {
     this.cardGroup.add(this.cvvMesh);
   }
   
+  /**
+   * Create the logo for a card brand in the card's top right corner
+   */
+  createBrandLogo(brand) {
+    const logo = new THREE.Group();
+    logo.name = 'brandLogo';
+    logo.position.set(1.2, 0.5, 0.06);
+    
+    const { type, colors, label } = brand.logo;
+    
+    switch (type) {
+      case 'circles':
+        // Overlapping discs (Mastercard, Maestro)
+        colors.forEach((color, index) => {
+          const disc = new THREE.Mesh(
+            new THREE.CircleGeometry(0.25, 32),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.9 })
+          );
+          disc.position.set((index - 0.5) * 0.3, 0, index * 0.001);
+          logo.add(disc);
+        });
+        break;
+      case 'stripes':
+        // Vertical color bars (JCB, UnionPay)
+        colors.forEach((color, index) => {
+          const stripe = new THREE.Mesh(
+            new THREE.PlaneGeometry(0.16, 0.4),
+            new THREE.MeshBasicMaterial({ color })
+          );
+          stripe.position.set((index - (colors.length - 1) / 2) * 0.2, 0, 0);
+          logo.add(stripe);
+        });
+        break;
+      case 'wordmark':
+        // Brand name (Visa, American Express)
+        logo.add(this.createTextMesh(label, 0.25));
+        break;
+      default: {
+        // A single disc
+        const disc = new THREE.Mesh(
+          new THREE.CircleGeometry(0.3, 32),
+          new THREE.MeshBasicMaterial({ color: colors[0], transparent: true, opacity: 0.8 })
+        );
+        logo.add(disc);
+        break;
+      }
+    }
+    
+    return logo;
+  }
+  
+  /**
+   * Print the store's logo, or its name when it has none, in the card's top
+   * left corner
+   */
+  setStoreBranding({ name, logoUrl = null }) {
+    if (this.storeMark) {
+      this.cardGroup.remove(this.storeMark);
+      
+      if (this.storeMark.material.map) {
+        this.storeMark.material.map.dispose();
+      }
+      this.storeMark.material.dispose();
+      this.storeMark.geometry.dispose();
+    }
+    
+    if (logoUrl) {
+      const texture = new THREE.TextureLoader().load(logoUrl);
+      this.storeMark = new THREE.Mesh(
+        new THREE.PlaneGeometry(1, 0.4),
+        new THREE.MeshBasicMaterial({ map: texture, transparent: true })
+      );
+      this.storeMark.position.set(-1.3, 0.9, 0.06);
+    } else {
+      this.storeMark = this.createTextMesh(name, 0.15);
+      this.storeMark.position.set(-0.8, 0.9, 0.06);
+    }
+    
+    this.storeMark.name = 'storeMark';
+    this.cardGroup.add(this.storeMark);
+  }
+  
   /**
    * Create text mesh for card details
    */
@@ -396,6 +495,15 @@ class ThreeScene {
           this.animateClickFeedback(object);
           break;
         }
+        
+        if (object.userData.type === 'savedCard') {
+          if (this.onSavedCardSelect) {
+            this.onSavedCardSelect(object.userData.token);
+          }
+          
+          this.animateClickFeedback(object);
+          break;
+        }
       }
     }
   }
@@ -444,16 +552,128 @@ class ThreeScene {
    * Update card number display
    */
   updateCardNumber(number) {
-    // If no number provided or empty, show the default unmasked placeholder
+    const brand = ThreeScene.CARD_BRANDS[this.cardBrand];
+    
+    // If no number provided or empty, show the brand's unmasked placeholder
     if (!number || number.trim() === '') {
-      this.updateTextMesh(this.cardNumberMesh, '4111 1111 1111 1111');
+      this.updateTextMesh(this.cardNumberMesh, this.formatCardNumber(brand.placeholder, brand.numberGroups));
       return;
     }
     
     // If user has entered data, apply masking
     const masked = number.replace(/\d(?=\d{4})/g, '*');
-    const formatted = masked.replace(/(.{4})/g, '$1 ').trim();
-    this.updateTextMesh(this.cardNumberMesh, formatted);
+    this.updateTextMesh(this.cardNumberMesh, this.formatCardNumber(masked, brand.numberGroups));
+  }
+  
+  /**
+   * Split a card number into the brand's digit groups, e.g. 4-6-5 for Amex
+   */
+  formatCardNumber(number, groups) {
+    const parts = [];
+    let offset = 0;
+    
+    groups.forEach(size => {
+      if (offset < number.length) {
+        parts.push(number.slice(offset, offset + size));
+      }
+      offset += size;
+    });
+    
+    if (offset < number.length) {
+      parts.push(number.slice(offset));
+    }
+    
+    return parts.join(' ');
+  }
+  
+  /**
+   * Switch to the design for a Braintree card type ('visa', 'master-card',
+   * 'american-express', ...); unknown or undetected types use the default
+   * design. The card tips edge-on and the design is swapped while it is out
+   * of view.
+   */
+  setCardBrand(cardType) {
+    const brandId = ThreeScene.CARD_BRANDS[cardType] ? cardType : 'default';
+    
+    if (brandId === this.cardBrand) {
+      return;
+    }
+    
+    this.cardBrand = brandId;
+    this.stopBrandTweens();
+    
+    this.brandTipBackTween = new TWEEN.Tween(this.cardGroup.rotation)
+      .to({ x: 0 }, 250)
+      .easing(TWEEN.Easing.Quadratic.Out);
+    
+    this.brandTween = new TWEEN.Tween(this.cardGroup.rotation)
+      .to({ x: Math.PI / 2 }, 250)
+      .easing(TWEEN.Easing.Quadratic.In)
+      .onComplete(() => this.applyCardBrand())
+      .chain(this.brandTipBackTween)
+      .start();
+  }
+  
+  /**
+   * Stop a brand change in progress, including its chained tip back
+   */
+  stopBrandTweens() {
+    if (this.brandTween) {
+      this.brandTween.stop();
+      this.brandTween = null;
+    }
+    
+    if (this.brandTipBackTween) {
+      this.brandTipBackTween.stop();
+      this.brandTipBackTween = null;
+    }
+  }
+  
+  /**
+   * Apply the current brand's color, logo, CVV position and number layout
+   */
+  applyCardBrand() {
+    const brand = ThreeScene.CARD_BRANDS[this.cardBrand];
+    
+    this.applyCardColor();
+    
+    if (this.cardLogo) {
+      this.cardGroup.remove(this.cardLogo);
+      this.cardLogo.traverse(object => {
+        if (object.geometry) {
+          object.geometry.dispose();
+        }
+        
+        if (object.material) {
+          if (object.material.map) {
+            object.material.map.dispose();
+          }
+          object.material.dispose();
+        }
+      });
+    }
+    
+    this.cardLogo = this.createBrandLogo(brand);
+    this.cardGroup.add(this.cardLogo);
+    
+    // Amex prints its four-digit code on the front, above the number
+    if (brand.cvvOnFront) {
+      this.cvvMesh.position.set(1.2, 0.05, 0.06);
+      this.cvvMesh.rotation.y = 0;
+    } else {
+      this.cvvMesh.position.set(0.8, -0.8, -0.06);
+      this.cvvMesh.rotation.y = Math.PI;
+    }
+    
+    this.updateCardNumber(this.cardData.number);
+  }
+  
+  /**
+   * Color the card in its brand color, or the theme's card color by default
+   */
+  applyCardColor() {
+    const brand = ThreeScene.CARD_BRANDS[this.cardBrand];
+    this.creditCard.material.color.setHex(brand.color !== null ? brand.color : this.themeCardColor);
   }
   
   /**
@@ -518,7 +738,7 @@ class ThreeScene {
    * Handle field focus
    */
   onFieldFocused(fieldName) {
-    if (fieldName === 'cvv') {
+    if (fieldName === 'cvv' && !ThreeScene.CARD_BRANDS[this.cardBrand].cvvOnFront) {
       // Flip card to show back
       this.flipCardToBack();
     } else {
@@ -585,6 +805,289 @@ class ThreeScene {
     }
   }
   
+  /**
+   * Show the 3D Secure "verifying" state: the card turns to face the viewer
+   * inside a pulsing violet glow and a spinning ring while the bank challenge
+   * is open
+   */
+  startVerification() {
+    this.removeVerificationEffects();
+    
+    const glowMaterial = new THREE.MeshBasicMaterial({
+      color: 0x9b59b6,
+      transparent: true,
+      opacity: 0.3,
+    });
+    const verifyingGlow = new THREE.Mesh(new THREE.BoxGeometry(4.4, 2.9, 0.2), glowMaterial);
+    verifyingGlow.name = 'verifyingGlow';
+    this.cardGroup.add(verifyingGlow);
+    
+    const ringMaterial = new THREE.MeshBasicMaterial({
+      color: 0xbb8fce,
+      transparent: true,
+      opacity: 0.8,
+    });
+    const verifyingRing = new THREE.Mesh(new THREE.TorusGeometry(2.6, 0.04, 16, 100), ringMaterial);
+    verifyingRing.name = 'verifyingRing';
+    verifyingRing.scale.set(1, 0.7, 1);
+    this.cardGroup.add(verifyingRing);
+    
+    this.isVerifying = true;
+    
+    new TWEEN.Tween(this.cardGroup.rotation)
+      .to({ y: 0 }, 600)
+      .easing(TWEEN.Easing.Quadratic.Out)
+      .start();
+  }
+  
+  /**
+   * Leave the verifying state, flashing green when the card was verified and
+   * red when verification failed or was canceled
+   */
+  endVerification(verified) {
+    if (!this.isVerifying) {
+      return;
+    }
+    
+    this.isVerifying = false;
+    
+    const verifyingGlow = this.cardGroup.getObjectByName('verifyingGlow');
+    if (verifyingGlow) {
+      verifyingGlow.material.color.setHex(verified ? 0x51cf66 : 0xff6b6b);
+      new TWEEN.Tween(verifyingGlow.material)
+        .to({ opacity: 0 }, 800)
+        .onComplete(() => this.removeVerificationEffects())
+        .start();
+    }
+    
+    new TWEEN.Tween(this.cardGroup.rotation)
+      .to({ y: Math.PI * 0.1 }, 600)
+      .easing(TWEEN.Easing.Quadratic.Out)
+      .start();
+  }
+  
+  /**
+   * Remove the verifying glow and ring from the card
+   */
+  removeVerificationEffects() {
+    ['verifyingGlow', 'verifyingRing'].forEach(name => {
+      const object = this.cardGroup.getObjectByName(name);
+      
+      if (object) {
+        this.cardGroup.remove(object);
+        object.geometry.dispose();
+        object.material.dispose();
+      }
+    });
+  }
+  
+  /**
+   * Show a customer's saved cards as a stack of 3D cards fanned out behind
+   * the main card; clicking one selects it for payment
+   */
+  showSavedCards(paymentMethods, selectedToken = null) {
+    this.clearSavedCards();
+    
+    if (paymentMethods.length === 0) {
+      return;
+    }
+    
+    this.savedCardStack = new THREE.Group();
+    this.savedCardStack.position.set(-3, 0, -0.6);
+    this.savedCardStack.rotation.y = Math.PI * 0.1;
+    
+    paymentMethods.forEach((paymentMethod, index) => {
+      const savedCard = this.createSavedCard(paymentMethod, index);
+      
+      this.savedCards.push({
+        token: paymentMethod.token,
+        group: savedCard,
+        restPosition: { x: savedCard.position.x, y: savedCard.position.y, z: savedCard.position.z },
+      });
+      this.savedCardStack.add(savedCard);
+    });
+    
+    this.scene.add(this.savedCardStack);
+    this.selectSavedCard(selectedToken);
+  }
+  
+  /**
+   * Create one card of the saved card stack
+   */
+  createSavedCard(paymentMethod, index) {
+    const savedCard = new THREE.Group();
+    const stackColors = [0x8e44ad, 0x16a085, 0xd35400, 0x2980b9];
+    const clickData = { isClickable: true, type: 'savedCard', token: paymentMethod.token };
+    
+    const cardMaterial = new THREE.MeshPhysicalMaterial({
+      color: stackColors[index % stackColors.length],
+      metalness: 0.2,
+      roughness: 0.3,
+      clearcoat: 1.0,
+      transparent: true,
+      opacity: 0.85,
+    });
+    const cardBody = new THREE.Mesh(new THREE.BoxGeometry(4, 2.5, 0.1), cardMaterial);
+    cardBody.castShadow = true;
+    cardBody.userData = clickData;
+    savedCard.add(cardBody);
+    
+    // Label along the top edge, which stays visible above the cards in front
+    const label = this.createTextMesh(`${paymentMethod.cardType || 'Card'} •••• ${paymentMethod.last4}`, 0.15);
+    label.position.set(0, 0.95, 0.06);
+    label.userData = clickData;
+    savedCard.add(label);
+    
+    savedCard.position.set(index * 0.15, 0.45 * (index + 1), -0.25 * index);
+    return savedCard;
+  }
+  
+  /**
+   * Raise the selected saved card out of the stack and fade the main card,
+   * or restore the main card when `token` is null (paying with a new card)
+   */
+  selectSavedCard(token) {
+    this.savedCards.forEach(({ token: cardToken, group, restPosition }) => {
+      const isSelected = cardToken === token;
+      const cardMaterial = group.children[0].material;
+      
+      new TWEEN.Tween(group.position)
+        .to({ x: restPosition.x, y: restPosition.y + (isSelected ? 0.6 : 0), z: restPosition.z }, 400)
+        .easing(TWEEN.Easing.Quadratic.Out)
+        .start();
+      
+      cardMaterial.emissive.setHex(isSelected ? 0x4ecdc4 : 0x000000);
+      cardMaterial.emissiveIntensity = isSelected ? 0.4 : 0;
+    });
+    
+    if (this.creditCard) {
+      new TWEEN.Tween(this.creditCard.material)
+        .to({ opacity: token ? 0.35 : 0.9 }, 400)
+        .start();
+    }
+  }
+  
+  /**
+   * Remove the saved card stack and free its resources
+   */
+  clearSavedCards() {
+    if (this.savedCardStack) {
+      this.savedCardStack.traverse(object => {
+        if (object.geometry) {
+          object.geometry.dispose();
+        }
+        
+        if (object.material) {
+          if (object.material.map) {
+            object.material.map.dispose();
+          }
+          object.material.dispose();
+        }
+      });
+      
+      this.scene.remove(this.savedCardStack);
+    }
+    
+    this.savedCardStack = null;
+    this.savedCards = [];
+  }
+  
+  /**
+   * Show the object for the chosen payment method: the credit card (and any
+   * saved cards) for 'card', or a branded coin for PayPal and Venmo
+   */
+  showPaymentMethod(methodId) {
+    this.clearPaymentMethodObject();
+    
+    const isCard = methodId === 'card';
+    this.cardGroup.visible = isCard;
+    
+    if (this.savedCardStack) {
+      this.savedCardStack.visible = isCard;
+    }
+    
+    if (isCard) {
+      return;
+    }
+    
+    this.paymentMethodObject = this.createPaymentMethodObject(methodId);
+    this.paymentMethodObject.position.copy(this.cardGroup.position);
+    this.paymentMethodObject.scale.set(0.01, 0.01, 0.01);
+    this.scene.add(this.paymentMethodObject);
+    
+    new TWEEN.Tween(this.paymentMethodObject.scale)
+      .to({ x: 1, y: 1, z: 1 }, 600)
+      .easing(TWEEN.Easing.Back.Out)
+      .start();
+  }
+  
+  /**
+   * Create a spinning coin in the payment method's brand colors
+   */
+  createPaymentMethodObject(methodId) {
+    const brands = {
+      paypal: { label: 'PayPal', color: 0x003087, rim: 0x009cde },
+      venmo: { label: 'venmo', color: 0x3d95ce, rim: 0xffffff },
+    };
+    const brand = brands[methodId] || { label: methodId, color: 0x2c3e50, rim: 0x4ecdc4 };
+    const coin = new THREE.Group();
+    coin.name = 'paymentMethodObject';
+    
+    const faceMaterial = new THREE.MeshPhysicalMaterial({
+      color: brand.color,
+      metalness: 0.4,
+      roughness: 0.2,
+      clearcoat: 1.0,
+    });
+    const face = new THREE.Mesh(new THREE.CylinderGeometry(1.4, 1.4, 0.2, 64), faceMaterial);
+    face.rotation.x = Math.PI / 2;
+    face.castShadow = true;
+    coin.add(face);
+    
+    const rimMaterial = new THREE.MeshPhysicalMaterial({
+      color: brand.rim,
+      metalness: 0.9,
+      roughness: 0.1,
+    });
+    coin.add(new THREE.Mesh(new THREE.TorusGeometry(1.4, 0.08, 16, 100), rimMaterial));
+    
+    // Brand name on both faces
+    const frontLabel = this.createTextMesh(brand.label, 0.3);
+    frontLabel.position.set(0, 0, 0.11);
+    coin.add(frontLabel);
+    
+    const backLabel = this.createTextMesh(brand.label, 0.3);
+    backLabel.position.set(0, 0, -0.11);
+    backLabel.rotation.y = Math.PI;
+    coin.add(backLabel);
+    
+    return coin;
+  }
+  
+  /**
+   * Remove the payment method coin and free its resources
+   */
+  clearPaymentMethodObject() {
+    if (this.paymentMethodObject) {
+      this.paymentMethodObject.traverse(object => {
+        if (object.geometry) {
+          object.geometry.dispose();
+        }
+        
+        if (object.material) {
+          if (object.material.map) {
+            object.material.map.dispose();
+          }
+          object.material.dispose();
+        }
+      });
+      
+      this.scene.remove(this.paymentMethodObject);
+    }
+    
+    this.paymentMethodObject = null;
+  }
+  
   /**
    * Animate success state
    */
@@ -598,6 +1101,7 @@ class ThreeScene {
     
     const successGeometry = new THREE.BoxGeometry(4.5, 3, 0.3);
     const successGlow = new THREE.Mesh(successGeometry, successMaterial);
+    successGlow.name = 'successGlow';
     this.cardGroup.add(successGlow);
     
     // Multi-colored confetti burst
@@ -605,7 +1109,10 @@ class ThreeScene {
     
     // Create floating transaction status object
     if (transactionData) {
-      this.createTransactionStatusObject(transactionData);
+      this.createTransactionStatusObject({
+        ...transactionData,
+        detail: transactionData.amount ? `Amount: ${transactionData.amount}` : null,
+      });
     }
     
     // Card celebration animation
@@ -620,15 +1127,100 @@ class ThreeScene {
     celebrationTween.start();
   }
   
+  /**
+   * Animate a reversed (refunded or voided) payment
+   */
+  animateReversal(reversalData) {
+    const { type, amount, transactionId, environment, isPartial } = reversalData;
+    
+    // Swap the success glow for a fading amber one
+    const successGlow = this.cardGroup.getObjectByName('successGlow');
+    if (successGlow) {
+      this.cardGroup.remove(successGlow);
+    }
+    
+    const reversalMaterial = new THREE.MeshBasicMaterial({
+      color: 0xffa726,
+      transparent: true,
+      opacity: 0.5,
+    });
+    const reversalGlow = new THREE.Mesh(new THREE.BoxGeometry(4.5, 3, 0.3), reversalMaterial);
+    this.cardGroup.add(reversalGlow);
+    
+    new TWEEN.Tween(reversalMaterial)
+      .to({ opacity: 0 }, 2000)
+      .easing(TWEEN.Easing.Quadratic.In)
+      .onComplete(() => {
+        this.cardGroup.remove(reversalGlow);
+      })
+      .start();
+    
+    // Rewind the card with a reverse spin
+    const startRotation = this.cardGroup.rotation.y;
+    new TWEEN.Tween(this.cardGroup.rotation)
+      .to({ y: startRotation - Math.PI * 2 }, 1200)
+      .easing(TWEEN.Easing.Cubic.InOut)
+      .onComplete(() => {
+        this.cardGroup.rotation.y = startRotation;
+      })
+      .start();
+    
+    // Replace the floating status panel with the reversal state
+    if (this.transactionStatusObject) {
+      this.scene.remove(this.transactionStatusObject);
+      this.transactionStatusObject = null;
+    }
+    
+    let status = 'Refunded';
+    if (type === 'void') {
+      status = 'Voided';
+    } else if (isPartial) {
+      status = 'Partially Refunded';
+    }
+    
+    this.createTransactionStatusObject({
+      transactionId,
+      status,
+      environment,
+      detail: amount ? `Amount: ${amount}` : null,
+      panelColor: 0xffa726,
+    });
+  }
+  
+  /**
+   * Celebrate an accepted discount code with a smaller gold confetti burst
+   * and a hop of the card
+   */
+  celebrateDiscount() {
+    this.createConfettiBurst({
+      count: 60,
+      colors: [
+        0xffd93d, // Yellow
+        0xffa726, // Orange
+        0x6bcf7f, // Green
+      ],
+    });
+    
+    new TWEEN.Tween(this.cardGroup.position)
+      .to({ y: 0.4 }, 250)
+      .easing(TWEEN.Easing.Quadratic.Out)
+      .chain(
+        new TWEEN.Tween(this.cardGroup.position)
+          .to({ y: 0 }, 400)
+          .easing(TWEEN.Easing.Bounce.Out)
+      )
+      .start();
+  }
+  
   /**
    * Create multi-colored 3D confetti burst
    */
-  createConfettiBurst() {
-    const confettiCount = 150;
+  createConfettiBurst({ count = 150, colors = null } = {}) {
+    const confettiCount = count;
     const confettiPieces = [];
     
     // Confetti colors
-    const colors = [
+    const confettiColors = colors || [
       0xff6b6b, // Red
       0x4ecdc4, // Teal
       0xffd93d, // Yellow
@@ -641,7 +1233,7 @@ class ThreeScene {
     
     for (let i = 0; i < confettiCount; i++) {
       // Create individual confetti piece
-      const confetti = this.createConfettiPiece(colors[Math.floor(Math.random() * colors.length)]);
+      const confetti = this.createConfettiPiece(confettiColors[Math.floor(Math.random() * confettiColors.length)]);
       
       // Position around the card
       confetti.position.set(
@@ -775,11 +1367,12 @@ class ThreeScene {
    * Create floating transaction status object
    */
   createTransactionStatusObject(transactionData) {
-    const { transactionId, status, environment } = transactionData;
+    const { transactionId, status, environment, detail = null, panelColor = 0x51cf66 } = transactionData;
     
-    // Use environment data from transaction or fallback to defaults
+    // Link to the transaction in the Braintree Control Panel when the
+    // server reported a merchant ID
     const braintreeEnv = environment?.braintreeEnvironment || 'sandbox';
-    const merchantId = environment?.merchantId || 'zm9j9g4t8jfp749x';
+    const merchantId = environment?.merchantId || null;
     
     // Create the transaction status group
     const statusGroup = new THREE.Group();
@@ -787,7 +1380,7 @@ class ThreeScene {
     // Create main status panel
     const panelGeometry = new THREE.BoxGeometry(3, 1.5, 0.1);
     const panelMaterial = new THREE.MeshPhysicalMaterial({
-      color: 0x51cf66,
+      color: panelColor,
       metalness: 0.2,
       roughness: 0.3,
       clearcoat: 1.0,
@@ -800,39 +1393,48 @@ class ThreeScene {
     
     // Create status text
     const statusText = this.createTransactionTextMesh(`Payment ${status}!`, 0.20, '#ffffff');
-    statusText.position.set(0, 0.3, 0.06);
+    statusText.position.set(0, detail ? 0.4 : 0.3, 0.06);
     statusGroup.add(statusText);
     
+    // Optional detail line (e.g. refunded amount)
+    if (detail) {
+      const detailText = this.createTransactionTextMesh(detail, 0.16, '#ffffff');
+      detailText.position.set(0, 0, 0.06);
+      statusGroup.add(detailText);
+    }
+    
     // Create transaction ID text (clickable)
     const transactionText = this.createTransactionTextMesh(`ID: ${transactionId}`, 0.16, '#4ecdc4');
-    transactionText.position.set(0, -0.3, 0.06);
+    transactionText.position.set(0, detail ? -0.4 : -0.3, 0.06);
     statusGroup.add(transactionText);
     
-    // Store transaction URL for click handling
-    const baseUrl = braintreeEnv === 'sandbox' 
-      ? 'https://sandbox.braintreegateway.com'
-      : 'https://braintreegateway.com';
-    const transactionUrl = `${baseUrl}/merchants/${merchantId}/transactions/${transactionId}`;
-    
-    // Add click handler to the entire status panel
-    statusPanel.userData = { 
-      isClickable: true, 
-      url: transactionUrl,
-      type: 'transactionLink'
-    };
-    
-    // Also make the text elements clickable for better UX
-    statusText.userData = { 
-      isClickable: true, 
-      url: transactionUrl,
-      type: 'transactionLink'
-    };
-    
-    transactionText.userData = { 
-      isClickable: true, 
-      url: transactionUrl,
-      type: 'transactionLink'
-    };
+    if (merchantId) {
+      // Store transaction URL for click handling
+      const baseUrl = braintreeEnv === 'sandbox' 
+        ? 'https://sandbox.braintreegateway.com'
+        : 'https://braintreegateway.com';
+      const transactionUrl = `${baseUrl}/merchants/${merchantId}/transactions/${transactionId}`;
+      
+      // Add click handler to the entire status panel
+      statusPanel.userData = { 
+        isClickable: true, 
+        url: transactionUrl,
+        type: 'transactionLink'
+      };
+      
+      // Also make the text elements clickable for better UX
+      statusText.userData = { 
+        isClickable: true, 
+        url: transactionUrl,
+        type: 'transactionLink'
+      };
+      
+      transactionText.userData = { 
+        isClickable: true, 
+        url: transactionUrl,
+        type: 'transactionLink'
+      };
+    }
     
     // Position the status object to float up from below
     statusGroup.position.set(3, -5, 0);
@@ -922,33 +1524,96 @@ class ThreeScene {
   }
   
   /**
-   * Toggle theme
+   * Apply a theme from the ThemeRegistry, blending the background, fog,
+   * lights, card material and particle colors from the current theme over
+   * `duration` milliseconds (0 applies it at once)
    */
-  toggleTheme() {
-    const themes = ['default', 'cyberpunk', 'space'];
-    const currentIndex = themes.indexOf(this.currentTheme);
-    this.currentTheme = themes[(currentIndex + 1) % themes.length];
-    this.applyTheme(this.currentTheme);
+  applyTheme(theme, duration = 800) {
+    this.currentTheme = theme.id;
+    this.themeCardColor = new THREE.Color(theme.card.color).getHex();
+    
+    this.scene.fog.near = theme.fog.near;
+    this.scene.fog.far = theme.fog.far;
+    
+    const colorTargets = [
+      [this.skybox.material.color, theme.background],
+      [this.scene.fog.color, theme.fog.color],
+      [this.ambientLight.color, theme.lights.ambient.color],
+      [this.directionalLight.color, theme.lights.directional.color],
+      [this.pointLight.color, theme.lights.point.color],
+      [this.rimLight.color, theme.lights.rim.color],
+    ];
+    
+    // Brand designs keep their own color
+    if (ThreeScene.CARD_BRANDS[this.cardBrand].color === null) {
+      colorTargets.push([this.creditCard.material.color, theme.card.color]);
+    }
+    
+    const numberTargets = [
+      [this.ambientLight, 'intensity', theme.lights.ambient.intensity],
+      [this.directionalLight, 'intensity', theme.lights.directional.intensity],
+      [this.pointLight, 'intensity', theme.lights.point.intensity],
+      [this.rimLight, 'intensity', theme.lights.rim.intensity],
+      [this.creditCard.material, 'metalness', theme.card.metalness],
+      [this.creditCard.material, 'roughness', theme.card.roughness],
+    ];
+    
+    const fromColors = colorTargets.map(([color]) => color.clone());
+    const toColors = colorTargets.map(([, value]) => new THREE.Color(value));
+    const fromNumbers = numberTargets.map(([object, key]) => object[key]);
+    
+    const particleColors = this.particles.geometry.attributes.color;
+    const fromParticles = Float32Array.from(particleColors.array);
+    const toParticles = this.createParticleColors(particleColors.count, theme.particles.colors);
+    
+    const blend = (progress) => {
+      colorTargets.forEach(([color], index) => {
+        color.copy(fromColors[index]).lerp(toColors[index], progress);
+      });
+      
+      numberTargets.forEach(([object, key, value], index) => {
+        object[key] = fromNumbers[index] + (value - fromNumbers[index]) * progress;
+      });
+      
+      for (let i = 0; i < toParticles.length; i++) {
+        particleColors.array[i] = fromParticles[i] + (toParticles[i] - fromParticles[i]) * progress;
+      }
+      particleColors.needsUpdate = true;
+    };
+    
+    if (this.themeTween) {
+      this.themeTween.stop();
+      this.themeTween = null;
+    }
+    
+    if (duration === 0) {
+      blend(1);
+      return;
+    }
+    
+    const transition = { progress: 0 };
+    this.themeTween = new TWEEN.Tween(transition)
+      .to({ progress: 1 }, duration)
+      .easing(TWEEN.Easing.Quadratic.InOut)
+      .onUpdate(() => blend(transition.progress))
+      .start();
   }
   
   /**
-   * Apply theme colors and effects
+   * Pick a random color from a palette for each particle
    */
-  applyTheme(theme) {
-    switch (theme) {
-      case 'cyberpunk':
-        this.scene.fog.color.setHex(0x330066);
-        this.creditCard.material.color.setHex(0x1a1a2e);
-        break;
-      case 'space':
-        this.scene.fog.color.setHex(0x000011);
-        this.creditCard.material.color.setHex(0x0f0f23);
-        break;
-      default:
-        this.scene.fog.color.setHex(0x1e3c72);
-        this.creditCard.material.color.setHex(0x2c3e50);
-        break;
+  createParticleColors(count, palette) {
+    const colors = new Float32Array(count * 3);
+    const paletteColors = palette.map(value => new THREE.Color(value));
+    
+    for (let i = 0; i < colors.length; i += 3) {
+      const color = paletteColors[Math.floor(Math.random() * paletteColors.length)];
+      colors[i] = color.r;
+      colors[i + 1] = color.g;
+      colors[i + 2] = color.b;
     }
+    
+    return colors;
   }
   
   /**
@@ -989,6 +1654,31 @@ class ThreeScene {
       this.cardGroup.rotation.z = Math.sin(this.clock.elapsedTime * 0.3) * 0.02;
     }
     
+    // Pulse the 3D Secure verifying state
+    if (this.isVerifying) {
+      const verifyingGlow = this.cardGroup.getObjectByName('verifyingGlow');
+      const verifyingRing = this.cardGroup.getObjectByName('verifyingRing');
+      
+      if (verifyingGlow) {
+        verifyingGlow.material.opacity = 0.2 + Math.sin(this.clock.elapsedTime * 4) * 0.15;
+      }
+      
+      if (verifyingRing) {
+        verifyingRing.rotation.z += deltaTime * 2;
+      }
+    }
+    
+    // The payment method coin floats and spins in place of the card
+    if (this.paymentMethodObject) {
+      this.paymentMethodObject.position.y = Math.sin(this.clock.elapsedTime * 0.5) * 0.1;
+      this.paymentMethodObject.rotation.y += deltaTime * 0.8;
+    }
+    
+    // Saved cards float with the main card
+    if (this.savedCardStack && this.cardGroup) {
+      this.savedCardStack.position.y = this.cardGroup.position.y;
+    }
+    
     // Render
     if (this.composer) {
       this.composer.render();
@@ -1002,6 +1692,9 @@ class ThreeScene {
    */
   dispose() {
     this.isAnimating = false;
+    this.stopBrandTweens();
+    this.clearSavedCards();
+    this.clearPaymentMethodObject();
     
     if (this.renderer) {
       this.renderer.dispose();
@@ -1016,4 +1709,81 @@ class ThreeScene {
   }
 }
 
-// TWEEN is loaded from CDN, no fallback needed
+/**
+ * Card designs by Braintree card type. `color: null` uses the theme's card
+ * color; `numberGroups` is the digit grouping printed on the card.
+ */
+ThreeScene.CARD_BRANDS = {
+  default: {
+    name: 'Card',
+    color: null,
+    logo: { type: 'circle', colors: [0x4ecdc4] },
+    numberGroups: [4, 4, 4, 4],
+    placeholder: '4111111111111111',
+    cvvOnFront: false,
+  },
+  visa: {
+    name: 'Visa',
+    color: 0x1a1f71,
+    logo: { type: 'wordmark', label: 'VISA' },
+    numberGroups: [4, 4, 4, 4],
+    placeholder: '4111111111111111',
+    cvvOnFront: false,
+  },
+  'master-card': {
+    name: 'Mastercard',
+    color: 0x1c1c1c,
+    logo: { type: 'circles', colors: [0xeb001b, 0xf79e1b] },
+    numberGroups: [4, 4, 4, 4],
+    placeholder: '5555555555554444',
+    cvvOnFront: false,
+  },
+  'american-express': {
+    name: 'American Express',
+    color: 0x2e77bc,
+    logo: { type: 'wordmark', label: 'AMEX' },
+    numberGroups: [4, 6, 5],
+    placeholder: '378282246310005',
+    cvvOnFront: true,
+  },
+  discover: {
+    name: 'Discover',
+    color: 0x231f20,
+    logo: { type: 'circle', colors: [0xff6000] },
+    numberGroups: [4, 4, 4, 4],
+    placeholder: '6011111111111117',
+    cvvOnFront: false,
+  },
+  jcb: {
+    name: 'JCB',
+    color: 0x0b2d5b,
+    logo: { type: 'stripes', colors: [0x1c75bc, 0xe21836, 0x00a650] },
+    numberGroups: [4, 4, 4, 4],
+    placeholder: '3530111333300000',
+    cvvOnFront: false,
+  },
+  'diners-club': {
+    name: 'Diners Club',
+    color: 0x004a97,
+    logo: { type: 'circle', colors: [0xffffff] },
+    numberGroups: [4, 6, 4],
+    placeholder: '36259600000004',
+    cvvOnFront: false,
+  },
+  unionpay: {
+    name: 'UnionPay',
+    color: 0x1d1d1b,
+    logo: { type: 'stripes', colors: [0xe21836, 0x00447c, 0x007b84] },
+    numberGroups: [4, 4, 4, 4],
+    placeholder: '6212345678901232',
+    cvvOnFront: false,
+  },
+  maestro: {
+    name: 'Maestro',
+    color: 0x1c1c1c,
+    logo: { type: 'circles', colors: [0x0099df, 0xeb001b] },
+    numberGroups: [4, 4, 4, 4],
+    placeholder: '6304000000000000',
+    cvvOnFront: false,
+  },
+};
@@ -0,0 +1,155 @@
+/**
+ * Cart Routes
+ * Create carts and manage their line items, shipping and discount code
+ */
+
+const express = require('express');
+const CartService = require('../services/cart-service');
+const { validateBody } = require('../middleware/validate');
+
+const CART_ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    productId: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    quantity: { type: 'integer', minimum: 1, maximum: CartService.MAX_LINE_QUANTITY },
+  },
+};
+
+const CREATE_CART_SCHEMA = {
+  type: 'object',
+  properties: {
+    items: { type: 'array', maxItems: 50, items: CART_ITEM_SCHEMA },
+    currency: {
+      type: 'string',
+      pattern: /^[A-Z]{3}$/,
+      patternMessage: 'must be a three-letter ISO 4217 code such as "USD"',
+    },
+  },
+};
+
+const SHIPPING_SCHEMA = {
+  type: 'object',
+  properties: {
+    shippingOptionId: { type: 'string', minLength: 1, maxLength: 64 },
+    countryCode: {
+      type: 'string',
+      pattern: /^(?:\s*[A-Za-z]{2}\s*)?$/,
+      patternMessage: 'must be a two-letter ISO 3166 country code such as "US"',
+    },
+    postalCode: {
+      type: 'string',
+      maxLength: 16,
+      pattern: /^[A-Za-z0-9 -]*$/,
+      patternMessage: 'may only contain letters, digits, spaces and dashes',
+    },
+  },
+};
+
+const DISCOUNT_SCHEMA = {
+  type: 'object',
+  properties: {
+    code: {
+      type: 'string',
+      required: true,
+      pattern: /^\s*[A-Za-z0-9-]{1,32}\s*$/,
+      patternMessage: 'must be a discount code of letters, digits and dashes',
+    },
+  },
+};
+
+/**
+ * Create the cart router
+ */
+function createCartRouter(cartService) {
+  const router = express.Router();
+  
+  /**
+   * Create a new cart in the given currency, optionally seeded with items
+   */
+  router.post('/', validateBody(CREATE_CART_SCHEMA), (req, res) => {
+    const { items = [], currency } = req.body;
+    const cart = cartService.createCart(items, currency);
+    
+    res.status(201).json({
+      success: true,
+      cart: cartService.serializeCart(cart),
+    });
+  });
+  
+  /**
+   * Get a cart with its current totals
+   */
+  router.get('/:cartId', (req, res) => {
+    const cart = cartService.getCart(req.params.cartId);
+    
+    res.json({
+      success: true,
+      cart: cartService.serializeCart(cart),
+    });
+  });
+  
+  /**
+   * Add a line item
+   */
+  router.post('/:cartId/items', validateBody(CART_ITEM_SCHEMA), (req, res) => {
+    const { productId, quantity = 1 } = req.body;
+    const cart = cartService.addItem(req.params.cartId, productId, quantity);
+    
+    res.json({
+      success: true,
+      cart: cartService.serializeCart(cart),
+    });
+  });
+  
+  /**
+   * Choose the shipping option and destination country and postal code
+   */
+  router.put('/:cartId/shipping', validateBody(SHIPPING_SCHEMA), (req, res) => {
+    const cart = cartService.setShipping(req.params.cartId, req.body);
+    
+    res.json({
+      success: true,
+      cart: cartService.serializeCart(cart),
+    });
+  });
+  
+  /**
+   * Apply a discount code; responds 400 with the reason when it cannot be used
+   */
+  router.post('/:cartId/discount', validateBody(DISCOUNT_SCHEMA), (req, res) => {
+    const cart = cartService.applyDiscount(req.params.cartId, req.body.code);
+    
+    res.json({
+      success: true,
+      cart: cartService.serializeCart(cart),
+    });
+  });
+  
+  /**
+   * Remove the discount code
+   */
+  router.delete('/:cartId/discount', (req, res) => {
+    const cart = cartService.removeDiscount(req.params.cartId);
+    
+    res.json({
+      success: true,
+      cart: cartService.serializeCart(cart),
+    });
+  });
+  
+  /**
+   * Remove a line item
+   */
+  router.delete('/:cartId/items/:productId', (req, res) => {
+    const cart = cartService.removeItem(req.params.cartId, req.params.productId);
+    
+    res.json({
+      success: true,
+      cart: cartService.serializeCart(cart),
+    });
+  });
+  
+  return router;
+}
+
+module.exports = createCartRouter;
@@ -0,0 +1,137 @@
+/**
+ * Checkout Routes
+ * Process payment for a cart
+ */
+
+const express = require('express');
+const { PaymentDeclinedError, ServiceError, ValidationError } = require('../services/errors');
+const { validateBody } = require('../middleware/validate');
+
+// Braintree address fields; the billing postal code of a card usually comes
+// from its hosted field
+const ADDRESS_SCHEMA = {
+  type: 'object',
+  properties: {
+    firstName: { type: 'string', maxLength: 255 },
+    lastName: { type: 'string', maxLength: 255 },
+    company: { type: 'string', maxLength: 255 },
+    streetAddress: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    extendedAddress: { type: 'string', maxLength: 255 },
+    locality: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    region: { type: 'string', maxLength: 255 },
+    postalCode: {
+      type: 'string',
+      maxLength: 16,
+      pattern: /^[A-Za-z0-9 -]*$/,
+      patternMessage: 'may only contain letters, digits, spaces and dashes',
+    },
+    countryCodeAlpha2: {
+      type: 'string',
+      required: true,
+      pattern: /^[A-Za-z]{2}$/,
+      patternMessage: 'must be a two-letter ISO 3166 country code such as "US"',
+    },
+  },
+};
+
+const CHECKOUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    paymentMethodNonce: { type: 'string', minLength: 1, maxLength: 4096 },
+    paymentMethodToken: { type: 'string', minLength: 1, maxLength: 64 },
+    customerId: { type: 'string', minLength: 1, maxLength: 36 },
+    savePaymentMethod: { type: 'boolean' },
+    cartId: { type: 'string', required: true, minLength: 1, maxLength: 64 },
+    amount: { type: 'amount' },
+    billing: ADDRESS_SCHEMA,
+    shipping: ADDRESS_SCHEMA,
+    email: {
+      type: 'string',
+      maxLength: 255,
+      pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      patternMessage: 'must be an email address',
+    },
+    deviceData: { type: 'string', maxLength: 65536 },
+  },
+};
+
+/**
+ * Field combinations the schema cannot express
+ */
+function checkPaymentMethod({ paymentMethodNonce, paymentMethodToken, customerId, savePaymentMethod }) {
+  const problems = [];
+  
+  if (!paymentMethodNonce === !paymentMethodToken) {
+    problems.push({
+      field: 'paymentMethodNonce',
+      message: 'exactly one of paymentMethodNonce or paymentMethodToken is required',
+    });
+  }
+  
+  if (paymentMethodToken && !customerId) {
+    problems.push({ field: 'customerId', message: 'is required to pay with a saved payment method' });
+  }
+  
+  if (savePaymentMethod && !customerId) {
+    problems.push({ field: 'customerId', message: 'is required to save a payment method' });
+  }
+  
+  if (problems.length > 0) {
+    throw new ValidationError(problems);
+  }
+}
+
+/**
+ * Create the checkout router, counting transactions in the `metrics` registry
+ */
+function createCheckoutRouter(checkoutService, metrics) {
+  const router = express.Router();
+  const transactions = metrics.counter({
+    name: 'checkout_transactions_total',
+    help: 'Checkout transactions by outcome (success, decline, invalid or error) and gateway code',
+    labelNames: ['outcome', 'reason'],
+  });
+  
+  /**
+   * Process payment transaction
+   * The charged amount is always the server-computed cart total; a client-supplied
+   * amount is only accepted as a confirmation and must match it exactly.
+   */
+  router.post('/', validateBody(CHECKOUT_SCHEMA), async (req, res, next) => {
+    try {
+      checkPaymentMethod(req.body);
+      
+      // The IP feeds the fraud rules; behind a proxy, set TRUST_PROXY so it is the buyer's
+      const { order, transaction, savedPaymentMethod } = await checkoutService.checkout({ ...req.body, ip: req.ip });
+      transactions.inc({ outcome: 'success' });
+      
+      res.json({
+        success: true,
+        orderId: order.id,
+        transaction: {
+          id: transaction.id,
+          amount: transaction.amount,
+          currency: order.currency,
+          status: transaction.status,
+          createdAt: transaction.createdAt,
+        },
+        savedPaymentMethod,
+      });
+    } catch (error) {
+      if (error instanceof PaymentDeclinedError) {
+        req.log.warn('Transaction failed', { reason: error.message, code: error.code, orderId: error.orderId });
+        transactions.inc({ outcome: error.outcome, reason: error.code });
+      } else if (!(error instanceof ServiceError)) {
+        // Gateway outages and other unexpected failures; invalid requests are
+        // not transactions
+        transactions.inc({ outcome: 'error' });
+      }
+      
+      next(error);
+    }
+  });
+  
+  return router;
+}
+
+module.exports = createCheckoutRouter;
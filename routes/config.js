@@ -0,0 +1,27 @@
+/**
+ * Config Routes
+ * Store branding and feature flags the browser builds its UI from
+ */
+
+const express = require('express');
+
+/**
+ * Create the config router
+ */
+function createConfigRouter(storeConfig) {
+  const router = express.Router();
+  
+  /**
+   * Get the store configuration
+   */
+  router.get('/', (req, res) => {
+    res.json({
+      success: true,
+      config: storeConfig,
+    });
+  });
+  
+  return router;
+}
+
+module.exports = createConfigRouter;
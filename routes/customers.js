@@ -0,0 +1,117 @@
+/**
+ * Customer Routes
+ * Vault customers and their saved payment methods. The customer IDs in these
+ * routes are the random handles the customer service issues; a handle is the
+ * only credential, so the browser keeps its own and never lists other
+ * customers.
+ */
+
+const express = require('express');
+const { validateBody } = require('../middleware/validate');
+
+const CREATE_CUSTOMER_SCHEMA = {
+  type: 'object',
+  properties: {
+    firstName: { type: 'string', maxLength: 255 },
+    lastName: { type: 'string', maxLength: 255 },
+    email: {
+      type: 'string',
+      maxLength: 255,
+      pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      patternMessage: 'must be an email address',
+    },
+  },
+};
+
+/**
+ * Create the customer router
+ */
+function createCustomerRouter(customerService) {
+  const router = express.Router();
+  
+  /**
+   * Create a customer
+   */
+  router.post('/', validateBody(CREATE_CUSTOMER_SCHEMA), async (req, res, next) => {
+    try {
+      const customer = await customerService.createCustomer(req.body);
+      
+      res.status(201).json({
+        success: true,
+        customer,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  /**
+   * Get a customer with their saved payment methods
+   */
+  router.get('/:customerId', async (req, res, next) => {
+    try {
+      const customer = await customerService.getCustomer(req.params.customerId);
+      
+      res.json({
+        success: true,
+        customer,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  /**
+   * List a customer's saved payment methods
+   */
+  router.get('/:customerId/payment-methods', async (req, res, next) => {
+    try {
+      const paymentMethods = await customerService.listPaymentMethods(req.params.customerId);
+      
+      res.json({
+        success: true,
+        paymentMethods,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  /**
+   * Create a single-use nonce for a saved card, used to verify it with 3D Secure
+   */
+  router.post('/:customerId/payment-methods/:token/nonce', async (req, res, next) => {
+    try {
+      const paymentMethodNonce = await customerService.createPaymentMethodNonce(
+        req.params.customerId,
+        req.params.token
+      );
+      
+      res.json({
+        success: true,
+        paymentMethodNonce,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  /**
+   * Delete a saved payment method
+   */
+  router.delete('/:customerId/payment-methods/:token', async (req, res, next) => {
+    try {
+      await customerService.deletePaymentMethod(req.params.customerId, req.params.token);
+      
+      res.json({
+        success: true,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  return router;
+}
+
+module.exports = createCustomerRouter;
@@ -0,0 +1,87 @@
+/**
+ * Event Routes
+ * Batches of analytics and error events from the checkout page, and support
+ * lookups of the recorded events
+ */
+
+const express = require('express');
+const EventService = require('../services/event-service');
+const requireAdmin = require('../middleware/require-admin');
+const { validateBody, validateQuery } = require('../middleware/validate');
+
+const MAX_BATCH_SIZE = 50;
+
+const EVENT_BATCH_SCHEMA = {
+  type: 'object',
+  properties: {
+    events: {
+      type: 'array',
+      required: true,
+      maxItems: MAX_BATCH_SIZE,
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', required: true, enum: Object.keys(EventService.EVENT_TYPES) },
+          time: { type: 'string', required: true, maxLength: 64 },
+          data: { type: 'object', additionalProperties: true },
+        },
+      },
+    },
+  },
+};
+
+const LIST_EVENTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: Object.keys(EventService.EVENT_TYPES) },
+    limit: { type: 'string', pattern: /^[1-9]\d{0,3}$/, patternMessage: 'must be a whole number from 1 to 9999' },
+  },
+};
+
+/**
+ * Create the event router
+ */
+function createEventRouter(eventService) {
+  const router = express.Router();
+  
+  /**
+   * Record a batch of events. The page sends its request ID as X-Request-Id,
+   * so the events are stored under the same ID as the page's server logs.
+   */
+  router.post('/', validateBody(EVENT_BATCH_SCHEMA), async (req, res, next) => {
+    try {
+      const records = await eventService.record(req.body.events, {
+        requestId: req.id,
+        userAgent: req.get('User-Agent') || null,
+      });
+      
+      res.status(202).json({
+        success: true,
+        accepted: records.length,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  /**
+   * List recent events, optionally of one `type` (at most `limit`, default 100)
+   */
+  router.get('/', requireAdmin, validateQuery(LIST_EVENTS_SCHEMA), async (req, res, next) => {
+    try {
+      const { type, limit = '100' } = req.query;
+      const events = await eventService.listEvents({ type, limit: Number(limit) });
+      
+      res.json({
+        success: true,
+        events,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  return router;
+}
+
+module.exports = createEventRouter;
@@ -0,0 +1,45 @@
+/**
+ * Health Routes
+ * Liveness for the process itself and readiness to take payments
+ */
+
+const express = require('express');
+
+/**
+ * Create the health router
+ */
+function createHealthRouter(readinessService) {
+  const router = express.Router();
+  
+  /**
+   * Liveness: the server is up and answering requests
+   */
+  router.get('/', (req, res) => {
+    res.json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'development',
+    });
+  });
+  
+  /**
+   * Readiness: the gateway and stores are usable; 503 while any check fails
+   */
+  router.get('/ready', async (req, res, next) => {
+    try {
+      const { ready, checks } = await readinessService.run();
+      
+      res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not_ready',
+        timestamp: new Date().toISOString(),
+        checks,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  return router;
+}
+
+module.exports = createHealthRouter;
@@ -0,0 +1,120 @@
+/**
+ * Order Routes
+ * Support lookups and reversals of recorded orders
+ */
+
+const express = require('express');
+const OrderService = require('../services/order-service');
+const requireAdmin = require('../middleware/require-admin');
+const { validateBody, validateQuery } = require('../middleware/validate');
+
+const LIST_ORDERS_SCHEMA = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: OrderService.ORDER_STATUSES },
+    from: { type: 'string', maxLength: 64 },
+    to: { type: 'string', maxLength: 64 },
+  },
+};
+
+const REFUND_SCHEMA = {
+  type: 'object',
+  properties: {
+    amount: { type: 'amount' },
+  },
+};
+
+const VOID_SCHEMA = {
+  type: 'object',
+  properties: {},
+};
+
+/**
+ * Create the order router
+ */
+function createOrderRouter(orderService, reversalService) {
+  const router = express.Router();
+  
+  router.use(requireAdmin);
+  
+  /**
+   * List orders, filtered by `status` and a `from`/`to` creation date range
+   */
+  router.get('/', validateQuery(LIST_ORDERS_SCHEMA), async (req, res, next) => {
+    try {
+      const { status, from, to } = req.query;
+      const orders = await orderService.listOrders({ status, from, to });
+      
+      res.json({
+        success: true,
+        orders,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  /**
+   * Get a single order
+   */
+  router.get('/:orderId', async (req, res, next) => {
+    try {
+      const order = await orderService.getOrder(req.params.orderId);
+      
+      res.json({
+        success: true,
+        order,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  /**
+   * Refund all or part of an order (`amount` omitted refunds the remaining balance).
+   * Unsettled transactions are voided instead, which only supports the full amount.
+   */
+  router.post('/:orderId/refund', validateBody(REFUND_SCHEMA), async (req, res, next) => {
+    try {
+      const { amount } = req.body;
+      const reversal = await reversalService.reverse(req.params.orderId, { amount });
+      
+      res.json(formatReversalResponse(reversal));
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  /**
+   * Cancel an order's full payment, voiding it or refunding it if already settled
+   */
+  router.post('/:orderId/void', validateBody(VOID_SCHEMA), async (req, res, next) => {
+    try {
+      const reversal = await reversalService.reverse(req.params.orderId);
+      
+      res.json(formatReversalResponse(reversal));
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  return router;
+}
+
+/**
+ * Build the response body for a completed reversal
+ */
+function formatReversalResponse({ type, order, transaction }) {
+  return {
+    success: true,
+    reversal: {
+      type,
+      amount: transaction.amount,
+      transactionId: transaction.id,
+      status: transaction.status,
+    },
+    order,
+  };
+}
+
+module.exports = createOrderRouter;
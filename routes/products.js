@@ -0,0 +1,33 @@
+/**
+ * Product Routes
+ * Read-only access to the server product catalog
+ */
+
+const express = require('express');
+const { formatCents } = require('../services/money');
+
+/**
+ * Create the product router
+ */
+function createProductRouter(catalog) {
+  const router = express.Router();
+  
+  /**
+   * List catalog products
+   */
+  router.get('/', (req, res) => {
+    res.json({
+      success: true,
+      products: catalog.listProducts().map(product => ({
+        id: product.id,
+        name: product.name,
+        prices: Object.fromEntries(Object.entries(product.pricesCents)
+          .map(([currency, cents]) => [currency, formatCents(cents)])),
+      })),
+    });
+  });
+  
+  return router;
+}
+
+module.exports = createProductRouter;
@@ -0,0 +1,62 @@
+/**
+ * Webhook Routes
+ * Receive Braintree webhook notifications
+ */
+
+const express = require('express');
+const { validateBody } = require('../middleware/validate');
+
+const BRAINTREE_NOTIFICATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    bt_signature: { type: 'string', required: true, minLength: 1, maxLength: 1024 },
+    bt_payload: { type: 'string', required: true, minLength: 1, maxLength: 1024 * 1024 },
+  },
+};
+
+/**
+ * Create the webhook router
+ */
+function createWebhookRouter(webhookService) {
+  const router = express.Router();
+  
+  /**
+   * Braintree posts form-encoded `bt_signature` and `bt_payload` fields
+   */
+  router.post('/braintree', validateBody(BRAINTREE_NOTIFICATION_SCHEMA), async (req, res, next) => {
+    const { bt_signature: signature, bt_payload: payload } = req.body;
+    
+    let result;
+    try {
+      result = await webhookService.handleNotification(signature, payload);
+    } catch (error) {
+      if (error.type === 'invalidSignatureError') {
+        req.log.warn('Rejected webhook with invalid signature', { reason: error.message });
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid webhook signature',
+        });
+      }
+      
+      // Anything else is answered with 500 so Braintree retries the delivery
+      return next(error);
+    }
+    
+    const { notification, order, duplicate } = result;
+    req.log.info(duplicate ? 'Webhook already processed' : 'Webhook received', {
+      kind: notification.kind,
+      orderId: order ? order.id : null,
+    });
+    
+    res.json({
+      success: true,
+      kind: notification.kind,
+      orderId: order ? order.id : null,
+      duplicate,
+    });
+  });
+  
+  return router;
+}
+
+module.exports = createWebhookRouter;
@@ -0,0 +1,83 @@
+/**
+ * Build the front-end bundles
+ *
+ * Usage: node scripts/build-assets.js (or npm run build)
+ *
+ * Bundles each page's ES module entry point, with Three.js and TWEEN.js from
+ * node_modules, into a content-hashed file in public/dist, and writes
+ * public/dist/manifest.json with each bundle's file name and Subresource
+ * Integrity hash for the server to fill into the pages.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const esbuild = require('esbuild');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const DIST_DIR = path.join(PUBLIC_DIR, 'dist');
+
+// Bundle name (as used in the pages' placeholders) and its entry point
+const ENTRY_POINTS = {
+  app: path.join(PUBLIC_DIR, 'js', 'main.js'),
+  debug: path.join(PUBLIC_DIR, 'js', 'debug.js'),
+};
+
+/**
+ * Compute the Subresource Integrity value for a file's contents
+ */
+function integrityOf(contents) {
+  return `sha384-${crypto.createHash('sha384').update(contents).digest('base64')}`;
+}
+
+/**
+ * Bundle every entry point into `outdir` and write its manifest
+ */
+async function buildAssets({ outdir = DIST_DIR, minify = true } = {}) {
+  fs.rmSync(outdir, { recursive: true, force: true });
+  
+  const result = await esbuild.build({
+    entryPoints: ENTRY_POINTS,
+    entryNames: '[name].[hash]',
+    outdir,
+    bundle: true,
+    format: 'esm',
+    target: ['es2020'],
+    minify,
+    sourcemap: true,
+    metafile: true,
+    logLevel: 'warning',
+  });
+  
+  const manifest = {};
+  
+  Object.entries(result.metafile.outputs).forEach(([outputPath, output]) => {
+    const name = Object.keys(ENTRY_POINTS)
+      .find(entry => path.resolve(output.entryPoint || '') === ENTRY_POINTS[entry]);
+    
+    if (name) {
+      manifest[name] = {
+        file: path.basename(outputPath),
+        integrity: integrityOf(fs.readFileSync(outputPath)),
+      };
+    }
+  });
+  
+  fs.writeFileSync(path.join(outdir, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifest;
+}
+
+if (require.main === module) {
+  buildAssets()
+    .then(manifest => {
+      Object.values(manifest).forEach(({ file, integrity }) => console.log(`${file} ${integrity}`));
+    })
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  buildAssets,
+};
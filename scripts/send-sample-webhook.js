@@ -0,0 +1,50 @@
+/**
+ * Send a locally generated Braintree sample webhook to the running server
+ *
+ * Usage: node scripts/send-sample-webhook.js <kind> [id] [url]
+ *   e.g. node scripts/send-sample-webhook.js transaction_settled <transactionId>
+ *
+ * The notification is signed with the configured BRAINTREE_PUBLIC_KEY and
+ * BRAINTREE_PRIVATE_KEY, so the server must use the same credentials.
+ */
+
+const http = require('http');
+require('dotenv').config();
+
+const { createGateway } = require('../services/gateway');
+
+const [kind, id = 'sample_id', url = `http://localhost:${process.env.PORT || 3000}/webhooks/braintree`] = process.argv.slice(2);
+
+if (!kind) {
+  console.error('Usage: node scripts/send-sample-webhook.js <kind> [id] [url]');
+  process.exit(1);
+}
+
+const gateway = createGateway();
+const sample = gateway.webhookTesting.sampleNotification(kind, id);
+const body = new URLSearchParams(sample).toString();
+
+const req = http.request(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    'Content-Length': Buffer.byteLength(body),
+  },
+}, (res) => {
+  let data = '';
+  res.on('data', (chunk) => {
+    data += chunk;
+  });
+  
+  res.on('end', () => {
+    console.log(`${res.statusCode} ${data}`);
+    process.exitCode = res.statusCode === 200 ? 0 : 1;
+  });
+});
+
+req.on('error', (error) => {
+  console.error('Failed to send webhook:', error.message);
+  process.exitCode = 1;
+});
+
+req.end(body);
@@ -6,42 +6,341 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
+const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
 
-// Braintree SDK
-const braintree = require('braintree');
+// Services and routes
+const CatalogService = require('./services/catalog-service');
+const PricingService = require('./services/pricing-service');
+const PromotionService = require('./services/promotion-service');
+const FraudService = require('./services/fraud-service');
+const CartService = require('./services/cart-service');
+const OrderService = require('./services/order-service');
+const CheckoutService = require('./services/checkout-service');
+const ReversalService = require('./services/reversal-service');
+const WebhookService = require('./services/webhook-service');
+const CustomerService = require('./services/customer-service');
+const EventService = require('./services/event-service');
+const ReadinessService = require('./services/readiness-service');
+const { createGateway, instrumentGateway, checkGateway } = require('./services/gateway');
+const { createOrderStore } = require('./services/order-stores');
+const { createCustomerStore } = require('./services/customer-stores');
+const { createEventStore } = require('./services/event-stores');
+const { createRedemptionStore } = require('./services/redemption-stores');
+const { loadStoreConfig } = require('./services/store-config');
+const { loadSecurityConfig } = require('./services/security-config');
+const { loadAssetManifest, renderPage } = require('./services/asset-manifest');
+const MerchantAccounts = require('./services/merchant-accounts');
+const Logger = require('./services/logger');
+const { MetricsRegistry } = require('./services/metrics');
+const { MemoryIdempotencyStore } = require('./services/idempotency-store');
+const { MemoryRateLimitStore } = require('./services/rate-limit-store');
+const createIdempotencyMiddleware = require('./middleware/idempotency');
+const createRateLimitMiddleware = require('./middleware/rate-limit');
+const createSecurityHeadersMiddleware = require('./middleware/security-headers');
+const createRequestLoggerMiddleware = require('./middleware/request-logger');
+const createMetricsMiddleware = require('./middleware/metrics');
+const requireAdmin = require('./middleware/require-admin');
+const { validateQuery } = require('./middleware/validate');
+const createProductRouter = require('./routes/products');
+const createCartRouter = require('./routes/carts');
+const createCheckoutRouter = require('./routes/checkout');
+const createOrderRouter = require('./routes/orders');
+const createWebhookRouter = require('./routes/webhooks');
+const createCustomerRouter = require('./routes/customers');
+const createConfigRouter = require('./routes/config');
+const createEventRouter = require('./routes/events');
+const createHealthRouter = require('./routes/health');
+const { ServiceError, ValidationError } = require('./services/errors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const production = process.env.NODE_ENV === 'production';
+
+// JSON log lines at LOG_LEVEL and above, with nonces, tokens and other
+// secrets redacted. Request handlers log through req.log, which adds the
+// request's correlation ID.
+const logger = new Logger({ level: process.env.LOG_LEVEL || 'info' });
+app.locals.logger = logger;
+
+// The checkout page's own logger is silent in production unless
+// CLIENT_LOG_LEVEL says otherwise
+const clientLogLevel = process.env.CLIENT_LOG_LEVEL || (production ? 'silent' : 'debug');
+
+if (!Logger.LEVELS.includes(clientLogLevel)) {
+  throw new Error(`Unknown CLIENT_LOG_LEVEL: ${clientLogLevel}`);
+}
+
+// Behind a load balancer or reverse proxy, TRUST_PROXY (a hop count such as 1,
+// 'true', or trusted addresses such as 'loopback') makes req.ip the client's
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// Request, transaction and gateway metrics, scraped by Prometheus from GET /metrics
+const metrics = new MetricsRegistry();
+app.locals.metrics = metrics;
+
+// Store branding served to the browser
+const storeConfig = loadStoreConfig();
+
+// Content Security Policy and other security headers on every response, HSTS
+// in production, and CORS only for the configured origins (the checkout page
+// itself is same-origin). Logos and themes hosted elsewhere are allowed.
+const securityConfig = loadSecurityConfig({ storeConfig });
 
 // Middleware setup
-app.use(cors());
+app.use(createRequestLoggerMiddleware(logger));
+app.use(createMetricsMiddleware(metrics));
+app.use(createSecurityHeadersMiddleware(securityConfig, { production }));
+app.use(cors({ origin: securityConfig.corsOrigins, exposedHeaders: ['X-Request-Id'] }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
+// Pages load the content-hashed bundles built by `npm run build`, checked by
+// their Subresource Integrity hashes; this response's CSP nonce is available
+// to any inline script as {{cspNonce}}, and its request ID and the client log
+// level are passed to the page's logger as {{requestId}} and {{clientLogLevel}}
+const assets = loadAssetManifest();
+const pages = {
+  '/': fs.readFileSync(path.join(__dirname, 'public', 'index.html'), 'utf8'),
+  '/debug.html': fs.readFileSync(path.join(__dirname, 'public', 'debug.html'), 'utf8'),
+};
+pages['/index.html'] = pages['/'];
+
+app.get(Object.keys(pages), (req, res) => {
+  res.type('html').send(renderPage(pages[req.path], {
+    ...assets,
+    cspNonce: res.locals.cspNonce,
+    requestId: req.id,
+    clientLogLevel,
+  }));
+});
+
+// A bundle's name changes with its contents, so browsers may cache it for good
+app.use('/dist', express.static(path.join(__dirname, 'public', 'dist'), {
+  immutable: true,
+  maxAge: '1y',
+}));
+
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Initialize Braintree gateway
-const gateway = new braintree.BraintreeGateway({
-  environment: process.env.BRAINTREE_ENVIRONMENT === 'production' 
-    ? braintree.Environment.Production 
-    : braintree.Environment.Sandbox,
-  merchantId: process.env.BRAINTREE_MERCHANT_ID,
-  publicKey: process.env.BRAINTREE_PUBLIC_KEY,
-  privateKey: process.env.BRAINTREE_PRIVATE_KEY,
+// Initialize Braintree gateway; every call is timed in the metrics
+const gateway = instrumentGateway(createGateway(), metrics);
+app.locals.gateway = gateway;
+
+// The store's product must be in the catalog and priced in the store currency
+const catalog = CatalogService.fromFile();
+catalog.getPriceCents(catalog.getProduct(storeConfig.productId), storeConfig.currency);
+
+// Carts are priced from the catalog in the store currency unless another is
+// requested, with shipping, discount codes and tax from the pricing rules;
+// all charged amounts are computed from these
+const promotions = PromotionService.fromFile(undefined, { store: createRedemptionStore() });
+const pricing = PricingService.fromFile(undefined, { promotions });
+// Carts left unchanged for CART_TTL_SECONDS (default 24 hours) are dropped
+const cartService = new CartService(catalog, {
+  defaultCurrency: storeConfig.currency,
+  pricing,
+  ttlSeconds: Number(process.env.CART_TTL_SECONDS) || undefined,
+});
+
+// Braintree merchant account per currency, e.g. MERCHANT_ACCOUNTS=USD:acme_usd,EUR:acme_eur.
+// Without an entry the store currency uses the gateway's default merchant account.
+const merchantAccounts = new MerchantAccounts(
+  MerchantAccounts.parse(process.env.MERCHANT_ACCOUNTS),
+  storeConfig.currency
+);
+
+// 3D Secure (Strong Customer Authentication): 'off', 'optional' to verify cards
+// in the browser when possible, or 'required' to reject unverified payments
+const THREE_D_SECURE_MODES = ['off', 'optional', 'required'];
+const threeDSecureMode = process.env.THREE_D_SECURE || 'off';
+
+if (!THREE_D_SECURE_MODES.includes(threeDSecureMode)) {
+  throw new Error(`Unknown THREE_D_SECURE mode: ${threeDSecureMode}`);
+}
+
+// Payment methods offered alongside cards, e.g. PAYMENT_METHODS=paypal,venmo.
+// Their nonces are charged through /checkout exactly like card nonces.
+const ALTERNATIVE_PAYMENT_METHODS = ['paypal', 'venmo'];
+const alternativePaymentMethods = (process.env.PAYMENT_METHODS || '')
+  .split(',')
+  .map(method => method.trim().toLowerCase())
+  .filter(Boolean);
+
+alternativePaymentMethods.forEach(method => {
+  if (!ALTERNATIVE_PAYMENT_METHODS.includes(method)) {
+    throw new Error(`Unknown payment method in PAYMENT_METHODS: ${method}`);
+  }
+});
+
+// Vaulted customers and their saved cards, reached through the random handles
+// the browser keeps instead of Braintree customer IDs
+const customerService = new CustomerService({ gateway, store: createCustomerStore() });
+
+// Fraud rules screen every checkout attempt before the sale. Additional rules
+// can be registered with app.locals.fraudService.addRule(name, rule).
+const fraudService = FraudService.fromFile();
+app.locals.fraudService = fraudService;
+
+// Orders recorded for every checkout attempt
+const orderService = new OrderService(createOrderStore());
+const checkoutService = new CheckoutService({
+  gateway,
+  cartService,
+  orderService,
+  customerService,
+  merchantAccounts,
+  promotions,
+  fraudService,
+  threeDSecureRequired: threeDSecureMode === 'required',
+  logger,
+});
+const reversalService = new ReversalService({ gateway, orderService });
+
+// Webhook notifications update orders after the page has closed. Additional
+// handlers can be registered with app.locals.webhookService.on(kind, handler).
+const webhookService = new WebhookService({ gateway, orderService });
+webhookService.on('dispute_opened', (notification, order) => {
+  logger.warn('Dispute opened', {
+    transactionId: notification.dispute.transaction.id,
+    orderId: order ? order.id : null,
+  });
+});
+app.locals.webhookService = webhookService;
+
+// Analytics and error events batched by the checkout page. Adapters forwarding
+// them to external services can be registered with
+// app.locals.eventService.addAdapter({ name, send(events) }).
+const eventService = new EventService({ store: createEventStore(undefined, { logger }), logger });
+app.locals.eventService = eventService;
+
+// GET /health/ready fails until the gateway answers with our credentials and
+// the stores can take writes. The gateway's answer is reused for 30 seconds
+// so frequent probes do not call Braintree each time. Additional checks can be
+// registered with app.locals.readiness.addCheck(name, check).
+const readiness = new ReadinessService({ logger });
+readiness.addCheck('gateway', () => checkGateway(gateway), { cacheSeconds: 30 });
+readiness.addCheck('orderStore', () => orderService.store.check());
+readiness.addCheck('customerStore', () => customerService.store.check());
+readiness.addCheck('eventStore', () => eventService.store.check());
+readiness.addCheck('redemptionStore', () => promotions.store.check());
+app.locals.readiness = readiness;
+
+// Checkout responses are replayed for retries carrying the same Idempotency-Key
+const idempotencyStore = new MemoryIdempotencyStore({
+  ttlSeconds: Number(process.env.IDEMPOTENCY_TTL_SECONDS) || undefined,
+});
+
+// Client tokens, checkout attempts and vault requests are throttled per IP and
+// per browser session, carts and discount codes per IP, within RATE_LIMIT_WINDOW_SECONDS; a limit of 0 turns it off
+const rateLimitStore = new MemoryRateLimitStore();
+app.locals.rateLimitStore = rateLimitStore;
+
+/**
+ * Read a rate limit from the environment, falling back to the default
+ */
+function rateLimitSetting(name, defaultValue) {
+  const value = process.env[name];
+  
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a whole number`);
+  }
+  
+  return Number(value);
+}
+
+const rateLimitWindowSeconds = rateLimitSetting('RATE_LIMIT_WINDOW_SECONDS', 60);
+const clientTokenRateLimit = createRateLimitMiddleware(rateLimitStore, {
+  name: 'client-token',
+  windowSeconds: rateLimitWindowSeconds,
+  perIp: rateLimitSetting('RATE_LIMIT_CLIENT_TOKEN_PER_IP', 60),
+  perSession: rateLimitSetting('RATE_LIMIT_CLIENT_TOKEN_PER_SESSION', 20),
+});
+const checkoutRateLimit = createRateLimitMiddleware(rateLimitStore, {
+  name: 'checkout',
+  windowSeconds: rateLimitWindowSeconds,
+  perIp: rateLimitSetting('RATE_LIMIT_CHECKOUT_PER_IP', 30),
+  perSession: rateLimitSetting('RATE_LIMIT_CHECKOUT_PER_SESSION', 10),
+});
+const cartsRateLimit = createRateLimitMiddleware(rateLimitStore, {
+  name: 'carts',
+  windowSeconds: rateLimitWindowSeconds,
+  perIp: rateLimitSetting('RATE_LIMIT_CARTS_PER_IP', 120),
+});
+// Much tighter, so discount codes cannot be guessed
+const discountRateLimit = createRateLimitMiddleware(rateLimitStore, {
+  name: 'discount',
+  windowSeconds: rateLimitWindowSeconds,
+  perIp: rateLimitSetting('RATE_LIMIT_DISCOUNT_PER_IP', 10),
+});
+const customersRateLimit = createRateLimitMiddleware(rateLimitStore, {
+  name: 'customers',
+  windowSeconds: rateLimitWindowSeconds,
+  perIp: rateLimitSetting('RATE_LIMIT_CUSTOMERS_PER_IP', 60),
+  perSession: rateLimitSetting('RATE_LIMIT_CUSTOMERS_PER_SESSION', 30),
+});
+const eventsRateLimit = createRateLimitMiddleware(rateLimitStore, {
+  name: 'events',
+  windowSeconds: rateLimitWindowSeconds,
+  perIp: rateLimitSetting('RATE_LIMIT_EVENTS_PER_IP', 120),
+});
+
+app.use('/config', createConfigRouter(storeConfig));
+app.use('/products', createProductRouter(catalog));
+app.post('/carts/:cartId/discount', discountRateLimit);
+app.use('/carts', cartsRateLimit, createCartRouter(cartService));
+app.use('/customers', customersRateLimit, createCustomerRouter(customerService));
+// Replays are answered before the rate limit, so retrying an attempt that
+// already has a response does not count as another attempt
+app.use(
+  '/checkout',
+  createIdempotencyMiddleware(idempotencyStore),
+  checkoutRateLimit,
+  createCheckoutRouter(checkoutService, metrics)
+);
+app.use('/orders', createOrderRouter(orderService, reversalService));
+app.use('/webhooks', createWebhookRouter(webhookService));
+app.use('/events', eventsRateLimit, createEventRouter(eventService));
+app.use('/health', createHealthRouter(readiness));
+
+const clientTokenFailures = metrics.counter({
+  name: 'client_token_failures_total',
+  help: 'Client tokens the gateway failed to generate',
 });
 
+const CLIENT_TOKEN_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    customerId: { type: 'string', minLength: 1, maxLength: 36 },
+  },
+};
+
 /**
- * Generate and return a client token for Braintree hosted fields
+ * Generate and return a client token for Braintree hosted fields.
+ * Pass `customerId` to issue a token tied to a vault customer.
  */
-app.get('/client-token', async (req, res) => {
+app.get('/client-token', clientTokenRateLimit, validateQuery(CLIENT_TOKEN_QUERY_SCHEMA), async (req, res, next) => {
   try {
-    const response = await gateway.clientToken.generate({
-      // Optional: specify customer ID if you have one
-      // customerId: 'customer_id'
-    });
+    const { customerId } = req.query;
+    
+    let vaultCustomerId = null;
+    
+    if (customerId) {
+      // Throws NotFoundError for unknown customers
+      await customerService.getCustomer(customerId);
+      vaultCustomerId = await customerService.resolveCustomerId(customerId);
+    }
+    
+    const response = await gateway.clientToken.generate(vaultCustomerId ? { customerId: vaultCustomerId } : {});
     
     res.json({
       success: true,
@@ -50,9 +349,19 @@ app.get('/client-token', async (req, res) => {
         braintreeEnvironment: process.env.BRAINTREE_ENVIRONMENT,
         merchantId: process.env.BRAINTREE_MERCHANT_ID,
       },
+      threeDSecure: {
+        enabled: threeDSecureMode !== 'off',
+        required: threeDSecureMode === 'required',
+      },
+      paymentMethods: ['card', ...alternativePaymentMethods],
     });
   } catch (error) {
-    console.error('Error generating client token:', error);
+    if (error instanceof ServiceError) {
+      return next(error);
+    }
+    
+    clientTokenFailures.inc();
+    req.log.error('Error generating client token', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to generate client token',
@@ -61,78 +370,40 @@ app.get('/client-token', async (req, res) => {
 });
 
 /**
- * Process payment transaction
+ * Prometheus metrics, for admins and the metrics scraper
  */
-app.post('/checkout', async (req, res) => {
-  const { paymentMethodNonce, amount } = req.body;
-  
-  // Validate required fields
-  if (!paymentMethodNonce || !amount) {
-    return res.status(400).json({
+app.get('/metrics', requireAdmin, (req, res) => {
+  res.type(MetricsRegistry.CONTENT_TYPE).send(metrics.render());
+});
+
+/**
+ * Error handling middleware
+ */
+app.use((err, req, res, next) => {
+  if (err instanceof ValidationError) {
+    return res.status(err.statusCode).json({
       success: false,
-      error: 'Payment method nonce and amount are required',
+      error: err.message,
+      details: err.details,
     });
   }
   
-  try {
-    // Create transaction
-    const result = await gateway.transaction.sale({
-      amount: amount,
-      paymentMethodNonce: paymentMethodNonce,
-      options: {
-        submitForSettlement: true,
-      },
+  if (err instanceof ServiceError) {
+    return res.status(err.statusCode).json({
+      success: false,
+      error: err.message,
     });
-    
-    if (result.success) {
-      res.json({
-        success: true,
-        transaction: {
-          id: result.transaction.id,
-          amount: result.transaction.amount,
-          status: result.transaction.status,
-          createdAt: result.transaction.createdAt,
-        },
-      });
-    } else {
-      console.error('Transaction failed:', result.message);
-      res.status(400).json({
-        success: false,
-        error: result.message || 'Transaction failed',
-      });
-    }
-  } catch (error) {
-    console.error('Error processing payment:', error);
-    res.status(500).json({
+  }
+  
+  // Client errors raised by middleware, e.g. malformed JSON from body-parser
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
       success: false,
-      error: 'Internal server error',
+      error: err.message,
     });
   }
-});
-
-/**
- * Health check endpoint
- */
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development',
-  });
-});
-
-/**
- * Serve the main application
- */
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-/**
- * Error handling middleware
- */
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  
+  req.log.error('Unhandled error', { error: err });
   res.status(500).json({
     success: false,
     error: 'Internal server error',
@@ -149,12 +420,21 @@ app.use((req, res) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 3D Checkout server running on port ${PORT}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`💳 Braintree Environment: ${process.env.BRAINTREE_ENVIRONMENT}`);
-  console.log(`📱 Access the app at: http://localhost:${PORT}`);
-});
+// Start server when run directly; tests import the app without listening
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info('3D Checkout server running', {
+      port: Number(PORT),
+      url: `http://localhost:${PORT}`,
+      store: storeConfig.name,
+      currency: storeConfig.currency,
+      environment: process.env.NODE_ENV || 'development',
+      braintreeEnvironment: process.env.BRAINTREE_ENVIRONMENT,
+      gateway: process.env.PAYMENT_GATEWAY || 'braintree',
+      threeDSecure: threeDSecureMode,
+      paymentMethods: ['card', ...alternativePaymentMethods],
+    });
+  });
+}
 
 module.exports = app;
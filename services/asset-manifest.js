@@ -0,0 +1,42 @@
+/**
+ * Asset Manifest
+ * Content-hashed bundle names and Subresource Integrity hashes written by
+ * `npm run build` (scripts/build-assets.js), and filling them into the HTML
+ * pages along with other per-response values such as the CSP nonce.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MANIFEST_PATH = path.join(__dirname, '..', 'public', 'dist', 'manifest.json');
+
+/**
+ * Load the manifest of built bundles, e.g. `{ app: { file, integrity } }`
+ */
+function loadAssetManifest(filePath = process.env.ASSET_MANIFEST_PATH || DEFAULT_MANIFEST_PATH) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Front-end bundles have not been built (${filePath} is missing); run npm run build`);
+  }
+  
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Fill the `{{name}}` and `{{name.property}}` placeholders of a page, HTML-escaped
+ */
+function renderPage(template, values) {
+  return template.replace(/{{([\w.]+)}}/g, (placeholder, key) => {
+    const value = key.split('.').reduce((current, part) => (current == null ? undefined : current[part]), values);
+    
+    if (value === undefined) {
+      throw new Error(`No value for page placeholder ${placeholder}`);
+    }
+    
+    return String(value).replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+  });
+}
+
+module.exports = {
+  loadAssetManifest,
+  renderPage,
+};
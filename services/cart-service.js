@@ -0,0 +1,341 @@
+/**
+ * Cart Service
+ * In-memory carts whose totals are always computed from the server catalog.
+ * Carts expire `ttlSeconds` after their last change, and are dropped as soon
+ * as they are paid for; only their IDs are kept until then, so paying twice
+ * is still refused.
+ */
+
+const crypto = require('crypto');
+const { formatCents } = require('./money');
+const { ServiceError, NotFoundError, ConflictError } = require('./errors');
+const PricingService = require('./pricing-service');
+
+const MAX_LINE_QUANTITY = 99;
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+class CartService {
+  constructor(catalog, {
+    defaultCurrency = 'USD',
+    pricing = new PricingService(),
+    ttlSeconds = DEFAULT_TTL_SECONDS,
+  } = {}) {
+    this.catalog = catalog;
+    this.defaultCurrency = defaultCurrency;
+    this.pricing = pricing;
+    this.ttlMs = ttlSeconds * 1000;
+    this.carts = new Map();
+    // Paid cart IDs and when they may be forgotten
+    this.checkedOutCarts = new Map();
+  }
+  
+  /**
+   * Create a cart priced in `currency` (the store currency by default),
+   * optionally seeded with `{ productId, quantity }` items
+   */
+  createCart(items = [], currency = this.defaultCurrency) {
+    const now = new Date().toISOString();
+    const cart = {
+      id: crypto.randomUUID(),
+      status: 'open',
+      currency,
+      items: new Map(),
+      shippingOptionId: this.pricing.getDefaultShippingOptionId(currency),
+      countryCode: null,
+      postalCode: null,
+      discountCode: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    
+    // Add items before storing so an invalid item leaves no orphaned cart behind
+    items.forEach(({ productId, quantity = 1 }) => {
+      this.putItem(cart, productId, quantity);
+    });
+    
+    this.sweep();
+    this.carts.set(cart.id, cart);
+    return cart;
+  }
+  
+  /**
+   * Get a cart by ID
+   */
+  getCart(cartId) {
+    const cart = this.carts.get(cartId);
+    
+    if (cart && this.isExpired(cart, Date.now())) {
+      this.carts.delete(cartId);
+    } else if (cart) {
+      return cart;
+    }
+    
+    if (this.checkedOutCarts.get(cartId) > Date.now()) {
+      throw new ConflictError('Cart has already been checked out');
+    }
+    
+    throw new NotFoundError(`Cart not found: ${cartId}`);
+  }
+  
+  /**
+   * Get a cart that can still be modified or charged
+   */
+  getOpenCart(cartId) {
+    const cart = this.getCart(cartId);
+    
+    if (cart.status === 'checking_out') {
+      throw new ConflictError('Cart payment is already in progress');
+    }
+    
+    if (cart.status !== 'open') {
+      throw new ConflictError('Cart has already been checked out');
+    }
+    
+    return cart;
+  }
+  
+  /**
+   * Add a product to the cart, or increase its quantity if already present
+   */
+  addItem(cartId, productId, quantity = 1) {
+    const cart = this.getOpenCart(cartId);
+    
+    this.putItem(cart, productId, quantity);
+    cart.updatedAt = new Date().toISOString();
+    
+    return cart;
+  }
+  
+  /**
+   * Merge a product line into a cart after checking it against the catalog
+   */
+  putItem(cart, productId, quantity) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ServiceError(`Quantity must be a whole number between 1 and ${MAX_LINE_QUANTITY}`);
+    }
+    
+    // Throws if the product is not in the catalog or not sold in the cart currency
+    this.catalog.getPriceCents(this.catalog.getProduct(productId), cart.currency);
+    
+    const existing = cart.items.get(productId);
+    const newQuantity = (existing ? existing.quantity : 0) + quantity;
+    
+    if (newQuantity > MAX_LINE_QUANTITY) {
+      throw new ServiceError(`Quantity must be a whole number between 1 and ${MAX_LINE_QUANTITY}`);
+    }
+    
+    cart.items.set(productId, { productId, quantity: newQuantity });
+  }
+  
+  /**
+   * Remove a product line from the cart
+   */
+  removeItem(cartId, productId) {
+    const cart = this.getOpenCart(cartId);
+    
+    if (!cart.items.delete(productId)) {
+      throw new NotFoundError(`Item not in cart: ${productId}`);
+    }
+    
+    cart.updatedAt = new Date().toISOString();
+    return cart;
+  }
+  
+  /**
+   * Choose how the cart ships and where to; the country and postal code
+   * decide the tax
+   */
+  setShipping(cartId, { shippingOptionId, countryCode, postalCode }) {
+    const cart = this.getOpenCart(cartId);
+    
+    if (shippingOptionId !== undefined) {
+      // Throws unless the option is offered in the cart currency
+      this.pricing.getShippingOption(shippingOptionId, cart.currency);
+      cart.shippingOptionId = shippingOptionId;
+    }
+    
+    if (countryCode !== undefined) {
+      cart.countryCode = countryCode.trim().toUpperCase() || null;
+    }
+    
+    if (postalCode !== undefined) {
+      cart.postalCode = postalCode.trim() || null;
+    }
+    
+    cart.updatedAt = new Date().toISOString();
+    return cart;
+  }
+  
+  /**
+   * Apply a discount code to the cart; throws when the code cannot be used on
+   * the cart as it stands, leaving any previous code in place
+   */
+  applyDiscount(cartId, code) {
+    const cart = this.getOpenCart(cartId);
+    const previousCode = cart.discountCode;
+    
+    cart.discountCode = code.trim().toUpperCase();
+    const { discountError } = this.getTotals(cart);
+    
+    if (discountError) {
+      cart.discountCode = previousCode;
+      throw new ServiceError(discountError);
+    }
+    
+    cart.updatedAt = new Date().toISOString();
+    return cart;
+  }
+  
+  /**
+   * Remove the cart's discount code
+   */
+  removeDiscount(cartId) {
+    const cart = this.getOpenCart(cartId);
+    
+    cart.discountCode = null;
+    cart.updatedAt = new Date().toISOString();
+    return cart;
+  }
+  
+  /**
+   * Resolve cart lines against the catalog
+   */
+  getLineItems(cart) {
+    return Array.from(cart.items.values()).map(({ productId, quantity }) => {
+      const product = this.catalog.getProduct(productId);
+      const unitPriceCents = this.catalog.getPriceCents(product, cart.currency);
+      
+      return {
+        productId,
+        name: product.name,
+        quantity,
+        unitPriceCents,
+        totalCents: unitPriceCents * quantity,
+      };
+    });
+  }
+  
+  /**
+   * Compute the itemized cart totals in cents through the pricing pipeline
+   */
+  getTotals(cart) {
+    return this.pricing.price({
+      currency: cart.currency,
+      lineItems: this.getLineItems(cart),
+      shippingOptionId: cart.shippingOptionId,
+      countryCode: cart.countryCode,
+      postalCode: cart.postalCode,
+      discountCode: cart.discountCode,
+    });
+  }
+  
+  /**
+   * Lock an open cart while its payment is in flight so it cannot be
+   * modified or charged by a concurrent checkout
+   */
+  beginCheckout(cartId) {
+    return this.setStatus(this.getOpenCart(cartId), 'checking_out');
+  }
+  
+  /**
+   * Reopen a locked cart after a failed payment
+   */
+  cancelCheckout(cartId) {
+    return this.setStatus(this.getCart(cartId), 'open');
+  }
+  
+  /**
+   * Mark a cart as paid and drop it, remembering only its ID so it cannot be
+   * charged or modified again
+   */
+  completeCheckout(cartId) {
+    const cart = this.setStatus(this.getCart(cartId), 'checked_out');
+    
+    this.carts.delete(cartId);
+    this.checkedOutCarts.set(cartId, Date.now() + this.ttlMs);
+    return cart;
+  }
+  
+  /**
+   * Whether a cart has gone unchanged for longer than the TTL; carts with a
+   * payment in flight never expire
+   */
+  isExpired(cart, now) {
+    return cart.status !== 'checking_out' && Date.parse(cart.updatedAt) + this.ttlMs <= now;
+  }
+  
+  /**
+   * Drop expired carts and the paid cart IDs that no longer need to be kept
+   */
+  sweep() {
+    const now = Date.now();
+    
+    for (const [cartId, cart] of this.carts) {
+      if (this.isExpired(cart, now)) {
+        this.carts.delete(cartId);
+      }
+    }
+    
+    for (const [cartId, expiresAt] of this.checkedOutCarts) {
+      if (expiresAt <= now) {
+        this.checkedOutCarts.delete(cartId);
+      }
+    }
+  }
+  
+  /**
+   * Set a cart's status
+   */
+  setStatus(cart, status) {
+    cart.status = status;
+    cart.updatedAt = new Date().toISOString();
+    return cart;
+  }
+  
+  /**
+   * Convert a cart to its public JSON representation
+   */
+  serializeCart(cart) {
+    const totals = this.getTotals(cart);
+    
+    return {
+      id: cart.id,
+      status: cart.status,
+      currency: cart.currency,
+      items: this.getLineItems(cart).map(item => ({
+        productId: item.productId,
+        name: item.name,
+        quantity: item.quantity,
+        unitPrice: formatCents(item.unitPriceCents),
+        total: formatCents(item.totalCents),
+      })),
+      shippingOptionId: cart.shippingOptionId,
+      countryCode: cart.countryCode,
+      postalCode: cart.postalCode,
+      shippingOptions: this.pricing.getShippingOptions(cart.currency).map(option => ({
+        id: option.id,
+        name: option.name,
+        requiresAddress: option.requiresAddress,
+        amount: formatCents(option.amountCents),
+      })),
+      discount: cart.discountCode
+        ? { code: cart.discountCode, description: totals.discountDescription, error: totals.discountError }
+        : null,
+      totals: {
+        subtotal: formatCents(totals.subtotalCents),
+        shipping: formatCents(totals.shippingCents),
+        discount: formatCents(totals.discountCents),
+        tax: formatCents(totals.taxCents),
+        taxRate: totals.taxRate,
+        taxRegion: totals.taxRegion,
+        total: formatCents(totals.totalCents),
+      },
+      createdAt: cart.createdAt,
+      updatedAt: cart.updatedAt,
+    };
+  }
+}
+
+CartService.MAX_LINE_QUANTITY = MAX_LINE_QUANTITY;
+
+module.exports = CartService;
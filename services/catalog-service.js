@@ -0,0 +1,87 @@
+/**
+ * Catalog Service
+ * Server-owned product catalog; the single source of truth for prices
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toCents } = require('./money');
+const { ServiceError, NotFoundError } = require('./errors');
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '..', 'config', 'catalog.json');
+
+class CatalogService {
+  constructor(products = []) {
+    this.products = new Map();
+    
+    products.forEach(product => this.addProduct(product));
+  }
+  
+  /**
+   * Create a catalog from a JSON file with a top-level `products` array
+   */
+  static fromFile(filePath = process.env.CATALOG_PATH || DEFAULT_CATALOG_PATH) {
+    const { products } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new CatalogService(products);
+  }
+  
+  /**
+   * Register a product priced in one or more currencies, e.g.
+   * `prices: { USD: '29.99', EUR: '27.99' }`, normalizing prices to integer
+   * cents. A single `price` is accepted as shorthand for `{ [currency]: price }`.
+   */
+  addProduct({ id, name, prices, price, currency = 'USD' }) {
+    const entries = Object.entries(prices || { [currency]: price });
+    const pricesCents = {};
+    
+    entries.forEach(([code, amount]) => {
+      pricesCents[code] = CURRENCY_PATTERN.test(code) ? toCents(amount) : null;
+    });
+    
+    const isValid = id && name && entries.length > 0
+      && Object.values(pricesCents).every(cents => cents !== null);
+    
+    if (!isValid) {
+      throw new Error(`Invalid catalog product: ${JSON.stringify({ id, name, prices: prices || { [currency]: price } })}`);
+    }
+    
+    this.products.set(id, { id, name, pricesCents });
+  }
+  
+  /**
+   * Get a product by ID
+   */
+  getProduct(productId) {
+    const product = this.products.get(productId);
+    
+    if (!product) {
+      throw new NotFoundError(`Product not found: ${productId}`);
+    }
+    
+    return product;
+  }
+  
+  /**
+   * Get a product's price in cents in the given currency
+   */
+  getPriceCents(product, currency) {
+    const priceCents = product.pricesCents[currency];
+    
+    if (priceCents === undefined) {
+      throw new ServiceError(`${product.name} is not available in ${currency}`);
+    }
+    
+    return priceCents;
+  }
+  
+  /**
+   * List all products
+   */
+  listProducts() {
+    return Array.from(this.products.values());
+  }
+}
+
+module.exports = CatalogService;
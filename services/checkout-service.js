@@ -0,0 +1,385 @@
+/**
+ * Checkout Service
+ * Charges a cart through the payment gateway and records the resulting order
+ */
+
+const { toCents, formatCents } = require('./money');
+const { ServiceError, PaymentDeclinedError } = require('./errors');
+const MerchantAccounts = require('./merchant-accounts');
+const PricingService = require('./pricing-service');
+const FraudService = require('./fraud-service');
+const Logger = require('./logger');
+
+const FRAUD_DECLINE_MESSAGE = 'Payment declined by fraud screening';
+
+/**
+ * Outcome and code of an unsuccessful sale: a declined transaction is coded by
+ * its gateway rejection reason (e.g. 'cvv'), settlement response code or
+ * processor response code (e.g. '2000'); a request the gateway refused without
+ * creating a transaction, such as an unknown nonce, is 'invalid' and coded by
+ * its first validation error code
+ */
+function describeFailure({ transaction, errors }) {
+  if (transaction) {
+    const codes = {
+      gateway_rejected: transaction.gatewayRejectionReason,
+      settlement_declined: transaction.processorSettlementResponseCode,
+    };
+    
+    return {
+      outcome: 'decline',
+      code: codes[transaction.status] || transaction.processorResponseCode || transaction.status,
+    };
+  }
+  
+  const [error] = errors ? errors.deepErrors() : [];
+  return { outcome: 'invalid', code: error ? error.code : 'unknown' };
+}
+
+class CheckoutService {
+  constructor({
+    gateway,
+    cartService,
+    orderService,
+    customerService,
+    merchantAccounts = new MerchantAccounts(),
+    promotions = null,
+    fraudService = new FraudService(),
+    threeDSecureRequired = false,
+    logger = new Logger({ level: 'silent' }),
+  }) {
+    this.gateway = gateway;
+    this.cartService = cartService;
+    this.orderService = orderService;
+    this.customerService = customerService;
+    this.merchantAccounts = merchantAccounts;
+    this.promotions = promotions;
+    this.fraudService = fraudService;
+    this.threeDSecureRequired = threeDSecureRequired;
+    this.logger = logger;
+  }
+  
+  /**
+   * Charge the server-computed total of a cart through the merchant account
+   * for the cart currency.
+   * A client-supplied amount is only a confirmation and must match the total.
+   * Pays with a new card (`paymentMethodNonce`, optionally saved to the
+   * customer's vault) or with one of the customer's saved cards
+   * (`paymentMethodToken`). `customerId` is the handle the customer service
+   * gave the browser, never a Braintree customer ID.
+   * Billing and shipping addresses are passed to the gateway for address
+   * verification (AVS); the order records both with the AVS and CVV results.
+   * Every attempt is screened by the fraud rules (using the buyer's `ip` and
+   * `email`) before the sale; rejected attempts never reach the gateway, and
+   * the order records the decision. `deviceData` from the browser's data
+   * collector is passed on to Braintree's own fraud tools.
+   */
+  async checkout({
+    paymentMethodNonce,
+    paymentMethodToken,
+    customerId,
+    savePaymentMethod = false,
+    cartId,
+    amount,
+    billing,
+    shipping,
+    email,
+    deviceData,
+    ip = null,
+  }) {
+    const cart = this.cartService.getOpenCart(cartId);
+    const { totalCents, discountError } = this.cartService.getTotals(cart);
+    const { items, totals, discount } = this.cartService.serializeCart(cart);
+    
+    if (cart.items.size === 0) {
+      throw new ServiceError('Cart is empty');
+    }
+    
+    // Cards cannot be charged nothing, e.g. when a code takes 100% off
+    if (totalCents === 0) {
+      throw new ServiceError('Cart total must be greater than zero');
+    }
+    
+    if (amount !== undefined && toCents(amount) !== totalCents) {
+      throw new ServiceError('Amount does not match cart total');
+    }
+    
+    // A code can stop applying after it was accepted, e.g. once it expires
+    if (discountError) {
+      throw new ServiceError(discountError);
+    }
+    
+    const billingAddress = billing ? this.normalizeAddress(billing) : null;
+    const shippingAddress = shipping ? this.resolveShippingAddress(cart, shipping) : null;
+    
+    // Throws when no merchant account settles the cart currency
+    const merchantAccountId = this.merchantAccounts.getMerchantAccountId(cart.currency);
+    
+    // Throws unless the customer exists and owns the saved card
+    if (paymentMethodToken) {
+      await this.customerService.getPaymentMethod(customerId, paymentMethodToken);
+    } else if (customerId) {
+      await this.customerService.getCustomer(customerId);
+    }
+    
+    // Orders, fraud rules and the gateway use the Braintree customer ID
+    const vaultCustomerId = customerId ? await this.customerService.resolveCustomerId(customerId) : null;
+    
+    this.cartService.beginCheckout(cartId);
+    
+    // Hold a use of a limited code so concurrent checkouts cannot exceed it
+    const reservation = discount && this.promotions ? { code: discount.code, id: cartId } : null;
+    let fraud;
+    let order;
+    let result;
+    try {
+      if (reservation) {
+        await this.promotions.reserveRedemption(reservation.code, reservation.id);
+      }
+      
+      fraud = await this.fraudService.screen({
+        ip,
+        email: email || null,
+        amountCents: totalCents,
+        currency: cart.currency,
+        billing: billingAddress,
+        shipping: shippingAddress,
+        customerId: vaultCustomerId,
+        cartId,
+      });
+      
+      order = await this.orderService.createOrder({
+        cartId,
+        customerId: vaultCustomerId,
+        lineItems: items,
+        amount: formatCents(totalCents),
+        currency: cart.currency,
+        totals,
+        shipping: { optionId: cart.shippingOptionId, countryCode: cart.countryCode, postalCode: cart.postalCode },
+        discountCode: discount ? discount.code : null,
+        billingAddress,
+        shippingAddress,
+        email: email || null,
+        fraud,
+      });
+      
+      // A rejected attempt is declined like a failed sale, without charging
+      if (fraud.decision === 'reject') {
+        result = { success: false, message: FRAUD_DECLINE_MESSAGE };
+      } else {
+        result = await this.gateway.transaction.sale(this.buildSale({
+          amount: formatCents(totalCents),
+          taxAmount: totals.tax,
+          shippingAmount: totals.shipping,
+          discountAmount: totals.discount,
+          lineItems: items,
+          billingAddress,
+          shippingAddress,
+          merchantAccountId,
+          paymentMethodNonce,
+          paymentMethodToken,
+          customerId: vaultCustomerId,
+          savePaymentMethod,
+          email,
+          deviceData,
+        }));
+      }
+    } catch (error) {
+      this.cartService.cancelCheckout(cartId);
+      
+      if (reservation) {
+        await this.promotions.releaseRedemption(reservation.id);
+      }
+      
+      if (order) {
+        await this.orderService.markFailed(order.id, 'Payment gateway error');
+      }
+      
+      throw error;
+    }
+    
+    if (!result.success) {
+      const reason = result.message || 'Transaction failed';
+      
+      this.cartService.cancelCheckout(cartId);
+      
+      if (reservation) {
+        await this.promotions.releaseRedemption(reservation.id);
+      }
+      
+      await this.orderService.markFailed(order.id, reason, result.transaction);
+      
+      const failure = fraud.decision === 'reject'
+        ? { outcome: 'decline', code: 'fraud_screening' }
+        : describeFailure(result);
+      
+      throw new PaymentDeclinedError(reason, order.id, failure);
+    }
+    
+    // The buyer has been charged, so the checkout succeeds from here on: a
+    // failed error response would invite a retry that charges them again.
+    // Bookkeeping that fails is logged for reconciliation instead.
+    const record = async (step, work) => {
+      try {
+        return await work();
+      } catch (error) {
+        this.logger.error('Could not record a paid checkout', {
+          step,
+          orderId: order.id,
+          transactionId: result.transaction.id,
+          error,
+        });
+        return null;
+      }
+    };
+    
+    await record('completeCheckout', () => this.cartService.completeCheckout(cartId));
+    
+    if (reservation) {
+      await record('confirmRedemption', () => this.promotions.confirmRedemption(reservation.code, reservation.id));
+    }
+    
+    const paidOrder = await record('markPaid', () => this.orderService.markPaid(order.id, result.transaction)) || order;
+    
+    // The transaction only carries card details; the vault also knows whether
+    // the card became the default. The payment has succeeded either way.
+    const vaultedCard = result.transaction.creditCard;
+    let savedPaymentMethod = null;
+    
+    if (savePaymentMethod && vaultedCard && vaultedCard.token) {
+      savedPaymentMethod = await this.customerService.getPaymentMethod(customerId, vaultedCard.token)
+        .catch(() => record('serializePaymentMethod', () => this.customerService.serializePaymentMethod(vaultedCard)));
+    }
+    
+    return {
+      order: paidOrder,
+      transaction: result.transaction,
+      savedPaymentMethod,
+    };
+  }
+  
+  /**
+   * Trim an address, dropping empty fields, with an uppercase country code
+   */
+  normalizeAddress(address) {
+    const normalized = {};
+    
+    Object.entries(address).forEach(([field, value]) => {
+      const trimmed = value.trim();
+      
+      if (trimmed) {
+        normalized[field] = field === 'countryCodeAlpha2' ? trimmed.toUpperCase() : trimmed;
+      }
+    });
+    
+    return normalized;
+  }
+  
+  /**
+   * Normalize the shipping address, which must go to the country and postal
+   * code the cart was taxed for (the postal code defaults to the cart's). A
+   * cart without them was not taxed, so it cannot ship to an address.
+   */
+  resolveShippingAddress(cart, shipping) {
+    const address = this.normalizeAddress(shipping);
+    
+    if (!cart.countryCode || !cart.postalCode) {
+      throw new ServiceError('Set the cart shipping country and postal code before checking out with a shipping address');
+    }
+    
+    if (address.countryCodeAlpha2 !== cart.countryCode) {
+      throw new ServiceError('Shipping address country does not match the cart shipping country');
+    }
+    
+    if (!address.postalCode) {
+      return { ...address, postalCode: cart.postalCode };
+    }
+    
+    if (PricingService.normalizePostalCode(address.postalCode) !== PricingService.normalizePostalCode(cart.postalCode)) {
+      throw new ServiceError('Shipping address postal code does not match the cart shipping postal code');
+    }
+    
+    return address;
+  }
+  
+  /**
+   * Build the gateway sale request for a new or saved payment method,
+   * itemized with the cart's tax, shipping, discount and line items
+   */
+  buildSale({
+    amount,
+    taxAmount,
+    shippingAmount,
+    discountAmount,
+    lineItems,
+    billingAddress,
+    shippingAddress,
+    merchantAccountId,
+    paymentMethodNonce,
+    paymentMethodToken,
+    customerId,
+    savePaymentMethod,
+    email,
+    deviceData,
+  }) {
+    const sale = {
+      amount,
+      taxAmount,
+      shippingAmount,
+      discountAmount,
+      // Braintree limits line item names to 35 and product codes to 12 characters
+      lineItems: lineItems.map(item => ({
+        kind: 'debit',
+        name: item.name.slice(0, 35),
+        productCode: item.productId.slice(0, 12),
+        quantity: String(item.quantity),
+        unitAmount: item.unitPrice,
+        totalAmount: item.total,
+      })),
+      options: {
+        submitForSettlement: true,
+      },
+    };
+    
+    if (billingAddress) {
+      sale.billing = billingAddress;
+    }
+    
+    if (shippingAddress) {
+      sale.shipping = shippingAddress;
+    }
+    
+    if (merchantAccountId) {
+      sale.merchantAccountId = merchantAccountId;
+    }
+    
+    if (paymentMethodToken) {
+      sale.paymentMethodToken = paymentMethodToken;
+    } else {
+      sale.paymentMethodNonce = paymentMethodNonce;
+    }
+    
+    if (customerId) {
+      sale.customerId = customerId;
+    } else if (email) {
+      sale.customer = { email };
+    }
+    
+    if (deviceData) {
+      sale.deviceData = deviceData;
+    }
+    
+    if (savePaymentMethod && !paymentMethodToken) {
+      sale.options.storeInVaultOnSuccess = true;
+    }
+    
+    // Braintree rejects the sale unless the nonce passed 3D Secure verification
+    if (this.threeDSecureRequired) {
+      sale.options.threeDSecure = { required: true };
+    }
+    
+    return sale;
+  }
+}
+
+module.exports = CheckoutService;
@@ -0,0 +1,163 @@
+/**
+ * Customer Service
+ * Braintree vault customers and their saved payment methods. Browsers never
+ * see Braintree customer IDs, which are short and guessable: each customer is
+ * given a random handle instead, and holding the handle is what grants access
+ * to the vault.
+ */
+
+const crypto = require('crypto');
+const { ServiceError, NotFoundError } = require('./errors');
+const { MemoryCustomerStore } = require('./customer-stores');
+
+const HANDLE_BYTES = 24;
+
+/**
+ * The digest a handle is stored under, so the store alone grants no access
+ */
+function digestHandle(handle) {
+  return crypto.createHash('sha256').update(String(handle)).digest('hex');
+}
+
+class CustomerService {
+  constructor({ gateway, store = new MemoryCustomerStore() }) {
+    this.gateway = gateway;
+    this.store = store;
+  }
+  
+  /**
+   * Create a vault customer; every field is optional so a guest can start
+   * saving cards without an account
+   */
+  async createCustomer({ firstName, lastName, email } = {}) {
+    const result = await this.gateway.customer.create({ firstName, lastName, email });
+    
+    if (!result.success) {
+      throw new ServiceError(result.message || 'Failed to create customer');
+    }
+    
+    const handle = crypto.randomBytes(HANDLE_BYTES).toString('base64url');
+    await this.store.insert(digestHandle(handle), result.customer.id);
+    
+    return this.serializeCustomer(result.customer, handle);
+  }
+  
+  /**
+   * The Braintree customer ID behind a handle
+   */
+  async resolveCustomerId(handle) {
+    const customerId = await this.store.get(digestHandle(handle));
+    
+    if (!customerId) {
+      throw new NotFoundError('Customer not found');
+    }
+    
+    return customerId;
+  }
+  
+  /**
+   * Get a customer with their saved payment methods
+   */
+  async getCustomer(handle) {
+    return this.serializeCustomer(await this.findCustomer(handle), handle);
+  }
+  
+  /**
+   * List a customer's saved payment methods, default first
+   */
+  async listPaymentMethods(handle) {
+    const customer = await this.findCustomer(handle);
+    
+    return (customer.paymentMethods || [])
+      .map(method => this.serializePaymentMethod(method))
+      .sort((a, b) => Number(b.default) - Number(a.default));
+  }
+  
+  /**
+   * Get one of a customer's payment methods; tokens belonging to other
+   * customers are reported as not found
+   */
+  async getPaymentMethod(handle, token) {
+    const methods = await this.listPaymentMethods(handle);
+    const method = methods.find(candidate => candidate.token === token);
+    
+    if (!method) {
+      throw new NotFoundError(`Payment method not found: ${token}`);
+    }
+    
+    return method;
+  }
+  
+  /**
+   * Create a single-use nonce for a saved card so the browser can run it
+   * through 3D Secure before paying with it
+   */
+  async createPaymentMethodNonce(handle, token) {
+    await this.getPaymentMethod(handle, token);
+    const result = await this.gateway.paymentMethodNonce.create(token);
+    
+    if (!result.success) {
+      throw new ServiceError(result.message || 'Failed to create payment method nonce');
+    }
+    
+    const { nonce, details = {} } = result.paymentMethodNonce;
+    return { nonce, bin: details.bin || null };
+  }
+  
+  /**
+   * Remove a saved payment method from a customer's vault
+   */
+  async deletePaymentMethod(handle, token) {
+    await this.getPaymentMethod(handle, token);
+    await this.gateway.paymentMethod.delete(token);
+  }
+  
+  /**
+   * Find the Braintree customer behind a handle, translating the SDK's
+   * not-found error
+   */
+  async findCustomer(handle) {
+    const customerId = await this.resolveCustomerId(handle);
+    
+    try {
+      return await this.gateway.customer.find(customerId);
+    } catch (error) {
+      if (error.type === 'notFoundError') {
+        throw new NotFoundError('Customer not found');
+      }
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * Public representation of a customer, identified by their handle
+   */
+  serializeCustomer(customer, handle) {
+    return {
+      id: handle,
+      firstName: customer.firstName || null,
+      lastName: customer.lastName || null,
+      email: customer.email || null,
+      paymentMethods: (customer.paymentMethods || []).map(method => this.serializePaymentMethod(method)),
+      createdAt: customer.createdAt,
+    };
+  }
+  
+  /**
+   * Public representation of a saved payment method; never includes more
+   * than the card brand, last four digits and expiry
+   */
+  serializePaymentMethod(method) {
+    return {
+      token: method.token,
+      cardType: method.cardType || null,
+      last4: method.last4 || null,
+      expirationDate: method.expirationDate || null,
+      default: Boolean(method.default),
+      imageUrl: method.imageUrl || null,
+    };
+  }
+}
+
+module.exports = CustomerService;
@@ -0,0 +1,110 @@
+/**
+ * Customer Stores
+ * Pluggable persistence mapping the customer handles given to browsers to
+ * Braintree customer IDs. Stores only ever see a digest of each handle. Every
+ * store implements the same async interface: insert(handleDigest, customerId),
+ * get(handleDigest), and check(), which rejects when the store cannot take
+ * writes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * Keeps customer handles in process memory; used for development and tests
+ */
+class MemoryCustomerStore {
+  constructor() {
+    this.customers = new Map();
+  }
+  
+  async insert(handleDigest, customerId) {
+    this.customers.set(handleDigest, customerId);
+  }
+  
+  async get(handleDigest) {
+    return this.customers.get(handleDigest) || null;
+  }
+  
+  async check() {}
+}
+
+/**
+ * Persists customer handles to a JSON file. Writes are serialized and replace
+ * the file atomically, like the order store.
+ */
+class FileCustomerStore extends MemoryCustomerStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+    this.load();
+  }
+  
+  /**
+   * Load existing handles from disk
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+    
+    const { customers = {} } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    Object.entries(customers).forEach(([handleDigest, customerId]) => this.customers.set(handleDigest, customerId));
+  }
+  
+  /**
+   * Write all handles to disk after any pending write has finished
+   */
+  persist() {
+    const write = async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      const contents = JSON.stringify({ customers: Object.fromEntries(this.customers) }, null, 2);
+      
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, contents, { mode: 0o600 });
+      await fs.promises.rename(tempPath, this.filePath);
+    };
+    
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+  
+  /**
+   * Reject unless the data directory exists or can be created, and is writable
+   */
+  async check() {
+    const directory = path.dirname(this.filePath);
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.access(directory, fs.constants.W_OK);
+  }
+  
+  async insert(handleDigest, customerId) {
+    await super.insert(handleDigest, customerId);
+    await this.persist();
+  }
+}
+
+/**
+ * Create the customer store selected by CUSTOMER_STORE ('file' or 'memory')
+ */
+function createCustomerStore(type = process.env.CUSTOMER_STORE || 'file') {
+  switch (type) {
+    case 'memory':
+      return new MemoryCustomerStore();
+    case 'file':
+      return new FileCustomerStore(
+        path.join(process.env.DATA_DIR || DEFAULT_DATA_DIR, 'customers.json')
+      );
+    default:
+      throw new Error(`Unknown customer store: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryCustomerStore,
+  FileCustomerStore,
+  createCustomerStore,
+};
@@ -0,0 +1,71 @@
+/**
+ * Service Errors
+ * Error types thrown by services and translated into HTTP responses by the server
+ */
+
+/**
+ * Base error carrying the HTTP status code it should be reported with
+ */
+class ServiceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ServiceError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Requested resource does not exist
+ */
+class NotFoundError extends ServiceError {
+  constructor(message) {
+    super(message, 404);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Request conflicts with the current state of a resource
+ */
+class ConflictError extends ServiceError {
+  constructor(message) {
+    super(message, 409);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * Request input failed schema validation; `details` lists each field problem
+ * as `{ field, message }`
+ */
+class ValidationError extends ServiceError {
+  constructor(details, message = 'Request validation failed') {
+    super(message, 400);
+    this.name = 'ValidationError';
+    this.details = details;
+  }
+}
+
+/**
+ * Payment was declined or rejected by the gateway. `outcome` is 'decline'
+ * when a transaction was refused, with the processor response code or gateway
+ * rejection reason as `code`, or 'invalid' when the gateway refused the
+ * request itself, with its validation error code.
+ */
+class PaymentDeclinedError extends ServiceError {
+  constructor(message, orderId = null, { outcome = 'decline', code = null } = {}) {
+    super(message, 400);
+    this.name = 'PaymentDeclinedError';
+    this.orderId = orderId;
+    this.outcome = outcome;
+    this.code = code;
+  }
+}
+
+module.exports = {
+  ServiceError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  PaymentDeclinedError,
+};
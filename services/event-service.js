@@ -0,0 +1,121 @@
+/**
+ * Event Service
+ * Records the analytics and error events the checkout page sends in batches
+ * and forwards them to the registered adapters, e.g. an analytics or error
+ * tracking service. An adapter is any object with this shape:
+ *
+ *   name            used in logs
+ *   send(events)    may be async; a failure is logged and never reaches the page
+ *
+ * Every event type has a schema for its `data`; the page's EventBus
+ * (public/js/event-bus.js) declares the same types.
+ */
+
+const crypto = require('crypto');
+const Logger = require('./logger');
+const { assertValid } = require('./validation');
+
+const EVENT_TYPES = {
+  init_timing: {
+    step: { type: 'string', required: true, maxLength: 64 },
+    durationMs: { type: 'number', required: true, minimum: 0 },
+  },
+  field_focus: {
+    field: { type: 'string', required: true, maxLength: 64 },
+  },
+  validation_error: {
+    field: { type: 'string', required: true, maxLength: 64 },
+  },
+  payment_submit: {
+    paymentMethod: { type: 'string', required: true, maxLength: 32 },
+  },
+  payment_success: {
+    orderId: { type: 'string', maxLength: 64 },
+    transactionId: { type: 'string', required: true, maxLength: 64 },
+    amount: { type: 'string', maxLength: 32 },
+    currency: { type: 'string', maxLength: 3 },
+  },
+  payment_decline: {
+    reason: { type: 'string', required: true, maxLength: 512 },
+  },
+  rate_limited: {
+    retryAfter: { type: 'integer', required: true, minimum: 0 },
+  },
+  webgl_failure: {
+    message: { type: 'string', required: true, maxLength: 512 },
+  },
+  client_error: {
+    message: { type: 'string', required: true, maxLength: 512 },
+    context: { type: 'string', maxLength: 64 },
+  },
+};
+
+class EventService {
+  constructor({ store, adapters = [], logger = new Logger({ level: 'silent' }) }) {
+    this.store = store;
+    this.adapters = [...adapters];
+    this.logger = logger;
+  }
+  
+  /**
+   * Forward every recorded batch to an adapter as well
+   */
+  addAdapter(adapter) {
+    if (!adapter || typeof adapter.send !== 'function') {
+      throw new Error('Event adapters must have a send(events) method');
+    }
+    
+    this.adapters.push(adapter);
+  }
+  
+  /**
+   * Validate and store a batch of `{ type, time, data }` events sent by the
+   * page; the whole batch is rejected if any event is invalid. `requestId`
+   * and `userAgent` describe the page that sent it.
+   */
+  async record(events, { requestId = null, userAgent = null } = {}) {
+    events.forEach((event, index) => {
+      assertValid(event.data || {}, { type: 'object', properties: EVENT_TYPES[event.type] }, `events[${index}].data`);
+    });
+    
+    const receivedAt = new Date().toISOString();
+    const records = events.map(event => ({
+      id: crypto.randomUUID(),
+      type: event.type,
+      time: event.time,
+      receivedAt,
+      requestId,
+      userAgent,
+      data: event.data || {},
+    }));
+    
+    await this.store.append(records);
+    this.forward(records);
+    
+    return records;
+  }
+  
+  /**
+   * Recent events, oldest first
+   */
+  async listEvents({ type, limit } = {}) {
+    return this.store.list({ type, limit });
+  }
+  
+  /**
+   * Hand a batch to every adapter without waiting for them
+   */
+  forward(records) {
+    this.adapters.forEach(adapter => {
+      Promise.resolve()
+        .then(() => adapter.send(records))
+        .catch(error => {
+          this.logger.warn('Event adapter failed', { adapter: adapter.name, error });
+        });
+    });
+  }
+}
+
+EventService.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = EventService;
@@ -0,0 +1,158 @@
+/**
+ * Event Stores
+ * Pluggable persistence for client events. Every store implements the same
+ * async interface: append(events), list({ type, limit }), and check(), which
+ * rejects when the store cannot take writes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+const DEFAULT_MAX_EVENTS = 10000;
+const DEFAULT_MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Keeps the most recent events in process memory; used for development and tests
+ */
+class MemoryEventStore {
+  constructor({ maxEvents = DEFAULT_MAX_EVENTS } = {}) {
+    this.maxEvents = maxEvents;
+    this.events = [];
+  }
+  
+  async append(events) {
+    this.events.push(...events.map(event => ({ ...event })));
+    
+    if (this.events.length > this.maxEvents) {
+      this.events.splice(0, this.events.length - this.maxEvents);
+    }
+  }
+  
+  /**
+   * The most recent `limit` events, oldest first, optionally of one type
+   */
+  async list({ type, limit = 100 } = {}) {
+    const matching = type ? this.events.filter(event => event.type === type) : this.events;
+    return matching.slice(-limit).map(event => ({ ...event }));
+  }
+  
+  async check() {}
+}
+
+/**
+ * Appends events to a JSON Lines file, one event per line, so the history
+ * can be shipped to other tools as it grows. Once the file would grow past
+ * `maxFileBytes` it is moved to `<file>.1`, replacing the previous one, and a
+ * new file is started, so events take at most twice that on disk. Recent
+ * events are also kept in memory for listing; lines that cannot be parsed,
+ * e.g. one cut short by a crash mid-write, are logged and skipped on load.
+ */
+class FileEventStore extends MemoryEventStore {
+  constructor(filePath, {
+    maxFileBytes = DEFAULT_MAX_FILE_BYTES,
+    logger = new Logger({ level: 'silent' }),
+    ...options
+  } = {}) {
+    super(options);
+    this.filePath = filePath;
+    this.maxFileBytes = maxFileBytes;
+    this.logger = logger;
+    this.fileBytes = 0;
+    this.writeQueue = Promise.resolve();
+    this.load();
+  }
+  
+  /**
+   * Load the most recent events from the last `maxFileBytes` of the file
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+    
+    const { size } = fs.statSync(this.filePath);
+    const length = Math.min(size, this.maxFileBytes);
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(this.filePath, 'r');
+    
+    try {
+      fs.readSync(fd, buffer, 0, length, size - length);
+    } finally {
+      fs.closeSync(fd);
+    }
+    
+    const lines = buffer.toString('utf8').split('\n');
+    
+    // Reading from the middle of the file cuts its first line short
+    if (length < size) {
+      lines.shift();
+    }
+    
+    this.events = lines.filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        this.logger.warn('Skipped an unreadable event line', { file: this.filePath, error: error.message });
+        return [];
+      }
+    }).slice(-this.maxEvents);
+    this.fileBytes = size;
+  }
+  
+  /**
+   * Reject unless the data directory exists or can be created, and is writable
+   */
+  async check() {
+    const directory = path.dirname(this.filePath);
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.access(directory, fs.constants.W_OK);
+  }
+  
+  async append(events) {
+    await super.append(events);
+    
+    const contents = events.map(event => `${JSON.stringify(event)}\n`).join('');
+    const bytes = Buffer.byteLength(contents);
+    
+    const write = async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      
+      if (this.fileBytes > 0 && this.fileBytes + bytes > this.maxFileBytes) {
+        await fs.promises.rename(this.filePath, `${this.filePath}.1`);
+        this.fileBytes = 0;
+      }
+      
+      await fs.promises.appendFile(this.filePath, contents);
+      this.fileBytes += bytes;
+    };
+    
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+}
+
+/**
+ * Create the event store selected by EVENT_STORE ('file' or 'memory'); the
+ * file is rotated at EVENT_FILE_MAX_BYTES (default 10 MB)
+ */
+function createEventStore(type = process.env.EVENT_STORE || 'file', { logger } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryEventStore();
+    case 'file':
+      return new FileEventStore(
+        path.join(process.env.DATA_DIR || DEFAULT_DATA_DIR, 'events.jsonl'),
+        { maxFileBytes: Number(process.env.EVENT_FILE_MAX_BYTES) || undefined, logger }
+      );
+    default:
+      throw new Error(`Unknown event store: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryEventStore,
+  FileEventStore,
+  createEventStore,
+};
@@ -0,0 +1,241 @@
+/**
+ * Fraud Service
+ * Screens checkout attempts before the sale is sent to the gateway. Each rule
+ * looks at the attempt and may `flag` it for review or `reject` it; any
+ * rejection declines the payment. The built-in rules cover blocklisted
+ * emails, IPs and billing countries, amount thresholds per currency and
+ * attempt velocity per IP and email. More rules can be added with addRule().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toCents } = require('./money');
+const { validate } = require('./validation');
+
+const DEFAULT_FRAUD_PATH = path.join(__dirname, '..', 'config', 'fraud.json');
+
+const ACTIONS = ['flag', 'reject'];
+
+const STRING_LIST = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const FRAUD_SCHEMA = {
+  type: 'object',
+  properties: {
+    velocity: {
+      type: 'object',
+      properties: {
+        windowMinutes: { type: 'integer', required: true, minimum: 1 },
+        maxAttemptsPerIp: { type: 'integer', minimum: 1 },
+        maxAttemptsPerEmail: { type: 'integer', minimum: 1 },
+        action: { type: 'string', enum: ACTIONS },
+      },
+    },
+    amountThresholds: { type: 'object', additionalProperties: true },
+    blocklists: {
+      type: 'object',
+      properties: {
+        emails: STRING_LIST,
+        emailDomains: STRING_LIST,
+        ips: STRING_LIST,
+        countries: STRING_LIST,
+      },
+    },
+  },
+};
+
+class FraudService {
+  constructor({ velocity = null, amountThresholds = {}, blocklists = {} } = {}) {
+    this.velocity = velocity ? { action: 'reject', ...velocity } : null;
+    this.amountThresholds = Object.fromEntries(Object.entries(amountThresholds)
+      .map(([currency, { flag, reject }]) => [currency, {
+        flagCents: flag !== undefined ? toCents(flag) : null,
+        rejectCents: reject !== undefined ? toCents(reject) : null,
+      }]));
+    
+    const lowercase = (values = []) => new Set(values.map(value => value.toLowerCase()));
+    this.blocklists = {
+      emails: lowercase(blocklists.emails),
+      emailDomains: lowercase(blocklists.emailDomains),
+      ips: new Set(blocklists.ips || []),
+      countries: new Set((blocklists.countries || []).map(country => country.toUpperCase())),
+    };
+    
+    // Timestamps of recent attempts by key, e.g. 'ip:203.0.113.7'
+    this.attempts = new Map();
+    
+    this.rules = [];
+    this.addRule('blocklist', attempt => this.checkBlocklists(attempt));
+    this.addRule('amount', attempt => this.checkAmount(attempt));
+    this.addRule('velocity', attempt => this.checkVelocity(attempt));
+  }
+  
+  /**
+   * Create the rules from a JSON file
+   */
+  static fromFile(filePath = process.env.FRAUD_RULES_PATH || DEFAULT_FRAUD_PATH) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const problems = validate(config, FRAUD_SCHEMA);
+    
+    Object.entries(config.amountThresholds || {}).forEach(([currency, thresholds]) => {
+      const isValid = /^[A-Z]{3}$/.test(currency)
+        && thresholds && typeof thresholds === 'object'
+        && Object.entries(thresholds).every(([action, amount]) => ACTIONS.includes(action) && toCents(amount) !== null);
+      
+      if (!isValid) {
+        problems.push({ field: `amountThresholds.${currency}`, message: 'must map flag and reject to amounts' });
+      }
+    });
+    
+    if (problems.length > 0) {
+      const details = problems.map(({ field, message }) => `${field} ${message}`).join('; ');
+      throw new Error(`Invalid fraud config: ${details}`);
+    }
+    
+    return new FraudService(config);
+  }
+  
+  /**
+   * Add a rule. Rules receive the attempt (`{ ip, email, amountCents,
+   * currency, billing, shipping, customerId, cartId }`) and return, or resolve
+   * to, `{ action: 'flag' | 'reject', message }` or null to let it pass.
+   */
+  addRule(name, rule) {
+    this.rules.push({ name, rule });
+  }
+  
+  /**
+   * Run every rule against a checkout attempt and decide whether to accept,
+   * flag or reject it
+   */
+  async screen(attempt) {
+    this.recordAttempt(attempt);
+    
+    const reasons = [];
+    
+    for (const { name, rule } of this.rules) {
+      const outcome = await rule(attempt);
+      
+      if (outcome) {
+        if (!ACTIONS.includes(outcome.action)) {
+          throw new Error(`Fraud rule ${name} returned an unknown action: ${outcome.action}`);
+        }
+        
+        reasons.push({ rule: name, action: outcome.action, message: outcome.message });
+      }
+    }
+    
+    let decision = 'accept';
+    if (reasons.some(({ action }) => action === 'reject')) {
+      decision = 'reject';
+    } else if (reasons.length > 0) {
+      decision = 'flag';
+    }
+    
+    return { decision, reasons, screenedAt: new Date().toISOString() };
+  }
+  
+  /**
+   * Reject emails, email domains, IPs and billing countries on the blocklists
+   */
+  checkBlocklists({ ip, email, billing }) {
+    const normalizedEmail = email ? email.toLowerCase() : null;
+    const domain = normalizedEmail ? normalizedEmail.split('@').pop() : null;
+    const country = billing && billing.countryCodeAlpha2;
+    
+    if (normalizedEmail && this.blocklists.emails.has(normalizedEmail)) {
+      return { action: 'reject', message: 'Email address is blocklisted' };
+    }
+    
+    if (domain && this.blocklists.emailDomains.has(domain)) {
+      return { action: 'reject', message: `Email domain ${domain} is blocklisted` };
+    }
+    
+    if (ip && this.blocklists.ips.has(ip)) {
+      return { action: 'reject', message: `IP address ${ip} is blocklisted` };
+    }
+    
+    if (country && this.blocklists.countries.has(country)) {
+      return { action: 'reject', message: `Billing country ${country} is blocklisted` };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Flag or reject large amounts, by the thresholds of the attempt's currency
+   */
+  checkAmount({ amountCents, currency }) {
+    const thresholds = this.amountThresholds[currency];
+    
+    if (!thresholds) {
+      return null;
+    }
+    
+    if (thresholds.rejectCents !== null && amountCents >= thresholds.rejectCents) {
+      return { action: 'reject', message: `Amount exceeds the ${currency} rejection threshold` };
+    }
+    
+    if (thresholds.flagCents !== null && amountCents >= thresholds.flagCents) {
+      return { action: 'flag', message: `Amount exceeds the ${currency} review threshold` };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Act on IPs and emails making more attempts than allowed in the window
+   */
+  checkVelocity({ ip, email }) {
+    if (!this.velocity) {
+      return null;
+    }
+    
+    const { maxAttemptsPerIp, maxAttemptsPerEmail, windowMinutes, action } = this.velocity;
+    
+    if (ip && maxAttemptsPerIp && this.countAttempts(`ip:${ip}`) > maxAttemptsPerIp) {
+      return { action, message: `More than ${maxAttemptsPerIp} attempts from this IP in ${windowMinutes} minutes` };
+    }
+    
+    if (email && maxAttemptsPerEmail && this.countAttempts(`email:${email.toLowerCase()}`) > maxAttemptsPerEmail) {
+      return { action, message: `More than ${maxAttemptsPerEmail} attempts with this email in ${windowMinutes} minutes` };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Remember an attempt for the velocity rule, forgetting attempts that have
+   * left the window
+   */
+  recordAttempt({ ip, email }) {
+    if (!this.velocity) {
+      return;
+    }
+    
+    const now = Date.now();
+    const keys = [ip && `ip:${ip}`, email && `email:${email.toLowerCase()}`].filter(Boolean);
+    
+    keys.forEach(key => {
+      this.attempts.set(key, [...(this.attempts.get(key) || []), now]);
+    });
+    
+    this.attempts.forEach((timestamps, key) => {
+      const recent = timestamps.filter(timestamp => now - timestamp < this.velocity.windowMinutes * 60 * 1000);
+      
+      if (recent.length > 0) {
+        this.attempts.set(key, recent);
+      } else {
+        this.attempts.delete(key);
+      }
+    });
+  }
+  
+  /**
+   * Number of attempts in the window for a key
+   */
+  countAttempts(key) {
+    return (this.attempts.get(key) || []).length;
+  }
+}
+
+module.exports = FraudService;
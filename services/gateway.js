@@ -0,0 +1,114 @@
+/**
+ * Payment Gateway Factory
+ * Builds the Braintree gateway, or the offline mock when PAYMENT_GATEWAY=mock,
+ * and times the gateway calls the checkout makes
+ */
+
+const braintree = require('braintree');
+const MockGateway = require('./mock-gateway');
+const MerchantAccounts = require('./merchant-accounts');
+
+/**
+ * Create the payment gateway selected by PAYMENT_GATEWAY ('braintree' or 'mock')
+ */
+function createGateway(type = process.env.PAYMENT_GATEWAY || 'braintree') {
+  switch (type) {
+    case 'mock':
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('The mock payment gateway cannot be used in production');
+      }
+      
+      return new MockGateway({
+        publicKey: process.env.BRAINTREE_PUBLIC_KEY || undefined,
+        privateKey: process.env.BRAINTREE_PRIVATE_KEY || undefined,
+        merchantAccounts: MerchantAccounts.parse(process.env.MERCHANT_ACCOUNTS),
+      });
+    case 'braintree':
+      return new braintree.BraintreeGateway({
+        environment: process.env.BRAINTREE_ENVIRONMENT === 'production' 
+          ? braintree.Environment.Production 
+          : braintree.Environment.Sandbox,
+        merchantId: process.env.BRAINTREE_MERCHANT_ID,
+        publicKey: process.env.BRAINTREE_PUBLIC_KEY,
+        privateKey: process.env.BRAINTREE_PRIVATE_KEY,
+      });
+    default:
+      throw new Error(`Unknown payment gateway: ${type}`);
+  }
+}
+
+// The gateway calls the services make, by namespace
+const GATEWAY_OPERATIONS = {
+  clientToken: ['generate'],
+  customer: ['create', 'find'],
+  paymentMethod: ['find', 'delete'],
+  paymentMethodNonce: ['create'],
+  transaction: ['sale', 'find', 'void', 'refund'],
+  webhookNotification: ['parse'],
+};
+
+/**
+ * Record the latency of every gateway call in the
+ * gateway_request_duration_seconds histogram, by operation (e.g.
+ * 'transaction.sale') and outcome: 'success', 'failure' for results with
+ * `success: false` such as declines, or 'error' when the call throws.
+ * The methods are replaced in place, so the gateway keeps its shape.
+ */
+function instrumentGateway(gateway, metrics) {
+  const duration = metrics.histogram({
+    name: 'gateway_request_duration_seconds',
+    help: 'Payment gateway call latency in seconds',
+    labelNames: ['operation', 'outcome'],
+  });
+  
+  Object.entries(GATEWAY_OPERATIONS).forEach(([namespace, methods]) => {
+    const target = gateway[namespace];
+    
+    if (!target) {
+      return;
+    }
+    
+    methods.forEach(method => {
+      const original = target[method];
+      
+      if (typeof original !== 'function') {
+        return;
+      }
+      
+      target[method] = function timedGatewayCall(...args) {
+        const end = duration.startTimer({ operation: `${namespace}.${method}` });
+        
+        return Promise.resolve(original.apply(this, args)).then(
+          result => {
+            end({ outcome: result && result.success === false ? 'failure' : 'success' });
+            return result;
+          },
+          error => {
+            end({ outcome: 'error' });
+            throw error;
+          }
+        );
+      };
+    });
+  });
+  
+  return gateway;
+}
+
+/**
+ * Check that the gateway accepts our credentials and is reachable by
+ * generating a client token
+ */
+async function checkGateway(gateway) {
+  const result = await gateway.clientToken.generate({});
+  
+  if (!result || !result.clientToken) {
+    throw new Error((result && result.message) || 'The gateway did not return a client token');
+  }
+}
+
+module.exports = {
+  createGateway,
+  instrumentGateway,
+  checkGateway,
+};
@@ -0,0 +1,84 @@
+/**
+ * Idempotency Store
+ * Remembers the outcome of requests by Idempotency-Key for a limited window.
+ * The async interface (get, start, complete, release) allows a shared store
+ * such as Redis to be swapped in when running several server instances.
+ */
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+class MemoryIdempotencyStore {
+  constructor({ ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+    this.ttlMs = ttlSeconds * 1000;
+    this.records = new Map();
+  }
+  
+  /**
+   * Get the unexpired record for a key
+   */
+  async get(key) {
+    const record = this.records.get(key);
+    
+    if (record && record.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+    
+    return record || null;
+  }
+  
+  /**
+   * Claim a key for an in-flight request.
+   * Returns false when the key is already claimed or completed.
+   */
+  async start(key, fingerprint) {
+    if (await this.get(key)) {
+      return false;
+    }
+    
+    this.sweep();
+    this.records.set(key, {
+      fingerprint,
+      state: 'in_progress',
+      response: null,
+      expiresAt: Date.now() + this.ttlMs,
+    });
+    return true;
+  }
+  
+  /**
+   * Store the final response for a key
+   */
+  async complete(key, response) {
+    const record = this.records.get(key);
+    
+    if (record) {
+      record.state = 'completed';
+      record.response = response;
+    }
+  }
+  
+  /**
+   * Forget a key so the request can be retried
+   */
+  async release(key) {
+    this.records.delete(key);
+  }
+  
+  /**
+   * Drop expired records
+   */
+  sweep() {
+    const now = Date.now();
+    
+    for (const [key, record] of this.records) {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  MemoryIdempotencyStore,
+};
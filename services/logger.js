@@ -0,0 +1,128 @@
+/**
+ * Logger
+ * Structured JSON logging, one line per entry with the time, level, message
+ * and fields. Fields that hold payment nonces, tokens, signatures or other
+ * secrets are redacted before anything is written.
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Field names whose values are never written
+const REDACTED_FIELD = /nonce|token|signature|payload|devicedata|authorization|password|secret|apikey|cvv/i;
+
+/**
+ * Write info and debug entries to stdout, warnings and errors to stderr
+ */
+function writeToConsole(level, line) {
+  if (level === 'warn' || level === 'error') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+class Logger {
+  constructor({ level = 'info', fields = {}, write = writeToConsole } = {}) {
+    if (!LEVELS.includes(level)) {
+      throw new Error(`Unknown log level: ${level} (expected ${LEVELS.join(', ')})`);
+    }
+    
+    this.level = level;
+    this.fields = fields;
+    this.write = write;
+  }
+  
+  /**
+   * A logger that adds `fields` to every entry, e.g. the request ID
+   */
+  child(fields) {
+    return new Logger({ level: this.level, fields: { ...this.fields, ...fields }, write: this.write });
+  }
+  
+  /**
+   * Whether entries at `level` are written
+   */
+  isEnabled(level) {
+    return LEVELS.indexOf(level) >= LEVELS.indexOf(this.level);
+  }
+  
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+  
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+  
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+  
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+  
+  /**
+   * Write an entry at `level` with the logger's fields and `fields`
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+    
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...Logger.redact({ ...this.fields, ...fields }),
+    };
+    
+    this.write(level, JSON.stringify(entry));
+  }
+  
+  /**
+   * Copy a value with secret fields replaced by '[REDACTED]' and errors
+   * reduced to their name, message, code and stack
+   */
+  static redact(value, seen = new Set()) {
+    if (value instanceof Error) {
+      const { name, message, code, stack } = value;
+      return Logger.redact({ name, message, code, stack }, seen);
+    }
+    
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    
+    // `seen` holds the objects being copied, so only cycles are cut short
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    seen.add(value);
+    
+    let redacted;
+    
+    if (Array.isArray(value)) {
+      redacted = value.map(item => Logger.redact(item, seen));
+    } else {
+      redacted = {};
+      
+      Object.entries(value).forEach(([key, fieldValue]) => {
+        if (fieldValue !== undefined) {
+          redacted[key] = REDACTED_FIELD.test(key) ? '[REDACTED]' : Logger.redact(fieldValue, seen);
+        }
+      });
+    }
+    
+    seen.delete(value);
+    return redacted;
+  }
+}
+
+Logger.LEVELS = LEVELS;
+
+module.exports = Logger;
@@ -0,0 +1,51 @@
+/**
+ * Merchant Accounts
+ * Braintree settles each currency through its own merchant account. Sales are
+ * routed to the account configured for the order currency; the store currency
+ * may instead use the gateway's default merchant account.
+ */
+
+const { ServiceError } = require('./errors');
+
+class MerchantAccounts {
+  constructor(accounts = {}, defaultCurrency = 'USD') {
+    this.accounts = accounts;
+    this.defaultCurrency = defaultCurrency;
+  }
+  
+  /**
+   * Parse `USD:acme_usd,EUR:acme_eur` into `{ USD: 'acme_usd', EUR: 'acme_eur' }`
+   */
+  static parse(value = '') {
+    const accounts = {};
+    
+    value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const [currency, merchantAccountId] = entry.split(':').map(part => part.trim());
+      
+      if (!/^[A-Za-z]{3}$/.test(currency) || !merchantAccountId) {
+        throw new Error(`Invalid merchant account entry: ${entry} (expected CURRENCY:merchantAccountId)`);
+      }
+      
+      accounts[currency.toUpperCase()] = merchantAccountId;
+    });
+    
+    return accounts;
+  }
+  
+  /**
+   * Merchant account ID for a currency, or null to use the gateway default
+   */
+  getMerchantAccountId(currency) {
+    if (this.accounts[currency]) {
+      return this.accounts[currency];
+    }
+    
+    if (currency === this.defaultCurrency) {
+      return null;
+    }
+    
+    throw new ServiceError(`No merchant account is configured for ${currency}`);
+  }
+}
+
+module.exports = MerchantAccounts;
@@ -0,0 +1,235 @@
+/**
+ * Metrics
+ * Counters and histograms rendered in the Prometheus text exposition format
+ * for GET /metrics. Each metric declares its label names up front; every
+ * combination of label values is its own series.
+ */
+
+// Seconds; suits HTTP handlers and gateway calls from milliseconds to 10s
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+/**
+ * Escape a label value for the exposition format
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format label pairs as `{name="value",...}`, or nothing without labels
+ */
+function formatLabels(pairs) {
+  if (pairs.length === 0) {
+    return '';
+  }
+  
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base class keeping one value per combination of label values
+ */
+class Metric {
+  constructor({ name, help, labelNames = [] }) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+  
+  /**
+   * The label values in declaration order, keyed for the series map
+   */
+  seriesKey(labels) {
+    const unknown = Object.keys(labels).find(name => !this.labelNames.includes(name));
+    
+    if (unknown) {
+      throw new Error(`Metric ${this.name} has no label ${unknown}`);
+    }
+    
+    return JSON.stringify(this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+  }
+  
+  /**
+   * Label pairs of a series key
+   */
+  labelPairs(key) {
+    return JSON.parse(key).map((value, index) => [this.labelNames[index], value]);
+  }
+  
+  /**
+   * The HELP and TYPE lines followed by the sample lines
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.samples(),
+    ].join('\n');
+  }
+  
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super(options);
+    this.type = 'counter';
+  }
+  
+  /**
+   * Add `value` (default 1) to the series for `labels`
+   */
+  inc(labels = {}, value = 1) {
+    const key = this.seriesKey(labels);
+    this.series.set(key, (this.series.get(key) || 0) + value);
+  }
+  
+  /**
+   * Current value for `labels`
+   */
+  get(labels = {}) {
+    return this.series.get(this.seriesKey(labels)) || 0;
+  }
+  
+  samples() {
+    return Array.from(this.series, ([key, value]) => `${this.name}${formatLabels(this.labelPairs(key))} ${value}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options);
+    this.type = 'histogram';
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+  
+  /**
+   * Record one observation, e.g. a duration in seconds
+   */
+  observe(labels, value) {
+    const key = this.seriesKey(labels);
+    
+    if (!this.series.has(key)) {
+      this.series.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    
+    const series = this.series.get(key);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+  
+  /**
+   * Start timing; the returned function records the seconds elapsed, with
+   * any labels only known at the end (e.g. the outcome) added
+   */
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    
+    return (endLabels = {}) => {
+      this.observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    };
+  }
+  
+  /**
+   * Observation count and sum for `labels`
+   */
+  get(labels = {}) {
+    const series = this.series.get(this.seriesKey(labels));
+    return series ? { count: series.count, sum: series.sum } : { count: 0, sum: 0 };
+  }
+  
+  samples() {
+    const lines = [];
+    
+    this.series.forEach((series, key) => {
+      const pairs = this.labelPairs(key);
+      
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels([...pairs, ['le', String(bound)]])} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(pairs)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(pairs)} ${series.count}`);
+    });
+    
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+  
+  /**
+   * Register a counter, or return the one already registered under the name
+   */
+  counter(options) {
+    return this.register(Counter, options);
+  }
+  
+  /**
+   * Register a histogram, or return the one already registered under the name
+   */
+  histogram(options) {
+    return this.register(Histogram, options);
+  }
+  
+  register(MetricType, options) {
+    const existing = this.metrics.get(options.name);
+    
+    if (existing) {
+      if (!(existing instanceof MetricType)) {
+        throw new Error(`Metric ${options.name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+    
+    const metric = new MetricType(options);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+  
+  /**
+   * A registered metric by name
+   */
+  get(name) {
+    return this.metrics.get(name);
+  }
+  
+  /**
+   * All metrics in the Prometheus text exposition format
+   */
+  render() {
+    return `${Array.from(this.metrics.values(), metric => metric.render()).join('\n')}\n`;
+  }
+  
+  /**
+   * Clear every series, keeping the metrics registered
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+MetricsRegistry.CONTENT_TYPE = 'text/plain; version=0.0.4';
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Histogram,
+};
@@ -0,0 +1,609 @@
+/**
+ * Mock Payment Gateway
+ * In-process stand-in for the Braintree gateway used when PAYMENT_GATEWAY=mock.
+ * Outcomes are deterministic and follow the Braintree sandbox conventions:
+ *
+ * Nonces
+ *   fake-valid-nonce (and any fake-valid-*-nonce)   approved
+ *   fake-processor-declined-*-nonce                 processor declined (2000)
+ *   fake-gateway-rejected-fraud-nonce               gateway rejected (fraud)
+ *   fake-three-d-secure-*-full-authentication-nonce approved, 3D Secure liability shifted
+ *   fake-paypal-one-time-nonce                      approved, paid with a PayPal account
+ *   fake-venmo-account-nonce                        approved, paid with a Venmo account
+ *   anything else                                   unknown nonce validation error
+ *
+ * Approved nonces name the card brand, e.g. fake-valid-mastercard-nonce; vaulted
+ * payment methods are charged with their `paymentMethodToken` instead, or with
+ * the single-use nonce from paymentMethodNonce.create(token). Card sales
+ * requiring 3D Secure (`options.threeDSecure.required`) are gateway rejected
+ * unless the nonce was authenticated; PayPal and Venmo are never vaulted.
+ *
+ * Sales without a `merchantAccountId` settle in USD through the default
+ * merchant account; other accounts are passed as `merchantAccounts`
+ * ({ EUR: 'acme_eur' }) and settle in their currency. Line items sent with a
+ * sale are returned by transactionLineItem.findAll(transactionId).
+ *
+ * Card sales report AVS results for their `billing` address: street addresses
+ * starting with 200 do not match (N) and 201 are not verified (U); postal
+ * codes 20000 and 20001 likewise; a missing street or postal code is not
+ * provided (I) and anything else matches (M). CVV matches for new cards and
+ * is not provided for saved ones.
+ *
+ * Amounts (for approved nonces)
+ *   2000.00 - 2999.99   processor declined with the amount as response code
+ *   3000.00 - 3000.99   processor network unavailable (failed)
+ *   5001.00             gateway rejected (application incomplete)
+ */
+
+const crypto = require('crypto');
+const braintree = require('braintree');
+const { toCents, formatCents } = require('./money');
+
+// Statuses from which a transaction can be voided or refunded
+const VOIDABLE_STATUSES = ['authorized', 'submitted_for_settlement', 'settlement_pending'];
+const REFUNDABLE_STATUSES = ['settled', 'settling'];
+
+// Card details for the brand named in a fake-valid-*-nonce
+const NONCE_CARDS = {
+  visa: { cardType: 'Visa', bin: '411111', last4: '1111' },
+  mastercard: { cardType: 'MasterCard', bin: '555555', last4: '4444' },
+  amex: { cardType: 'American Express', bin: '378282', last4: '0005' },
+  discover: { cardType: 'Discover', bin: '601111', last4: '1117' },
+};
+
+// Accounts paid with by the PayPal and Venmo test nonces
+const NONCE_ACCOUNTS = {
+  'fake-paypal-one-time-nonce': {
+    paymentInstrumentType: 'paypal_account',
+    paypalAccount: { payerEmail: 'payer@example.com', payerId: 'PAYER123', paymentId: 'PAYID-MOCK' },
+  },
+  'fake-venmo-account-nonce': {
+    paymentInstrumentType: 'venmo_account',
+    venmoAccount: { username: 'venmojoe', venmoUserId: 'venmo-user-123' },
+  },
+};
+
+// Processor response texts for the sandbox decline amounts we simulate explicitly
+const PROCESSOR_RESPONSES = {
+  2000: 'Do Not Honor',
+  2001: 'Insufficient Funds',
+  2004: 'Expired Card',
+  2010: 'Card Issuer Declined CVV',
+};
+
+/**
+ * Build a rejected promise shaped like a Braintree SDK error
+ */
+function gatewayError(type, message) {
+  const error = new Error(message);
+  error.type = type;
+  error.name = type;
+  return Promise.reject(error);
+}
+
+class MockGateway {
+  constructor({ publicKey = 'mock_public_key', privateKey = 'mock_private_key', merchantAccounts = {} } = {}) {
+    this.merchantAccounts = merchantAccounts;
+    this.transactions = new Map();
+    this.lineItems = new Map();
+    this.customers = new Map();
+    this.paymentMethods = new Map();
+    
+    // Webhook signing and parsing run entirely offline in the real SDK, so
+    // reuse it with local credentials to keep signatures genuine
+    const webhookGateway = new braintree.BraintreeGateway({
+      environment: braintree.Environment.Sandbox,
+      merchantId: 'mock_merchant',
+      publicKey,
+      privateKey,
+    });
+    
+    this.webhookNotification = webhookGateway.webhookNotification;
+    this.webhookTesting = webhookGateway.webhookTesting;
+    
+    this.clientToken = {
+      generate: async ({ customerId } = {}) => {
+        if (customerId !== undefined && !this.customers.has(customerId)) {
+          return this.validationError('customerId', '92804', 'Customer specified by customer_id does not exist');
+        }
+        
+        return {
+          success: true,
+          clientToken: Buffer.from(JSON.stringify({
+            environment: 'mock',
+            authorizationFingerprint: crypto.randomBytes(16).toString('hex'),
+          })).toString('base64'),
+        };
+      },
+    };
+    
+    this.customer = {
+      create: async (params) => this.createCustomer(params),
+      find: async (customerId) => this.findCustomer(customerId),
+    };
+    
+    this.paymentMethod = {
+      find: async (token) => this.findPaymentMethod(token),
+      delete: async (token) => this.deletePaymentMethod(token),
+    };
+    
+    this.paymentMethodNonce = {
+      create: async (token) => this.createPaymentMethodNonce(token),
+    };
+    
+    this.transaction = {
+      sale: async (params) => this.sale(params),
+      find: async (transactionId) => this.find(transactionId),
+      void: async (transactionId) => this.void(transactionId),
+      refund: async (transactionId, amount) => this.refund(transactionId, amount),
+    };
+    
+    this.transactionLineItem = {
+      findAll: async (transactionId) => (this.lineItems.get(transactionId) || []).map(item => ({ ...item })),
+    };
+    
+    // Mirrors gateway.testing in the sandbox SDK
+    this.testing = {
+      settle: async (transactionId) => this.setStatus(transactionId, 'settled'),
+      settlementDecline: async (transactionId) => this.setStatus(transactionId, 'settlement_declined'),
+    };
+  }
+  
+  /**
+   * Simulate transaction.sale, settling in the merchant account's currency
+   */
+  sale({
+    merchantAccountId,
+    taxAmount,
+    shippingAmount,
+    discountAmount,
+    lineItems = [],
+    billing = null,
+    shipping = null,
+    ...params
+  }) {
+    const currencyIsoCode = merchantAccountId === undefined
+      ? 'USD'
+      : Object.keys(this.merchantAccounts).find(currency => this.merchantAccounts[currency] === merchantAccountId);
+    
+    if (!currencyIsoCode) {
+      return this.validationError('merchantAccountId', '91577', 'Merchant account ID is invalid.');
+    }
+    
+    if (taxAmount !== undefined && toCents(taxAmount) === null) {
+      return this.validationError('taxAmount', '81535', 'Tax amount is in an invalid format.');
+    }
+    
+    if (shippingAmount !== undefined && toCents(shippingAmount) === null) {
+      return this.validationError('shippingAmount', '95301', 'Shipping amount is in an invalid format.');
+    }
+    
+    if (discountAmount !== undefined && toCents(discountAmount) === null) {
+      return this.validationError('discountAmount', '915159', 'Discount amount is in an invalid format.');
+    }
+    
+    const result = this.processSale(params);
+    
+    if (result.transaction) {
+      const attributes = {
+        merchantAccountId,
+        currencyIsoCode,
+        taxAmount: taxAmount !== undefined ? formatCents(toCents(taxAmount)) : null,
+        shippingAmount: shippingAmount !== undefined ? formatCents(toCents(shippingAmount)) : null,
+        discountAmount: discountAmount !== undefined ? formatCents(toCents(discountAmount)) : null,
+        billing,
+        shipping,
+        ...(result.transaction.paymentInstrumentType === 'credit_card'
+          ? this.verifyCard(billing, params.paymentMethodToken !== undefined)
+          : {}),
+      };
+      
+      Object.assign(this.transactions.get(result.transaction.id), attributes);
+      Object.assign(result.transaction, attributes);
+      this.lineItems.set(result.transaction.id, lineItems.map(item => ({ ...item })));
+    }
+    
+    return result;
+  }
+  
+  /**
+   * AVS and CVV response codes for a card sale with a billing address
+   */
+  verifyCard(billing, isSavedCard) {
+    const { streetAddress = '', postalCode = '' } = billing || {};
+    const avsCode = (value, noMatch, unverified) => {
+      if (!value) {
+        return 'I';
+      }
+      
+      if (value.startsWith(noMatch)) {
+        return 'N';
+      }
+      
+      return value.startsWith(unverified) ? 'U' : 'M';
+    };
+    
+    return {
+      avsErrorResponseCode: null,
+      avsStreetAddressResponseCode: avsCode(streetAddress, '200 ', '201 '),
+      avsPostalCodeResponseCode: avsCode(postalCode, '20000', '20001'),
+      cvvResponseCode: isSavedCard ? 'I' : 'M',
+    };
+  }
+  
+  /**
+   * Decide the outcome of a sale from its nonce, token and amount
+   */
+  processSale({ amount, paymentMethodNonce, paymentMethodToken, customerId, options = {} }) {
+    const amountCents = toCents(amount);
+    
+    if (amountCents === null || amountCents === 0) {
+      return this.validationError('amount', '81503', 'Amount is an invalid format.');
+    }
+    
+    if (customerId !== undefined && !this.customers.has(customerId)) {
+      return this.validationError('customerId', '91510', 'Customer ID is invalid.');
+    }
+    
+    let card;
+    let account = null;
+    let threeDSecureInfo = null;
+    if (paymentMethodToken !== undefined) {
+      card = this.paymentMethods.get(paymentMethodToken);
+      
+      if (!card) {
+        return this.validationError('paymentMethodToken', '91518', 'Payment method token is invalid.');
+      }
+    } else {
+      if (/^fake-gateway-rejected-fraud-nonce$/.test(paymentMethodNonce)) {
+        return this.failedTransaction(amountCents, 'gateway_rejected', 'Gateway Rejected: fraud', {
+          gatewayRejectionReason: 'fraud',
+        });
+      }
+      
+      if (/^fake-processor-declined-[a-z]+-nonce$/.test(paymentMethodNonce)) {
+        return this.processorDeclined(amountCents, 2000);
+      }
+      
+      const match = /^fake-valid(?:-([a-z]+))?-nonce$/.exec(paymentMethodNonce);
+      const threeDSecureMatch = /^fake-three-d-secure-([a-z]+)-full-authentication-nonce$/.exec(paymentMethodNonce);
+      const vaultedMatch = /^fake-vaulted-([0-9a-f]+)-nonce$/.exec(paymentMethodNonce);
+      
+      if (NONCE_ACCOUNTS[paymentMethodNonce]) {
+        account = NONCE_ACCOUNTS[paymentMethodNonce];
+      } else if (match) {
+        card = NONCE_CARDS[match[1]] || NONCE_CARDS.visa;
+      } else if (threeDSecureMatch) {
+        card = NONCE_CARDS[threeDSecureMatch[1]] || NONCE_CARDS.visa;
+        threeDSecureInfo = {
+          status: 'authenticate_successful',
+          liabilityShifted: true,
+          liabilityShiftPossible: true,
+        };
+      } else if (vaultedMatch && this.paymentMethods.has(vaultedMatch[1])) {
+        card = this.paymentMethods.get(vaultedMatch[1]);
+      } else {
+        return this.validationError(
+          'paymentMethodNonce',
+          '91565',
+          'Unknown or expired payment_method_nonce.'
+        );
+      }
+    }
+    
+    const threeDSecureRequired = Boolean(options.threeDSecure && options.threeDSecure.required);
+    
+    if (threeDSecureRequired && card && !threeDSecureInfo) {
+      return this.failedTransaction(amountCents, 'gateway_rejected', 'Gateway Rejected: three_d_secure', {
+        gatewayRejectionReason: 'three_d_secure',
+      });
+    }
+    
+    if (amountCents >= 200000 && amountCents < 300000) {
+      return this.processorDeclined(amountCents, Math.floor(amountCents / 100));
+    }
+    
+    if (amountCents >= 300000 && amountCents < 300100) {
+      return this.failedTransaction(amountCents, 'failed', 'Processor Network Unavailable - Try Again', {
+        processorResponseCode: '3000',
+        processorResponseText: 'Processor Network Unavailable - Try Again',
+      });
+    }
+    
+    if (amountCents === 500100) {
+      return this.failedTransaction(amountCents, 'gateway_rejected', 'Gateway Rejected: application_incomplete', {
+        gatewayRejectionReason: 'application_incomplete',
+      });
+    }
+    
+    // Like Braintree, vaulting without a customer creates one
+    if (options.storeInVaultOnSuccess && card && paymentMethodToken === undefined) {
+      const vaultCustomerId = customerId !== undefined ? customerId : this.createCustomer().customer.id;
+      card = this.vaultCard(vaultCustomerId, card);
+    }
+    
+    const transaction = this.createTransaction(
+      amountCents,
+      options.submitForSettlement ? 'submitted_for_settlement' : 'authorized',
+      {
+        processorResponseCode: '1000',
+        processorResponseText: 'Approved',
+        ...(account || { paymentInstrumentType: 'credit_card', creditCard: this.describeCard(card) }),
+        customer: { id: (card && card.customerId) || customerId || null },
+        threeDSecureInfo,
+      }
+    );
+    
+    return { success: true, transaction };
+  }
+  
+  /**
+   * Simulate transaction.find
+   */
+  find(transactionId) {
+    const transaction = this.transactions.get(transactionId);
+    
+    if (!transaction) {
+      return gatewayError('notFoundError', 'Not Found');
+    }
+    
+    return { ...transaction };
+  }
+  
+  /**
+   * Simulate transaction.void
+   */
+  void(transactionId) {
+    const transaction = this.transactions.get(transactionId);
+    
+    if (!transaction) {
+      return gatewayError('notFoundError', 'Not Found');
+    }
+    
+    if (!VOIDABLE_STATUSES.includes(transaction.status)) {
+      return this.validationError('base', '91504', 'Transaction can only be voided if status is authorized, submitted_for_settlement, or - for PayPal - settlement_pending.');
+    }
+    
+    transaction.status = 'voided';
+    transaction.updatedAt = new Date();
+    return { success: true, transaction: { ...transaction } };
+  }
+  
+  /**
+   * Simulate transaction.refund
+   */
+  refund(transactionId, amount) {
+    const transaction = this.transactions.get(transactionId);
+    
+    if (!transaction) {
+      return gatewayError('notFoundError', 'Not Found');
+    }
+    
+    if (!REFUNDABLE_STATUSES.includes(transaction.status)) {
+      return this.validationError('base', '91506', 'Cannot refund transaction unless it is settled.');
+    }
+    
+    const refundedCents = transaction.refundIds
+      .map(id => toCents(this.transactions.get(id).amount))
+      .reduce((sum, cents) => sum + cents, 0);
+    const amountCents = amount === undefined ? toCents(transaction.amount) - refundedCents : toCents(amount);
+    
+    if (amountCents === null || refundedCents + amountCents > toCents(transaction.amount)) {
+      return this.validationError('amount', '91521', 'Refund amount is too large.');
+    }
+    
+    const refund = this.createTransaction(amountCents, 'submitted_for_settlement', {
+      type: 'credit',
+      refundedTransactionId: transactionId,
+      merchantAccountId: transaction.merchantAccountId,
+      currencyIsoCode: transaction.currencyIsoCode,
+    });
+    transaction.refundIds.push(refund.id);
+    
+    return { success: true, transaction: refund };
+  }
+  
+  /**
+   * Simulate customer.create
+   */
+  createCustomer({ firstName = null, lastName = null, email = null } = {}) {
+    const customer = {
+      id: String(crypto.randomInt(100000000, 1000000000)),
+      firstName,
+      lastName,
+      email,
+      createdAt: new Date(),
+    };
+    
+    this.customers.set(customer.id, customer);
+    return { success: true, customer: this.findCustomer(customer.id) };
+  }
+  
+  /**
+   * Simulate customer.find, including the customer's vaulted payment methods
+   */
+  findCustomer(customerId) {
+    const customer = this.customers.get(customerId);
+    
+    if (!customer) {
+      return gatewayError('notFoundError', 'Not Found');
+    }
+    
+    const creditCards = Array.from(this.paymentMethods.values())
+      .filter(card => card.customerId === customerId)
+      .map(card => ({ ...card }));
+    
+    return { ...customer, creditCards, paymentMethods: creditCards };
+  }
+  
+  /**
+   * Simulate paymentMethod.find
+   */
+  findPaymentMethod(token) {
+    const card = this.paymentMethods.get(token);
+    return card ? { ...card } : gatewayError('notFoundError', 'Not Found');
+  }
+  
+  /**
+   * Simulate paymentMethod.delete; the next card becomes the default
+   */
+  deletePaymentMethod(token) {
+    const card = this.paymentMethods.get(token);
+    
+    if (!card) {
+      return gatewayError('notFoundError', 'Not Found');
+    }
+    
+    this.paymentMethods.delete(token);
+    
+    const remaining = Array.from(this.paymentMethods.values())
+      .filter(other => other.customerId === card.customerId);
+    
+    if (card.default && remaining.length > 0) {
+      remaining[0].default = true;
+    }
+    
+    return { success: true };
+  }
+  
+  /**
+   * Simulate paymentMethodNonce.create for a vaulted card
+   */
+  createPaymentMethodNonce(token) {
+    const card = this.paymentMethods.get(token);
+    
+    if (!card) {
+      return gatewayError('notFoundError', 'Not Found');
+    }
+    
+    return {
+      success: true,
+      paymentMethodNonce: {
+        nonce: `fake-vaulted-${token}-nonce`,
+        type: 'CreditCard',
+        details: {
+          bin: card.bin,
+          lastFour: card.last4,
+          cardType: card.cardType,
+        },
+      },
+    };
+  }
+  
+  /**
+   * Store a card in the vault for a customer
+   */
+  vaultCard(customerId, card) {
+    const isFirst = !Array.from(this.paymentMethods.values())
+      .some(other => other.customerId === customerId);
+    const expiry = new Date();
+    
+    const vaulted = {
+      token: crypto.randomBytes(3).toString('hex'),
+      customerId,
+      cardType: card.cardType,
+      bin: card.bin,
+      last4: card.last4,
+      maskedNumber: `${card.bin}******${card.last4}`,
+      expirationMonth: '12',
+      expirationYear: String(expiry.getFullYear() + 2),
+      expirationDate: `12/${expiry.getFullYear() + 2}`,
+      default: isFirst,
+      imageUrl: null,
+      createdAt: expiry,
+    };
+    
+    this.paymentMethods.set(vaulted.token, vaulted);
+    return vaulted;
+  }
+  
+  /**
+   * Card details as attached to a transaction
+   */
+  describeCard(card) {
+    return {
+      token: card.token || null,
+      cardType: card.cardType,
+      bin: card.bin,
+      last4: card.last4,
+      maskedNumber: `${card.bin}******${card.last4}`,
+      expirationDate: card.expirationDate || null,
+    };
+  }
+  
+  /**
+   * Force a transaction into a new status (used by the testing helpers)
+   */
+  setStatus(transactionId, status) {
+    const transaction = this.transactions.get(transactionId);
+    
+    if (!transaction) {
+      return gatewayError('notFoundError', 'Not Found');
+    }
+    
+    transaction.status = status;
+    transaction.updatedAt = new Date();
+    return { success: true, transaction: { ...transaction } };
+  }
+  
+  /**
+   * Store a new transaction
+   */
+  createTransaction(amountCents, status, attributes = {}) {
+    const now = new Date();
+    const transaction = {
+      id: crypto.randomBytes(4).toString('hex'),
+      type: 'sale',
+      amount: formatCents(amountCents),
+      status,
+      currencyIsoCode: 'USD',
+      refundIds: [],
+      createdAt: now,
+      updatedAt: now,
+      ...attributes,
+    };
+    
+    this.transactions.set(transaction.id, transaction);
+    return { ...transaction };
+  }
+  
+  /**
+   * Result for a processor decline with the given response code
+   */
+  processorDeclined(amountCents, code) {
+    const text = PROCESSOR_RESPONSES[code] || 'Processor Declined';
+    
+    return this.failedTransaction(amountCents, 'processor_declined', text, {
+      processorResponseCode: String(code),
+      processorResponseText: text,
+    });
+  }
+  
+  /**
+   * Result for a sale that created an unsuccessful transaction
+   */
+  failedTransaction(amountCents, status, message, attributes) {
+    return {
+      success: false,
+      message,
+      transaction: this.createTransaction(amountCents, status, attributes),
+    };
+  }
+  
+  /**
+   * Result for a request rejected by gateway validation
+   */
+  validationError(attribute, code, message) {
+    const error = { attribute, code, message };
+    
+    return {
+      success: false,
+      message,
+      errors: {
+        deepErrors: () => [error],
+      },
+    };
+  }
+}
+
+module.exports = MockGateway;
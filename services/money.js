@@ -0,0 +1,35 @@
+/**
+ * Money Helpers
+ * Amounts are handled as integer cents internally to avoid floating point drift
+ */
+
+const AMOUNT_PATTERN = /^\d+(\.\d{1,2})?$/;
+
+/**
+ * Convert a decimal amount ('29.99' or 29.99) to integer cents.
+ * Returns null when the value is not a valid non-negative amount.
+ */
+function toCents(amount) {
+  const value = typeof amount === 'number' ? amount.toFixed(2) : String(amount).trim();
+  
+  if (!AMOUNT_PATTERN.test(value)) {
+    return null;
+  }
+  
+  const [whole, fraction = ''] = value.split('.');
+  return parseInt(whole, 10) * 100 + parseInt(fraction.padEnd(2, '0'), 10);
+}
+
+/**
+ * Format integer cents as a decimal amount string ('29.99')
+ */
+function formatCents(cents) {
+  const whole = Math.floor(cents / 100);
+  const fraction = String(cents % 100).padStart(2, '0');
+  return `${whole}.${fraction}`;
+}
+
+module.exports = {
+  toCents,
+  formatCents,
+};
@@ -0,0 +1,244 @@
+/**
+ * Order Service
+ * Records orders and their lifecycle on top of a pluggable order store
+ */
+
+const crypto = require('crypto');
+const { toCents, formatCents } = require('./money');
+const { ServiceError, NotFoundError } = require('./errors');
+
+const ORDER_STATUSES = ['pending', 'paid', 'failed', 'partially_refunded', 'refunded', 'voided'];
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class OrderService {
+  constructor(store) {
+    this.store = store;
+  }
+  
+  /**
+   * Record a new pending order before the payment is attempted
+   */
+  async createOrder({
+    cartId,
+    customerId = null,
+    lineItems,
+    amount,
+    currency = 'USD',
+    totals = null,
+    shipping = null,
+    discountCode = null,
+    billingAddress = null,
+    shippingAddress = null,
+    email = null,
+    fraud = null,
+  }) {
+    const now = new Date().toISOString();
+    
+    return this.store.insert({
+      id: crypto.randomUUID(),
+      status: 'pending',
+      cartId,
+      customerId,
+      lineItems,
+      amount,
+      currency,
+      totals,
+      shipping,
+      discountCode,
+      billingAddress,
+      shippingAddress,
+      email,
+      fraud,
+      transactionId: null,
+      transactionStatus: null,
+      failureReason: null,
+      paymentInstrumentType: null,
+      threeDSecure: null,
+      verification: null,
+      refundedAmount: '0.00',
+      reversals: [],
+      events: [],
+      statusHistory: [{ status: 'pending', at: now }],
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+  
+  /**
+   * Get an order by ID
+   */
+  async getOrder(orderId) {
+    const order = await this.store.get(orderId);
+    
+    if (!order) {
+      throw new NotFoundError(`Order not found: ${orderId}`);
+    }
+    
+    return order;
+  }
+  
+  /**
+   * Find the order paid by a Braintree transaction
+   */
+  async findByTransactionId(transactionId) {
+    const orders = await this.store.list();
+    return orders.find(order => order.transactionId === transactionId) || null;
+  }
+  
+  /**
+   * Append an external event (e.g. a webhook notification) to an order,
+   * applying any field changes it implies
+   */
+  async recordEvent(orderId, { kind, timestamp }, changes = {}) {
+    const order = await this.getOrder(orderId);
+    const now = new Date().toISOString();
+    const receivedAt = timestamp ? new Date(timestamp).toISOString() : now;
+    
+    return this.store.update(orderId, {
+      ...changes,
+      events: [...(order.events || []), { kind, at: receivedAt }],
+      updatedAt: now,
+    });
+  }
+  
+  /**
+   * Move an order to a new status, recording the transition
+   */
+  async updateStatus(orderId, status, changes = {}) {
+    const order = await this.getOrder(orderId);
+    const now = new Date().toISOString();
+    
+    return this.store.update(orderId, {
+      ...changes,
+      status,
+      statusHistory: [...order.statusHistory, { status, at: now }],
+      updatedAt: now,
+    });
+  }
+  
+  /**
+   * Mark an order as paid by a successful Braintree transaction
+   */
+  async markPaid(orderId, transaction) {
+    const { threeDSecureInfo } = transaction;
+    
+    return this.updateStatus(orderId, 'paid', {
+      transactionId: transaction.id,
+      transactionStatus: transaction.status,
+      paymentInstrumentType: transaction.paymentInstrumentType || null,
+      threeDSecure: threeDSecureInfo
+        ? {
+          status: threeDSecureInfo.status,
+          liabilityShifted: threeDSecureInfo.liabilityShifted,
+          liabilityShiftPossible: threeDSecureInfo.liabilityShiftPossible,
+        }
+        : null,
+      verification: this.describeVerification(transaction),
+    });
+  }
+  
+  /**
+   * Mark an order as failed with the reason the payment did not go through
+   */
+  async markFailed(orderId, reason, transaction = null) {
+    return this.updateStatus(orderId, 'failed', {
+      failureReason: reason,
+      transactionId: transaction ? transaction.id : null,
+      transactionStatus: transaction ? transaction.status : null,
+      verification: transaction ? this.describeVerification(transaction) : null,
+    });
+  }
+  
+  /**
+   * AVS and CVV response codes of a card transaction, e.g. 'M' (matches),
+   * 'N' (does not match), 'U' (not verified) or 'I' (not provided)
+   */
+  describeVerification(transaction) {
+    const codes = {
+      avsErrorResponseCode: transaction.avsErrorResponseCode || null,
+      avsPostalCodeResponseCode: transaction.avsPostalCodeResponseCode || null,
+      avsStreetAddressResponseCode: transaction.avsStreetAddressResponseCode || null,
+      cvvResponseCode: transaction.cvvResponseCode || null,
+    };
+    
+    return Object.values(codes).some(Boolean) ? codes : null;
+  }
+  
+  /**
+   * Record a void or refund against an order and update its status
+   */
+  async recordReversal(orderId, { type, amount, transactionId, transactionStatus }) {
+    const order = await this.getOrder(orderId);
+    const refundedCents = toCents(order.refundedAmount || '0') + toCents(amount);
+    
+    let status = 'partially_refunded';
+    if (type === 'void') {
+      status = 'voided';
+    } else if (refundedCents >= toCents(order.amount)) {
+      status = 'refunded';
+    }
+    
+    return this.updateStatus(orderId, status, {
+      refundedAmount: formatCents(refundedCents),
+      reversals: [
+        ...(order.reversals || []),
+        {
+          type,
+          amount,
+          transactionId,
+          transactionStatus,
+          createdAt: new Date().toISOString(),
+        },
+      ],
+    });
+  }
+  
+  /**
+   * List orders, newest first, optionally filtered by status and creation date
+   * range; both ends are inclusive, and a date-only `to` covers that whole day
+   * (UTC)
+   */
+  async listOrders({ status, from, to } = {}) {
+    if (status && !ORDER_STATUSES.includes(status)) {
+      throw new ServiceError(`Invalid order status: ${status}`);
+    }
+    
+    const fromTime = this.parseDateFilter('from', from);
+    const toTime = this.parseDateFilter('to', to, { endOfDay: true });
+    const orders = await this.store.list();
+    
+    return orders
+      .filter(order => !status || order.status === status)
+      .filter(order => fromTime === null || Date.parse(order.createdAt) >= fromTime)
+      .filter(order => toTime === null || Date.parse(order.createdAt) <= toTime)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+  
+  /**
+   * Parse an optional date filter into epoch milliseconds; with `endOfDay`, a
+   * date without a time is the last millisecond of that day rather than its
+   * first
+   */
+  parseDateFilter(name, value, { endOfDay = false } = {}) {
+    if (value === undefined || value === '') {
+      return null;
+    }
+    
+    const time = Date.parse(value);
+    
+    if (Number.isNaN(time)) {
+      throw new ServiceError(`Invalid date for "${name}": ${value}`);
+    }
+    
+    if (endOfDay && DATE_ONLY_PATTERN.test(value)) {
+      return time + DAY_MS - 1;
+    }
+    
+    return time;
+  }
+}
+
+OrderService.ORDER_STATUSES = ORDER_STATUSES;
+
+module.exports = OrderService;
@@ -0,0 +1,137 @@
+/**
+ * Order Stores
+ * Pluggable persistence for orders. Every store implements the same async
+ * interface: insert(order), update(orderId, changes), get(orderId), list(),
+ * and check(), which rejects when the store cannot take writes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * Keeps orders in process memory; used for development and tests
+ */
+class MemoryOrderStore {
+  constructor() {
+    this.orders = new Map();
+  }
+  
+  async insert(order) {
+    this.orders.set(order.id, { ...order });
+    return { ...order };
+  }
+  
+  async update(orderId, changes) {
+    const order = this.orders.get(orderId);
+    
+    if (!order) {
+      return null;
+    }
+    
+    const updated = { ...order, ...changes };
+    this.orders.set(orderId, updated);
+    return { ...updated };
+  }
+  
+  async get(orderId) {
+    const order = this.orders.get(orderId);
+    return order ? { ...order } : null;
+  }
+  
+  async list() {
+    return Array.from(this.orders.values()).map(order => ({ ...order }));
+  }
+  
+  async check() {}
+}
+
+/**
+ * Persists orders to a JSON file. Writes are serialized and replace the file
+ * atomically so a crash mid-write cannot leave a truncated order history.
+ */
+class FileOrderStore extends MemoryOrderStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+    this.load();
+  }
+  
+  /**
+   * Load existing orders from disk
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+    
+    const { orders = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    orders.forEach(order => this.orders.set(order.id, order));
+  }
+  
+  /**
+   * Write all orders to disk after any pending write has finished
+   */
+  persist() {
+    const write = async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      const contents = JSON.stringify({ orders: Array.from(this.orders.values()) }, null, 2);
+      
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, contents);
+      await fs.promises.rename(tempPath, this.filePath);
+    };
+    
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+  
+  /**
+   * Reject unless the data directory exists or can be created, and is writable
+   */
+  async check() {
+    const directory = path.dirname(this.filePath);
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.access(directory, fs.constants.W_OK);
+  }
+  
+  async insert(order) {
+    const inserted = await super.insert(order);
+    await this.persist();
+    return inserted;
+  }
+  
+  async update(orderId, changes) {
+    const updated = await super.update(orderId, changes);
+    
+    if (updated) {
+      await this.persist();
+    }
+    
+    return updated;
+  }
+}
+
+/**
+ * Create the order store selected by ORDER_STORE ('file' or 'memory')
+ */
+function createOrderStore(type = process.env.ORDER_STORE || 'file') {
+  switch (type) {
+    case 'memory':
+      return new MemoryOrderStore();
+    case 'file':
+      return new FileOrderStore(
+        path.join(process.env.DATA_DIR || DEFAULT_DATA_DIR, 'orders.json')
+      );
+    default:
+      throw new Error(`Unknown order store: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryOrderStore,
+  FileOrderStore,
+  createOrderStore,
+};
@@ -0,0 +1,267 @@
+/**
+ * Pricing Service
+ * Turns cart line items into an itemized total by running pricing steps in
+ * order: shipping for the chosen option, the cart's discount code, then tax
+ * from the region table matching the shipping country and postal code. Steps receive and
+ * return the running breakdown in integer cents.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toCents } = require('./money');
+const { validate } = require('./validation');
+const { ServiceError } = require('./errors');
+
+const DEFAULT_PRICING_PATH = path.join(__dirname, '..', 'config', 'pricing.json');
+
+const PRICING_SCHEMA = {
+  type: 'object',
+  properties: {
+    defaultShippingOption: { type: 'string', minLength: 1 },
+    shippingOptions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', required: true, pattern: /^[a-z0-9-]+$/, patternMessage: 'must be a lowercase ID' },
+          name: { type: 'string', required: true, minLength: 1, maxLength: 60 },
+          requiresAddress: { type: 'boolean' },
+          prices: { type: 'object', required: true, additionalProperties: true },
+        },
+      },
+    },
+    taxRules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          region: { type: 'string', required: true, minLength: 1 },
+          country: {
+            type: 'string',
+            required: true,
+            pattern: /^[A-Z]{2}$/,
+            patternMessage: 'must be a two-letter ISO 3166 country code such as "US"',
+          },
+          postalCodePrefixes: { type: 'array', required: true, items: { type: 'string', minLength: 1 } },
+          rate: { type: 'number', required: true, minimum: 0, maximum: 1 },
+          taxShipping: { type: 'boolean' },
+        },
+      },
+    },
+  },
+};
+
+class PricingService {
+  constructor({ shippingOptions = [], defaultShippingOption = null, taxRules = [], promotions = null } = {}) {
+    this.shippingOptions = shippingOptions.map(option => ({
+      id: option.id,
+      name: option.name,
+      // Options that ship something physical need a shipping address
+      requiresAddress: option.requiresAddress !== false,
+      pricesCents: Object.fromEntries(Object.entries(option.prices)
+        .map(([currency, amount]) => [currency, toCents(amount)])),
+    }));
+    this.defaultShippingOption = defaultShippingOption;
+    this.taxRules = taxRules.map(rule => ({
+      ...rule,
+      postalCodePrefixes: rule.postalCodePrefixes.map(PricingService.normalizePostalCode),
+    }));
+    this.promotions = promotions;
+    
+    // Applied in order by price(); each takes and returns the breakdown
+    this.steps = [
+      breakdown => this.applyShipping(breakdown),
+      breakdown => this.applyDiscount(breakdown),
+      breakdown => this.applyTax(breakdown),
+    ];
+  }
+  
+  /**
+   * Create the pricing rules from a JSON file
+   */
+  static fromFile(filePath = process.env.PRICING_PATH || DEFAULT_PRICING_PATH, { promotions = null } = {}) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const problems = validate(config, PRICING_SCHEMA);
+    
+    const invalidPrice = (config.shippingOptions || []).find(option => Object.entries(option.prices || {})
+      .some(([currency, amount]) => !/^[A-Z]{3}$/.test(currency) || toCents(amount) === null));
+    
+    if (invalidPrice) {
+      problems.push({ field: `shippingOptions.${invalidPrice.id}.prices`, message: 'must map currency codes to amounts' });
+    }
+    
+    if (problems.length > 0) {
+      const details = problems.map(({ field, message }) => `${field} ${message}`).join('; ');
+      throw new Error(`Invalid pricing config: ${details}`);
+    }
+    
+    return new PricingService({ ...config, promotions });
+  }
+  
+  /**
+   * Uppercase a postal code and strip spaces and dashes for prefix matching
+   */
+  static normalizePostalCode(postalCode) {
+    return String(postalCode).toUpperCase().replace(/[\s-]/g, '');
+  }
+  
+  /**
+   * Shipping options priced in a currency
+   */
+  getShippingOptions(currency) {
+    return this.shippingOptions
+      .filter(option => option.pricesCents[currency] !== undefined)
+      .map(option => ({
+        id: option.id,
+        name: option.name,
+        requiresAddress: option.requiresAddress,
+        amountCents: option.pricesCents[currency],
+      }));
+  }
+  
+  /**
+   * Get a shipping option available in a currency
+   */
+  getShippingOption(shippingOptionId, currency) {
+    const option = this.getShippingOptions(currency).find(({ id }) => id === shippingOptionId);
+    
+    if (!option) {
+      throw new ServiceError(`Shipping option not available: ${shippingOptionId}`);
+    }
+    
+    return option;
+  }
+  
+  /**
+   * The option a new cart starts with, if it is offered in the currency
+   */
+  getDefaultShippingOptionId(currency) {
+    const options = this.getShippingOptions(currency);
+    const preferred = options.find(({ id }) => id === this.defaultShippingOption);
+    
+    return (preferred || options[0] || { id: null }).id;
+  }
+  
+  /**
+   * Tax rule of the country whose postal code prefix matches, preferring the
+   * longest prefix. Countries without rules are not taxed.
+   */
+  findTaxRule(countryCode, postalCode) {
+    if (!countryCode || !postalCode) {
+      return null;
+    }
+    
+    const normalized = PricingService.normalizePostalCode(postalCode);
+    let match = null;
+    let matchLength = 0;
+    
+    this.taxRules.filter(rule => rule.country === countryCode).forEach(rule => {
+      rule.postalCodePrefixes.forEach(prefix => {
+        if (normalized.startsWith(prefix) && prefix.length > matchLength) {
+          match = rule;
+          matchLength = prefix.length;
+        }
+      });
+    });
+    
+    return match;
+  }
+  
+  /**
+   * Price line items (`{ totalCents }`) shipped with an option to a country
+   * and postal code, with an optional discount code
+   */
+  price({ currency, lineItems, shippingOptionId = null, countryCode = null, postalCode = null, discountCode = null }) {
+    const initial = {
+      currency,
+      shippingOptionId,
+      countryCode,
+      postalCode,
+      discountCode,
+      subtotalCents: lineItems.reduce((sum, item) => sum + item.totalCents, 0),
+      shippingCents: 0,
+      itemDiscountCents: 0,
+      shippingDiscountCents: 0,
+      discountCents: 0,
+      discountDescription: null,
+      discountError: null,
+      taxCents: 0,
+      taxRate: 0,
+      taxRegion: null,
+    };
+    
+    const breakdown = this.steps.reduce((current, step) => step(current), initial);
+    
+    return {
+      ...breakdown,
+      totalCents: breakdown.subtotalCents + breakdown.shippingCents - breakdown.discountCents + breakdown.taxCents,
+    };
+  }
+  
+  /**
+   * Add the chosen shipping option's price
+   */
+  applyShipping(breakdown) {
+    if (!breakdown.shippingOptionId || breakdown.subtotalCents === 0) {
+      return breakdown;
+    }
+    
+    const option = this.getShippingOption(breakdown.shippingOptionId, breakdown.currency);
+    return { ...breakdown, shippingCents: option.amountCents };
+  }
+  
+  /**
+   * Take the discount code's promotion off the subtotal or shipping. A code
+   * that no longer applies (e.g. the cart fell below its minimum spend) is
+   * reported as `discountError` rather than thrown, so the cart stays readable.
+   */
+  applyDiscount(breakdown) {
+    if (!breakdown.discountCode || !this.promotions) {
+      return breakdown;
+    }
+    
+    try {
+      const promotion = this.promotions.getApplicablePromotion(breakdown.discountCode, breakdown);
+      const { itemDiscountCents, shippingDiscountCents } = this.promotions.calculateDiscount(promotion, breakdown);
+      
+      return {
+        ...breakdown,
+        itemDiscountCents,
+        shippingDiscountCents,
+        discountCents: itemDiscountCents + shippingDiscountCents,
+        discountDescription: promotion.description,
+      };
+    } catch (error) {
+      if (!(error instanceof ServiceError)) {
+        throw error;
+      }
+      
+      return { ...breakdown, discountError: error.message };
+    }
+  }
+  
+  /**
+   * Add tax at the rate of the region the order ships to, on the discounted
+   * amounts
+   */
+  applyTax(breakdown) {
+    const rule = this.findTaxRule(breakdown.countryCode, breakdown.postalCode);
+    
+    if (!rule) {
+      return breakdown;
+    }
+    
+    const taxableItemsCents = breakdown.subtotalCents - breakdown.itemDiscountCents;
+    const taxableShippingCents = breakdown.shippingCents - breakdown.shippingDiscountCents;
+    const taxableCents = taxableItemsCents + (rule.taxShipping ? taxableShippingCents : 0);
+    
+    return {
+      ...breakdown,
+      taxCents: Math.round(taxableCents * rule.rate),
+      taxRate: rule.rate,
+      taxRegion: rule.region,
+    };
+  }
+}
+
+module.exports = PricingService;
@@ -0,0 +1,202 @@
+/**
+ * Promotion Service
+ * Discount codes applied to cart totals by the pricing pipeline. A promotion
+ * takes a percentage or a fixed amount off the subtotal, or waives shipping,
+ * and may require a minimum spend, expire or be limited to a number of uses.
+ * Uses are counted by a redemption store so limits hold across restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toCents, formatCents } = require('./money');
+const { validate } = require('./validation');
+const { ServiceError } = require('./errors');
+const { MemoryRedemptionStore } = require('./redemption-stores');
+
+const DEFAULT_PROMOTIONS_PATH = path.join(__dirname, '..', 'config', 'promotions.json');
+
+const PROMOTION_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+const PROMOTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    promotions: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        properties: {
+          code: {
+            type: 'string',
+            required: true,
+            pattern: /^[A-Z0-9-]{3,32}$/,
+            patternMessage: 'must be 3-32 uppercase letters, digits or dashes',
+          },
+          description: { type: 'string', required: true, minLength: 1, maxLength: 80 },
+          type: { type: 'string', required: true, enum: PROMOTION_TYPES },
+          percentOff: { type: 'number', minimum: 1, maximum: 100 },
+          amountOff: { type: 'object', additionalProperties: true },
+          minimumSpend: { type: 'object', additionalProperties: true },
+          startsAt: { type: 'string' },
+          expiresAt: { type: 'string' },
+          usageLimit: { type: 'integer', minimum: 1 },
+        },
+      },
+    },
+  },
+};
+
+class PromotionService {
+  constructor(promotions = [], { store = new MemoryRedemptionStore() } = {}) {
+    this.promotions = new Map();
+    this.store = store;
+    
+    promotions.forEach(promotion => this.addPromotion(promotion));
+  }
+  
+  /**
+   * Create the promotions from a JSON file with a top-level `promotions` array
+   */
+  static fromFile(filePath = process.env.PROMOTIONS_PATH || DEFAULT_PROMOTIONS_PATH, { store } = {}) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const problems = validate(config, PROMOTIONS_SCHEMA);
+    
+    if (problems.length > 0) {
+      const details = problems.map(({ field, message }) => `${field} ${message}`).join('; ');
+      throw new Error(`Invalid promotions config: ${details}`);
+    }
+    
+    return new PromotionService(config.promotions, { store });
+  }
+  
+  /**
+   * Register a promotion, normalizing amounts to cents per currency and
+   * dates to timestamps
+   */
+  addPromotion(promotion) {
+    const toCentsByCurrency = (amounts = {}) => Object.fromEntries(Object.entries(amounts)
+      .map(([currency, amount]) => [currency, toCents(amount)]));
+    
+    const normalized = {
+      code: promotion.code.toUpperCase(),
+      description: promotion.description,
+      type: promotion.type,
+      percentOff: promotion.percentOff || null,
+      amountOffCents: toCentsByCurrency(promotion.amountOff),
+      minimumSpendCents: toCentsByCurrency(promotion.minimumSpend),
+      startsAt: promotion.startsAt ? Date.parse(promotion.startsAt) : null,
+      expiresAt: promotion.expiresAt ? Date.parse(promotion.expiresAt) : null,
+      usageLimit: promotion.usageLimit || null,
+    };
+    
+    const hasInvalidAmount = [normalized.amountOffCents, normalized.minimumSpendCents]
+      .some(amounts => Object.values(amounts).includes(null));
+    const isMissingValue = (normalized.type === 'percentage' && !normalized.percentOff)
+      || (normalized.type === 'fixed' && Object.keys(normalized.amountOffCents).length === 0);
+    
+    if (hasInvalidAmount || isMissingValue || Number.isNaN(normalized.startsAt) || Number.isNaN(normalized.expiresAt)) {
+      throw new Error(`Invalid promotion: ${promotion.code}`);
+    }
+    
+    this.promotions.set(normalized.code, normalized);
+  }
+  
+  /**
+   * Get the promotion for a code if it can be used on an order with the given
+   * currency and subtotal; throws a ServiceError explaining why it cannot
+   */
+  getApplicablePromotion(code, { currency, subtotalCents, now = Date.now() }) {
+    const promotion = this.promotions.get(String(code).trim().toUpperCase());
+    
+    if (!promotion) {
+      throw new ServiceError('Discount code not recognized');
+    }
+    
+    if (promotion.startsAt !== null && now < promotion.startsAt) {
+      throw new ServiceError(`Discount code ${promotion.code} is not active yet`);
+    }
+    
+    if (promotion.expiresAt !== null && now >= promotion.expiresAt) {
+      throw new ServiceError(`Discount code ${promotion.code} has expired`);
+    }
+    
+    if (promotion.usageLimit !== null && this.getRedemptionCount(promotion.code) >= promotion.usageLimit) {
+      throw new ServiceError(`Discount code ${promotion.code} is no longer available`);
+    }
+    
+    if (promotion.type === 'fixed' && promotion.amountOffCents[currency] === undefined) {
+      throw new ServiceError(`Discount code ${promotion.code} cannot be used in ${currency}`);
+    }
+    
+    const minimumSpendCents = promotion.minimumSpendCents[currency];
+    
+    if (minimumSpendCents !== undefined && subtotalCents < minimumSpendCents) {
+      throw new ServiceError(
+        `Discount code ${promotion.code} requires a subtotal of at least ${formatCents(minimumSpendCents)} ${currency}`
+      );
+    }
+    
+    return promotion;
+  }
+  
+  /**
+   * Discount a promotion gives on the subtotal and on shipping, in cents
+   */
+  calculateDiscount(promotion, { currency, subtotalCents, shippingCents }) {
+    switch (promotion.type) {
+      case 'percentage':
+        return {
+          itemDiscountCents: Math.round(subtotalCents * promotion.percentOff / 100),
+          shippingDiscountCents: 0,
+        };
+      case 'fixed':
+        return {
+          itemDiscountCents: Math.min(promotion.amountOffCents[currency], subtotalCents),
+          shippingDiscountCents: 0,
+        };
+      case 'free_shipping':
+        return {
+          itemDiscountCents: 0,
+          shippingDiscountCents: shippingCents,
+        };
+      default:
+        throw new Error(`Unknown promotion type: ${promotion.type}`);
+    }
+  }
+  
+  /**
+   * Hold a use of a code for a checkout before it charges; throws when the
+   * code's usage limit has been reached in the meantime
+   */
+  async reserveRedemption(code, reservationId) {
+    const promotion = this.promotions.get(code);
+    const usageLimit = promotion ? promotion.usageLimit : null;
+    
+    if (!(await this.store.reserve(code, reservationId, usageLimit))) {
+      throw new ServiceError(`Discount code ${code} is no longer available`);
+    }
+  }
+  
+  /**
+   * Count a reserved use against the usage limit once the order is paid
+   */
+  confirmRedemption(code, reservationId) {
+    return this.store.confirm(code, reservationId);
+  }
+  
+  /**
+   * Give a reserved use back after the checkout failed
+   */
+  releaseRedemption(reservationId) {
+    return this.store.release(reservationId);
+  }
+  
+  /**
+   * Number of paid orders that used a code, plus checkouts holding a use
+   */
+  getRedemptionCount(code) {
+    return this.store.count(code);
+  }
+}
+
+module.exports = PromotionService;
@@ -0,0 +1,58 @@
+/**
+ * Rate Limit Store
+ * Counts requests per key in fixed windows. The async interface (increment,
+ * reset) allows a shared store such as Redis to be swapped in when running
+ * several server instances.
+ */
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map();
+  }
+  
+  /**
+   * Count a request against a key. Returns the number of requests in the
+   * current window and when that window ends.
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    
+    if (!window || window.resetAt <= now) {
+      this.sweep();
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    
+    window.count += 1;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+  
+  /**
+   * Forget every count, or only the count for one key
+   */
+  async reset(key) {
+    if (key === undefined) {
+      this.windows.clear();
+    } else {
+      this.windows.delete(key);
+    }
+  }
+  
+  /**
+   * Drop ended windows
+   */
+  sweep() {
+    const now = Date.now();
+    
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+};
@@ -0,0 +1,91 @@
+/**
+ * Readiness Service
+ * Runs the checks behind GET /health/ready so an orchestrator only routes
+ * traffic to an instance that can take payments. A check is an async function
+ * that rejects when its dependency is unavailable; checks of remote services
+ * can cache their result so frequent probes do not flood them.
+ */
+
+const Logger = require('./logger');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+class ReadinessService {
+  constructor({ timeoutMs = DEFAULT_TIMEOUT_MS, logger = new Logger({ level: 'silent' }) } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.logger = logger;
+    this.checks = new Map();
+  }
+  
+  /**
+   * Register a check; its result is reused for `cacheSeconds` after it runs
+   */
+  addCheck(name, check, { cacheSeconds = 0 } = {}) {
+    if (typeof check !== 'function') {
+      throw new Error(`Readiness check ${name} must be a function`);
+    }
+    
+    this.checks.set(name, { check, cacheSeconds, cached: null });
+  }
+  
+  /**
+   * Run every check in parallel. Resolves to `{ ready, checks }` where each
+   * check reports `{ status: 'ok' | 'failed', durationMs, error? }`.
+   */
+  async run() {
+    const entries = await Promise.all(
+      Array.from(this.checks, async ([name, entry]) => [name, await this.runCheck(name, entry)])
+    );
+    const checks = Object.fromEntries(entries);
+    
+    return {
+      ready: Object.values(checks).every(result => result.status === 'ok'),
+      checks,
+    };
+  }
+  
+  /**
+   * Run one check, or reuse its cached result
+   */
+  async runCheck(name, entry) {
+    if (entry.cached && entry.cached.expiresAt > Date.now()) {
+      return entry.cached.result;
+    }
+    
+    const startedAt = Date.now();
+    let timer;
+    let result;
+    
+    try {
+      await Promise.race([
+        Promise.resolve().then(() => entry.check()),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`Timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+        }),
+      ]);
+      result = { status: 'ok', durationMs: Date.now() - startedAt };
+    } catch (error) {
+      this.logger.warn('Readiness check failed', { check: name, error });
+      result = { status: 'failed', durationMs: Date.now() - startedAt, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+    
+    if (entry.cacheSeconds > 0) {
+      entry.cached = { result, expiresAt: Date.now() + entry.cacheSeconds * 1000 };
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Forget cached results so the next run checks everything again
+   */
+  clearCache() {
+    this.checks.forEach(entry => {
+      entry.cached = null;
+    });
+  }
+}
+
+module.exports = ReadinessService;
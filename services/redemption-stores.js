@@ -0,0 +1,184 @@
+/**
+ * Redemption Stores
+ * Pluggable persistence for discount code usage. A checkout reserves a use of
+ * its code before the payment, then confirms the reservation once the sale
+ * succeeds or releases it when the sale fails. Reservations that are never
+ * settled, e.g. because the process stopped mid-payment, expire after
+ * `reservationTtlSeconds`. Every store implements the same async interface:
+ * reserve(code, reservationId, usageLimit), confirm(code, reservationId),
+ * release(reservationId) and check(), which rejects when the store cannot take
+ * writes. count(code) is synchronous because carts are priced synchronously;
+ * it includes the uses that are reserved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+const DEFAULT_RESERVATION_TTL_SECONDS = 15 * 60;
+
+/**
+ * Keeps redemptions in process memory; used for development and tests
+ */
+class MemoryRedemptionStore {
+  constructor({ reservationTtlSeconds = DEFAULT_RESERVATION_TTL_SECONDS } = {}) {
+    this.reservationTtlMs = reservationTtlSeconds * 1000;
+    this.redemptions = new Map();
+    this.reservations = new Map();
+  }
+  
+  /**
+   * Hold a use of a code; resolves to false when `usageLimit` (null for no
+   * limit) uses are already redeemed or reserved
+   */
+  async reserve(code, reservationId, usageLimit) {
+    this.sweep();
+    
+    if (usageLimit !== null && this.count(code) >= usageLimit) {
+      return false;
+    }
+    
+    this.reservations.set(reservationId, { code, expiresAt: Date.now() + this.reservationTtlMs });
+    return true;
+  }
+  
+  /**
+   * Count a reserved use as redeemed; counts it even if the reservation has
+   * expired, since the sale went through
+   */
+  async confirm(code, reservationId) {
+    this.reservations.delete(reservationId);
+    this.redemptions.set(code, (this.redemptions.get(code) || 0) + 1);
+  }
+  
+  async release(reservationId) {
+    this.reservations.delete(reservationId);
+  }
+  
+  count(code) {
+    const now = Date.now();
+    let reserved = 0;
+    
+    this.reservations.forEach(reservation => {
+      if (reservation.code === code && reservation.expiresAt > now) {
+        reserved += 1;
+      }
+    });
+    
+    return (this.redemptions.get(code) || 0) + reserved;
+  }
+  
+  /**
+   * Drop expired reservations
+   */
+  sweep() {
+    const now = Date.now();
+    
+    for (const [reservationId, reservation] of this.reservations) {
+      if (reservation.expiresAt <= now) {
+        this.reservations.delete(reservationId);
+      }
+    }
+  }
+  
+  async check() {}
+}
+
+/**
+ * Persists redemptions and reservations to a JSON file. Writes are serialized
+ * and replace the file atomically, like the order store.
+ */
+class FileRedemptionStore extends MemoryRedemptionStore {
+  constructor(filePath, options) {
+    super(options);
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+    this.load();
+  }
+  
+  /**
+   * Load existing redemptions and reservations from disk
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+    
+    const { redemptions = {}, reservations = {} } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    Object.entries(redemptions).forEach(([code, count]) => this.redemptions.set(code, count));
+    Object.entries(reservations).forEach(([reservationId, reservation]) => {
+      this.reservations.set(reservationId, reservation);
+    });
+  }
+  
+  /**
+   * Write everything to disk after any pending write has finished
+   */
+  persist() {
+    const write = async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      const contents = JSON.stringify({
+        redemptions: Object.fromEntries(this.redemptions),
+        reservations: Object.fromEntries(this.reservations),
+      }, null, 2);
+      
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, contents);
+      await fs.promises.rename(tempPath, this.filePath);
+    };
+    
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+  
+  /**
+   * Reject unless the data directory exists or can be created, and is writable
+   */
+  async check() {
+    const directory = path.dirname(this.filePath);
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.access(directory, fs.constants.W_OK);
+  }
+  
+  async reserve(code, reservationId, usageLimit) {
+    const reserved = await super.reserve(code, reservationId, usageLimit);
+    
+    if (reserved) {
+      await this.persist();
+    }
+    
+    return reserved;
+  }
+  
+  async confirm(code, reservationId) {
+    await super.confirm(code, reservationId);
+    await this.persist();
+  }
+  
+  async release(reservationId) {
+    await super.release(reservationId);
+    await this.persist();
+  }
+}
+
+/**
+ * Create the redemption store selected by REDEMPTION_STORE ('file' or 'memory')
+ */
+function createRedemptionStore(type = process.env.REDEMPTION_STORE || 'file') {
+  switch (type) {
+    case 'memory':
+      return new MemoryRedemptionStore();
+    case 'file':
+      return new FileRedemptionStore(
+        path.join(process.env.DATA_DIR || DEFAULT_DATA_DIR, 'redemptions.json')
+      );
+    default:
+      throw new Error(`Unknown redemption store: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryRedemptionStore,
+  FileRedemptionStore,
+  createRedemptionStore,
+};
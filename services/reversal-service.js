@@ -0,0 +1,84 @@
+/**
+ * Reversal Service
+ * Undoes payments: voids transactions that have not settled yet and refunds
+ * those that have, recording the reversal on the order
+ */
+
+const { toCents, formatCents } = require('./money');
+const { ServiceError, ConflictError } = require('./errors');
+
+// Braintree transaction statuses that can be voided or refunded
+const VOIDABLE_STATUSES = ['authorized', 'submitted_for_settlement', 'settlement_pending'];
+const REFUNDABLE_STATUSES = ['settled', 'settling'];
+
+// Order statuses that still have a balance to reverse
+const REVERSIBLE_ORDER_STATUSES = ['paid', 'partially_refunded'];
+
+class ReversalService {
+  constructor({ gateway, orderService }) {
+    this.gateway = gateway;
+    this.orderService = orderService;
+  }
+  
+  /**
+   * Reverse all or part of an order's payment.
+   * Without an amount the remaining balance is reversed. Unsettled transactions
+   * are voided, which only supports the full amount; settled ones are refunded.
+   */
+  async reverse(orderId, { amount } = {}) {
+    const order = await this.orderService.getOrder(orderId);
+    
+    if (!REVERSIBLE_ORDER_STATUSES.includes(order.status)) {
+      throw new ConflictError(`Order cannot be reversed in status: ${order.status}`);
+    }
+    
+    const orderCents = toCents(order.amount);
+    const remainingCents = orderCents - toCents(order.refundedAmount || '0');
+    const amountCents = amount === undefined ? remainingCents : toCents(amount);
+    
+    if (amountCents === null || amountCents <= 0) {
+      throw new ServiceError('Refund amount must be a positive amount');
+    }
+    
+    if (amountCents > remainingCents) {
+      throw new ServiceError(`Refund amount exceeds the refundable balance of ${formatCents(remainingCents)}`);
+    }
+    
+    const transaction = await this.gateway.transaction.find(order.transactionId);
+    let type;
+    let result;
+    
+    if (VOIDABLE_STATUSES.includes(transaction.status)) {
+      if (amountCents !== orderCents) {
+        throw new ConflictError('Partial refunds are only possible after the transaction has settled');
+      }
+      
+      type = 'void';
+      result = await this.gateway.transaction.void(order.transactionId);
+    } else if (REFUNDABLE_STATUSES.includes(transaction.status)) {
+      type = 'refund';
+      result = await this.gateway.transaction.refund(order.transactionId, formatCents(amountCents));
+    } else {
+      throw new ConflictError(`Transaction cannot be reversed in status: ${transaction.status}`);
+    }
+    
+    if (!result.success) {
+      throw new ServiceError(result.message || `Transaction ${type} failed`);
+    }
+    
+    const updatedOrder = await this.orderService.recordReversal(orderId, {
+      type,
+      amount: formatCents(amountCents),
+      transactionId: result.transaction.id,
+      transactionStatus: result.transaction.status,
+    });
+    
+    return {
+      type,
+      order: updatedOrder,
+      transaction: result.transaction,
+    };
+  }
+}
+
+module.exports = ReversalService;
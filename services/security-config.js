@@ -0,0 +1,129 @@
+/**
+ * Security Configuration
+ * Origins allowed to call the API cross-origin (CORS), the extra sources the
+ * Content Security Policy allows for Braintree, PayPal and the CDN scripts,
+ * the referrer policy and HSTS settings. Read from a JSON file; CORS_ORIGINS
+ * (comma-separated) overrides the CORS allowlist.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./validation');
+
+const DEFAULT_SECURITY_CONFIG_PATH = path.join(__dirname, '..', 'config', 'security.json');
+
+const ORIGIN = {
+  type: 'string',
+  pattern: /^https?:\/\/[a-z0-9.-]+(:\d+)?$/i,
+  patternMessage: 'must be an origin such as "https://shop.example.com"',
+};
+
+// Hosts (optionally with a leading wildcard), schemes such as data: and
+// quoted keywords such as 'unsafe-inline'
+const CSP_SOURCES = {
+  type: 'array',
+  items: {
+    type: 'string',
+    pattern: /^('[a-z0-9-]+'|[a-z][a-z0-9+.-]*:|https?:\/\/(\*\.)?[a-z0-9.-]+(:\d+)?)$/i,
+    patternMessage: 'must be a host, a scheme such as "data:" or a quoted keyword',
+  },
+};
+
+const SECURITY_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    corsOrigins: { type: 'array', items: ORIGIN },
+    contentSecurityPolicy: {
+      type: 'object',
+      properties: {
+        scriptSrc: CSP_SOURCES,
+        styleSrc: CSP_SOURCES,
+        imgSrc: CSP_SOURCES,
+        connectSrc: CSP_SOURCES,
+        frameSrc: CSP_SOURCES,
+        frameAncestors: CSP_SOURCES,
+      },
+    },
+    referrerPolicy: {
+      type: 'string',
+      enum: [
+        'no-referrer',
+        'no-referrer-when-downgrade',
+        'origin',
+        'origin-when-cross-origin',
+        'same-origin',
+        'strict-origin',
+        'strict-origin-when-cross-origin',
+      ],
+    },
+    hsts: {
+      type: 'object',
+      properties: {
+        maxAgeSeconds: { type: 'integer', minimum: 0 },
+        includeSubDomains: { type: 'boolean' },
+      },
+    },
+  },
+};
+
+/**
+ * The origins of absolute URLs; relative URLs are same-origin
+ */
+function originsOf(urls) {
+  return urls
+    .filter(url => /^https?:\/\//i.test(url))
+    .map(url => new URL(url).origin);
+}
+
+/**
+ * Load and validate the security configuration, filling in defaults. Store
+ * logos and theme files hosted on another origin are allowed by the policy.
+ */
+function loadSecurityConfig({
+  filePath = process.env.SECURITY_CONFIG_PATH || DEFAULT_SECURITY_CONFIG_PATH,
+  env = process.env,
+  storeConfig = null,
+} = {}) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  
+  if (env.CORS_ORIGINS) {
+    config.corsOrigins = env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean);
+  }
+  
+  const problems = validate(config, SECURITY_CONFIG_SCHEMA);
+  
+  if (problems.length > 0) {
+    const details = problems.map(({ field, message }) => `${field} ${message}`).join('; ');
+    throw new Error(`Invalid security config: ${details}`);
+  }
+  
+  const policy = {
+    scriptSrc: [],
+    styleSrc: [],
+    imgSrc: [],
+    connectSrc: [],
+    frameSrc: [],
+    frameAncestors: ["'none'"],
+    ...config.contentSecurityPolicy,
+  };
+  
+  if (storeConfig) {
+    policy.imgSrc = [...policy.imgSrc, ...originsOf(storeConfig.logoUrl ? [storeConfig.logoUrl] : [])];
+    policy.connectSrc = [...policy.connectSrc, ...originsOf(storeConfig.theme.urls)];
+  }
+  
+  return {
+    corsOrigins: config.corsOrigins || [],
+    contentSecurityPolicy: policy,
+    referrerPolicy: config.referrerPolicy || 'strict-origin-when-cross-origin',
+    hsts: {
+      maxAgeSeconds: 31536000,
+      includeSubDomains: true,
+      ...config.hsts,
+    },
+  };
+}
+
+module.exports = {
+  loadSecurityConfig,
+};
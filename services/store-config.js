@@ -0,0 +1,99 @@
+/**
+ * Store Configuration
+ * Merchant branding, currency, theme defaults and feature flags served to the
+ * browser by GET /config. Read from a JSON file; STORE_* and DEFAULT_THEME
+ * environment variables override individual settings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./validation');
+
+const DEFAULT_STORE_CONFIG_PATH = path.join(__dirname, '..', 'config', 'store.json');
+
+const STORE_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 60 },
+    headline: { type: 'string', minLength: 1, maxLength: 80 },
+    logoUrl: { type: 'string', minLength: 1, maxLength: 2048 },
+    productId: { type: 'string', required: true, minLength: 1 },
+    currency: {
+      type: 'string',
+      required: true,
+      pattern: /^[A-Z]{3}$/,
+      patternMessage: 'must be a three-letter ISO 4217 code such as "USD"',
+    },
+    theme: {
+      type: 'object',
+      properties: {
+        default: { type: 'string', pattern: /^[a-z0-9-]+$/, patternMessage: 'must be a theme ID' },
+        urls: { type: 'array', items: { type: 'string', minLength: 1 } },
+      },
+    },
+    features: {
+      type: 'object',
+      properties: {
+        themeSwitcher: { type: 'boolean' },
+        particles: { type: 'boolean' },
+        savedCards: { type: 'boolean' },
+      },
+    },
+  },
+};
+
+const DEFAULT_FEATURES = {
+  themeSwitcher: true,
+  particles: true,
+  savedCards: true,
+};
+
+/**
+ * Load and validate the store configuration, filling in defaults
+ */
+function loadStoreConfig({
+  filePath = process.env.STORE_CONFIG_PATH || DEFAULT_STORE_CONFIG_PATH,
+  env = process.env,
+} = {}) {
+  const fileConfig = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  
+  const config = {
+    ...fileConfig,
+    ...(env.STORE_NAME && { name: env.STORE_NAME }),
+    ...(env.STORE_HEADLINE && { headline: env.STORE_HEADLINE }),
+    ...(env.STORE_LOGO_URL && { logoUrl: env.STORE_LOGO_URL }),
+    ...(env.STORE_CURRENCY && { currency: env.STORE_CURRENCY.toUpperCase() }),
+  };
+  
+  if (env.DEFAULT_THEME) {
+    config.theme = { ...config.theme, default: env.DEFAULT_THEME };
+  }
+  
+  const problems = validate(config, STORE_CONFIG_SCHEMA);
+  
+  if (problems.length > 0) {
+    const details = problems.map(({ field, message }) => `${field} ${message}`).join('; ');
+    throw new Error(`Invalid store config: ${details}`);
+  }
+  
+  return {
+    name: config.name,
+    headline: config.headline || config.name,
+    logoUrl: config.logoUrl || null,
+    productId: config.productId,
+    currency: config.currency,
+    theme: {
+      default: 'default',
+      urls: [],
+      ...config.theme,
+    },
+    features: {
+      ...DEFAULT_FEATURES,
+      ...config.features,
+    },
+  };
+}
+
+module.exports = {
+  loadStoreConfig,
+};
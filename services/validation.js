@@ -0,0 +1,165 @@
+/**
+ * Request Validation
+ * Minimal schema checker for JSON bodies and query strings. Schemas are plain
+ * objects describing each field:
+ *
+ *   { type: 'object', properties: { ... }, additionalProperties: false }
+ *   { type: 'array', items: { ... }, maxItems }
+ *   { type: 'string', minLength, maxLength, pattern, enum }
+ *   { type: 'integer' | 'number', minimum, maximum }
+ *   { type: 'boolean' }
+ *   { type: 'amount' }   decimal amount such as '29.99' (or 29.99), greater than zero
+ *
+ * Any field may set `required: true`. Objects reject unknown fields unless
+ * `additionalProperties` is true.
+ */
+
+const { toCents } = require('./money');
+const { ValidationError } = require('./errors');
+
+/**
+ * Check a value against a schema and collect every problem as `{ field, message }`
+ */
+function validate(value, schema, field = '') {
+  const problems = [];
+  
+  const report = (path, message) => problems.push({ field: path || '(root)', message });
+  
+  const check = (current, rules, path) => {
+    switch (rules.type) {
+      case 'object':
+        if (current === null || typeof current !== 'object' || Array.isArray(current)) {
+          return report(path, 'must be an object');
+        }
+        
+        Object.entries(rules.properties || {}).forEach(([name, propertyRules]) => {
+          const propertyPath = path ? `${path}.${name}` : name;
+          
+          if (current[name] === undefined) {
+            if (propertyRules.required) {
+              report(propertyPath, 'is required');
+            }
+            return;
+          }
+          
+          check(current[name], propertyRules, propertyPath);
+        });
+        
+        if (!rules.additionalProperties) {
+          Object.keys(current)
+            .filter(name => !rules.properties || !Object.prototype.hasOwnProperty.call(rules.properties, name))
+            .forEach(name => report(path ? `${path}.${name}` : name, 'is not an allowed field'));
+        }
+        return;
+      
+      case 'array':
+        if (!Array.isArray(current)) {
+          return report(path, 'must be an array');
+        }
+        
+        if (rules.maxItems !== undefined && current.length > rules.maxItems) {
+          return report(path, `must contain at most ${rules.maxItems} items`);
+        }
+        
+        if (rules.items) {
+          current.forEach((item, index) => check(item, rules.items, `${path}[${index}]`));
+        }
+        return;
+      
+      case 'string':
+        if (typeof current !== 'string') {
+          return report(path, 'must be a string');
+        }
+        
+        if (rules.minLength !== undefined && current.length < rules.minLength) {
+          return report(path, rules.minLength === 1
+            ? 'must not be empty'
+            : `must be at least ${rules.minLength} characters`);
+        }
+        
+        if (rules.maxLength !== undefined && current.length > rules.maxLength) {
+          return report(path, `must be at most ${rules.maxLength} characters`);
+        }
+        
+        if (rules.enum && !rules.enum.includes(current)) {
+          return report(path, `must be one of: ${rules.enum.join(', ')}`);
+        }
+        
+        if (rules.pattern && !rules.pattern.test(current)) {
+          return report(path, rules.patternMessage || 'has an invalid format');
+        }
+        return;
+      
+      case 'integer':
+      case 'number':
+        if (typeof current !== 'number' || !Number.isFinite(current)) {
+          return report(path, `must be a${rules.type === 'integer' ? 'n integer' : ' number'}`);
+        }
+        
+        if (rules.type === 'integer' && !Number.isInteger(current)) {
+          return report(path, 'must be an integer');
+        }
+        
+        if (rules.minimum !== undefined && current < rules.minimum) {
+          return report(path, `must be at least ${rules.minimum}`);
+        }
+        
+        if (rules.maximum !== undefined && current > rules.maximum) {
+          return report(path, `must be at most ${rules.maximum}`);
+        }
+        return;
+      
+      case 'boolean':
+        if (typeof current !== 'boolean') {
+          report(path, 'must be a boolean');
+        }
+        return;
+      
+      case 'amount': {
+        const isNumber = typeof current === 'number' && Number.isFinite(current);
+        
+        if (typeof current !== 'string' && !isNumber) {
+          return report(path, 'must be a decimal amount such as "10.00"');
+        }
+        
+        // Numbers must not carry more precision than cents
+        const cents = isNumber && Number(current.toFixed(2)) !== current
+          ? null
+          : toCents(current);
+        
+        if (cents === null || String(current).trim().length > 16) {
+          return report(path, 'must be a positive decimal amount with at most two decimal places');
+        }
+        
+        if (cents === 0) {
+          report(path, 'must be greater than zero');
+        }
+        return;
+      }
+      
+      default:
+        throw new Error(`Unknown schema type: ${rules.type}`);
+    }
+  };
+  
+  check(value, schema, field);
+  return problems;
+}
+
+/**
+ * Validate a value and throw a ValidationError listing every problem
+ */
+function assertValid(value, schema, field) {
+  const problems = validate(value, schema, field);
+  
+  if (problems.length > 0) {
+    throw new ValidationError(problems);
+  }
+  
+  return value;
+}
+
+module.exports = {
+  validate,
+  assertValid,
+};
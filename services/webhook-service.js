@@ -0,0 +1,159 @@
+/**
+ * Webhook Service
+ * Verifies Braintree webhook notifications, applies them to the matching
+ * order and dispatches them to registered handlers. Braintree delivers a
+ * notification again when it gets no answer, so repeats of one already
+ * processed are recognized by kind, subject ID and timestamp and ignored.
+ */
+
+// Order status changes driven by transaction notifications
+const TRANSACTION_STATUS_KINDS = {
+  transaction_settled: 'settled',
+  transaction_settlement_declined: 'settlement_declined',
+  transaction_disbursed: 'disbursed',
+};
+
+const DEFAULT_MAX_PROCESSED = 10000;
+
+class WebhookService {
+  constructor({ gateway, orderService, maxProcessed = DEFAULT_MAX_PROCESSED }) {
+    this.gateway = gateway;
+    this.orderService = orderService;
+    this.handlers = new Map();
+    
+    // Processing results by notification key, oldest first; a failed
+    // notification is forgotten so Braintree's retry processes it again
+    this.maxProcessed = maxProcessed;
+    this.processed = new Map();
+  }
+  
+  /**
+   * Register a handler for a notification kind, or '*' for every kind.
+   * Handlers receive (notification, order) where order may be null.
+   */
+  on(kind, handler) {
+    if (!this.handlers.has(kind)) {
+      this.handlers.set(kind, []);
+    }
+    
+    this.handlers.get(kind).push(handler);
+    return this;
+  }
+  
+  /**
+   * Verify and process a webhook delivery. A repeat of a notification that was
+   * already processed, or is still being processed, resolves to the same
+   * order with `duplicate: true` and does not run the handlers again.
+   * Rejects with the gateway's InvalidSignatureError for forged payloads.
+   */
+  async handleNotification(signature, payload) {
+    const notification = await this.gateway.webhookNotification.parse(signature, payload);
+    const key = this.getNotificationKey(notification);
+    
+    if (this.processed.has(key)) {
+      const order = await this.processed.get(key);
+      return { notification, order, duplicate: true };
+    }
+    
+    const processing = this.process(notification);
+    this.processed.set(key, processing);
+    
+    if (this.processed.size > this.maxProcessed) {
+      this.processed.delete(this.processed.keys().next().value);
+    }
+    
+    try {
+      const order = await processing;
+      return { notification, order, duplicate: false };
+    } catch (error) {
+      this.processed.delete(key);
+      throw error;
+    }
+  }
+  
+  /**
+   * Apply a notification to its order and run the handlers for its kind
+   */
+  async process(notification) {
+    const order = await this.applyToOrder(notification);
+    
+    const handlers = [
+      ...(this.handlers.get(notification.kind) || []),
+      ...(this.handlers.get('*') || []),
+    ];
+    
+    for (const handler of handlers) {
+      await handler(notification, order);
+    }
+    
+    return order;
+  }
+  
+  /**
+   * Identify a notification by its kind, the dispute or transaction it is
+   * about and when Braintree sent it
+   */
+  getNotificationKey(notification) {
+    const subjectId = (notification.dispute && notification.dispute.id) || this.getTransactionId(notification);
+    const timestamp = notification.timestamp ? new Date(notification.timestamp).toISOString() : null;
+    
+    return JSON.stringify([notification.kind, subjectId, timestamp]);
+  }
+  
+  /**
+   * Record a notification on the order for its transaction, if there is one
+   */
+  async applyToOrder(notification) {
+    const transactionId = this.getTransactionId(notification);
+    
+    if (!transactionId) {
+      return null;
+    }
+    
+    const order = await this.orderService.findByTransactionId(transactionId);
+    
+    if (!order) {
+      return null;
+    }
+    
+    const changes = {};
+    const transactionStatus = TRANSACTION_STATUS_KINDS[notification.kind];
+    
+    if (transactionStatus) {
+      changes.transactionStatus = transactionStatus;
+    }
+    
+    if (notification.dispute) {
+      const { id, status, reason, amountDisputed, kind } = notification.dispute;
+      changes.dispute = { id, status, reason, amount: amountDisputed, kind };
+    }
+    
+    const updated = await this.orderService.recordEvent(order.id, {
+      kind: notification.kind,
+      timestamp: notification.timestamp,
+    }, changes);
+    
+    if (notification.kind === 'transaction_settlement_declined') {
+      return this.orderService.markFailed(order.id, 'Settlement declined', notification.transaction);
+    }
+    
+    return updated;
+  }
+  
+  /**
+   * Find the transaction a notification refers to
+   */
+  getTransactionId(notification) {
+    if (notification.transaction) {
+      return notification.transaction.id;
+    }
+    
+    if (notification.dispute && notification.dispute.transaction) {
+      return notification.dispute.transaction.id;
+    }
+    
+    return null;
+  }
+}
+
+module.exports = WebhookService;
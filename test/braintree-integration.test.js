@@ -0,0 +1,695 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * BraintreeIntegration Tests
+ * Hosted fields wiring and payment submission against a fake braintree global
+ */
+
+const {
+  installBrowserFakes,
+  loadModules,
+  renderCheckoutPage,
+  jsonResponse,
+} = require('./helpers/browser');
+
+const CART = { id: 'cart-1', totals: { total: '29.99' } };
+const DEVICE_DATA = '{"device_session_id":"fake-session"}';
+
+describe('BraintreeIntegration', () => {
+  let BraintreeIntegration;
+  let Logger;
+  let hostedFields;
+  let integration;
+  
+  beforeAll(() => {
+    installBrowserFakes();
+    ({ BraintreeIntegration, Logger } = loadModules());
+  });
+  
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    ({ hostedFields } = installBrowserFakes());
+    renderCheckoutPage();
+    window.localStorage.clear();
+    
+    window.fetch.mockImplementation(() => jsonResponse({
+      success: true,
+      clientToken: 'client-token',
+      environment: { braintreeEnvironment: 'sandbox', merchantId: 'merchant' },
+    }));
+    
+    integration = new BraintreeIntegration();
+    integration.setCart(CART);
+    await integration.initialize();
+    window.fetch.mockReset();
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+  
+  /**
+   * Mark every hosted field as valid
+   */
+  function fillAllFields() {
+    Object.keys(integration.fieldStates).forEach(fieldName => {
+      hostedFields.emit('validityChange', {
+        emittedBy: fieldName,
+        fields: { [fieldName]: { isValid: true, isPotentiallyValid: true } },
+      });
+    });
+  }
+  
+  it('creates the client and hosted fields with the server client token', () => {
+    expect(window.braintree.client.create).toHaveBeenCalledWith({ authorization: 'client-token' });
+    expect(window.braintree.hostedFields.create).toHaveBeenCalledWith(expect.objectContaining({
+      fields: expect.objectContaining({
+        number: expect.objectContaining({ container: '#card-number' }),
+      }),
+    }));
+    expect(integration.isInitialized).toBe(true);
+    expect(integration.environment.merchantId).toBe('merchant');
+  });
+  
+  it('fails to initialize when the client token request fails', async () => {
+    window.fetch.mockImplementation(() => jsonResponse({ success: false, error: 'No token' }, 500));
+    const failing = new BraintreeIntegration();
+    
+    await expect(failing.initialize()).rejects.toThrow('No token');
+    expect(failing.isInitialized).toBe(false);
+  });
+  
+  it('enables the submit button once every field is valid', () => {
+    const submitButton = document.getElementById('submit-button');
+    expect(submitButton.disabled).toBe(true);
+    
+    fillAllFields();
+    
+    expect(submitButton.disabled).toBe(false);
+    expect(integration.isFormValid()).toBe(true);
+  });
+  
+  it('forwards field events and card type changes to callbacks', () => {
+    integration.onFieldFocus = jest.fn();
+    integration.onFieldUpdate = jest.fn();
+    integration.onCardTypeChange = jest.fn();
+    
+    hostedFields.emit('focus', { emittedBy: 'cvv' });
+    hostedFields.emit('cardTypeChange', { cards: [{ type: 'visa' }] });
+    
+    expect(integration.onFieldFocus).toHaveBeenCalledWith('cvv');
+    expect(integration.onCardTypeChange).toHaveBeenCalledWith('visa');
+    expect(integration.onFieldUpdate).not.toHaveBeenCalled();
+  });
+  
+  it('scopes theme field styles to a class it switches on the inputs', () => {
+    integration.fieldThemes = [{ id: 'neon', fieldStyles: { input: { color: '#e0e0ff' }, '.valid': { color: '#00ffcc' } } }];
+    
+    const styles = integration.getFieldStyles();
+    
+    expect(styles.input.color).toBe('#ffffff');
+    expect(styles['input.theme-neon']).toEqual({ color: '#e0e0ff' });
+    expect(styles['input.theme-neon.valid']).toEqual({ color: '#00ffcc' });
+    
+    integration.setFieldTheme('neon');
+    integration.setFieldTheme('default');
+    
+    expect(hostedFields.addClass).toHaveBeenCalledWith('number', 'theme-neon');
+    expect(hostedFields.removeClass).toHaveBeenCalledWith('number', 'theme-neon');
+    expect(hostedFields.addClass).toHaveBeenLastCalledWith('postalCode', 'theme-default');
+  });
+  
+  it('reports no card type until the brand is certain', () => {
+    integration.onCardTypeChange = jest.fn();
+    
+    hostedFields.emit('cardTypeChange', { cards: [{ type: 'visa' }, { type: 'master-card' }] });
+    
+    expect(integration.onCardTypeChange).toHaveBeenCalledWith(null);
+  });
+  
+  it('submits the nonce, cart and amount with an Idempotency-Key', async () => {
+    integration.onPaymentSuccess = jest.fn();
+    window.fetch.mockImplementation(() => jsonResponse({
+      success: true,
+      orderId: 'order-1',
+      transaction: { id: 'txn-1', amount: '29.99' },
+    }));
+    
+    await integration.processPayment();
+    
+    const [url, options] = window.fetch.mock.calls[0];
+    expect(url).toBe('/checkout');
+    expect(JSON.parse(options.body)).toEqual({
+      paymentMethodNonce: 'fake-valid-nonce',
+      cartId: 'cart-1',
+      amount: '29.99',
+      deviceData: DEVICE_DATA,
+    });
+    expect(options.headers['Idempotency-Key']).toEqual(expect.any(String));
+    expect(options.headers['X-Checkout-Session']).toBe(integration.sessionId);
+    expect(integration.onPaymentSuccess).toHaveBeenCalledWith({
+      id: 'txn-1',
+      amount: '29.99',
+      orderId: 'order-1',
+    });
+    expect(integration.pendingCheckout).toBeNull();
+  });
+  
+  it('sends the buyer details and pays without device data when the collector fails', async () => {
+    const dataCollector = integration.dataCollector;
+    integration.dispose();
+    
+    expect(dataCollector.teardown).toHaveBeenCalled();
+    
+    window.braintree.dataCollector.create.mockRejectedValue(new Error('Blocked'));
+    window.fetch.mockImplementation(() => jsonResponse({ success: true, clientToken: 'client-token', environment: {} }));
+    await integration.initialize();
+    
+    integration.getBuyerDetails = () => ({ email: 'ada@example.com', billing: { streetAddress: '1 Market St' } });
+    window.fetch.mockReset();
+    window.fetch.mockImplementation(() => jsonResponse({ success: true, orderId: 'order-1', transaction: { id: 'txn-1' } }));
+    
+    await integration.processPayment();
+    
+    expect(integration.deviceData).toBeNull();
+    expect(JSON.parse(window.fetch.mock.calls[0][1].body)).toEqual({
+      paymentMethodNonce: 'fake-valid-nonce',
+      cartId: 'cart-1',
+      amount: '29.99',
+      email: 'ada@example.com',
+      billing: { streetAddress: '1 Market St' },
+    });
+  });
+  
+  it('reports declines through the error callback', async () => {
+    integration.onPaymentError = jest.fn();
+    window.fetch.mockImplementation(() => jsonResponse({ success: false, error: 'Do Not Honor' }, 400));
+    
+    await integration.processPayment();
+    
+    expect(integration.onPaymentError).toHaveBeenCalledWith('Do Not Honor');
+    expect(document.querySelector('#payment-status .status-message').textContent)
+      .toBe('Payment failed: Do Not Honor');
+  });
+  
+  it('lists validation problems in the error message', async () => {
+    integration.onPaymentError = jest.fn();
+    window.fetch.mockImplementation(() => jsonResponse({
+      success: false,
+      error: 'Request validation failed',
+      details: [{ field: 'amount', message: 'must be greater than zero' }],
+    }, 400));
+    
+    await integration.processPayment();
+    
+    expect(integration.onPaymentError)
+      .toHaveBeenCalledWith('Request validation failed: amount must be greater than zero');
+  });
+  
+  it('ignores a second submit while a payment is in flight', async () => {
+    let resolveCheckout;
+    window.fetch.mockImplementation(() => new Promise(resolve => {
+      resolveCheckout = () => resolve(jsonResponse({ success: true, transaction: { id: 'txn-1' } }));
+    }));
+    
+    const first = integration.processPayment();
+    await integration.processPayment();
+    
+    // Let tokenization finish so the checkout request is sent
+    await Promise.resolve();
+    await Promise.resolve();
+    resolveCheckout();
+    await first;
+    
+    expect(hostedFields.tokenize).toHaveBeenCalledTimes(1);
+    expect(window.fetch).toHaveBeenCalledTimes(1);
+  });
+  
+  it('retries network failures with the same Idempotency-Key', async () => {
+    jest.useFakeTimers();
+    integration.onPaymentSuccess = jest.fn();
+    window.fetch
+      .mockImplementationOnce(() => Promise.reject(new TypeError('Failed to fetch')))
+      .mockImplementationOnce(() => jsonResponse({ success: true, transaction: { id: 'txn-1' } }));
+    
+    const payment = integration.processPayment();
+    await jest.advanceTimersByTimeAsync(1000);
+    await payment;
+    
+    const [first, second] = window.fetch.mock.calls;
+    expect(second[1].headers['Idempotency-Key']).toBe(first[1].headers['Idempotency-Key']);
+    expect(integration.onPaymentSuccess).toHaveBeenCalled();
+  });
+  
+  it('resends an unanswered attempt instead of tokenizing again', async () => {
+    integration.maxCheckoutRetries = 0;
+    integration.onPaymentError = jest.fn();
+    window.fetch.mockImplementationOnce(() => Promise.reject(new TypeError('Failed to fetch')));
+    
+    await integration.processPayment();
+    expect(integration.onPaymentError).toHaveBeenCalled();
+    
+    window.fetch.mockImplementationOnce(() => jsonResponse({ success: true, transaction: { id: 'txn-1' } }));
+    await integration.processPayment();
+    
+    const [first, second] = window.fetch.mock.calls;
+    expect(hostedFields.tokenize).toHaveBeenCalledTimes(1);
+    expect(second[1].headers['Idempotency-Key']).toBe(first[1].headers['Idempotency-Key']);
+    expect(second[1].body).toBe(first[1].body);
+  });
+  
+  it('starts a new attempt when the cart changes', () => {
+    integration.pendingCheckout = { idempotencyKey: 'key', body: {} };
+    
+    integration.setCart({ id: 'cart-2', totals: { total: '10.00' } });
+    
+    expect(integration.pendingCheckout).toBeNull();
+    expect(integration.cartId).toBe('cart-2');
+    
+    integration.pendingCheckout = { idempotencyKey: 'key', body: {} };
+    integration.setCart({ id: 'cart-2', totals: { total: '12.50' } });
+    
+    expect(integration.pendingCheckout).toBeNull();
+    expect(integration.cartTotal).toBe('12.50');
+  });
+  
+  it('starts a new attempt when the amount or buyer details change', async () => {
+    integration.maxCheckoutRetries = 0;
+    let email = 'ada@example.com';
+    integration.getBuyerDetails = () => ({ email });
+    window.fetch.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+    
+    await integration.processPayment();
+    email = 'grace@example.com';
+    await integration.processPayment();
+    await integration.processPayment('cart-1', '31.00');
+    
+    const [first, second, third] = window.fetch.mock.calls.map(([, options]) => options);
+    expect(hostedFields.tokenize).toHaveBeenCalledTimes(3);
+    expect(JSON.parse(second.body).email).toBe('grace@example.com');
+    expect(second.headers['Idempotency-Key']).not.toBe(first.headers['Idempotency-Key']);
+    expect(JSON.parse(third.body).amount).toBe('31.00');
+    expect(third.headers['Idempotency-Key']).not.toBe(second.headers['Idempotency-Key']);
+  });
+  
+  describe('logging', () => {
+    it('tags entries with the request ID and level from the page', () => {
+      document.head.innerHTML = '<meta name="request-id" content="page-123"><meta name="log-level" content="warn">';
+      const logger = Logger.fromPage();
+      console.log.mockClear();
+      
+      logger.info('✅ Hosted fields created');
+      logger.warn('⚠️ Device data unavailable', 'timeout');
+      
+      expect(console.log).not.toHaveBeenCalled();
+      expect(console.warn).toHaveBeenCalledWith('[page-123] ⚠️ Device data unavailable', 'timeout');
+      
+      document.head.innerHTML = '';
+    });
+    
+    it('writes nothing when silent', () => {
+      const logger = new Logger({ level: 'silent' });
+      
+      logger.error('❌ Payment processing error');
+      
+      expect(console.error).not.toHaveBeenCalled();
+    });
+    
+    it('sends the request ID with client token and checkout requests', async () => {
+      window.fetch.mockImplementation(() => jsonResponse({ success: true, clientToken: 'client-token' }));
+      const tagged = new BraintreeIntegration({ logger: new Logger({ requestId: 'page-123' }) });
+      
+      await tagged.getClientToken();
+      await tagged.submitCheckout({ idempotencyKey: 'key-1', body: {} });
+      
+      const [[, tokenOptions], [, checkoutOptions]] = window.fetch.mock.calls;
+      expect(tokenOptions.headers['X-Request-Id']).toBe('page-123');
+      expect(checkoutOptions.headers['X-Request-Id']).toBe('page-123');
+      expect(integration.sessionHeaders()).not.toHaveProperty('X-Request-Id');
+    });
+  });
+  
+  describe('rate limiting', () => {
+    it('keeps one session ID per tab', () => {
+      const other = new BraintreeIntegration();
+      
+      expect(integration.sessionId).toEqual(expect.any(String));
+      expect(other.sessionId).toBe(integration.sessionId);
+      expect(window.sessionStorage.getItem('3d-checkout:session')).toBe(integration.sessionId);
+    });
+    
+    it('pauses payments with a countdown instead of an error after a 429', async () => {
+      jest.useFakeTimers();
+      integration.onPaymentError = jest.fn();
+      integration.onRateLimited = jest.fn();
+      fillAllFields();
+      window.fetch.mockImplementation(() => jsonResponse({
+        success: false,
+        error: 'Too many attempts. Please wait a moment and try again.',
+        retryAfter: 3,
+      }, 429));
+      
+      await integration.processPayment();
+      
+      const submitButton = document.getElementById('submit-button');
+      const status = document.getElementById('payment-status');
+      expect(window.fetch).toHaveBeenCalledTimes(1);
+      expect(integration.onPaymentError).not.toHaveBeenCalled();
+      expect(integration.onRateLimited).toHaveBeenCalledWith(3);
+      expect(status.className).toBe('payment-status rate-limited');
+      expect(status.querySelector('.status-icon').textContent).toBe('⏳');
+      expect(status.querySelector('.status-message').textContent)
+        .toBe('Too many attempts. You can try again in 3 seconds.');
+      expect(submitButton.disabled).toBe(true);
+      
+      // Submitting during the pause does not reach the server
+      await integration.processPayment();
+      expect(window.fetch).toHaveBeenCalledTimes(1);
+      
+      jest.advanceTimersByTime(2000);
+      expect(status.querySelector('.status-message').textContent)
+        .toBe('Too many attempts. You can try again in 1 second.');
+      
+      jest.advanceTimersByTime(1000);
+      expect(integration.rateLimitedUntil).toBeNull();
+      expect(status.style.display).toBe('none');
+      expect(submitButton.disabled).toBe(false);
+    });
+    
+    it('counts down and retries a rate limited client token request instead of failing', async () => {
+      jest.useFakeTimers();
+      const limited = new BraintreeIntegration();
+      limited.onRateLimited = jest.fn();
+      window.fetch
+        .mockImplementationOnce(() => jsonResponse({ success: false, retryAfter: 2 }, 429))
+        .mockImplementation(() => jsonResponse({ success: true, clientToken: 'client-token', environment: {} }));
+      
+      const initialized = limited.initialize();
+      await jest.advanceTimersByTimeAsync(0);
+      
+      expect(limited.onRateLimited).toHaveBeenCalledWith(2);
+      expect(document.querySelector('#payment-status .status-message').textContent)
+        .toBe('Too many attempts. You can try again in 2 seconds.');
+      expect(window.fetch).toHaveBeenCalledTimes(1);
+      
+      await jest.advanceTimersByTimeAsync(2000);
+      
+      await expect(initialized).resolves.toBe(true);
+      expect(window.fetch).toHaveBeenCalledTimes(2);
+      expect(limited.clientToken).toBe('client-token');
+      expect(limited.rateLimitedUntil).toBeNull();
+    });
+  });
+  
+  describe('saved payment methods', () => {
+    const SAVED_CARD = { token: 'card-1', cardType: 'Visa', last4: '1111', expirationDate: '12/2030', default: true };
+    
+    /**
+     * Initialize an integration for a returning customer with the given saved cards
+     */
+    async function initializeReturningCustomer(paymentMethods = [SAVED_CARD]) {
+      window.localStorage.setItem('3d-checkout:customerId', 'customer-1');
+      window.fetch.mockImplementation((url) => {
+        if (url.startsWith('/client-token')) {
+          return jsonResponse({ success: true, clientToken: 'client-token', environment: {} });
+        }
+        
+        return jsonResponse({ success: true, paymentMethods });
+      });
+      
+      const returning = new BraintreeIntegration();
+      returning.setCart(CART);
+      await returning.initialize();
+      return returning;
+    }
+    
+    it('requests a customer client token and lists saved cards', async () => {
+      const returning = await initializeReturningCustomer();
+      
+      expect(window.fetch).toHaveBeenCalledWith('/client-token?customerId=customer-1', expect.any(Object));
+      expect(window.fetch).toHaveBeenCalledWith('/customers/customer-1/payment-methods', expect.any(Object));
+      expect(returning.savedPaymentMethods).toEqual([SAVED_CARD]);
+      expect(document.getElementById('saved-cards').style.display).toBe('block');
+      expect(document.querySelector('.saved-card-select').textContent).toBe('Visa •••• 1111 (exp. 12/2030)');
+    });
+    
+    it('forgets a customer that no longer exists', async () => {
+      window.localStorage.setItem('3d-checkout:customerId', 'customer-1');
+      window.fetch.mockImplementation((url) => (url === '/client-token'
+        ? jsonResponse({ success: true, clientToken: 'client-token', environment: {} })
+        : jsonResponse({ success: false, error: 'Customer not found' }, 404)));
+      
+      const guest = new BraintreeIntegration();
+      await guest.initialize();
+      
+      expect(guest.customerId).toBeNull();
+      expect(window.localStorage.getItem('3d-checkout:customerId')).toBeNull();
+    });
+    
+    it('pays with the selected saved card without tokenizing', async () => {
+      const returning = await initializeReturningCustomer();
+      const onSelect = jest.fn();
+      returning.onSavedPaymentMethodSelect = onSelect;
+      
+      returning.selectSavedPaymentMethod('card-1');
+      
+      expect(onSelect).toHaveBeenCalledWith('card-1', SAVED_CARD);
+      expect(returning.isFormValid()).toBe(true);
+      expect(document.getElementById('checkout-form').classList.contains('using-saved-card')).toBe(true);
+      
+      window.fetch.mockReset();
+      window.fetch.mockImplementation(() => jsonResponse({ success: true, transaction: { id: 'txn-1' } }));
+      await returning.processPayment();
+      
+      expect(hostedFields.tokenize).not.toHaveBeenCalled();
+      expect(JSON.parse(window.fetch.mock.calls[0][1].body)).toEqual({
+        paymentMethodToken: 'card-1',
+        customerId: 'customer-1',
+        cartId: 'cart-1',
+        amount: '29.99',
+        deviceData: DEVICE_DATA,
+      });
+    });
+    
+    it('creates a customer when saving a new card', async () => {
+      document.getElementById('save-card').checked = true;
+      window.fetch.mockImplementation((url) => {
+        if (url === '/customers') {
+          return jsonResponse({ success: true, customer: { id: 'customer-2' } }, 201);
+        }
+        
+        return jsonResponse({ success: true, transaction: { id: 'txn-1' }, savedPaymentMethod: SAVED_CARD });
+      });
+      
+      await integration.processPayment();
+      
+      const checkoutCall = window.fetch.mock.calls.find(([url]) => url === '/checkout');
+      expect(JSON.parse(checkoutCall[1].body)).toEqual(expect.objectContaining({
+        paymentMethodNonce: 'fake-valid-nonce',
+        customerId: 'customer-2',
+        savePaymentMethod: true,
+      }));
+      expect(window.localStorage.getItem('3d-checkout:customerId')).toBe('customer-2');
+      expect(window.fetch).toHaveBeenCalledWith('/customers/customer-2/payment-methods', expect.any(Object));
+    });
+  });
+  
+  describe('alternative payment methods', () => {
+    let paypal;
+    let venmo;
+    let wallets;
+    
+    beforeEach(async () => {
+      ({ hostedFields, paypal, venmo } = installBrowserFakes());
+      window.fetch.mockImplementation(() => jsonResponse({
+        success: true,
+        clientToken: 'client-token',
+        environment: {},
+        paymentMethods: ['card', 'paypal', 'venmo'],
+      }));
+      
+      wallets = new BraintreeIntegration();
+      wallets.setCart(CART);
+      await wallets.initialize();
+      window.fetch.mockReset();
+      window.fetch.mockImplementation(() => jsonResponse({
+        success: true,
+        orderId: 'order-1',
+        transaction: { id: 'txn-1', amount: '29.99' },
+      }));
+    });
+    
+    it('renders a tab for each method the server offers', () => {
+      const tabs = Array.from(document.querySelectorAll('.payment-method-tab'), tab => tab.textContent);
+      
+      expect(tabs).toEqual(['Card', 'PayPal', 'Venmo']);
+      expect(document.getElementById('payment-method-tabs').style.display).toBe('flex');
+      expect(paypal.buttons.render).toHaveBeenCalledWith(document.getElementById('paypal-button'));
+      expect(document.querySelector('#venmo-button .venmo-button')).not.toBeNull();
+    });
+    
+    it('swaps the card form for the selected method\'s button', () => {
+      wallets.onPaymentMethodChange = jest.fn();
+      
+      document.querySelector('[data-payment-method="paypal"]').click();
+      
+      expect(wallets.onPaymentMethodChange).toHaveBeenCalledWith('paypal');
+      expect(document.getElementById('checkout-form').style.display).toBe('none');
+      expect(document.getElementById('alternative-payment').style.display).toBe('block');
+      expect(document.getElementById('paypal-button').style.display).toBe('block');
+      expect(document.getElementById('venmo-button').style.display).toBe('none');
+      expect(wallets.isFormValid()).toBe(false);
+      
+      wallets.selectPaymentMethod('card');
+      
+      expect(document.getElementById('checkout-form').style.display).toBe('');
+      expect(document.getElementById('alternative-payment').style.display).toBe('none');
+    });
+    
+    it('charges an approved PayPal payment through /checkout', async () => {
+      wallets.onPaymentSuccess = jest.fn();
+      wallets.selectPaymentMethod('paypal');
+      
+      await expect(paypal.buttons.options.createOrder()).resolves.toBe('EC-TOKEN');
+      expect(paypal.paypalCheckout.createPayment).toHaveBeenCalledWith(expect.objectContaining({
+        flow: 'checkout',
+        amount: '29.99',
+      }));
+      
+      await paypal.buttons.options.onApprove({ orderID: 'EC-TOKEN' });
+      
+      expect(hostedFields.tokenize).not.toHaveBeenCalled();
+      expect(JSON.parse(window.fetch.mock.calls[0][1].body)).toEqual({
+        paymentMethodNonce: 'fake-paypal-one-time-nonce',
+        cartId: 'cart-1',
+        amount: '29.99',
+        deviceData: DEVICE_DATA,
+      });
+      expect(wallets.onPaymentSuccess).toHaveBeenCalledWith(expect.objectContaining({ orderId: 'order-1' }));
+    });
+    
+    it('charges a Venmo payment when its button is clicked', async () => {
+      wallets.selectPaymentMethod('venmo');
+      
+      await wallets.paymentMethods.venmo.tokenize();
+      
+      expect(venmo.tokenize).toHaveBeenCalled();
+      expect(JSON.parse(window.fetch.mock.calls[0][1].body).paymentMethodNonce).toBe('fake-venmo-account-nonce');
+    });
+    
+    it('leaves out methods the browser cannot use', async () => {
+      ({ venmo } = installBrowserFakes());
+      venmo.isBrowserSupported.mockReturnValue(false);
+      renderCheckoutPage();
+      window.fetch.mockImplementation(() => jsonResponse({
+        success: true,
+        clientToken: 'client-token',
+        environment: {},
+        paymentMethods: ['card', 'venmo'],
+      }));
+      
+      const cardOnly = new BraintreeIntegration();
+      await cardOnly.initialize();
+      
+      expect(cardOnly.paymentMethods).toEqual({});
+      expect(venmo.teardown).toHaveBeenCalled();
+      expect(document.getElementById('venmo-button')).toBeNull();
+      expect(document.getElementById('payment-method-tabs').style.display).toBe('none');
+    });
+  });
+  
+  describe('3D Secure', () => {
+    let threeDSecure;
+    let verifying;
+    
+    beforeEach(async () => {
+      ({ hostedFields, threeDSecure } = installBrowserFakes());
+      window.fetch.mockImplementation(() => jsonResponse({
+        success: true,
+        clientToken: 'client-token',
+        environment: {},
+        threeDSecure: { enabled: true, required: true },
+      }));
+      
+      verifying = new BraintreeIntegration();
+      verifying.setCart(CART);
+      await verifying.initialize();
+      window.fetch.mockReset();
+      window.fetch.mockImplementation(() => jsonResponse({ success: true, transaction: { id: 'txn-1' } }));
+    });
+    
+    it('verifies the tokenized card and submits the verified nonce', async () => {
+      verifying.onThreeDSecureStart = jest.fn();
+      verifying.onThreeDSecureEnd = jest.fn();
+      
+      await verifying.processPayment();
+      
+      expect(window.braintree.threeDSecure.create).toHaveBeenCalledWith(expect.objectContaining({ version: 2 }));
+      expect(threeDSecure.verifyCard).toHaveBeenCalledWith(expect.objectContaining({
+        nonce: 'fake-valid-nonce',
+        bin: '411111',
+        amount: '29.99',
+      }));
+      expect(JSON.parse(window.fetch.mock.calls[0][1].body).paymentMethodNonce)
+        .toBe('fake-three-d-secure-visa-full-authentication-nonce');
+      expect(verifying.onThreeDSecureStart).toHaveBeenCalled();
+      expect(verifying.onThreeDSecureEnd).toHaveBeenCalledWith(expect.objectContaining({ liabilityShifted: true }));
+      expect(document.getElementById('three-d-secure-modal').style.display).toBe('none');
+    });
+    
+    it('does not charge a card that failed authentication', async () => {
+      verifying.onPaymentError = jest.fn();
+      threeDSecure.verifyCard.mockResolvedValueOnce({
+        nonce: 'unverified-nonce',
+        liabilityShifted: false,
+        liabilityShiftPossible: true,
+      });
+      
+      await verifying.processPayment();
+      
+      expect(window.fetch).not.toHaveBeenCalled();
+      expect(verifying.onPaymentError).toHaveBeenCalledWith('Card verification failed. Please try another card.');
+    });
+    
+    it('reports a canceled challenge', async () => {
+      verifying.onPaymentError = jest.fn();
+      threeDSecure.verifyCard.mockRejectedValueOnce(
+        Object.assign(new Error('canceled'), { code: 'THREEDS_CARDINAL_SDK_CANCELED' }),
+      );
+      
+      await verifying.processPayment();
+      
+      expect(window.fetch).not.toHaveBeenCalled();
+      expect(verifying.onPaymentError).toHaveBeenCalledWith('Card verification was canceled');
+    });
+    
+    it('verifies saved cards through a server-created nonce', async () => {
+      verifying.customerId = 'customer-1';
+      verifying.selectedPaymentMethodToken = 'card-1';
+      window.fetch.mockImplementation((url) => (url.endsWith('/nonce')
+        ? jsonResponse({ success: true, paymentMethodNonce: { nonce: 'fake-vaulted-card-1-nonce', bin: '555555' } })
+        : jsonResponse({ success: true, transaction: { id: 'txn-1' } })));
+      
+      await verifying.processPayment();
+      
+      expect(window.fetch.mock.calls[0][0]).toBe('/customers/customer-1/payment-methods/card-1/nonce');
+      expect(threeDSecure.verifyCard).toHaveBeenCalledWith(expect.objectContaining({
+        nonce: 'fake-vaulted-card-1-nonce',
+        bin: '555555',
+      }));
+      expect(JSON.parse(window.fetch.mock.calls[1][1].body)).toEqual({
+        paymentMethodNonce: 'fake-three-d-secure-visa-full-authentication-nonce',
+        customerId: 'customer-1',
+        cartId: 'cart-1',
+        amount: '29.99',
+        deviceData: DEVICE_DATA,
+      });
+    });
+  });
+});
@@ -0,0 +1,730 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * CheckoutApp Tests
+ * Application wiring between the server cart, Braintree and the 3D scene,
+ * run with fake THREE, TWEEN and braintree globals
+ */
+
+const {
+  installBrowserFakes,
+  loadModules,
+  renderCheckoutPage,
+  jsonResponse,
+} = require('./helpers/browser');
+
+const CART = {
+  id: 'cart-1',
+  status: 'open',
+  currency: 'USD',
+  items: [{ productId: 'premium-3d-experience', name: 'Premium 3D Experience', quantity: 1, total: '29.99' }],
+  shippingOptionId: 'digital',
+  postalCode: null,
+  shippingOptions: [
+    { id: 'digital', name: 'Digital delivery', requiresAddress: false, amount: '0.00' },
+    { id: 'express', name: 'Express shipping (1-2 days)', requiresAddress: true, amount: '14.99' },
+  ],
+  discount: null,
+  totals: { subtotal: '29.99', shipping: '0.00', discount: '0.00', tax: '0.00', taxRate: 0, taxRegion: null, total: '29.99' },
+};
+
+const CONFIG = {
+  name: 'Orbit Supply',
+  headline: 'Orbit Supply Checkout',
+  logoUrl: null,
+  productId: 'premium-3d-experience',
+  currency: 'USD',
+  theme: { default: 'default', urls: [] },
+  features: { themeSwitcher: true, particles: true, savedCards: true },
+};
+
+/**
+ * Route fake fetch() calls to canned server responses
+ */
+function mockServer(overrides = {}) {
+  const routes = {
+    '/config': () => ({ success: true, config: CONFIG }),
+    '/carts': ({ body }) => ({
+      success: true,
+      cart: { ...CART, id: `cart-${window.fetch.mock.calls.length}`, currency: JSON.parse(body).currency },
+    }),
+    '/client-token': () => ({ success: true, clientToken: 'client-token', environment: { merchantId: 'merchant' } }),
+    '/events': ({ body }) => ({ success: true, accepted: JSON.parse(body).events.length }),
+    ...overrides,
+  };
+  
+  window.fetch.mockImplementation((url, options = {}) => {
+    const route = routes[url];
+    return route ? jsonResponse(route(options)) : jsonResponse({ success: false, error: 'Route not found' }, 404);
+  });
+}
+
+/**
+ * Fill in an address section of the rendered page
+ */
+function fillAddress(prefix, { streetAddress = '1 Market St', locality = 'San Francisco', region = 'CA' } = {}) {
+  document.getElementById(`${prefix}-first-name`).value = 'Ada';
+  document.getElementById(`${prefix}-last-name`).value = 'Lovelace';
+  document.getElementById(`${prefix}-street-address`).value = streetAddress;
+  document.getElementById(`${prefix}-locality`).value = locality;
+  document.getElementById(`${prefix}-region`).value = region;
+}
+
+describe('CheckoutApp', () => {
+  let CheckoutApp;
+  let ThreeScene;
+  let Logger;
+  let app;
+  
+  beforeAll(() => {
+    installBrowserFakes();
+    ({ CheckoutApp, ThreeScene, Logger } = loadModules());
+  });
+  
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    installBrowserFakes();
+    renderCheckoutPage();
+    mockServer();
+    
+    app = new CheckoutApp();
+  });
+  
+  afterEach(() => {
+    if (app.isInitialized) {
+      app.dispose();
+    }
+    
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+  
+  it('initializes the scene, cart and Braintree integration', async () => {
+    await app.initialize();
+    
+    expect(app.isInitialized).toBe(true);
+    expect(app.currentStep).toBe('form');
+    expect(app.scene).not.toBeNull();
+    expect(app.braintree.isInitialized).toBe(true);
+    expect(app.braintree.cartId).toBe(app.cart.id);
+    expect(window.fetch).toHaveBeenCalledWith('/carts', expect.objectContaining({ method: 'POST' }));
+  });
+  
+  it('sends the session and request ID headers with its config and cart requests', async () => {
+    app = new CheckoutApp({ logger: new Logger({ level: 'silent', requestId: 'page-123' }) });
+    
+    await app.initialize();
+    await app.updateShipping({ shippingOptionId: 'express' });
+    
+    const requests = window.fetch.mock.calls.filter(([url]) => url === '/config' || url.startsWith('/carts'));
+    expect(requests.map(([url]) => url)).toEqual(['/config', '/carts', `/carts/${app.cart.id}/shipping`]);
+    requests.forEach(([, options]) => {
+      expect(options.headers).toEqual(expect.objectContaining({
+        'X-Checkout-Session': app.braintree.sessionId,
+        'X-Request-Id': 'page-123',
+      }));
+    });
+  });
+  
+  it('renders the server-computed cart total', async () => {
+    mockServer({
+      '/carts': () => ({ success: true, cart: { ...CART, totals: { subtotal: '59.98', total: '59.98' } } }),
+    });
+    
+    await app.initialize();
+    
+    expect(document.getElementById('total-amount').textContent).toBe('$59.98');
+    expect(document.querySelector('.product-name').textContent).toBe('Premium 3D Experience');
+  });
+  
+  it('shows an error when initialization fails', async () => {
+    mockServer({
+      '/carts': () => ({ success: false, error: 'Catalog unavailable' }),
+    });
+    
+    await expect(app.initialize()).rejects.toThrow('Cart setup failed: Catalog unavailable');
+    expect(window.alert).toHaveBeenCalledWith(expect.stringContaining('Catalog unavailable'));
+  });
+  
+  it('submits the payment for the current cart', async () => {
+    await app.initialize();
+    jest.spyOn(app.braintree, 'isFormValid').mockReturnValue(true);
+    jest.spyOn(app.braintree, 'processPayment').mockResolvedValue();
+    
+    await app.handleFormSubmit(new Event('submit'));
+    
+    expect(app.braintree.processPayment).toHaveBeenCalledWith(app.cart.id, '29.99');
+    expect(app.currentStep).toBe('processing');
+  });
+  
+  it('does not submit an invalid form', async () => {
+    await app.initialize();
+    jest.spyOn(app.braintree, 'processPayment');
+    
+    await app.handleFormSubmit(new Event('submit'));
+    
+    expect(app.braintree.processPayment).not.toHaveBeenCalled();
+  });
+  
+  it('celebrates a successful payment and starts a new cart', async () => {
+    await app.initialize();
+    const paidCartId = app.cart.id;
+    jest.spyOn(app.scene, 'animateSuccess');
+    
+    app.handlePaymentSuccess({ id: 'txn-1', orderId: 'order-1', amount: '29.99', currency: 'USD' });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    expect(app.currentStep).toBe('complete');
+    expect(app.lastOrderId).toBe('order-1');
+    expect(app.scene.animateSuccess).toHaveBeenCalledWith(expect.objectContaining({
+      transactionId: 'txn-1',
+      status: 'Successful',
+      amount: '$29.99',
+    }));
+    expect(app.cart.id).not.toBe(paidCartId);
+    expect(app.braintree.cartId).toBe(app.cart.id);
+  });
+  
+  it('returns to the form after a payment error', async () => {
+    await app.initialize();
+    app.currentStep = 'processing';
+    
+    app.handlePaymentError('Do Not Honor');
+    
+    expect(app.currentStep).toBe('form');
+    expect(window.alert).toHaveBeenCalledWith('Error: Do Not Honor');
+  });
+  
+  it('returns to the form without an alert when payments are rate limited', async () => {
+    await app.initialize();
+    app.currentStep = 'processing';
+    
+    app.braintree.handleRateLimited(30);
+    
+    expect(app.currentStep).toBe('form');
+    expect(window.alert).not.toHaveBeenCalled();
+    expect(document.querySelector('#payment-status .status-message').textContent)
+      .toBe('Too many attempts. You can try again in 30 seconds.');
+    
+    app.braintree.clearRateLimit();
+  });
+  
+  it('waits out a rate limited client token on the loading screen without an alert', async () => {
+    jest.useFakeTimers();
+    const respond = window.fetch.getMockImplementation();
+    let limited = true;
+    window.fetch.mockImplementation((url, options) => {
+      if (url === '/client-token' && limited) {
+        limited = false;
+        return jsonResponse({ success: false, retryAfter: 3 }, 429);
+      }
+      return respond(url, options);
+    });
+    
+    const initialized = app.initialize();
+    await jest.advanceTimersByTimeAsync(0);
+    
+    expect(app.isInitialized).toBe(false);
+    expect(document.querySelector('#loading-screen .loading-text').textContent)
+      .toBe('Too many attempts. Checkout will continue in 3 seconds...');
+    
+    await jest.advanceTimersByTimeAsync(3000);
+    await initialized;
+    
+    expect(app.isInitialized).toBe(true);
+    expect(window.alert).not.toHaveBeenCalled();
+  });
+  
+  it('reports initialization timings, payments and their outcomes as events', async () => {
+    const events = [];
+    app.events.on('*', event => events.push(event));
+    
+    await app.initialize();
+    jest.spyOn(app.braintree, 'isFormValid').mockReturnValue(true);
+    jest.spyOn(app.braintree, 'processPayment').mockResolvedValue();
+    
+    app.handleBraintreeFieldFocus('number');
+    app.handleValidationChange('cvv', { isValid: false, isPotentiallyValid: false });
+    await app.handleFormSubmit(new Event('submit'));
+    app.handlePaymentError('Do Not Honor');
+    app.braintree.handleRateLimited(30);
+    app.braintree.clearRateLimit();
+    app.handlePaymentSuccess({ id: 'txn-1', orderId: 'order-1', amount: '29.99', currency: 'USD' });
+    
+    const timings = events.filter(event => event.type === 'init_timing').map(event => event.data.step);
+    expect(timings).toEqual(['config', 'themes', 'scene', 'cart', 'braintree', 'total']);
+    expect(events.filter(event => event.type !== 'init_timing').map(({ type, data }) => ({ type, data }))).toEqual([
+      { type: 'field_focus', data: { field: 'number' } },
+      { type: 'validation_error', data: { field: 'cvv' } },
+      { type: 'payment_submit', data: { paymentMethod: 'card' } },
+      { type: 'payment_decline', data: { reason: 'Do Not Honor' } },
+      { type: 'rate_limited', data: { retryAfter: 30 } },
+      { type: 'payment_success', data: { orderId: 'order-1', transactionId: 'txn-1', amount: '29.99', currency: 'USD' } },
+    ]);
+  });
+  
+  it('reports WebGL and initialization failures', async () => {
+    const events = [];
+    app.events.on('*', event => events.push(event));
+    jest.spyOn(ThreeScene.prototype, 'init').mockImplementation(() => {
+      throw new Error('WebGL is not supported');
+    });
+    
+    await expect(app.initialize()).rejects.toThrow('3D scene initialization failed');
+    
+    expect(events.map(({ type, data }) => ({ type, data }))).toContainEqual(
+      { type: 'webgl_failure', data: { message: 'WebGL is not supported' } }
+    );
+    expect(events[events.length - 1].data).toEqual({
+      message: '3D scene initialization failed: WebGL is not supported',
+      context: 'initialize',
+    });
+    
+    await app.events.dispose();
+    expect(window.fetch).toHaveBeenCalledWith('/events', expect.objectContaining({ method: 'POST' }));
+  });
+  
+  it('updates the 3D card when a field becomes valid', async () => {
+    await app.initialize();
+    jest.spyOn(app.scene, 'updateCardData');
+    
+    app.handleBraintreeFieldUpdate('number', true);
+    
+    expect(app.scene.updateCardData).toHaveBeenCalledWith('number', 'valid');
+  });
+  
+  it('switches the 3D card to the detected brand\'s design', async () => {
+    await app.initialize();
+    const { scene } = app;
+    jest.spyOn(scene, 'setCardBrand');
+    jest.spyOn(scene, 'flipCardToBack');
+    
+    app.braintree.onCardTypeChange('american-express');
+    scene.applyCardBrand();
+    
+    expect(scene.setCardBrand).toHaveBeenCalledWith('american-express');
+    expect(scene.cardBrand).toBe('american-express');
+    expect(scene.cvvMesh.rotation.y).toBe(0);
+    expect(scene.formatCardNumber('378282246310005', [4, 6, 5])).toBe('3782 822463 10005');
+    
+    // Amex prints its code on the front, so the card stays facing the buyer
+    scene.onFieldFocused('cvv');
+    expect(scene.flipCardToBack).not.toHaveBeenCalled();
+    
+    app.braintree.onCardTypeChange(null);
+    scene.applyCardBrand();
+    
+    expect(scene.cardBrand).toBe('default');
+    expect(scene.cvvMesh.rotation.y).toBe(Math.PI);
+  });
+  
+  it('stops the running brand change, including its tip back, before the next one', async () => {
+    await app.initialize();
+    const { scene } = app;
+    
+    scene.setCardBrand('visa');
+    const tipOut = scene.brandTween;
+    const tipBack = scene.brandTipBackTween;
+    tipOut.stop = jest.fn();
+    tipBack.stop = jest.fn();
+    
+    scene.setCardBrand('master-card');
+    
+    expect(tipOut.stop).toHaveBeenCalled();
+    expect(tipBack.stop).toHaveBeenCalled();
+    
+    scene.brandTipBackTween.stop = jest.fn();
+    const { brandTipBackTween } = scene;
+    app.dispose();
+    
+    expect(brandTipBackTween.stop).toHaveBeenCalled();
+    expect(scene.brandTipBackTween).toBeNull();
+  });
+  
+  it('plays the reversal animation after reversing the last payment', async () => {
+    await app.initialize();
+    app.lastOrderId = 'order-1';
+    jest.spyOn(app.scene, 'animateReversal');
+    mockServer({
+      '/orders/order-1/refund': () => ({
+        success: true,
+        reversal: { type: 'refund', amount: '10.00', transactionId: 'refund-1', status: 'submitted_for_settlement' },
+        order: { id: 'order-1', status: 'partially_refunded', transactionId: 'txn-1' },
+      }),
+    });
+    
+    await app.reverseLastPayment({ amount: '10.00' });
+    
+    expect(app.scene.animateReversal).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'refund',
+      amount: '$10.00',
+      transactionId: 'txn-1',
+      isPartial: true,
+    }));
+  });
+  
+  it('shows saved cards in the scene and selects them from either side', async () => {
+    const savedCard = { token: 'card-1', cardType: 'Visa', last4: '1111', default: true };
+    window.localStorage.setItem('3d-checkout:customerId', 'customer-1');
+    mockServer({
+      '/client-token?customerId=customer-1': () => ({ success: true, clientToken: 'client-token', environment: {} }),
+      '/customers/customer-1/payment-methods': () => ({ success: true, paymentMethods: [savedCard] }),
+    });
+    jest.spyOn(ThreeScene.prototype, 'showSavedCards');
+    jest.spyOn(ThreeScene.prototype, 'selectSavedCard');
+    
+    await app.initialize();
+    
+    expect(app.scene.showSavedCards).toHaveBeenCalledWith([savedCard], null);
+    
+    // Clicking a card in the 3D stack selects it in the form
+    app.scene.onSavedCardSelect('card-1');
+    
+    expect(app.braintree.selectedPaymentMethodToken).toBe('card-1');
+    expect(app.scene.selectSavedCard).toHaveBeenLastCalledWith('card-1');
+    window.localStorage.clear();
+  });
+  
+  it('shows the verifying state while 3D Secure runs', async () => {
+    mockServer({
+      '/client-token': () => ({
+        success: true,
+        clientToken: 'client-token',
+        environment: {},
+        threeDSecure: { enabled: true, required: false },
+      }),
+      '/checkout': () => ({ success: true, orderId: 'order-1', transaction: { id: 'txn-1', amount: '29.99' } }),
+    });
+    
+    await app.initialize();
+    fillAddress('billing');
+    jest.spyOn(app.scene, 'startVerification');
+    jest.spyOn(app.scene, 'endVerification');
+    
+    await app.braintree.processPayment();
+    
+    expect(app.scene.startVerification).toHaveBeenCalled();
+    expect(app.scene.endVerification).toHaveBeenCalledWith(true);
+    expect(app.scene.isVerifying).toBe(false);
+  });
+  
+  it('shows the chosen payment method in the scene', async () => {
+    mockServer({
+      '/client-token': () => ({ success: true, clientToken: 'client-token', paymentMethods: ['card', 'paypal'] }),
+    });
+    
+    await app.initialize();
+    jest.spyOn(app.scene, 'showPaymentMethod');
+    
+    app.braintree.selectPaymentMethod('paypal');
+    
+    expect(app.scene.showPaymentMethod).toHaveBeenCalledWith('paypal');
+    expect(app.scene.paymentMethodObject).not.toBeNull();
+    
+    app.braintree.selectPaymentMethod('card');
+    
+    expect(app.scene.paymentMethodObject).toBeNull();
+  });
+  
+  it('cycles through the registered themes and remembers the choice', async () => {
+    await app.initialize();
+    jest.spyOn(app.scene, 'applyTheme');
+    
+    document.getElementById('toggle-theme').click();
+    
+    expect(app.currentThemeId).toBe('cyberpunk');
+    expect(app.scene.applyTheme).toHaveBeenCalledWith(expect.objectContaining({ id: 'cyberpunk' }));
+    expect(document.documentElement.style.getPropertyValue('--accent-color')).toBe('#00ffcc');
+    expect(app.braintree.fieldTheme).toBe('cyberpunk');
+    expect(window.localStorage.getItem('3d-checkout:theme')).toBe('cyberpunk');
+    window.localStorage.clear();
+  });
+  
+  it('starts with the saved theme and loads custom themes from JSON', async () => {
+    const aurora = JSON.parse(require('fs').readFileSync(`${__dirname}/../public/themes/aurora.json`, 'utf8'));
+    window.localStorage.setItem('3d-checkout:theme', 'aurora');
+    app = new CheckoutApp({ themeUrls: ['/themes/aurora.json'] });
+    mockServer({ '/themes/aurora.json': () => aurora });
+    
+    await app.initialize();
+    
+    expect(app.currentThemeId).toBe('aurora');
+    expect(document.documentElement.dataset.theme).toBe('aurora');
+    expect(app.braintree.fieldThemes.map(theme => theme.id)).toEqual(['default', 'cyberpunk', 'space', 'aurora']);
+    window.localStorage.clear();
+  });
+  
+  it('builds the page and card branding from the store configuration', async () => {
+    await app.initialize();
+    
+    expect(window.fetch).toHaveBeenCalledWith('/config', expect.any(Object));
+    expect(document.title).toBe('Orbit Supply');
+    expect(document.querySelector('.checkout-header h1').textContent).toBe('Orbit Supply Checkout');
+    expect(document.getElementById('total-amount').textContent).toBe('$29.99');
+    expect(app.scene.storeMark.name).toBe('storeMark');
+    expect(app.braintree.currency).toBe('USD');
+  });
+  
+  it('applies the configured currency, default theme and feature flags', async () => {
+    mockServer({
+      '/config': () => ({
+        success: true,
+        config: {
+          ...CONFIG,
+          currency: 'EUR',
+          theme: { default: 'space', urls: [] },
+          features: { themeSwitcher: false, particles: false, savedCards: false },
+        },
+      }),
+    });
+    window.localStorage.setItem('3d-checkout:theme', 'cyberpunk');
+    window.localStorage.setItem('3d-checkout:customerId', 'customer-1');
+    app = new CheckoutApp();
+    
+    await app.initialize();
+    
+    expect(document.getElementById('total-amount').textContent).toBe(
+      new Intl.NumberFormat(undefined, { style: 'currency', currency: 'EUR' }).format(29.99)
+    );
+    expect(JSON.parse(window.fetch.mock.calls.find(([url]) => url === '/carts')[1].body).currency).toBe('EUR');
+    expect(app.braintree.currency).toBe('EUR');
+    expect(app.currentThemeId).toBe('space');
+    expect(document.getElementById('toggle-theme').style.display).toBe('none');
+    expect(document.getElementById('toggle-particles').style.display).toBe('none');
+    expect(document.querySelector('.save-card-option').style.display).toBe('none');
+    expect(app.scene.particlesEnabled).toBe(false);
+    expect(window.fetch).not.toHaveBeenCalledWith('/customers/customer-1/payment-methods');
+    window.localStorage.clear();
+  });
+  
+  it('fails to start without the store configuration', async () => {
+    mockServer({ '/config': () => ({ success: false, error: 'Route not found' }) });
+    
+    await expect(app.initialize()).rejects.toThrow('Configuration failed: Route not found');
+  });
+  
+  it('reprices the cart when the buyer picks shipping and enters a postal code', async () => {
+    await app.initialize();
+    const cartId = app.cart.id;
+    const repriced = {
+      ...CART,
+      id: cartId,
+      shippingOptionId: 'express',
+      postalCode: '94105',
+      totals: {
+        subtotal: '29.99',
+        shipping: '14.99',
+        discount: '0.00',
+        tax: '2.17',
+        taxRate: 0.0725,
+        taxRegion: 'California',
+        total: '47.15',
+      },
+    };
+    mockServer({ [`/carts/${cartId}/shipping`]: () => ({ success: true, cart: repriced }) });
+    
+    expect(document.querySelectorAll('.shipping-option')).toHaveLength(2);
+    expect(document.querySelector('.shipping-option.selected').textContent).toContain('Free');
+    
+    const express = document.querySelector('input[name="shipping-option"][value="express"]');
+    express.checked = true;
+    express.dispatchEvent(new window.Event('change', { bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    const [, request] = window.fetch.mock.calls.find(([url]) => url === `/carts/${cartId}/shipping`);
+    expect(request.method).toBe('PUT');
+    expect(JSON.parse(request.body)).toEqual({ shippingOptionId: 'express' });
+    expect(document.getElementById('shipping-amount').textContent).toBe('$14.99');
+    expect(document.getElementById('tax-label').textContent).toBe('Tax (California, 7.25%)');
+    expect(document.getElementById('total-amount').textContent).toBe('$47.15');
+    expect(app.braintree.cartTotal).toBe('47.15');
+    
+    const postalCode = document.getElementById('shipping-postal-code');
+    postalCode.value = '94105';
+    postalCode.dispatchEvent(new window.Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    expect(JSON.parse(window.fetch.mock.calls.pop()[1].body)).toEqual({ countryCode: 'US', postalCode: '94105' });
+    
+    const country = document.getElementById('billing-country');
+    country.value = 'de';
+    country.dispatchEvent(new window.Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    expect(JSON.parse(window.fetch.mock.calls.pop()[1].body)).toEqual({ countryCode: 'DE' });
+  });
+  
+  it('applies discount codes and celebrates them in the scene', async () => {
+    await app.initialize();
+    const cartId = app.cart.id;
+    const discounted = {
+      ...CART,
+      id: cartId,
+      discount: { code: 'WELCOME10', description: '10% off your order', error: null },
+      totals: { ...CART.totals, discount: '3.00', total: '26.99' },
+    };
+    mockServer({
+      [`/carts/${cartId}/discount`]: ({ method }) => (method === 'POST'
+        ? { success: true, cart: discounted }
+        : { success: true, cart: { ...CART, id: cartId } }),
+    });
+    const celebrate = jest.spyOn(app.scene, 'celebrateDiscount');
+    
+    expect(document.getElementById('discount-row').style.display).toBe('none');
+    
+    document.getElementById('discount-code').value = 'welcome10';
+    document.getElementById('apply-discount').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    const [, request] = window.fetch.mock.calls.find(([url]) => url === `/carts/${cartId}/discount`);
+    expect(request.method).toBe('POST');
+    expect(JSON.parse(request.body)).toEqual({ code: 'welcome10' });
+    expect(celebrate).toHaveBeenCalled();
+    expect(document.getElementById('discount-label').textContent).toBe('Discount (WELCOME10)');
+    expect(document.getElementById('discount-amount').textContent).toBe('-$3.00');
+    expect(document.getElementById('total-amount').textContent).toBe('$26.99');
+    expect(document.getElementById('discount-code').readOnly).toBe(true);
+    expect(app.braintree.cartTotal).toBe('26.99');
+    
+    document.getElementById('remove-discount').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    expect(window.fetch.mock.calls.pop()[1].method).toBe('DELETE');
+    expect(document.getElementById('discount-row').style.display).toBe('none');
+    expect(document.getElementById('discount-code').value).toBe('');
+    expect(document.getElementById('total-amount').textContent).toBe('$29.99');
+  });
+  
+  it('shows why a discount code was rejected', async () => {
+    await app.initialize();
+    mockServer({
+      [`/carts/${app.cart.id}/discount`]: () => ({ success: false, error: 'Discount code not recognized' }),
+    });
+    const celebrate = jest.spyOn(app.scene, 'celebrateDiscount');
+    
+    document.getElementById('discount-code').value = 'NOPE';
+    document.getElementById('apply-discount').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    expect(window.alert).toHaveBeenCalledWith('Error: Discount code not recognized');
+    expect(celebrate).not.toHaveBeenCalled();
+    expect(document.getElementById('discount-code').readOnly).toBe(false);
+  });
+  
+  it('sends the email, and the billing address as the shipping address by default', async () => {
+    mockServer({
+      '/carts': () => ({ success: true, cart: { ...CART, shippingOptionId: 'express', postalCode: '94105' } }),
+      '/checkout': () => ({ success: true, orderId: 'order-1', transaction: { id: 'txn-1', amount: '29.99' } }),
+    });
+    await app.initialize();
+    fillAddress('billing');
+    document.getElementById('billing-email').value = ' ada@example.com ';
+    
+    await app.braintree.processPayment();
+    
+    const [, request] = window.fetch.mock.calls.find(([url]) => url === '/checkout');
+    const billing = {
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      streetAddress: '1 Market St',
+      locality: 'San Francisco',
+      region: 'CA',
+      countryCodeAlpha2: 'US',
+    };
+    expect(JSON.parse(request.body)).toEqual(expect.objectContaining({
+      email: 'ada@example.com',
+      billing,
+      shipping: { ...billing, postalCode: '94105' },
+    }));
+  });
+  
+  it('collects a separate shipping address', async () => {
+    mockServer({
+      '/carts': () => ({ success: true, cart: { ...CART, shippingOptionId: 'express', postalCode: '10001' } }),
+      '/checkout': () => ({ success: true, orderId: 'order-1', transaction: { id: 'txn-1', amount: '29.99' } }),
+    });
+    await app.initialize();
+    fillAddress('billing');
+    
+    const sameAsBilling = document.getElementById('same-as-billing');
+    sameAsBilling.checked = false;
+    sameAsBilling.dispatchEvent(new window.Event('change'));
+    
+    expect(document.getElementById('shipping-address-fields').style.display).toBe('block');
+    
+    fillAddress('shipping', { streetAddress: '350 5th Ave', locality: 'New York', region: 'NY' });
+    document.getElementById('shipping-country').value = 'us';
+    
+    await app.braintree.processPayment();
+    
+    const [, request] = window.fetch.mock.calls.find(([url]) => url === '/checkout');
+    expect(JSON.parse(request.body).shipping).toEqual(expect.objectContaining({
+      streetAddress: '350 5th Ave',
+      locality: 'New York',
+      countryCodeAlpha2: 'US',
+    }));
+  });
+  
+  it('only asks for a shipping address when the shipping option ships something', async () => {
+    mockServer({
+      '/checkout': () => ({ success: true, orderId: 'order-1', transaction: { id: 'txn-1', amount: '29.99' } }),
+    });
+    await app.initialize();
+    fillAddress('billing');
+    
+    expect(document.getElementById('shipping-section').style.display).toBe('none');
+    
+    await app.braintree.processPayment();
+    
+    const [, request] = window.fetch.mock.calls.find(([url]) => url === '/checkout');
+    expect(JSON.parse(request.body).shipping).toBeUndefined();
+    
+    app.cart = { ...CART, shippingOptionId: 'express' };
+    app.renderShippingOptions();
+    
+    expect(document.getElementById('shipping-section').style.display).toBe('block');
+    expect(() => app.getBuyerDetails()).toThrow('Please enter your shipping postal code');
+  });
+  
+  it('skips the billing address for PayPal', async () => {
+    await app.initialize();
+    
+    expect(() => app.getBuyerDetails('card')).toThrow('Please enter your billing street address, city and country');
+    expect(app.getBuyerDetails('paypal')).toEqual({});
+    
+    app.cart = { ...CART, shippingOptionId: 'express', postalCode: '94105' };
+    fillAddress('billing');
+    
+    expect(app.getBuyerDetails('paypal')).toEqual({
+      shipping: expect.objectContaining({ streetAddress: '1 Market St', postalCode: '94105' }),
+    });
+  });
+  
+  it('asks for a billing address before charging', async () => {
+    await app.initialize();
+    
+    await app.braintree.processPayment();
+    
+    expect(window.fetch).not.toHaveBeenCalledWith('/checkout', expect.anything());
+    expect(document.querySelector('#payment-status .status-message').textContent)
+      .toBe('Payment failed: Please enter your billing street address, city and country');
+  });
+  
+  it('reports its state', async () => {
+    await app.initialize();
+    
+    expect(app.getState()).toEqual({
+      isInitialized: true,
+      currentStep: 'form',
+      braintreeInitialized: true,
+      sceneInitialized: true,
+      formValid: false,
+      theme: 'default',
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * EventBus Tests
+ * Typed events, local listeners and batching to POST /events
+ */
+
+const { installBrowserFakes, loadModules, jsonResponse } = require('./helpers/browser');
+
+describe('EventBus', () => {
+  let EventBus;
+  let Logger;
+  let events;
+  
+  beforeAll(() => {
+    installBrowserFakes();
+    ({ EventBus, Logger } = loadModules());
+  });
+  
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    installBrowserFakes();
+    window.fetch.mockImplementation(() => jsonResponse({ success: true }, 202));
+    events = new EventBus({ batchSize: 3, flushIntervalMs: 1000, logger: new Logger({ requestId: 'page-123' }) });
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+  
+  /**
+   * The events sent by each POST /events call so far
+   */
+  function sentBatches() {
+    return window.fetch.mock.calls.map(([, options]) => JSON.parse(options.body).events);
+  }
+  
+  it('passes events to listeners of their type and of every type', () => {
+    const focused = jest.fn();
+    const all = jest.fn();
+    events.on('field_focus', focused);
+    events.on('*', all);
+    
+    events.emit('field_focus', { field: 'number' });
+    events.emit('payment_submit', { paymentMethod: 'card' });
+    
+    expect(focused).toHaveBeenCalledTimes(1);
+    expect(focused).toHaveBeenCalledWith({ type: 'field_focus', time: expect.any(String), data: { field: 'number' } });
+    expect(all.mock.calls.map(([event]) => event.type)).toEqual(['field_focus', 'payment_submit']);
+  });
+  
+  it('drops events that do not match their type', () => {
+    expect(events.emit('page_view')).toBeNull();
+    expect(events.emit('field_focus', {})).toBeNull();
+    expect(events.emit('rate_limited', { retryAfter: '3' })).toBeNull();
+    expect(events.emit('field_focus', { field: 'number', value: '4111' })).toBeNull();
+    
+    expect(events.queue).toEqual([]);
+    expect(console.error).toHaveBeenCalledWith('[page-123] ❌ Invalid event: rate_limited field retryAfter must be a number');
+    expect(() => events.on('page_view', jest.fn())).toThrow('Unknown event type: page_view');
+  });
+  
+  it('sends a batch once it is full, with the page\'s request ID', async () => {
+    events.emit('field_focus', { field: 'number' });
+    events.emit('field_focus', { field: 'cvv' });
+    expect(window.fetch).not.toHaveBeenCalled();
+    
+    events.emit('payment_submit', { paymentMethod: 'card' });
+    await events.flushing;
+    
+    const [url, options] = window.fetch.mock.calls[0];
+    expect(url).toBe('/events');
+    expect(options.headers['X-Request-Id']).toBe('page-123');
+    expect(options.keepalive).toBe(true);
+    expect(sentBatches()[0].map(event => event.type)).toEqual(['field_focus', 'field_focus', 'payment_submit']);
+  });
+  
+  it('sends a partial batch after the flush interval', async () => {
+    events.emit('payment_success', { transactionId: 'txn-1', orderId: null });
+    
+    jest.advanceTimersByTime(1000);
+    await events.flushing;
+    
+    expect(sentBatches()).toEqual([[{ type: 'payment_success', time: expect.any(String), data: { transactionId: 'txn-1' } }]]);
+  });
+  
+  it('keeps undelivered events for the next flush and drops rejected ones', async () => {
+    window.fetch.mockImplementationOnce(() => jsonResponse({ success: false }, 503));
+    events.emit('payment_decline', { reason: 'Insufficient funds' });
+    
+    await events.flush();
+    expect(events.queue).toHaveLength(1);
+    
+    jest.advanceTimersByTime(1000);
+    await events.flushing;
+    expect(sentBatches()).toHaveLength(2);
+    expect(events.queue).toEqual([]);
+    
+    window.fetch.mockImplementationOnce(() => jsonResponse({ success: false }, 400));
+    events.emit('payment_decline', { reason: 'Card declined' });
+    
+    await events.flush();
+    expect(events.queue).toEqual([]);
+  });
+  
+  it('sends what is left when disposed', async () => {
+    events.emit('init_timing', { step: 'total', durationMs: 1200 });
+    
+    await events.dispose();
+    
+    expect(sentBatches()).toHaveLength(1);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Browser Test Bundle
+ * Bundles every front-end module from public/js into one script for the
+ * jsdom suites, with the three and TWEEN.js packages replaced by stand-ins
+ * that export the fake window.THREE and window.TWEEN installed by
+ * installBrowserFakes(). Built once by the Jest global setup, since esbuild
+ * cannot run inside the jsdom environment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PUBLIC_JS_DIR = path.join(__dirname, '..', '..', 'public', 'js');
+const CACHE_DIR = path.join(__dirname, '..', '..', 'node_modules', '.cache', '3d-checkout');
+const BROWSER_BUNDLE_PATH = path.join(CACHE_DIR, 'browser-modules.js');
+
+// Page entry points, which run on load rather than export anything
+const ENTRY_POINTS = ['main.js', 'debug.js'];
+
+/**
+ * Every `<global>.<name>` the front-end modules use, e.g. THREE.Scene
+ */
+function namesUsed(sources, global) {
+  const matches = sources.matchAll(new RegExp(`\\b${global}\\.(\\w+)`, 'g'));
+  return [...new Set(Array.from(matches, match => match[1]))];
+}
+
+/**
+ * Write a stand-in package exporting the given names from a window global
+ */
+function writeFakePackage(fileName, global, names) {
+  const filePath = path.join(CACHE_DIR, fileName);
+  fs.writeFileSync(filePath, `export const { ${names.join(', ')} } = window.${global};\n`);
+  return filePath;
+}
+
+/**
+ * Build the bundle, which assigns every module's exports to
+ * window.__browserModules when run
+ */
+function buildBrowserBundle() {
+  const modules = fs.readdirSync(PUBLIC_JS_DIR)
+    .filter(fileName => fileName.endsWith('.js') && !ENTRY_POINTS.includes(fileName));
+  const sources = modules
+    .map(fileName => fs.readFileSync(path.join(PUBLIC_JS_DIR, fileName), 'utf8'))
+    .join('\n');
+  
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  
+  // Required here: the jsdom suites load this module for the bundle path
+  const esbuild = require('esbuild');
+  esbuild.buildSync({
+    stdin: {
+      contents: modules.map(fileName => `export * from './${fileName}';`).join('\n'),
+      resolveDir: PUBLIC_JS_DIR,
+    },
+    alias: {
+      three: writeFakePackage('three.js', 'THREE', namesUsed(sources, 'THREE')),
+      'three/examples/jsm/controls/OrbitControls.js': writeFakePackage('orbit-controls.js', 'THREE', ['OrbitControls']),
+      '@tweenjs/tween.js': writeFakePackage('tween.js', 'TWEEN', namesUsed(sources, 'TWEEN')),
+    },
+    bundle: true,
+    format: 'iife',
+    globalName: '__browserModules',
+    outfile: BROWSER_BUNDLE_PATH,
+    logLevel: 'warning',
+  });
+}
+
+module.exports = {
+  BROWSER_BUNDLE_PATH,
+  buildBrowserBundle,
+};
@@ -0,0 +1,212 @@
+/**
+ * Browser Test Helpers
+ * Load the front-end modules into the jsdom window with fake THREE, TWEEN
+ * and braintree globals
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BROWSER_BUNDLE_PATH } = require('./browser-bundle');
+
+const PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
+
+/**
+ * Create a stub that accepts any property access, call or construction.
+ * Stands in for THREE and TWEEN, whose real implementations need WebGL.
+ */
+function createStub() {
+  return new Proxy(function () {}, {
+    get(target, prop) {
+      // Not thenable, numeric in arithmetic, and iterable as an empty list
+      if (prop === 'then') {
+        return undefined;
+      }
+      
+      if (prop === Symbol.toPrimitive) {
+        return () => 0;
+      }
+      
+      if (prop === Symbol.iterator) {
+        return function* () {};
+      }
+      
+      if (!(prop in target)) {
+        target[prop] = createStub();
+      }
+      
+      return target[prop];
+    },
+    set(target, prop, value) {
+      // Redefine so read-only function properties such as `name` can be assigned
+      Object.defineProperty(target, prop, { value, writable: true, configurable: true });
+      return true;
+    },
+    apply: () => createStub(),
+    construct: () => createStub(),
+  });
+}
+
+/**
+ * Create a fake hosted fields instance that records event handlers
+ */
+function createFakeHostedFields() {
+  const handlers = {};
+  
+  return {
+    handlers,
+    on: jest.fn((event, handler) => {
+      handlers[event] = handler;
+    }),
+    emit(event, payload) {
+      handlers[event](payload);
+    },
+    tokenize: jest.fn().mockResolvedValue({
+      nonce: 'fake-valid-nonce',
+      details: { bin: '411111', cardType: 'Visa', lastFour: '1111' },
+    }),
+    clear: jest.fn(),
+    addClass: jest.fn(),
+    removeClass: jest.fn(),
+    teardown: jest.fn(),
+  };
+}
+
+/**
+ * Create a fake 3D Secure instance whose verification shifts liability
+ */
+function createFakeThreeDSecure() {
+  return {
+    on: jest.fn(),
+    verifyCard: jest.fn().mockResolvedValue({
+      nonce: 'fake-three-d-secure-visa-full-authentication-nonce',
+      liabilityShifted: true,
+      liabilityShiftPossible: true,
+    }),
+    cancelVerifyCard: jest.fn().mockResolvedValue(),
+    teardown: jest.fn().mockResolvedValue(),
+  };
+}
+
+/**
+ * Create a fake PayPal Checkout component and PayPal SDK whose buttons keep
+ * the options they were rendered with, so tests can approve a payment
+ */
+function createFakePayPal() {
+  const paypalCheckout = {
+    loadPayPalSDK: jest.fn().mockResolvedValue(),
+    createPayment: jest.fn().mockResolvedValue('EC-TOKEN'),
+    tokenizePayment: jest.fn().mockResolvedValue({
+      nonce: 'fake-paypal-one-time-nonce',
+      details: { email: 'payer@example.com' },
+    }),
+    teardown: jest.fn(),
+  };
+  const buttons = {
+    options: null,
+    render: jest.fn().mockResolvedValue(),
+    close: jest.fn(),
+  };
+  const sdk = {
+    FUNDING: { PAYPAL: 'paypal' },
+    Buttons: jest.fn((options) => {
+      buttons.options = options;
+      return buttons;
+    }),
+  };
+  
+  return { paypalCheckout, buttons, sdk };
+}
+
+/**
+ * Create a fake Venmo component for a supported browser
+ */
+function createFakeVenmo() {
+  return {
+    isBrowserSupported: jest.fn().mockReturnValue(true),
+    tokenize: jest.fn().mockResolvedValue({
+      nonce: 'fake-venmo-account-nonce',
+      details: { username: 'venmojoe' },
+    }),
+    teardown: jest.fn(),
+  };
+}
+
+/**
+ * Install fake browser globals used by the front-end scripts
+ */
+function installBrowserFakes() {
+  const hostedFields = createFakeHostedFields();
+  const threeDSecure = createFakeThreeDSecure();
+  const paypal = createFakePayPal();
+  const venmo = createFakeVenmo();
+  
+  window.THREE = createStub();
+  window.TWEEN = createStub();
+  window.braintree = {
+    client: {
+      create: jest.fn().mockResolvedValue({}),
+    },
+    hostedFields: {
+      create: jest.fn().mockResolvedValue(hostedFields),
+    },
+    threeDSecure: {
+      create: jest.fn().mockResolvedValue(threeDSecure),
+    },
+    paypalCheckout: {
+      create: jest.fn().mockResolvedValue(paypal.paypalCheckout),
+    },
+    venmo: {
+      create: jest.fn().mockResolvedValue(venmo),
+    },
+    dataCollector: {
+      create: jest.fn().mockResolvedValue({ deviceData: '{"device_session_id":"fake-session"}', teardown: jest.fn() }),
+    },
+  };
+  window.paypal = paypal.sdk;
+  window.requestAnimationFrame = jest.fn();
+  window.alert = jest.fn();
+  window.fetch = jest.fn();
+  HTMLCanvasElement.prototype.getContext = () => createStub();
+  
+  return { hostedFields, threeDSecure, paypal, venmo };
+}
+
+/**
+ * Run the front-end modules in the window, as the page's bundle would, and
+ * return everything they export (see browser-bundle.js)
+ */
+function loadModules() {
+  const script = document.createElement('script');
+  script.textContent = fs.readFileSync(BROWSER_BUNDLE_PATH, 'utf8');
+  document.body.appendChild(script);
+  
+  return window.__browserModules;
+}
+
+/**
+ * Render the checkout markup from public/index.html without its scripts
+ */
+function renderCheckoutPage() {
+  const html = fs.readFileSync(path.join(PUBLIC_DIR, 'index.html'), 'utf8');
+  const body = html.match(/<body>([\s\S]*)<\/body>/)[1].replace(/<script[\s\S]*?<\/script>/g, '');
+  document.body.innerHTML = body;
+}
+
+/**
+ * Build a resolved fetch() response with a JSON body
+ */
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status < 400,
+    status,
+    json: () => Promise.resolve(body),
+  });
+}
+
+module.exports = {
+  createStub,
+  installBrowserFakes,
+  loadModules,
+  renderCheckoutPage,
+  jsonResponse,
+};
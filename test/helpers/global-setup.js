@@ -0,0 +1,14 @@
+/**
+ * Jest Global Setup
+ * Builds the front-end bundles once before the suites run: the page bundles
+ * the server serves with their hashed names and integrity hashes, and the
+ * bundle of front-end modules the jsdom suites load
+ */
+
+const { buildAssets } = require('../../scripts/build-assets');
+const { buildBrowserBundle } = require('./browser-bundle');
+
+module.exports = async () => {
+  await buildAssets();
+  buildBrowserBundle();
+};
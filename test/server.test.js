@@ -0,0 +1,1971 @@
+/**
+ * Server Route Tests
+ * Exercise every route of the exported app against the mock payment gateway
+ */
+
+process.env.PAYMENT_GATEWAY = 'mock';
+process.env.ORDER_STORE = 'memory';
+process.env.EVENT_STORE = 'memory';
+process.env.CUSTOMER_STORE = 'memory';
+process.env.REDEMPTION_STORE = 'memory';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+
+const PRODUCT_ID = 'premium-3d-experience';
+const ADMIN_AUTH = 'Bearer test-admin-key';
+const { gateway, webhookService, fraudService, rateLimitStore, eventService, metrics, readiness } = app.locals;
+
+/**
+ * Create a cart holding the given quantity of the catalog product
+ */
+async function createCart(quantity = 1) {
+  const response = await request(app)
+    .post('/carts')
+    .send({ items: [{ productId: PRODUCT_ID, quantity }] })
+    .expect(201);
+  
+  return response.body.cart;
+}
+
+/**
+ * Pay for a new cart with the given nonce
+ */
+async function checkout(paymentMethodNonce = 'fake-valid-nonce', quantity = 1) {
+  const cart = await createCart(quantity);
+  return request(app)
+    .post('/checkout')
+    .send({ paymentMethodNonce, cartId: cart.id });
+}
+
+/**
+ * Create a vault customer
+ */
+async function createCustomer(attributes = {}) {
+  const response = await request(app)
+    .post('/customers')
+    .send(attributes)
+    .expect(201);
+  
+  return response.body.customer;
+}
+
+describe('server', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    // Every test checks out from the same IP; start each below the velocity
+    // and rate limits
+    fraudService.attempts.clear();
+    rateLimitStore.reset();
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('health', () => {
+    beforeEach(() => {
+      readiness.clearCache();
+    });
+    
+    it('reports OK', async () => {
+      const response = await request(app).get('/health').expect(200);
+      
+      expect(response.body.status).toBe('OK');
+      expect(response.body.timestamp).toBeDefined();
+    });
+    
+    it('is ready when the gateway answers and the stores can take writes', async () => {
+      const response = await request(app).get('/health/ready').expect(200);
+      
+      expect(response.body.status).toBe('ready');
+      expect(response.body.checks).toEqual({
+        gateway: { status: 'ok', durationMs: expect.any(Number) },
+        orderStore: { status: 'ok', durationMs: expect.any(Number) },
+        customerStore: { status: 'ok', durationMs: expect.any(Number) },
+        eventStore: { status: 'ok', durationMs: expect.any(Number) },
+        redemptionStore: { status: 'ok', durationMs: expect.any(Number) },
+      });
+    });
+    
+    it('is not ready while the gateway is unreachable', async () => {
+      jest.spyOn(gateway.clientToken, 'generate').mockRejectedValue(new Error('Gateway down'));
+      
+      const response = await request(app).get('/health/ready').expect(503);
+      
+      expect(response.body.status).toBe('not_ready');
+      expect(response.body.checks.gateway).toEqual({
+        status: 'failed',
+        durationMs: expect.any(Number),
+        error: 'Gateway down',
+      });
+      expect(response.body.checks.orderStore.status).toBe('ok');
+    });
+    
+    it('reuses the gateway check between probes', async () => {
+      const generateSpy = jest.spyOn(gateway.clientToken, 'generate');
+      
+      await request(app).get('/health/ready').expect(200);
+      await request(app).get('/health/ready').expect(200);
+      
+      expect(generateSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+  
+  describe('GET /', () => {
+    it('serves the checkout page', async () => {
+      const response = await request(app).get('/').expect(200);
+      
+      expect(response.text).toContain('3D Checkout Experience');
+    });
+    
+    it('loads the hashed bundle, with its integrity hash, instead of CDN scripts', async () => {
+      const page = await request(app).get('/').expect(200);
+      const [, src, integrity] = page.text.match(/<script type="module" src="([^"]+)" integrity="([^"]+)"/);
+      
+      const bundle = await request(app).get(src).expect(200);
+      const digest = crypto.createHash('sha384').update(bundle.text).digest('base64');
+      
+      expect(src).toMatch(/^\/dist\/app\.[A-Z0-9]+\.js$/);
+      expect(integrity).toBe(`sha384-${digest}`);
+      expect(bundle.headers['cache-control']).toBe('public, max-age=31536000, immutable');
+      expect(page.text).not.toContain('unpkg.com');
+    });
+    
+    it('serves the debug page with its own bundle', async () => {
+      const response = await request(app).get('/debug.html').expect(200);
+      
+      expect(response.text).toMatch(/src="\/dist\/debug\.[A-Z0-9]+\.js" integrity="sha384-/);
+    });
+  });
+  
+  describe('request logging', () => {
+    /**
+     * Parse the JSON entries written through a mocked console method
+     */
+    function loggedEntries(method) {
+      return console[method].mock.calls.map(([line]) => JSON.parse(line));
+    }
+    
+    it('gives every request an ID, echoed in X-Request-Id and logged with it', async () => {
+      const first = await request(app).get('/health').expect(200);
+      const second = await request(app).get('/health').expect(200);
+      const requestId = first.headers['x-request-id'];
+      
+      expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(second.headers['x-request-id']).not.toBe(requestId);
+      expect(loggedEntries('log')).toContainEqual({
+        time: expect.any(String),
+        level: 'info',
+        msg: 'Request completed',
+        requestId,
+        method: 'GET',
+        path: '/health',
+        status: 200,
+        durationMs: expect.any(Number),
+      });
+    });
+    
+    it('keeps a well-formed X-Request-Id sent by the client', async () => {
+      const kept = await request(app).get('/health').set('X-Request-Id', 'page-123').expect(200);
+      const replaced = await request(app).get('/health').set('X-Request-Id', 'not valid!').expect(200);
+      
+      expect(kept.headers['x-request-id']).toBe('page-123');
+      expect(replaced.headers['x-request-id']).not.toBe('not valid!');
+    });
+    
+    it('passes the request ID and client log level to the checkout page', async () => {
+      const response = await request(app).get('/').expect(200);
+      
+      expect(response.text).toContain(`<meta name="request-id" content="${response.headers['x-request-id']}">`);
+      expect(response.text).toContain('<meta name="log-level" content="debug">');
+    });
+    
+    it('logs errors with the request ID', async () => {
+      jest.spyOn(gateway.clientToken, 'generate').mockRejectedValue(new Error('Gateway down'));
+      
+      const response = await request(app).get('/client-token').expect(500);
+      const [entry] = loggedEntries('error');
+      
+      expect(entry).toMatchObject({
+        level: 'error',
+        msg: 'Error generating client token',
+        requestId: response.headers['x-request-id'],
+        error: { name: 'Error', message: 'Gateway down' },
+      });
+    });
+  });
+  
+  describe('security headers', () => {
+    it('sets a fresh CSP nonce and the security headers on every response', async () => {
+      const first = await request(app).get('/').expect(200);
+      const second = await request(app).get('/').expect(200);
+      
+      const policy = first.headers['content-security-policy'];
+      const nonce = policy.match(/'nonce-([^']+)'/)[1];
+      
+      expect(second.headers['content-security-policy']).not.toContain(nonce);
+      expect(policy).toContain("default-src 'self'");
+      expect(policy).toMatch(/script-src 'self' 'nonce-[^']+' https:\/\/js\.braintreegateway\.com/);
+      expect(policy).toContain("frame-ancestors 'none'");
+      expect(first.headers['x-frame-options']).toBe('DENY');
+      expect(first.headers['referrer-policy']).toBe('strict-origin-when-cross-origin');
+      expect(first.headers['x-content-type-options']).toBe('nosniff');
+      expect(first.headers['strict-transport-security']).toBeUndefined();
+    });
+    
+    it('serves pages whose scripts all pass the CSP', async () => {
+      for (const page of ['/', '/debug.html']) {
+        const response = await request(app).get(page).expect(200);
+        const nonce = response.headers['content-security-policy'].match(/'nonce-([^']+)'/)[1];
+        const inlineScripts = response.text.match(/<script(?![^>]*\ssrc=)[^>]*>/g) || [];
+        
+        inlineScripts.forEach(tag => expect(tag).toContain(`nonce="${nonce}"`));
+        expect(response.text).not.toMatch(/<[^>]+\son[a-z]+=/);
+      }
+    });
+    
+    it('serves API responses without CORS headers for unlisted origins', async () => {
+      const response = await request(app)
+        .get('/config')
+        .set('Origin', 'https://elsewhere.example.com')
+        .expect(200);
+      
+      expect(response.headers['access-control-allow-origin']).toBeUndefined();
+    });
+    
+    it('allows configured origins and sends HSTS in production', async () => {
+      const PRODUCTION_ENV = {
+        NODE_ENV: 'production',
+        PAYMENT_GATEWAY: 'braintree',
+        BRAINTREE_MERCHANT_ID: 'merchant',
+        BRAINTREE_PUBLIC_KEY: 'public-key',
+        BRAINTREE_PRIVATE_KEY: 'private-key',
+        CORS_ORIGINS: 'https://shop.example.com, https://admin.example.com',
+        STORE_LOGO_URL: 'https://cdn.example.com/logo.png',
+      };
+      const originalEnv = { ...process.env };
+      let productionApp;
+      
+      try {
+        jest.isolateModules(() => {
+          Object.assign(process.env, PRODUCTION_ENV);
+          productionApp = require('../server');
+        });
+      } finally {
+        Object.keys(PRODUCTION_ENV).forEach(name => delete process.env[name]);
+        Object.assign(process.env, originalEnv);
+      }
+      
+      const response = await request(productionApp)
+        .get('/config')
+        .set('Origin', 'https://admin.example.com')
+        .expect(200);
+      
+      expect(response.headers['access-control-allow-origin']).toBe('https://admin.example.com');
+      expect(response.headers['access-control-expose-headers']).toBe('X-Request-Id');
+      expect(response.headers['strict-transport-security']).toBe('max-age=31536000; includeSubDomains');
+      expect(response.headers['content-security-policy']).toContain('https://cdn.example.com');
+      expect(response.headers['content-security-policy']).toContain('upgrade-insecure-requests');
+      
+      // The page's own logger is silenced too
+      const page = await request(productionApp).get('/').expect(200);
+      expect(page.text).toContain('<meta name="log-level" content="silent">');
+    });
+    
+    it('rejects an invalid CORS allowlist at startup', () => {
+      jest.isolateModules(() => {
+        process.env.CORS_ORIGINS = 'shop.example.com';
+        expect(() => require('../server'))
+          .toThrow('Invalid security config: corsOrigins[0] must be an origin such as "https://shop.example.com"');
+        delete process.env.CORS_ORIGINS;
+      });
+    });
+  });
+  
+  describe('GET /client-token', () => {
+    it('returns a client token', async () => {
+      const response = await request(app).get('/client-token').expect(200);
+      
+      expect(response.body.success).toBe(true);
+      expect(response.body.clientToken).toEqual(expect.any(String));
+    });
+    
+    it('returns 500 when the gateway fails', async () => {
+      jest.spyOn(gateway.clientToken, 'generate').mockRejectedValue(new Error('Gateway down'));
+      
+      const response = await request(app).get('/client-token').expect(500);
+      
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Failed to generate client token',
+      });
+    });
+    
+    it('issues tokens for known customers only', async () => {
+      const customer = await createCustomer();
+      const generateSpy = jest.spyOn(gateway.clientToken, 'generate');
+      
+      await request(app).get('/client-token').query({ customerId: customer.id }).expect(200);
+      const [[{ customerId: vaultCustomerId }]] = generateSpy.mock.calls;
+      expect(vaultCustomerId).not.toBe(customer.id);
+      expect(gateway.customers.has(vaultCustomerId)).toBe(true);
+      
+      await request(app).get('/client-token').query({ customerId: 'missing' }).expect(404);
+    });
+  });
+  
+  describe('GET /config', () => {
+    it('returns the store configuration', async () => {
+      const response = await request(app).get('/config').expect(200);
+      
+      expect(response.body).toEqual({
+        success: true,
+        config: {
+          name: '3D Checkout',
+          headline: '3D Secure Checkout',
+          logoUrl: null,
+          productId: PRODUCT_ID,
+          currency: 'USD',
+          theme: { default: 'default', urls: [] },
+          features: { themeSwitcher: true, particles: true, savedCards: true },
+        },
+      });
+    });
+    
+    it('applies environment overrides', async () => {
+      let brandedApp;
+      jest.isolateModules(() => {
+        process.env.STORE_NAME = 'Orbit Supply';
+        process.env.STORE_LOGO_URL = '/assets/orbit.png';
+        process.env.STORE_CURRENCY = 'eur';
+        process.env.DEFAULT_THEME = 'space';
+        brandedApp = require('../server');
+      });
+      ['STORE_NAME', 'STORE_LOGO_URL', 'STORE_CURRENCY', 'DEFAULT_THEME'].forEach(name => delete process.env[name]);
+      
+      const response = await request(brandedApp).get('/config').expect(200);
+      
+      expect(response.body.config).toMatchObject({
+        name: 'Orbit Supply',
+        headline: '3D Secure Checkout',
+        logoUrl: '/assets/orbit.png',
+        currency: 'EUR',
+        theme: { default: 'space', urls: [] },
+      });
+    });
+    
+    it('rejects an invalid configuration at startup', () => {
+      jest.isolateModules(() => {
+        process.env.STORE_CURRENCY = 'euro';
+        expect(() => require('../server')).toThrow('Invalid store config: currency must be a three-letter ISO 4217 code');
+        delete process.env.STORE_CURRENCY;
+      });
+    });
+  });
+  
+  describe('GET /products', () => {
+    it('lists catalog products with prices', async () => {
+      const response = await request(app).get('/products').expect(200);
+      
+      expect(response.body.products).toContainEqual({
+        id: PRODUCT_ID,
+        name: 'Premium 3D Experience',
+        prices: { USD: '29.99', EUR: '27.99', GBP: '24.99' },
+      });
+    });
+  });
+  
+  describe('carts', () => {
+    it('creates a cart with server-computed totals', async () => {
+      const cart = await createCart(2);
+      
+      expect(cart.status).toBe('open');
+      expect(cart.items).toEqual([expect.objectContaining({
+        productId: PRODUCT_ID,
+        quantity: 2,
+        unitPrice: '29.99',
+        total: '59.98',
+      })]);
+      expect(cart.totals.total).toBe('59.98');
+    });
+    
+    it('prices carts in the requested currency', async () => {
+      const usd = await createCart();
+      expect(usd.currency).toBe('USD');
+      
+      const response = await request(app)
+        .post('/carts')
+        .send({ currency: 'EUR', items: [{ productId: PRODUCT_ID, quantity: 2 }] })
+        .expect(201);
+      
+      expect(response.body.cart.currency).toBe('EUR');
+      expect(response.body.cart.totals.total).toBe('55.98');
+    });
+    
+    it('rejects currencies the product is not sold in', async () => {
+      const response = await request(app)
+        .post('/carts')
+        .send({ currency: 'JPY', items: [{ productId: PRODUCT_ID }] })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Premium 3D Experience is not available in JPY');
+    });
+    
+    it('adds and removes line items', async () => {
+      const cart = await createCart();
+      
+      const added = await request(app)
+        .post(`/carts/${cart.id}/items`)
+        .send({ productId: PRODUCT_ID, quantity: 1 })
+        .expect(200);
+      expect(added.body.cart.totals.total).toBe('59.98');
+      
+      const removed = await request(app)
+        .delete(`/carts/${cart.id}/items/${PRODUCT_ID}`)
+        .expect(200);
+      expect(removed.body.cart.items).toEqual([]);
+      expect(removed.body.cart.totals.total).toBe('0.00');
+      
+      const fetched = await request(app).get(`/carts/${cart.id}`).expect(200);
+      expect(fetched.body.cart.items).toEqual([]);
+    });
+    
+    it('rejects unknown products and carts', async () => {
+      await request(app)
+        .post('/carts')
+        .send({ items: [{ productId: 'missing' }] })
+        .expect(404);
+      
+      await request(app).get('/carts/missing').expect(404);
+    });
+    
+    it('rejects invalid quantities and item lists', async () => {
+      await request(app)
+        .post('/carts')
+        .send({ items: [{ productId: PRODUCT_ID, quantity: 0 }] })
+        .expect(400);
+      
+      await request(app)
+        .post('/carts')
+        .send({ items: 'not-an-array' })
+        .expect(400);
+    });
+  });
+  
+  describe('shipping and tax', () => {
+    /**
+     * Choose shipping for a cart
+     */
+    function setShipping(cartId, body) {
+      return request(app).put(`/carts/${cartId}/shipping`).send(body);
+    }
+    
+    it('starts carts with free digital delivery and no tax', async () => {
+      const cart = await createCart();
+      
+      expect(cart.shippingOptionId).toBe('digital');
+      expect(cart.shippingOptions.map(option => option.id)).toEqual(['digital', 'standard', 'express']);
+      expect(cart.totals).toEqual({
+        subtotal: '29.99',
+        shipping: '0.00',
+        discount: '0.00',
+        tax: '0.00',
+        taxRate: 0,
+        taxRegion: null,
+        total: '29.99',
+      });
+    });
+    
+    it('adds the shipping option and the tax for the postal code region', async () => {
+      const cart = await createCart();
+      
+      const california = await setShipping(cart.id, { shippingOptionId: 'express', countryCode: 'us', postalCode: '94105' }).expect(200);
+      expect(california.body.cart.totals).toEqual(expect.objectContaining({
+        shipping: '14.99',
+        tax: '2.17',
+        taxRegion: 'California',
+        total: '47.15',
+      }));
+      
+      // New York also taxes shipping
+      const newYork = await setShipping(cart.id, { postalCode: '10001' }).expect(200);
+      expect(newYork.body.cart.totals).toEqual(expect.objectContaining({ tax: '1.80', total: '46.78' }));
+      
+      const untaxed = await setShipping(cart.id, { postalCode: '' }).expect(200);
+      expect(untaxed.body.cart.postalCode).toBeNull();
+      expect(untaxed.body.cart.totals.total).toBe('44.98');
+    });
+    
+    it('only taxes by the rules of the country the cart ships to', async () => {
+      const cart = await createCart();
+      
+      // Berlin's postal code starts like New York's
+      const berlin = await setShipping(cart.id, { countryCode: 'DE', postalCode: '10115' }).expect(200);
+      expect(berlin.body.cart.countryCode).toBe('DE');
+      expect(berlin.body.cart.totals).toEqual(expect.objectContaining({ tax: '0.00', taxRegion: null, total: '29.99' }));
+      
+      const noCountry = await setShipping(cart.id, { countryCode: '' }).expect(200);
+      expect(noCountry.body.cart.totals.tax).toBe('0.00');
+      
+      const newYork = await setShipping(cart.id, { countryCode: 'US' }).expect(200);
+      expect(newYork.body.cart.totals.taxRegion).toBe('New York');
+      
+      await setShipping(cart.id, { countryCode: 'USA' }).expect(400);
+    });
+    
+    it('rejects unknown shipping options and malformed postal codes', async () => {
+      const cart = await createCart();
+      
+      const unknown = await setShipping(cart.id, { shippingOptionId: 'teleport' }).expect(400);
+      expect(unknown.body.error).toBe('Shipping option not available: teleport');
+      
+      await setShipping(cart.id, { postalCode: '<script>' }).expect(400);
+    });
+    
+    it('passes tax, shipping and line items to the gateway and records the breakdown', async () => {
+      const saleSpy = jest.spyOn(gateway.transaction, 'sale');
+      const cart = await createCart(2);
+      await setShipping(cart.id, { shippingOptionId: 'standard', countryCode: 'US', postalCode: '98101' }).expect(200);
+      
+      const response = await request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 'fake-valid-nonce', cartId: cart.id, amount: '69.19' })
+        .expect(200);
+      
+      expect(saleSpy).toHaveBeenCalledWith(expect.objectContaining({
+        amount: '69.19',
+        taxAmount: '4.22',
+        shippingAmount: '4.99',
+        lineItems: [{
+          kind: 'debit',
+          name: 'Premium 3D Experience',
+          productCode: 'premium-3d-e',
+          quantity: '2',
+          unitAmount: '29.99',
+          totalAmount: '59.98',
+        }],
+      }));
+      
+      const lineItems = await gateway.transactionLineItem.findAll(response.body.transaction.id);
+      expect(lineItems).toHaveLength(1);
+      
+      const order = await request(app)
+        .get(`/orders/${response.body.orderId}`)
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      expect(order.body.order.totals).toEqual(expect.objectContaining({ shipping: '4.99', tax: '4.22', total: '69.19' }));
+      expect(order.body.order.shipping).toEqual({ optionId: 'standard', countryCode: 'US', postalCode: '98101' });
+    });
+  });
+  
+  describe('discount codes', () => {
+    /**
+     * Apply a discount code to a cart
+     */
+    function applyDiscount(cartId, code) {
+      return request(app).post(`/carts/${cartId}/discount`).send({ code });
+    }
+    
+    it('takes a percentage off the subtotal before tax', async () => {
+      const cart = await createCart(2);
+      await request(app).put(`/carts/${cart.id}/shipping`).send({ countryCode: 'US', postalCode: '94105' }).expect(200);
+      
+      const response = await applyDiscount(cart.id, ' welcome10 ').expect(200);
+      
+      expect(response.body.cart.discount).toEqual({ code: 'WELCOME10', description: '10% off your order', error: null });
+      expect(response.body.cart.totals).toEqual(expect.objectContaining({
+        subtotal: '59.98',
+        discount: '6.00',
+        tax: '3.91',
+        total: '57.89',
+      }));
+    });
+    
+    it('waives shipping with a free shipping code', async () => {
+      const cart = await createCart();
+      await request(app).put(`/carts/${cart.id}/shipping`).send({ shippingOptionId: 'express' }).expect(200);
+      
+      const response = await applyDiscount(cart.id, 'FREESHIP').expect(200);
+      
+      expect(response.body.cart.totals).toEqual(expect.objectContaining({
+        shipping: '14.99',
+        discount: '14.99',
+        total: '29.99',
+      }));
+    });
+    
+    it('enforces the minimum spend of fixed amount codes', async () => {
+      const smallCart = await createCart(1);
+      const rejected = await applyDiscount(smallCart.id, 'SAVE5').expect(400);
+      expect(rejected.body.error).toBe('Discount code SAVE5 requires a subtotal of at least 50.00 USD');
+      
+      const cart = await createCart(2);
+      const applied = await applyDiscount(cart.id, 'SAVE5').expect(200);
+      expect(applied.body.cart.totals).toEqual(expect.objectContaining({ discount: '5.00', total: '54.98' }));
+      
+      // Falling below the minimum keeps the code but reports why it no longer applies
+      await request(app).delete(`/carts/${cart.id}/items/${PRODUCT_ID}`).expect(200);
+      const reduced = await request(app).post(`/carts/${cart.id}/items`).send({ productId: PRODUCT_ID }).expect(200);
+      expect(reduced.body.cart.discount.error).toBe('Discount code SAVE5 requires a subtotal of at least 50.00 USD');
+      expect(reduced.body.cart.totals.total).toBe('29.99');
+    });
+    
+    it('rejects unknown and expired codes and keeps the previous code', async () => {
+      const cart = await createCart();
+      await applyDiscount(cart.id, 'FREESHIP').expect(200);
+      
+      const unknown = await applyDiscount(cart.id, 'NOPE').expect(400);
+      expect(unknown.body.error).toBe('Discount code not recognized');
+      
+      const expired = await applyDiscount(cart.id, 'LAUNCH50').expect(400);
+      expect(expired.body.error).toBe('Discount code LAUNCH50 has expired');
+      
+      const current = await request(app).get(`/carts/${cart.id}`).expect(200);
+      expect(current.body.cart.discount.code).toBe('FREESHIP');
+      
+      await applyDiscount(cart.id, 'not a code!').expect(400);
+    });
+    
+    it('removes the discount code', async () => {
+      const cart = await createCart();
+      await applyDiscount(cart.id, 'WELCOME10').expect(200);
+      
+      const response = await request(app).delete(`/carts/${cart.id}/discount`).expect(200);
+      
+      expect(response.body.cart.discount).toBeNull();
+      expect(response.body.cart.totals.total).toBe('29.99');
+    });
+    
+    it('stops accepting a code once its usage limit is reached', async () => {
+      const promotionsPath = path.join(os.tmpdir(), `promotions-${process.pid}.json`);
+      fs.writeFileSync(promotionsPath, JSON.stringify({
+        promotions: [{ code: 'ONCE', description: 'One use only', type: 'percentage', percentOff: 20, usageLimit: 1 }],
+      }));
+      
+      let limitedApp;
+      jest.isolateModules(() => {
+        process.env.PROMOTIONS_PATH = promotionsPath;
+        limitedApp = require('../server');
+      });
+      delete process.env.PROMOTIONS_PATH;
+      fs.unlinkSync(promotionsPath);
+      
+      const createDiscountedCart = async () => {
+        const created = await request(limitedApp)
+          .post('/carts')
+          .send({ items: [{ productId: PRODUCT_ID }] })
+          .expect(201);
+        await request(limitedApp).post(`/carts/${created.body.cart.id}/discount`).send({ code: 'ONCE' }).expect(200);
+        return created.body.cart;
+      };
+      const pay = (cart, paymentMethodNonce = 'fake-valid-nonce') => request(limitedApp)
+        .post('/checkout')
+        .send({ paymentMethodNonce, cartId: cart.id });
+      
+      const first = await createDiscountedCart();
+      const second = await createDiscountedCart();
+      
+      // A declined payment gives its reserved use back, so the code still works
+      await pay(first, 'fake-processor-declined-visa-nonce').expect(400);
+      await pay(first).expect(200);
+      
+      // The second cart accepted the code before the first order used it up
+      const refused = await pay(second).expect(400);
+      expect(refused.body.error).toBe('Discount code ONCE is no longer available');
+      
+      const cart = await request(limitedApp).get(`/carts/${second.id}`).expect(200);
+      expect(cart.body.cart.discount.error).toBe('Discount code ONCE is no longer available');
+      expect(cart.body.cart.totals.total).toBe('29.99');
+    });
+    
+    it('refuses to charge nothing when a code covers the whole total', async () => {
+      const promotionsPath = path.join(os.tmpdir(), `promotions-${process.pid}.json`);
+      fs.writeFileSync(promotionsPath, JSON.stringify({
+        promotions: [{ code: 'FREEBIE', description: 'On the house', type: 'percentage', percentOff: 100 }],
+      }));
+      
+      let freeApp;
+      jest.isolateModules(() => {
+        process.env.PROMOTIONS_PATH = promotionsPath;
+        freeApp = require('../server');
+      });
+      delete process.env.PROMOTIONS_PATH;
+      fs.unlinkSync(promotionsPath);
+      
+      const created = await request(freeApp)
+        .post('/carts')
+        .send({ items: [{ productId: PRODUCT_ID }] })
+        .expect(201);
+      const discounted = await request(freeApp)
+        .post(`/carts/${created.body.cart.id}/discount`)
+        .send({ code: 'FREEBIE' })
+        .expect(200);
+      expect(discounted.body.cart.totals.total).toBe('0.00');
+      
+      const response = await request(freeApp)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 'fake-valid-nonce', cartId: created.body.cart.id })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Cart total must be greater than zero');
+    });
+    
+    it('passes the discount to the gateway and records it on the order', async () => {
+      const saleSpy = jest.spyOn(gateway.transaction, 'sale');
+      const cart = await createCart();
+      await applyDiscount(cart.id, 'WELCOME10').expect(200);
+      
+      const response = await request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 'fake-valid-nonce', cartId: cart.id, amount: '26.99' })
+        .expect(200);
+      
+      expect(saleSpy).toHaveBeenCalledWith(expect.objectContaining({ amount: '26.99', discountAmount: '3.00' }));
+      
+      const order = await request(app)
+        .get(`/orders/${response.body.orderId}`)
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      expect(order.body.order.discountCode).toBe('WELCOME10');
+      expect(order.body.order.totals.discount).toBe('3.00');
+    });
+  });
+  
+  describe('addresses', () => {
+    const BILLING = {
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      streetAddress: '1 Market St',
+      locality: 'San Francisco',
+      region: 'CA',
+      postalCode: '94105',
+      countryCodeAlpha2: 'us',
+    };
+    
+    /**
+     * Pay for a cart with the given addresses
+     */
+    function checkoutWithAddresses(cartId, addresses) {
+      return request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 'fake-valid-nonce', cartId, ...addresses });
+    }
+    
+    /**
+     * Get an order as an admin
+     */
+    async function getOrder(orderId) {
+      const response = await request(app)
+        .get(`/orders/${orderId}`)
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      
+      return response.body.order;
+    }
+    
+    it('sends the addresses to the gateway and records AVS and CVV results', async () => {
+      const saleSpy = jest.spyOn(gateway.transaction, 'sale');
+      const cart = await createCart();
+      await request(app).put(`/carts/${cart.id}/shipping`).send({ countryCode: 'US', postalCode: '94105' }).expect(200);
+      
+      const response = await checkoutWithAddresses(cart.id, {
+        billing: BILLING,
+        shipping: { ...BILLING, postalCode: undefined, extendedAddress: ' ' },
+      }).expect(200);
+      
+      const billing = { ...BILLING, countryCodeAlpha2: 'US' };
+      expect(saleSpy).toHaveBeenCalledWith(expect.objectContaining({ billing, shipping: billing }));
+      
+      const order = await getOrder(response.body.orderId);
+      expect(order.billingAddress).toEqual(billing);
+      expect(order.shippingAddress).toEqual(billing);
+      expect(order.verification).toEqual({
+        avsErrorResponseCode: null,
+        avsPostalCodeResponseCode: 'M',
+        avsStreetAddressResponseCode: 'M',
+        cvvResponseCode: 'M',
+      });
+    });
+    
+    it('records AVS mismatches without blocking the payment', async () => {
+      const cart = await createCart();
+      
+      const response = await checkoutWithAddresses(cart.id, {
+        billing: { ...BILLING, streetAddress: '200 Wrong Way', postalCode: '20000' },
+      }).expect(200);
+      
+      const order = await getOrder(response.body.orderId);
+      expect(order.shippingAddress).toBeNull();
+      expect(order.verification).toEqual(expect.objectContaining({
+        avsPostalCodeResponseCode: 'N',
+        avsStreetAddressResponseCode: 'N',
+      }));
+    });
+    
+    it('reports no verification for PayPal payments', async () => {
+      const cart = await createCart();
+      
+      const response = await request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 'fake-paypal-one-time-nonce', cartId: cart.id, billing: BILLING })
+        .expect(200);
+      
+      const order = await getOrder(response.body.orderId);
+      expect(order.verification).toBeNull();
+    });
+    
+    it('validates addresses', async () => {
+      const cart = await createCart();
+      
+      const response = await checkoutWithAddresses(cart.id, {
+        billing: { ...BILLING, streetAddress: undefined, countryCodeAlpha2: 'USA' },
+      }).expect(400);
+      
+      expect(response.body.details).toEqual([
+        { field: 'billing.streetAddress', message: 'is required' },
+        { field: 'billing.countryCodeAlpha2', message: 'must be a two-letter ISO 3166 country code such as "US"' },
+      ]);
+    });
+    
+    it('requires the shipping address to match the taxed postal code', async () => {
+      const cart = await createCart();
+      await request(app).put(`/carts/${cart.id}/shipping`).send({ countryCode: 'US', postalCode: '94105' }).expect(200);
+      
+      const response = await checkoutWithAddresses(cart.id, {
+        shipping: { ...BILLING, postalCode: '10001' },
+      }).expect(400);
+      
+      expect(response.body.error).toBe('Shipping address postal code does not match the cart shipping postal code');
+    });
+    
+    it('requires the shipping address to be in the taxed country', async () => {
+      const cart = await createCart();
+      await request(app).put(`/carts/${cart.id}/shipping`).send({ countryCode: 'US', postalCode: '10115' }).expect(200);
+      
+      const response = await checkoutWithAddresses(cart.id, {
+        shipping: { ...BILLING, countryCodeAlpha2: 'DE', postalCode: '10115' },
+      }).expect(400);
+      
+      expect(response.body.error).toBe('Shipping address country does not match the cart shipping country');
+    });
+    
+    it('refuses to ship to an address from a cart that was never taxed for one', async () => {
+      const saleSpy = jest.spyOn(gateway.transaction, 'sale');
+      const cart = await createCart();
+      
+      const response = await checkoutWithAddresses(cart.id, {
+        shipping: { ...BILLING, postalCode: '10001' },
+      }).expect(400);
+      
+      expect(response.body.error).toBe('Set the cart shipping country and postal code before checking out with a shipping address');
+      expect(saleSpy).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('fraud screening', () => {
+    /**
+     * Most recent order with a status, as an admin
+     */
+    async function latestOrder(status) {
+      const response = await request(app)
+        .get(`/orders?status=${status}`)
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      
+      return response.body.orders[0];
+    }
+    
+    it('passes device data and email to the gateway and records the decision', async () => {
+      const saleSpy = jest.spyOn(gateway.transaction, 'sale');
+      const cart = await createCart();
+      
+      await request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 'fake-valid-nonce', cartId: cart.id, email: 'ada@example.com', deviceData: '{"device_session_id":"abc"}' })
+        .expect(200);
+      
+      expect(saleSpy).toHaveBeenCalledWith(expect.objectContaining({
+        deviceData: '{"device_session_id":"abc"}',
+        customer: { email: 'ada@example.com' },
+      }));
+      
+      const order = await latestOrder('paid');
+      expect(order.email).toBe('ada@example.com');
+      expect(order.fraud).toEqual({ decision: 'accept', reasons: [], screenedAt: expect.any(String) });
+    });
+    
+    it('flags large orders for review but still charges them', async () => {
+      const response = await checkout('fake-valid-nonce', 17);
+      
+      expect(response.status).toBe(200);
+      
+      const order = await latestOrder('paid');
+      expect(order.fraud.decision).toBe('flag');
+      expect(order.fraud.reasons).toEqual([
+        { rule: 'amount', action: 'flag', message: 'Amount exceeds the USD review threshold' },
+      ]);
+    });
+    
+    it('rejects blocklisted emails without contacting the gateway', async () => {
+      const saleSpy = jest.spyOn(gateway.transaction, 'sale');
+      const declines = metrics.get('checkout_transactions_total');
+      const before = declines.get({ outcome: 'decline', reason: 'fraud_screening' });
+      const cart = await createCart();
+      
+      const response = await request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 'fake-valid-nonce', cartId: cart.id, email: 'bot@Mailinator.com' })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Payment declined by fraud screening');
+      expect(saleSpy).not.toHaveBeenCalled();
+      expect(declines.get({ outcome: 'decline', reason: 'fraud_screening' })).toBe(before + 1);
+      
+      const order = await latestOrder('failed');
+      expect(order.failureReason).toBe('Payment declined by fraud screening');
+      expect(order.fraud.reasons).toEqual([
+        { rule: 'blocklist', action: 'reject', message: 'Email domain mailinator.com is blocklisted' },
+      ]);
+      
+      // The cart can be paid once the buyer uses another email
+      await request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 'fake-valid-nonce', cartId: cart.id, email: 'ada@example.com' })
+        .expect(200);
+    });
+    
+    it('rejects IPs exceeding the attempt velocity', async () => {
+      const { maxAttemptsPerIp } = fraudService.velocity;
+      
+      for (let attempt = 0; attempt < maxAttemptsPerIp; attempt++) {
+        await checkout('fake-processor-declined-visa-nonce');
+      }
+      
+      const response = await checkout();
+      
+      expect(response.body.error).toBe('Payment declined by fraud screening');
+      expect((await latestOrder('failed')).fraud.reasons[0].rule).toBe('velocity');
+    });
+    
+    it('runs registered rules', async () => {
+      const rule = jest.fn().mockResolvedValue({ action: 'reject', message: 'Manual hold' });
+      fraudService.addRule('manual-hold', rule);
+      
+      try {
+        const response = await checkout();
+        
+        expect(response.status).toBe(400);
+        expect(rule).toHaveBeenCalledWith(expect.objectContaining({ amountCents: 2999, currency: 'USD', ip: expect.any(String) }));
+      } finally {
+        fraudService.rules.pop();
+      }
+    });
+    
+    it('validates the email', async () => {
+      const cart = await createCart();
+      
+      const response = await request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 'fake-valid-nonce', cartId: cart.id, email: 'not-an-email' })
+        .expect(400);
+      
+      expect(response.body.details).toEqual([{ field: 'email', message: 'must be an email address' }]);
+    });
+  });
+  
+  describe('POST /checkout', () => {
+    it('charges the cart total and records a paid order', async () => {
+      const saleSpy = jest.spyOn(gateway.transaction, 'sale');
+      
+      const response = await checkout('fake-valid-nonce', 2);
+      
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.transaction.amount).toBe('59.98');
+      expect(saleSpy).toHaveBeenCalledWith(expect.objectContaining({ amount: '59.98' }));
+      
+      const order = await request(app)
+        .get(`/orders/${response.body.orderId}`)
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      expect(order.body.order.status).toBe('paid');
+      expect(order.body.order.transactionId).toBe(response.body.transaction.id);
+    });
+    
+    it('requires a nonce and cart ID', async () => {
+      const response = await request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 'fake-valid-nonce' })
+        .expect(400);
+      
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Request validation failed',
+        details: [{ field: 'cartId', message: 'is required' }],
+      });
+    });
+    
+    it('lists every invalid field without calling the gateway', async () => {
+      const saleSpy = jest.spyOn(gateway.transaction, 'sale');
+      
+      const response = await request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 42, cartId: 'cart', amount: '-5', coupon: 'FREE' })
+        .expect(400);
+      
+      expect(response.body.details).toEqual([
+        { field: 'paymentMethodNonce', message: 'must be a string' },
+        { field: 'amount', message: 'must be a positive decimal amount with at most two decimal places' },
+        { field: 'coupon', message: 'is not an allowed field' },
+      ]);
+      expect(saleSpy).not.toHaveBeenCalled();
+    });
+    
+    it('rejects a client amount that does not match the cart total', async () => {
+      const cart = await createCart();
+      
+      const response = await request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 'fake-valid-nonce', cartId: cart.id, amount: '0.01' })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Amount does not match cart total');
+    });
+    
+    it('rejects carts without items', async () => {
+      const created = await request(app).post('/carts').send({}).expect(201);
+      
+      const response = await request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 'fake-valid-nonce', cartId: created.body.cart.id })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Cart is empty');
+    });
+    
+    it('rejects carts that were already paid', async () => {
+      const cart = await createCart();
+      const body = { paymentMethodNonce: 'fake-valid-nonce', cartId: cart.id };
+      
+      await request(app).post('/checkout').send(body).expect(200);
+      await request(app).post('/checkout').send(body).expect(409);
+    });
+    
+    it('reports declines and records a failed order', async () => {
+      const response = await checkout('fake-processor-declined-visa-nonce');
+      
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ success: false, error: 'Do Not Honor' });
+      
+      const orders = await request(app)
+        .get('/orders?status=failed')
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      expect(orders.body.orders[0].failureReason).toBe('Do Not Honor');
+    });
+    
+    it('reports validation errors from the gateway', async () => {
+      const response = await checkout('not-a-real-nonce');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Unknown or expired payment_method_nonce.');
+    });
+    
+    it('returns 500 and reopens the cart when the gateway throws', async () => {
+      jest.spyOn(gateway.transaction, 'sale').mockRejectedValueOnce(new Error('Timeout'));
+      const cart = await createCart();
+      const body = { paymentMethodNonce: 'fake-valid-nonce', cartId: cart.id };
+      
+      const response = await request(app).post('/checkout').send(body).expect(500);
+      expect(response.body).toEqual({ success: false, error: 'Internal server error' });
+      
+      await request(app).post('/checkout').send(body).expect(200);
+    });
+    
+    it('replays the original response for a repeated Idempotency-Key', async () => {
+      const saleSpy = jest.spyOn(gateway.transaction, 'sale');
+      const cart = await createCart();
+      const body = { paymentMethodNonce: 'fake-valid-nonce', cartId: cart.id };
+      
+      const first = await request(app)
+        .post('/checkout')
+        .set('Idempotency-Key', 'retry-key')
+        .send(body)
+        .expect(200);
+      const retry = await request(app)
+        .post('/checkout')
+        .set('Idempotency-Key', 'retry-key')
+        .send(body)
+        .expect(200);
+      
+      expect(retry.body).toEqual(first.body);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(saleSpy).toHaveBeenCalledTimes(1);
+      
+      await request(app)
+        .post('/checkout')
+        .set('Idempotency-Key', 'retry-key')
+        .send({ ...body, amount: '29.99' })
+        .expect(422);
+    });
+  });
+  
+  describe('rate limiting', () => {
+    let limitedApp;
+    
+    beforeAll(() => {
+      jest.isolateModules(() => {
+        process.env.RATE_LIMIT_CLIENT_TOKEN_PER_SESSION = '2';
+        process.env.RATE_LIMIT_CHECKOUT_PER_IP = '2';
+        process.env.RATE_LIMIT_CUSTOMERS_PER_IP = '2';
+        process.env.RATE_LIMIT_CARTS_PER_IP = '3';
+        process.env.RATE_LIMIT_DISCOUNT_PER_IP = '2';
+        limitedApp = require('../server');
+      });
+      [
+        'RATE_LIMIT_CLIENT_TOKEN_PER_SESSION',
+        'RATE_LIMIT_CHECKOUT_PER_IP',
+        'RATE_LIMIT_CUSTOMERS_PER_IP',
+        'RATE_LIMIT_CARTS_PER_IP',
+        'RATE_LIMIT_DISCOUNT_PER_IP',
+      ].forEach(name => delete process.env[name]);
+    });
+    
+    beforeEach(() => {
+      limitedApp.locals.rateLimitStore.reset();
+    });
+    
+    it('throttles client tokens per session with Retry-After', async () => {
+      await request(limitedApp).get('/client-token').set('X-Checkout-Session', 'session-a').expect(200);
+      await request(limitedApp).get('/client-token').set('X-Checkout-Session', 'session-a').expect(200);
+      
+      const response = await request(limitedApp)
+        .get('/client-token')
+        .set('X-Checkout-Session', 'session-a')
+        .expect(429);
+      
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Too many attempts. Please wait a moment and try again.',
+        retryAfter: expect.any(Number),
+      });
+      expect(Number(response.headers['retry-after'])).toBe(response.body.retryAfter);
+      expect(response.body.retryAfter).toBeGreaterThan(0);
+      expect(response.body.retryAfter).toBeLessThanOrEqual(60);
+      
+      // Other sessions keep their own allowance
+      await request(limitedApp).get('/client-token').set('X-Checkout-Session', 'session-b').expect(200);
+    });
+    
+    it('throttles checkout attempts per IP before charging', async () => {
+      const saleSpy = jest.spyOn(limitedApp.locals.gateway.transaction, 'sale');
+      
+      await request(limitedApp).post('/checkout').send({}).expect(400);
+      await request(limitedApp).post('/checkout').send({}).expect(400);
+      
+      const response = await request(limitedApp)
+        .post('/checkout')
+        .set('Idempotency-Key', 'throttled-key')
+        .send({ paymentMethodNonce: 'fake-valid-nonce', cartId: 'cart-1' })
+        .expect(429);
+      
+      expect(response.headers['retry-after']).toBeDefined();
+      expect(saleSpy).not.toHaveBeenCalled();
+    });
+    
+    it('does not count replayed checkouts as attempts', async () => {
+      const { body } = await request(limitedApp)
+        .post('/carts')
+        .send({ items: [{ productId: PRODUCT_ID, quantity: 1 }] })
+        .expect(201);
+      const pay = key => request(limitedApp)
+        .post('/checkout')
+        .set('Idempotency-Key', key)
+        .send({ paymentMethodNonce: 'fake-valid-nonce', cartId: body.cart.id });
+      
+      await pay('paid-key').expect(200);
+      
+      for (let attempt = 0; attempt < 3; attempt += 1) {
+        const replay = await pay('paid-key').expect(200);
+        expect(replay.headers['idempotent-replayed']).toBe('true');
+      }
+      
+      await request(limitedApp).post('/checkout').send({}).expect(400);
+      await pay('throttled-key').expect(429);
+      
+      // A throttled attempt was never handled, so its key is not replayed
+      limitedApp.locals.rateLimitStore.reset();
+      const retry = await pay('throttled-key').expect(409);
+      expect(retry.body.error).toBe('Cart has already been checked out');
+      expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    });
+    
+    it('throttles vault requests per IP, so customer handles cannot be enumerated', async () => {
+      await request(limitedApp).get('/customers/guess-1').expect(404);
+      await request(limitedApp).get('/customers/guess-2/payment-methods').expect(404);
+      await request(limitedApp).get('/customers/guess-3').expect(429);
+      await request(limitedApp).post('/customers').send({}).expect(429);
+    });
+    
+    it('throttles cart creation per IP', async () => {
+      const cart = { items: [{ productId: PRODUCT_ID, quantity: 1 }] };
+      
+      for (let attempt = 0; attempt < 3; attempt += 1) {
+        await request(limitedApp).post('/carts').send(cart).expect(201);
+      }
+      
+      await request(limitedApp).post('/carts').send(cart).expect(429);
+    });
+    
+    it('throttles discount code attempts much more tightly than other cart changes', async () => {
+      const { body } = await request(limitedApp)
+        .post('/carts')
+        .send({ items: [{ productId: PRODUCT_ID, quantity: 1 }] })
+        .expect(201);
+      const tryCode = code => request(limitedApp).post(`/carts/${body.cart.id}/discount`).send({ code });
+      
+      await tryCode('GUESS1').expect(400);
+      await tryCode('GUESS2').expect(400);
+      const response = await tryCode('WELCOME10').expect(429);
+      
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+    
+    it('rejects malformed session IDs', async () => {
+      const response = await request(limitedApp)
+        .get('/client-token')
+        .set('X-Checkout-Session', 'not a session!')
+        .expect(400);
+      
+      expect(response.body.error).toBe('X-Checkout-Session must be 1 to 128 letters, digits, dashes or underscores');
+    });
+    
+    it('rejects invalid limits at startup', () => {
+      jest.isolateModules(() => {
+        process.env.RATE_LIMIT_CHECKOUT_PER_IP = 'lots';
+        expect(() => require('../server')).toThrow('RATE_LIMIT_CHECKOUT_PER_IP must be a whole number');
+        delete process.env.RATE_LIMIT_CHECKOUT_PER_IP;
+      });
+    });
+  });
+  
+  describe('customers', () => {
+    /**
+     * Pay for a new cart with a new card and save it for the customer
+     */
+    async function checkoutAndSaveCard(customerId, paymentMethodNonce = 'fake-valid-mastercard-nonce') {
+      const cart = await createCart();
+      
+      return request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce, cartId: cart.id, customerId, savePaymentMethod: true })
+        .expect(200);
+    }
+    
+    it('creates and fetches customers', async () => {
+      const customer = await createCustomer({ firstName: 'Ada', email: 'ada@example.com' });
+      
+      expect(customer).toEqual(expect.objectContaining({
+        firstName: 'Ada',
+        email: 'ada@example.com',
+        paymentMethods: [],
+      }));
+      
+      const response = await request(app).get(`/customers/${customer.id}`).expect(200);
+      expect(response.body.customer.id).toBe(customer.id);
+      
+      await request(app).get('/customers/missing').expect(404);
+      await request(app).post('/customers').send({ email: 'not-an-email' }).expect(400);
+    });
+    
+    it('saves a card during checkout and lists it', async () => {
+      const customer = await createCustomer();
+      
+      const { body } = await checkoutAndSaveCard(customer.id);
+      
+      expect(body.savedPaymentMethod).toEqual(expect.objectContaining({
+        cardType: 'MasterCard',
+        last4: '4444',
+        default: true,
+      }));
+      
+      const response = await request(app)
+        .get(`/customers/${customer.id}/payment-methods`)
+        .expect(200);
+      expect(response.body.paymentMethods).toEqual([body.savedPaymentMethod]);
+      
+      const order = await request(app)
+        .get(`/orders/${body.orderId}`)
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      expect(gateway.customers.has(order.body.order.customerId)).toBe(true);
+    });
+    
+    it('pays with a saved card', async () => {
+      const customer = await createCustomer();
+      const { body: saved } = await checkoutAndSaveCard(customer.id);
+      const cart = await createCart();
+      const saleSpy = jest.spyOn(gateway.transaction, 'sale');
+      
+      const response = await request(app)
+        .post('/checkout')
+        .send({
+          paymentMethodToken: saved.savedPaymentMethod.token,
+          customerId: customer.id,
+          cartId: cart.id,
+        })
+        .expect(200);
+      
+      expect(response.body.success).toBe(true);
+      expect(response.body.savedPaymentMethod).toBeNull();
+      expect(saleSpy).toHaveBeenCalledWith(expect.objectContaining({
+        paymentMethodToken: saved.savedPaymentMethod.token,
+        customerId: expect.stringMatching(/^\d+$/),
+      }));
+    });
+    
+    it('identifies customers by a random handle instead of their Braintree ID', async () => {
+      const generateSpy = jest.spyOn(gateway.clientToken, 'generate');
+      const customer = await createCustomer();
+      
+      await request(app).get('/client-token').query({ customerId: customer.id }).expect(200);
+      const [[{ customerId: vaultCustomerId }]] = generateSpy.mock.calls;
+      
+      expect(customer.id).toMatch(/^[A-Za-z0-9_-]{32}$/);
+      await request(app).get(`/customers/${vaultCustomerId}`).expect(404);
+      await request(app).get(`/customers/${vaultCustomerId}/payment-methods`).expect(404);
+    });
+    
+    it("refuses another customer's saved card", async () => {
+      const owner = await createCustomer();
+      const other = await createCustomer();
+      const { body: saved } = await checkoutAndSaveCard(owner.id);
+      const cart = await createCart();
+      
+      await request(app)
+        .post('/checkout')
+        .send({ paymentMethodToken: saved.savedPaymentMethod.token, customerId: other.id, cartId: cart.id })
+        .expect(404);
+      
+      await request(app)
+        .delete(`/customers/${other.id}/payment-methods/${saved.savedPaymentMethod.token}`)
+        .expect(404);
+    });
+    
+    it('creates single-use nonces for saved cards', async () => {
+      const customer = await createCustomer();
+      const { body } = await checkoutAndSaveCard(customer.id);
+      const { token } = body.savedPaymentMethod;
+      
+      const response = await request(app)
+        .post(`/customers/${customer.id}/payment-methods/${token}/nonce`)
+        .expect(200);
+      expect(response.body.paymentMethodNonce).toEqual({ nonce: expect.any(String), bin: '555555' });
+      
+      const cart = await createCart();
+      await request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce: response.body.paymentMethodNonce.nonce, customerId: customer.id, cartId: cart.id })
+        .expect(200);
+    });
+    
+    it('deletes saved cards', async () => {
+      const customer = await createCustomer();
+      const { body } = await checkoutAndSaveCard(customer.id);
+      
+      await request(app)
+        .delete(`/customers/${customer.id}/payment-methods/${body.savedPaymentMethod.token}`)
+        .expect(200);
+      
+      const response = await request(app)
+        .get(`/customers/${customer.id}/payment-methods`)
+        .expect(200);
+      expect(response.body.paymentMethods).toEqual([]);
+    });
+    
+    it('requires exactly one payment method and a customer to save cards', async () => {
+      const cart = await createCart();
+      
+      const response = await request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 'fake-valid-nonce', paymentMethodToken: 'abc', cartId: cart.id, savePaymentMethod: true })
+        .expect(400);
+      
+      expect(response.body.details).toEqual([
+        { field: 'paymentMethodNonce', message: 'exactly one of paymentMethodNonce or paymentMethodToken is required' },
+        { field: 'customerId', message: 'is required to pay with a saved payment method' },
+        { field: 'customerId', message: 'is required to save a payment method' },
+      ]);
+    });
+  });
+  
+  describe('3D Secure', () => {
+    let secureApp;
+    
+    beforeAll(() => {
+      jest.isolateModules(() => {
+        process.env.THREE_D_SECURE = 'required';
+        secureApp = require('../server');
+        delete process.env.THREE_D_SECURE;
+      });
+    });
+    
+    /**
+     * Pay for a new cart on the app that requires 3D Secure
+     */
+    async function secureCheckout(paymentMethodNonce) {
+      const cart = await request(secureApp)
+        .post('/carts')
+        .send({ items: [{ productId: PRODUCT_ID }] })
+        .expect(201);
+      
+      return request(secureApp)
+        .post('/checkout')
+        .send({ paymentMethodNonce, cartId: cart.body.cart.id });
+    }
+    
+    it('tells the browser to verify cards', async () => {
+      const response = await request(secureApp).get('/client-token').expect(200);
+      expect(response.body.threeDSecure).toEqual({ enabled: true, required: true });
+      
+      const disabled = await request(app).get('/client-token').expect(200);
+      expect(disabled.body.threeDSecure).toEqual({ enabled: false, required: false });
+    });
+    
+    it('rejects payments that skipped verification', async () => {
+      const response = await secureCheckout('fake-valid-nonce');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Gateway Rejected: three_d_secure');
+    });
+    
+    it('accepts verified payments and records the liability shift', async () => {
+      const response = await secureCheckout('fake-three-d-secure-visa-full-authentication-nonce');
+      expect(response.status).toBe(200);
+      
+      const order = await request(secureApp)
+        .get(`/orders/${response.body.orderId}`)
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      expect(order.body.order.threeDSecure).toEqual({
+        status: 'authenticate_successful',
+        liabilityShifted: true,
+        liabilityShiftPossible: true,
+      });
+    });
+  });
+  
+  describe('currencies', () => {
+    let currencyApp;
+    
+    beforeAll(() => {
+      jest.isolateModules(() => {
+        process.env.MERCHANT_ACCOUNTS = 'eur:acme_eur';
+        currencyApp = require('../server');
+        delete process.env.MERCHANT_ACCOUNTS;
+      });
+    });
+    
+    /**
+     * Pay for a new cart in the given currency
+     */
+    async function checkoutIn(targetApp, currency) {
+      const cart = await request(targetApp)
+        .post('/carts')
+        .send({ currency, items: [{ productId: PRODUCT_ID }] })
+        .expect(201);
+      
+      return request(targetApp)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 'fake-valid-nonce', cartId: cart.body.cart.id });
+    }
+    
+    it('charges through the merchant account for the cart currency', async () => {
+      const saleSpy = jest.spyOn(currencyApp.locals.gateway.transaction, 'sale');
+      
+      const response = await checkoutIn(currencyApp, 'EUR');
+      expect(response.status).toBe(200);
+      
+      expect(saleSpy).toHaveBeenCalledWith(expect.objectContaining({ amount: '27.99', merchantAccountId: 'acme_eur' }));
+      expect(response.body.transaction).toEqual(expect.objectContaining({ amount: '27.99', currency: 'EUR' }));
+      
+      const order = await request(currencyApp)
+        .get(`/orders/${response.body.orderId}`)
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      expect(order.body.order.currency).toBe('EUR');
+    });
+    
+    it('uses the default merchant account for the store currency', async () => {
+      const saleSpy = jest.spyOn(currencyApp.locals.gateway.transaction, 'sale');
+      
+      const response = await checkoutIn(currencyApp, 'USD');
+      
+      expect(response.status).toBe(200);
+      expect(saleSpy.mock.calls[0][0].merchantAccountId).toBeUndefined();
+    });
+    
+    it('rejects currencies without a merchant account before charging', async () => {
+      const saleSpy = jest.spyOn(gateway.transaction, 'sale');
+      
+      const response = await checkoutIn(app, 'GBP');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('No merchant account is configured for GBP');
+      expect(saleSpy).not.toHaveBeenCalled();
+    });
+    
+    it('rejects malformed merchant accounts at startup', () => {
+      jest.isolateModules(() => {
+        process.env.MERCHANT_ACCOUNTS = 'EUR';
+        expect(() => require('../server')).toThrow('Invalid merchant account entry: EUR');
+        delete process.env.MERCHANT_ACCOUNTS;
+      });
+    });
+  });
+  
+  describe('alternative payment methods', () => {
+    let walletApp;
+    
+    beforeAll(() => {
+      jest.isolateModules(() => {
+        process.env.PAYMENT_METHODS = 'paypal, venmo';
+        walletApp = require('../server');
+        delete process.env.PAYMENT_METHODS;
+      });
+    });
+    
+    it('lists the enabled payment methods with the client token', async () => {
+      const response = await request(walletApp).get('/client-token').expect(200);
+      expect(response.body.paymentMethods).toEqual(['card', 'paypal', 'venmo']);
+      
+      const cardOnly = await request(app).get('/client-token').expect(200);
+      expect(cardOnly.body.paymentMethods).toEqual(['card']);
+    });
+    
+    it('rejects unknown payment methods at startup', () => {
+      jest.isolateModules(() => {
+        process.env.PAYMENT_METHODS = 'paypal,bitcoin';
+        expect(() => require('../server')).toThrow('Unknown payment method in PAYMENT_METHODS: bitcoin');
+        delete process.env.PAYMENT_METHODS;
+      });
+    });
+    
+    it.each([
+      ['fake-paypal-one-time-nonce', 'paypal_account'],
+      ['fake-venmo-account-nonce', 'venmo_account'],
+    ])('charges a %s through /checkout', async (paymentMethodNonce, paymentInstrumentType) => {
+      const cart = await request(walletApp)
+        .post('/carts')
+        .send({ items: [{ productId: PRODUCT_ID }] })
+        .expect(201);
+      
+      const response = await request(walletApp)
+        .post('/checkout')
+        .send({ paymentMethodNonce, cartId: cart.body.cart.id })
+        .expect(200);
+      
+      const order = await request(walletApp)
+        .get(`/orders/${response.body.orderId}`)
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      expect(order.body.order.status).toBe('paid');
+      expect(order.body.order.paymentInstrumentType).toBe(paymentInstrumentType);
+    });
+  });
+  
+  describe('orders', () => {
+    it('requires the admin API key', async () => {
+      await request(app).get('/orders').expect(401);
+      await request(app).get('/orders').set('Authorization', 'Bearer wrong').expect(401);
+    });
+    
+    it('filters orders by status and date', async () => {
+      await checkout();
+      
+      const paid = await request(app)
+        .get('/orders')
+        .query({ status: 'paid', from: '2000-01-01' })
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      expect(paid.body.orders.length).toBeGreaterThan(0);
+      expect(paid.body.orders.every(order => order.status === 'paid')).toBe(true);
+      
+      const future = await request(app)
+        .get('/orders')
+        .query({ from: '2999-01-01' })
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      expect(future.body.orders).toEqual([]);
+      
+      await request(app)
+        .get('/orders')
+        .query({ status: 'unknown' })
+        .set('Authorization', ADMIN_AUTH)
+        .expect(400);
+    });
+    
+    it('includes the whole day of a date-only "to"', async () => {
+      const { body } = await checkout();
+      const order = await request(app)
+        .get(`/orders/${body.orderId}`)
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      const day = order.body.order.createdAt.slice(0, 10);
+      const previousDay = new Date(Date.parse(day) - 1).toISOString().slice(0, 10);
+      const list = async (query) => {
+        const response = await request(app)
+          .get('/orders')
+          .query(query)
+          .set('Authorization', ADMIN_AUTH)
+          .expect(200);
+        return response.body.orders.map(({ id }) => id);
+      };
+      
+      expect(await list({ from: day, to: day })).toContain(body.orderId);
+      expect(await list({ to: previousDay })).not.toContain(body.orderId);
+      expect(await list({ to: `${day}T00:00:00Z` })).not.toContain(body.orderId);
+      
+      await request(app)
+        .get('/orders')
+        .query({ to: 'yesterday' })
+        .set('Authorization', ADMIN_AUTH)
+        .expect(400);
+    });
+    
+    it('returns 404 for unknown orders', async () => {
+      await request(app)
+        .get('/orders/missing')
+        .set('Authorization', ADMIN_AUTH)
+        .expect(404);
+    });
+    
+    it('voids unsettled payments and refuses partial refunds before settlement', async () => {
+      const { body } = await checkout();
+      
+      await request(app)
+        .post(`/orders/${body.orderId}/refund`)
+        .set('Authorization', ADMIN_AUTH)
+        .send({ amount: '5.00' })
+        .expect(409);
+      
+      const voided = await request(app)
+        .post(`/orders/${body.orderId}/void`)
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      expect(voided.body.reversal.type).toBe('void');
+      expect(voided.body.order.status).toBe('voided');
+    });
+    
+    it('refunds settled payments in parts', async () => {
+      const { body } = await checkout();
+      await gateway.testing.settle(body.transaction.id);
+      
+      const partial = await request(app)
+        .post(`/orders/${body.orderId}/refund`)
+        .set('Authorization', ADMIN_AUTH)
+        .send({ amount: '10.00' })
+        .expect(200);
+      expect(partial.body.reversal).toEqual(expect.objectContaining({ type: 'refund', amount: '10.00' }));
+      expect(partial.body.order.status).toBe('partially_refunded');
+      
+      const rest = await request(app)
+        .post(`/orders/${body.orderId}/refund`)
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      expect(rest.body.reversal.amount).toBe('19.99');
+      expect(rest.body.order.status).toBe('refunded');
+    });
+    
+    it('validates refund amounts before contacting the gateway', async () => {
+      const { body } = await checkout();
+      const refundSpy = jest.spyOn(gateway.transaction, 'refund');
+      
+      const response = await request(app)
+        .post(`/orders/${body.orderId}/refund`)
+        .set('Authorization', ADMIN_AUTH)
+        .send({ amount: 'abc' })
+        .expect(400);
+      
+      expect(response.body.details).toEqual([
+        { field: 'amount', message: 'must be a positive decimal amount with at most two decimal places' },
+      ]);
+      expect(refundSpy).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('POST /webhooks/braintree', () => {
+    it('applies verified notifications to the matching order', async () => {
+      const handler = jest.fn();
+      webhookService.on('transaction_settled', handler);
+      const { body } = await checkout();
+      const sample = gateway.webhookTesting.sampleNotification('transaction_settled', body.transaction.id);
+      
+      const response = await request(app)
+        .post('/webhooks/braintree')
+        .type('form')
+        .send(sample)
+        .expect(200);
+      
+      expect(response.body).toEqual({
+        success: true,
+        kind: 'transaction_settled',
+        orderId: body.orderId,
+        duplicate: false,
+      });
+      expect(handler).toHaveBeenCalledWith(
+        expect.objectContaining({ kind: 'transaction_settled' }),
+        expect.objectContaining({ id: body.orderId, transactionStatus: 'settled' })
+      );
+    });
+    
+    it('ignores repeated deliveries of a processed notification', async () => {
+      const handler = jest.fn();
+      webhookService.on('transaction_settled', handler);
+      const { body } = await checkout();
+      const sample = gateway.webhookTesting.sampleNotification('transaction_settled', body.transaction.id);
+      
+      const responses = [];
+      for (let attempt = 0; attempt < 2; attempt += 1) {
+        responses.push(await request(app)
+          .post('/webhooks/braintree')
+          .type('form')
+          .send(sample)
+          .expect(200));
+      }
+      
+      expect(responses.map(response => response.body.duplicate)).toEqual([false, true]);
+      expect(responses[1].body.orderId).toBe(body.orderId);
+      expect(handler).toHaveBeenCalledTimes(1);
+      
+      const order = await request(app)
+        .get(`/orders/${body.orderId}`)
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      expect(order.body.order.events.filter(event => event.kind === 'transaction_settled')).toHaveLength(1);
+    });
+    
+    it('processes a notification again when its first delivery failed', async () => {
+      const handler = jest.fn()
+        .mockRejectedValueOnce(new Error('Handler unavailable'))
+        .mockResolvedValue();
+      webhookService.on('transaction_disbursed', handler);
+      const sample = gateway.webhookTesting.sampleNotification('transaction_disbursed', 'unknown-transaction');
+      
+      await request(app).post('/webhooks/braintree').type('form').send(sample).expect(500);
+      const retry = await request(app).post('/webhooks/braintree').type('form').send(sample).expect(200);
+      
+      expect(retry.body.duplicate).toBe(false);
+      expect(handler).toHaveBeenCalledTimes(2);
+    });
+    
+    it('rejects notifications with an invalid signature', async () => {
+      const sample = gateway.webhookTesting.sampleNotification('transaction_settled', 'abc');
+      
+      await request(app)
+        .post('/webhooks/braintree')
+        .type('form')
+        .send({ ...sample, bt_signature: 'mock_public_key|forged' })
+        .expect(400);
+    });
+  });
+  
+  describe('events', () => {
+    const EVENTS = [
+      { type: 'init_timing', time: '2026-10-19T09:00:00.000Z', data: { step: 'scene', durationMs: 182 } },
+      { type: 'payment_decline', time: '2026-10-19T09:01:00.000Z', data: { reason: 'Insufficient funds' } },
+    ];
+    
+    it('records a batch under the page\'s request ID', async () => {
+      const response = await request(app)
+        .post('/events')
+        .set('X-Request-Id', 'page-123')
+        .set('User-Agent', 'jest')
+        .send({ events: EVENTS })
+        .expect(202);
+      
+      expect(response.body).toEqual({ success: true, accepted: 2 });
+      
+      const listed = await request(app)
+        .get('/events')
+        .query({ type: 'payment_decline', limit: '1' })
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+      
+      expect(listed.body.events).toEqual([{
+        id: expect.any(String),
+        type: 'payment_decline',
+        time: '2026-10-19T09:01:00.000Z',
+        receivedAt: expect.any(String),
+        requestId: 'page-123',
+        userAgent: 'jest',
+        data: { reason: 'Insufficient funds' },
+      }]);
+    });
+    
+    it('rejects the whole batch when an event does not match its type', async () => {
+      const unknownType = await request(app)
+        .post('/events')
+        .send({ events: [{ type: 'page_view', time: '2026-10-19T09:00:00.000Z' }] })
+        .expect(400);
+      
+      expect(unknownType.body.details[0].field).toBe('events[0].type');
+      
+      const invalidData = await request(app)
+        .post('/events')
+        .send({ events: [EVENTS[0], { type: 'rate_limited', time: '2026-10-19T09:00:00.000Z', data: { retryAfter: 'soon' } }] })
+        .expect(400);
+      
+      expect(invalidData.body.details).toEqual([{ field: 'events[1].data.retryAfter', message: 'must be an integer' }]);
+    });
+    
+    it('only lists events for admins', async () => {
+      await request(app).get('/events').expect(401);
+    });
+    
+    it('forwards batches to adapters, logging adapter failures', async () => {
+      const adapter = { name: 'analytics', send: jest.fn() };
+      const failing = { name: 'broken', send: jest.fn().mockRejectedValue(new Error('Analytics down')) };
+      eventService.addAdapter(adapter);
+      eventService.addAdapter(failing);
+      
+      try {
+        await request(app).post('/events').send({ events: EVENTS }).expect(202);
+        await new Promise(resolve => setImmediate(resolve));
+        
+        expect(adapter.send).toHaveBeenCalledWith([
+          expect.objectContaining({ type: 'init_timing', data: { step: 'scene', durationMs: 182 } }),
+          expect.objectContaining({ type: 'payment_decline' }),
+        ]);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('"msg":"Event adapter failed","adapter":"broken"'));
+      } finally {
+        eventService.adapters = eventService.adapters.filter(added => added !== adapter && added !== failing);
+      }
+    });
+  });
+  
+  describe('GET /metrics', () => {
+    it('requires the admin API key', async () => {
+      await request(app).get('/metrics').expect(401);
+      
+      const response = await request(app).get('/metrics').set('Authorization', ADMIN_AUTH).expect(200);
+      
+      expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+      expect(response.text).toContain('# TYPE http_requests_total counter');
+      expect(response.text).toContain('# TYPE gateway_request_duration_seconds histogram');
+    });
+    
+    it('counts requests by route pattern and status', async () => {
+      const requests = metrics.get('http_requests_total');
+      const before = requests.get({ method: 'GET', route: '/carts/:cartId', status: 404 });
+      
+      await request(app).get('/carts/missing').expect(404);
+      await request(app).get('/carts/also-missing').expect(404);
+      
+      const response = await request(app).get('/metrics').set('Authorization', ADMIN_AUTH).expect(200);
+      
+      expect(requests.get({ method: 'GET', route: '/carts/:cartId', status: 404 })).toBe(before + 2);
+      expect(response.text).toContain('http_requests_total{method="GET",route="/carts/:cartId",status="404"}');
+      expect(response.text).not.toContain('also-missing');
+      expect(metrics.get('http_request_duration_seconds').get({ method: 'GET', route: '/carts/:cartId' }).count)
+        .toBeGreaterThanOrEqual(2);
+    });
+    
+    it('counts transactions by outcome and gateway code', async () => {
+      const transactions = metrics.get('checkout_transactions_total');
+      const count = labels => transactions.get(labels);
+      const before = {
+        success: count({ outcome: 'success' }),
+        decline: count({ outcome: 'decline', reason: '2000' }),
+        rejected: count({ outcome: 'decline', reason: 'fraud' }),
+        invalid: count({ outcome: 'invalid', reason: '91565' }),
+        error: count({ outcome: 'error' }),
+      };
+      
+      expect((await checkout('fake-valid-nonce')).status).toBe(200);
+      expect((await checkout('fake-processor-declined-visa-nonce')).status).toBe(400);
+      expect((await checkout('fake-gateway-rejected-fraud-nonce')).status).toBe(400);
+      expect((await checkout('fake-unknown-nonce')).status).toBe(400);
+      jest.spyOn(gateway.transaction, 'sale').mockRejectedValueOnce(new Error('Timeout'));
+      expect((await checkout('fake-valid-nonce')).status).toBe(500);
+      await request(app).post('/checkout').send({ paymentMethodNonce: 'fake-valid-nonce' }).expect(400);
+      
+      expect(count({ outcome: 'success' })).toBe(before.success + 1);
+      expect(count({ outcome: 'decline', reason: '2000' })).toBe(before.decline + 1);
+      expect(count({ outcome: 'decline', reason: 'fraud' })).toBe(before.rejected + 1);
+      expect(count({ outcome: 'invalid', reason: '91565' })).toBe(before.invalid + 1);
+      expect(count({ outcome: 'error' })).toBe(before.error + 1);
+    });
+    
+    it('times gateway calls by operation and outcome', async () => {
+      const duration = metrics.get('gateway_request_duration_seconds');
+      const before = {
+        success: duration.get({ operation: 'transaction.sale', outcome: 'success' }).count,
+        failure: duration.get({ operation: 'transaction.sale', outcome: 'failure' }).count,
+      };
+      
+      expect((await checkout('fake-valid-nonce')).status).toBe(200);
+      expect((await checkout('fake-processor-declined-visa-nonce')).status).toBe(400);
+      
+      expect(duration.get({ operation: 'transaction.sale', outcome: 'success' }).count).toBe(before.success + 1);
+      expect(duration.get({ operation: 'transaction.sale', outcome: 'failure' }).count).toBe(before.failure + 1);
+    });
+    
+    it('counts client token failures', async () => {
+      const failures = metrics.get('client_token_failures_total');
+      const before = failures.get();
+      jest.spyOn(gateway.clientToken, 'generate').mockRejectedValue(new Error('Gateway down'));
+      
+      await request(app).get('/client-token').expect(500);
+      
+      expect(failures.get()).toBe(before + 1);
+    });
+  });
+  
+  describe('error handling', () => {
+    it('returns 404 for unknown routes', async () => {
+      const response = await request(app).get('/does-not-exist').expect(404);
+      
+      expect(response.body).toEqual({ success: false, error: 'Route not found' });
+    });
+    
+    it('rejects inherited Object property names in checkout bodies before charging', async () => {
+      const saleSpy = jest.spyOn(gateway.transaction, 'sale');
+      const cart = await createCart();
+      const billing = { streetAddress: '1 Main St', locality: 'Springfield', countryCodeAlpha2: 'US' };
+      
+      const nested = await request(app)
+        .post('/checkout')
+        .send({ paymentMethodNonce: 'fake-valid-nonce', cartId: cart.id, billing: { ...billing, toString: {} } })
+        .expect(400);
+      const topLevel = await request(app)
+        .post('/checkout')
+        .set('Content-Type', 'application/json')
+        .send(`{"paymentMethodNonce":"fake-valid-nonce","cartId":"${cart.id}","constructor":1}`)
+        .expect(400);
+      
+      expect(nested.body.details).toEqual([{ field: 'billing.toString', message: 'is not an allowed field' }]);
+      expect(topLevel.body.details).toEqual([{ field: 'constructor', message: 'is not an allowed field' }]);
+      expect(saleSpy).not.toHaveBeenCalled();
+    });
+    
+    it('returns 400 for malformed JSON', async () => {
+      const response = await request(app)
+        .post('/carts')
+        .set('Content-Type', 'application/json')
+        .send('{"items":')
+        .expect(400);
+      
+      expect(response.body.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Cart Service Tests
+ */
+
+const CatalogService = require('../../services/catalog-service');
+const CartService = require('../../services/cart-service');
+
+const PRODUCT_ID = 'premium-3d-experience';
+
+describe('CartService', () => {
+  let carts;
+  
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    carts = new CartService(CatalogService.fromFile(), { ttlSeconds: 60 });
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  it('expires carts left unchanged for the TTL', () => {
+    const cart = carts.createCart([{ productId: PRODUCT_ID }]);
+    
+    jest.advanceTimersByTime(30 * 1000);
+    carts.addItem(cart.id, PRODUCT_ID);
+    jest.advanceTimersByTime(59 * 1000);
+    expect(carts.getCart(cart.id)).toBe(cart);
+    
+    jest.advanceTimersByTime(1000);
+    expect(() => carts.getCart(cart.id)).toThrow(`Cart not found: ${cart.id}`);
+    expect(carts.carts.size).toBe(0);
+  });
+  
+  it('keeps carts with a payment in flight', () => {
+    const cart = carts.createCart([{ productId: PRODUCT_ID }]);
+    
+    carts.beginCheckout(cart.id);
+    jest.advanceTimersByTime(120 * 1000);
+    carts.createCart();
+    
+    expect(carts.getCart(cart.id).status).toBe('checking_out');
+  });
+  
+  it('sweeps expired carts when a cart is created', () => {
+    carts.createCart();
+    carts.createCart();
+    
+    jest.advanceTimersByTime(60 * 1000);
+    const cart = carts.createCart();
+    
+    expect(Array.from(carts.carts.keys())).toEqual([cart.id]);
+  });
+  
+  it('drops paid carts and refuses them until the TTL runs out', () => {
+    const cart = carts.createCart([{ productId: PRODUCT_ID }]);
+    
+    carts.beginCheckout(cart.id);
+    expect(carts.completeCheckout(cart.id).status).toBe('checked_out');
+    expect(carts.carts.has(cart.id)).toBe(false);
+    expect(() => carts.getOpenCart(cart.id)).toThrow('Cart has already been checked out');
+    
+    jest.advanceTimersByTime(60 * 1000);
+    carts.createCart();
+    
+    expect(carts.checkedOutCarts.size).toBe(0);
+    expect(() => carts.getCart(cart.id)).toThrow(`Cart not found: ${cart.id}`);
+  });
+});
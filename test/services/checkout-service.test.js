@@ -0,0 +1,61 @@
+/**
+ * Checkout Service Tests
+ */
+
+const CatalogService = require('../../services/catalog-service');
+const CartService = require('../../services/cart-service');
+const CheckoutService = require('../../services/checkout-service');
+const CustomerService = require('../../services/customer-service');
+const Logger = require('../../services/logger');
+const MockGateway = require('../../services/mock-gateway');
+const OrderService = require('../../services/order-service');
+const PricingService = require('../../services/pricing-service');
+const PromotionService = require('../../services/promotion-service');
+const { MemoryOrderStore } = require('../../services/order-stores');
+
+const PRODUCT_ID = 'premium-3d-experience';
+
+describe('CheckoutService', () => {
+  let gateway;
+  let carts;
+  let orders;
+  let promotions;
+  let entries;
+  let checkoutService;
+  
+  beforeEach(() => {
+    gateway = new MockGateway();
+    promotions = new PromotionService([
+      { code: 'WELCOME10', description: '10% off', type: 'percentage', percentOff: 10, usageLimit: 5 },
+    ]);
+    carts = new CartService(CatalogService.fromFile(), { pricing: PricingService.fromFile(undefined, { promotions }) });
+    orders = new OrderService(new MemoryOrderStore());
+    entries = [];
+    checkoutService = new CheckoutService({
+      gateway,
+      cartService: carts,
+      orderService: orders,
+      customerService: new CustomerService({ gateway }),
+      promotions,
+      logger: new Logger({ write: (level, line) => entries.push(JSON.parse(line)) }),
+    });
+  });
+  
+  it('still reports a charged sale as paid when recording it fails', async () => {
+    const cart = carts.createCart([{ productId: PRODUCT_ID }]);
+    carts.applyDiscount(cart.id, 'WELCOME10');
+    jest.spyOn(orders, 'markPaid').mockRejectedValue(new Error('Disk full'));
+    jest.spyOn(promotions, 'confirmRedemption').mockRejectedValue(new Error('Disk full'));
+    
+    const { order, transaction } = await checkoutService.checkout({ paymentMethodNonce: 'fake-valid-nonce', cartId: cart.id });
+    
+    expect(transaction.status).toBe('submitted_for_settlement');
+    expect(order.id).toEqual(expect.any(String));
+    expect(() => carts.getOpenCart(cart.id)).toThrow('Cart has already been checked out');
+    expect(entries.map(({ level, msg, step }) => ({ level, msg, step }))).toEqual([
+      { level: 'error', msg: 'Could not record a paid checkout', step: 'confirmRedemption' },
+      { level: 'error', msg: 'Could not record a paid checkout', step: 'markPaid' },
+    ]);
+    expect(entries[1]).toMatchObject({ orderId: order.id, transactionId: transaction.id });
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Customer Store Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileCustomerStore, MemoryCustomerStore, createCustomerStore } = require('../../services/customer-stores');
+const CustomerService = require('../../services/customer-service');
+const MockGateway = require('../../services/mock-gateway');
+
+describe('FileCustomerStore', () => {
+  let dataDir;
+  let filePath;
+  
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'customers-'));
+    filePath = path.join(dataDir, 'nested', 'customers.json');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  it('keeps handles across instances, stored only as digests', async () => {
+    const service = new CustomerService({ gateway: new MockGateway(), store: new FileCustomerStore(filePath) });
+    const customer = await service.createCustomer({ email: 'ada@example.com' });
+    
+    const reloaded = new CustomerService({ gateway: service.gateway, store: new FileCustomerStore(filePath) });
+    
+    expect((await reloaded.getCustomer(customer.id)).email).toBe('ada@example.com');
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain(customer.id);
+  });
+});
+
+describe('createCustomerStore', () => {
+  it('creates the selected store', () => {
+    expect(createCustomerStore('memory')).toBeInstanceOf(MemoryCustomerStore);
+    expect(() => createCustomerStore('redis')).toThrow('Unknown customer store: redis');
+  });
+});
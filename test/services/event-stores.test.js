@@ -0,0 +1,102 @@
+/**
+ * Event Store Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileEventStore, MemoryEventStore, createEventStore } = require('../../services/event-stores');
+const Logger = require('../../services/logger');
+
+describe('FileEventStore', () => {
+  let dataDir;
+  let filePath;
+  
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'events-'));
+    filePath = path.join(dataDir, 'nested', 'events.jsonl');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  it('appends one JSON line per event and reloads them', async () => {
+    const store = new FileEventStore(filePath);
+    await store.append([{ id: 'event-1', type: 'field_focus' }]);
+    await store.append([{ id: 'event-2', type: 'payment_submit' }, { id: 'event-3', type: 'field_focus' }]);
+    
+    const reloaded = new FileEventStore(filePath);
+    
+    expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(3);
+    expect(await reloaded.list({ type: 'field_focus' })).toEqual([
+      { id: 'event-1', type: 'field_focus' },
+      { id: 'event-3', type: 'field_focus' },
+    ]);
+  });
+  
+  it('starts a new file once the current one is full, keeping one previous file', async () => {
+    const event = index => ({ id: `event-${index}`, type: 'field_focus' });
+    const lineBytes = `${JSON.stringify(event(1))}\n`.length;
+    const store = new FileEventStore(filePath, { maxFileBytes: lineBytes * 2 });
+    
+    for (const index of [1, 2, 3, 4, 5]) {
+      await store.append([event(index)]);
+    }
+    
+    const ids = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line).id);
+    
+    expect(ids(filePath)).toEqual(['event-5']);
+    expect(ids(`${filePath}.1`)).toEqual(['event-3', 'event-4']);
+    expect((await store.list()).map(({ id }) => id)).toEqual(['event-1', 'event-2', 'event-3', 'event-4', 'event-5']);
+  });
+  
+  it('only reads back the end of an oversized file', async () => {
+    const lines = [1, 2, 3, 4].map(index => `${JSON.stringify({ id: `event-${index}`, type: 'field_focus' })}\n`);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, lines.join(''));
+    
+    // Two and a half lines: the cut line is skipped
+    const store = new FileEventStore(filePath, { maxFileBytes: lines[0].length * 2.5 });
+    
+    expect((await store.list()).map(({ id }) => id)).toEqual(['event-3', 'event-4']);
+  });
+  
+  it('skips and logs lines that cannot be parsed', async () => {
+    const entries = [];
+    const logger = new Logger({ level: 'warn', write: (level, line) => entries.push(JSON.parse(line)) });
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, [
+      JSON.stringify({ id: 'event-1', type: 'field_focus' }),
+      '{"id":"event-2","ty',
+      JSON.stringify({ id: 'event-3', type: 'field_focus' }),
+      '',
+    ].join('\n'));
+    
+    const store = new FileEventStore(filePath, { logger });
+    
+    expect((await store.list()).map(({ id }) => id)).toEqual(['event-1', 'event-3']);
+    expect(entries).toEqual([expect.objectContaining({
+      level: 'warn',
+      msg: 'Skipped an unreadable event line',
+      file: filePath,
+    })]);
+  });
+});
+
+describe('MemoryEventStore', () => {
+  it('keeps the most recent events, oldest first', async () => {
+    const store = new MemoryEventStore({ maxEvents: 3 });
+    await store.append([1, 2, 3, 4].map(index => ({ id: `event-${index}`, type: 'field_focus' })));
+    
+    expect((await store.list()).map(event => event.id)).toEqual(['event-2', 'event-3', 'event-4']);
+    expect((await store.list({ limit: 1 })).map(event => event.id)).toEqual(['event-4']);
+  });
+});
+
+describe('createEventStore', () => {
+  it('creates the selected store', () => {
+    expect(createEventStore('memory')).toBeInstanceOf(MemoryEventStore);
+    expect(() => createEventStore('redis')).toThrow('Unknown event store: redis');
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Fraud Service Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FraudService = require('../../services/fraud-service');
+
+const ATTEMPT = {
+  ip: '203.0.113.7',
+  email: 'ada@example.com',
+  amountCents: 2999,
+  currency: 'USD',
+  billing: { countryCodeAlpha2: 'US' },
+};
+
+describe('FraudService', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  it('accepts attempts no rule objects to', async () => {
+    const fraud = new FraudService();
+    
+    expect(await fraud.screen(ATTEMPT)).toEqual({ decision: 'accept', reasons: [], screenedAt: expect.any(String) });
+  });
+  
+  it('flags and rejects by the amount thresholds of the currency', async () => {
+    const fraud = new FraudService({ amountThresholds: { USD: { flag: '100.00', reject: '1000.00' } } });
+    
+    expect((await fraud.screen({ ...ATTEMPT, amountCents: 9999 })).decision).toBe('accept');
+    expect((await fraud.screen({ ...ATTEMPT, amountCents: 10000 })).decision).toBe('flag');
+    expect((await fraud.screen({ ...ATTEMPT, amountCents: 100000 })).decision).toBe('reject');
+    expect((await fraud.screen({ ...ATTEMPT, amountCents: 100000, currency: 'EUR' })).decision).toBe('accept');
+  });
+  
+  it('rejects blocklisted emails, IPs and billing countries', async () => {
+    const fraud = new FraudService({
+      blocklists: { emails: ['Fraud@Example.com'], ips: ['198.51.100.1'], countries: ['zz'] },
+    });
+    
+    const byEmail = await fraud.screen({ ...ATTEMPT, email: 'fraud@example.com' });
+    const byIp = await fraud.screen({ ...ATTEMPT, ip: '198.51.100.1' });
+    const byCountry = await fraud.screen({ ...ATTEMPT, billing: { countryCodeAlpha2: 'ZZ' } });
+    
+    expect(byEmail.reasons).toEqual([{ rule: 'blocklist', action: 'reject', message: 'Email address is blocklisted' }]);
+    expect(byIp.decision).toBe('reject');
+    expect(byCountry.reasons[0].message).toBe('Billing country ZZ is blocklisted');
+  });
+  
+  it('acts on attempts over the velocity limit until they leave the window', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z') });
+    const fraud = new FraudService({ velocity: { windowMinutes: 10, maxAttemptsPerEmail: 2, action: 'flag' } });
+    
+    await fraud.screen(ATTEMPT);
+    await fraud.screen({ ...ATTEMPT, email: 'ADA@example.com' });
+    const third = await fraud.screen(ATTEMPT);
+    
+    expect(third.reasons).toEqual([
+      { rule: 'velocity', action: 'flag', message: 'More than 2 attempts with this email in 10 minutes' },
+    ]);
+    
+    jest.setSystemTime(new Date('2026-01-01T12:10:00Z'));
+    
+    expect((await fraud.screen(ATTEMPT)).decision).toBe('accept');
+    expect(fraud.countAttempts('email:ada@example.com')).toBe(1);
+  });
+  
+  it('runs added rules and rejects unknown actions', async () => {
+    const fraud = new FraudService();
+    fraud.addRule('new-customer', async ({ customerId }) => (customerId ? null : { action: 'flag', message: 'Guest checkout' }));
+    
+    expect((await fraud.screen(ATTEMPT)).decision).toBe('flag');
+    
+    fraud.addRule('broken', () => ({ action: 'block' }));
+    await expect(fraud.screen(ATTEMPT)).rejects.toThrow('Fraud rule broken returned an unknown action: block');
+  });
+  
+  it('validates rules files', () => {
+    expect(() => FraudService.fromFile()).not.toThrow();
+    
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fraud-'));
+    const filePath = path.join(dataDir, 'fraud.json');
+    fs.writeFileSync(filePath, JSON.stringify({ velocity: { windowMinutes: 0 }, amountThresholds: { USD: { hold: '5' } } }));
+    
+    try {
+      expect(() => FraudService.fromFile(filePath)).toThrow(
+        'Invalid fraud config: velocity.windowMinutes must be at least 1; amountThresholds.USD must map flag and reject to amounts'
+      );
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+});
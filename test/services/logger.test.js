@@ -0,0 +1,109 @@
+/**
+ * Logger Tests
+ */
+
+const Logger = require('../../services/logger');
+
+/**
+ * A logger whose entries are collected, parsed, in `entries`
+ */
+function createLogger(options = {}) {
+  const entries = [];
+  const logger = new Logger({ ...options, write: (level, line) => entries.push(JSON.parse(line)) });
+  
+  return { logger, entries };
+}
+
+describe('Logger', () => {
+  it('writes one JSON entry with the time, level, message and fields', () => {
+    const { logger, entries } = createLogger();
+    
+    logger.info('Order paid', { orderId: 'order-1' });
+    
+    expect(entries).toEqual([{ time: expect.any(String), level: 'info', msg: 'Order paid', orderId: 'order-1' }]);
+  });
+  
+  it('skips entries below its level', () => {
+    const { logger, entries } = createLogger({ level: 'warn' });
+    
+    logger.debug('Field focused');
+    logger.info('Order paid');
+    logger.warn('Dispute opened');
+    logger.error('Unhandled error');
+    
+    expect(entries.map(entry => entry.level)).toEqual(['warn', 'error']);
+  });
+  
+  it('writes nothing when silent', () => {
+    const { logger, entries } = createLogger({ level: 'silent' });
+    
+    logger.error('Unhandled error');
+    
+    expect(entries).toEqual([]);
+  });
+  
+  it('rejects unknown levels', () => {
+    expect(() => new Logger({ level: 'verbose' })).toThrow('Unknown log level: verbose');
+  });
+  
+  it('adds the fields of a child logger to every entry', () => {
+    const { logger, entries } = createLogger();
+    const child = logger.child({ requestId: 'req-1' });
+    
+    child.info('Request completed', { status: 200 });
+    logger.info('Server running');
+    
+    expect(entries[0]).toMatchObject({ requestId: 'req-1', status: 200 });
+    expect(entries[1].requestId).toBeUndefined();
+  });
+  
+  it('redacts nonces, tokens and other secrets at any depth', () => {
+    const { logger, entries } = createLogger();
+    
+    logger.info('Checkout', {
+      body: {
+        paymentMethodNonce: 'fake-valid-nonce',
+        paymentMethodToken: 'card-token',
+        deviceData: '{"device_session_id":"abc"}',
+        cartId: 'cart-1',
+      },
+      headers: { authorization: 'Bearer secret', 'idempotency-key': 'key-1' },
+      clientToken: 'client-token',
+    });
+    
+    expect(entries[0]).toMatchObject({
+      body: {
+        paymentMethodNonce: '[REDACTED]',
+        paymentMethodToken: '[REDACTED]',
+        deviceData: '[REDACTED]',
+        cartId: 'cart-1',
+      },
+      headers: { authorization: '[REDACTED]', 'idempotency-key': 'key-1' },
+      clientToken: '[REDACTED]',
+    });
+  });
+  
+  it('logs errors by name, message, code and stack', () => {
+    const { logger, entries } = createLogger();
+    const error = Object.assign(new Error('Gateway timeout'), { code: 'ETIMEDOUT' });
+    
+    logger.error('Unhandled error', { error });
+    
+    expect(entries[0].error).toEqual({
+      name: 'Error',
+      message: 'Gateway timeout',
+      code: 'ETIMEDOUT',
+      stack: expect.stringContaining('Gateway timeout'),
+    });
+  });
+  
+  it('cuts circular references short', () => {
+    const { logger, entries } = createLogger();
+    const order = { id: 'order-1' };
+    order.self = order;
+    
+    logger.info('Order', { order, again: { id: 'order-2' } });
+    
+    expect(entries[0].order).toEqual({ id: 'order-1', self: '[Circular]' });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Metrics Tests
+ */
+
+const { MetricsRegistry } = require('../../services/metrics');
+
+describe('MetricsRegistry', () => {
+  it('renders counters with their labels in the exposition format', () => {
+    const metrics = new MetricsRegistry();
+    const requests = metrics.counter({ name: 'requests_total', help: 'Requests', labelNames: ['route'] });
+    
+    requests.inc({ route: '/checkout' });
+    requests.inc({ route: '/checkout' }, 2);
+    requests.inc({ route: 'say "hi"\n' });
+    
+    expect(metrics.render()).toBe([
+      '# HELP requests_total Requests',
+      '# TYPE requests_total counter',
+      'requests_total{route="/checkout"} 3',
+      'requests_total{route="say \\"hi\\"\\n"} 1',
+      '',
+    ].join('\n'));
+  });
+  
+  it('renders cumulative histogram buckets with the sum and count', () => {
+    const metrics = new MetricsRegistry();
+    const duration = metrics.histogram({ name: 'duration_seconds', help: 'Duration', buckets: [0.1, 1] });
+    
+    duration.observe({}, 0.05);
+    duration.observe({}, 0.5);
+    duration.observe({}, 3);
+    
+    expect(metrics.render()).toBe([
+      '# HELP duration_seconds Duration',
+      '# TYPE duration_seconds histogram',
+      'duration_seconds_bucket{le="0.1"} 1',
+      'duration_seconds_bucket{le="1"} 2',
+      'duration_seconds_bucket{le="+Inf"} 3',
+      'duration_seconds_sum 3.55',
+      'duration_seconds_count 3',
+      '',
+    ].join('\n'));
+  });
+  
+  it('times with labels known only at the end', () => {
+    const metrics = new MetricsRegistry();
+    const duration = metrics.histogram({ name: 'call_seconds', help: 'Calls', labelNames: ['operation', 'outcome'] });
+    
+    const end = duration.startTimer({ operation: 'transaction.sale' });
+    end({ outcome: 'success' });
+    
+    expect(duration.get({ operation: 'transaction.sale', outcome: 'success' }).count).toBe(1);
+  });
+  
+  it('returns the metric already registered under a name', () => {
+    const metrics = new MetricsRegistry();
+    const counter = metrics.counter({ name: 'requests_total', help: 'Requests' });
+    
+    expect(metrics.counter({ name: 'requests_total', help: 'Requests' })).toBe(counter);
+    expect(() => metrics.histogram({ name: 'requests_total', help: 'Requests' })).toThrow('already registered as a counter');
+  });
+  
+  it('rejects unknown labels and invalid names', () => {
+    const metrics = new MetricsRegistry();
+    const requests = metrics.counter({ name: 'requests_total', help: 'Requests', labelNames: ['route'] });
+    
+    expect(() => requests.inc({ status: 200 })).toThrow('Metric requests_total has no label status');
+    expect(() => metrics.counter({ name: 'requests-total', help: 'Requests' })).toThrow('Invalid metric name');
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Mock Gateway Tests
+ */
+
+const MockGateway = require('../../services/mock-gateway');
+
+describe('MockGateway', () => {
+  let gateway;
+  
+  beforeEach(() => {
+    gateway = new MockGateway();
+  });
+  
+  it('approves the fake valid nonce', async () => {
+    const result = await gateway.transaction.sale({
+      amount: '29.99',
+      paymentMethodNonce: 'fake-valid-visa-nonce',
+      options: { submitForSettlement: true },
+    });
+    
+    expect(result.success).toBe(true);
+    expect(result.transaction).toEqual(expect.objectContaining({
+      amount: '29.99',
+      status: 'submitted_for_settlement',
+    }));
+  });
+  
+  it('settles in the currency of the merchant account', async () => {
+    gateway = new MockGateway({ merchantAccounts: { EUR: 'acme_eur' } });
+    
+    const euro = await gateway.transaction.sale({ amount: '27.99', merchantAccountId: 'acme_eur', paymentMethodNonce: 'fake-valid-nonce' });
+    const dollar = await gateway.transaction.sale({ amount: '29.99', paymentMethodNonce: 'fake-valid-nonce' });
+    const unknown = await gateway.transaction.sale({ amount: '29.99', merchantAccountId: 'acme_gbp', paymentMethodNonce: 'fake-valid-nonce' });
+    
+    expect(euro.transaction).toEqual(expect.objectContaining({ merchantAccountId: 'acme_eur', currencyIsoCode: 'EUR' }));
+    expect((await gateway.transaction.find(euro.transaction.id)).currencyIsoCode).toBe('EUR');
+    expect(dollar.transaction.currencyIsoCode).toBe('USD');
+    expect(unknown.success).toBe(false);
+    expect(unknown.errors.deepErrors()[0].code).toBe('91577');
+  });
+  
+  it('pays with PayPal and Venmo accounts without vaulting them', async () => {
+    const paypal = await gateway.transaction.sale({
+      amount: '29.99',
+      paymentMethodNonce: 'fake-paypal-one-time-nonce',
+      options: { storeInVaultOnSuccess: true, threeDSecure: { required: true } },
+    });
+    const venmo = await gateway.transaction.sale({ amount: '29.99', paymentMethodNonce: 'fake-venmo-account-nonce' });
+    
+    expect(paypal.success).toBe(true);
+    expect(paypal.transaction.paymentInstrumentType).toBe('paypal_account');
+    expect(paypal.transaction.paypalAccount.payerEmail).toBe('payer@example.com');
+    expect(paypal.transaction.creditCard).toBeUndefined();
+    expect(venmo.transaction.paymentInstrumentType).toBe('venmo_account');
+    expect(venmo.transaction.venmoAccount.username).toBe('venmojoe');
+    expect(gateway.paymentMethods.size).toBe(0);
+  });
+  
+  it('declines processor decline amounts', async () => {
+    const result = await gateway.transaction.sale({ amount: '2001.00', paymentMethodNonce: 'fake-valid-nonce' });
+    
+    expect(result.success).toBe(false);
+    expect(result.transaction.processorResponseCode).toBe('2001');
+    expect(result.message).toBe('Insufficient Funds');
+  });
+  
+  it('rejects unknown nonces', async () => {
+    const result = await gateway.transaction.sale({ amount: '10.00', paymentMethodNonce: 'not-a-nonce' });
+    
+    expect(result.success).toBe(false);
+    expect(result.message).toBe('Unknown or expired payment_method_nonce.');
+  });
+  
+  it('only refunds settled transactions', async () => {
+    const { transaction } = await gateway.transaction.sale({ amount: '10.00', paymentMethodNonce: 'fake-valid-nonce' });
+    
+    expect((await gateway.transaction.refund(transaction.id, '5.00')).success).toBe(false);
+    
+    await gateway.testing.settle(transaction.id);
+    const refund = await gateway.transaction.refund(transaction.id, '5.00');
+    
+    expect(refund.success).toBe(true);
+    expect(refund.transaction.amount).toBe('5.00');
+  });
+  
+  it('signs webhooks that parse back', async () => {
+    const { bt_signature, bt_payload } = await gateway.webhookTesting.sampleNotification('check', 'check');
+    const notification = await gateway.webhookNotification.parse(bt_signature, bt_payload);
+    
+    expect(notification.kind).toBe('check');
+  });
+});
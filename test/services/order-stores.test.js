@@ -0,0 +1,67 @@
+/**
+ * Order Store Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileOrderStore, MemoryOrderStore, createOrderStore } = require('../../services/order-stores');
+
+describe('FileOrderStore', () => {
+  let dataDir;
+  let filePath;
+  
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orders-'));
+    filePath = path.join(dataDir, 'nested', 'orders.json');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  it('persists orders across instances', async () => {
+    const store = new FileOrderStore(filePath);
+    await store.insert({ id: 'order-1', status: 'pending' });
+    await store.update('order-1', { status: 'paid' });
+    
+    const reloaded = new FileOrderStore(filePath);
+    
+    expect(await reloaded.get('order-1')).toEqual({ id: 'order-1', status: 'paid' });
+    expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+  });
+  
+  it('serializes concurrent writes', async () => {
+    const store = new FileOrderStore(filePath);
+    
+    await Promise.all(
+      Array.from({ length: 10 }, (_, index) => store.insert({ id: `order-${index}` }))
+    );
+    
+    expect(await new FileOrderStore(filePath).list()).toHaveLength(10);
+  });
+  
+  it('returns null when updating an unknown order', async () => {
+    const store = new FileOrderStore(filePath);
+    
+    expect(await store.update('missing', { status: 'paid' })).toBeNull();
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+  
+  it('checks that the data directory can take writes', async () => {
+    await new FileOrderStore(filePath).check();
+    expect(fs.existsSync(path.dirname(filePath))).toBe(true);
+    
+    const blocked = path.join(dataDir, 'not-a-directory');
+    fs.writeFileSync(blocked, '');
+    
+    await expect(new FileOrderStore(path.join(blocked, 'orders.json')).check()).rejects.toThrow();
+  });
+});
+
+describe('createOrderStore', () => {
+  it('creates the selected store', () => {
+    expect(createOrderStore('memory')).toBeInstanceOf(MemoryOrderStore);
+    expect(() => createOrderStore('redis')).toThrow('Unknown order store: redis');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Redemption Store Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  FileRedemptionStore,
+  MemoryRedemptionStore,
+  createRedemptionStore,
+} = require('../../services/redemption-stores');
+
+describe('MemoryRedemptionStore', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  it('counts reserved uses against the limit until they are released', async () => {
+    const store = new MemoryRedemptionStore();
+    
+    expect(await store.reserve('ONCE', 'cart-1', 1)).toBe(true);
+    expect(await store.reserve('ONCE', 'cart-2', 1)).toBe(false);
+    expect(store.count('ONCE')).toBe(1);
+    
+    await store.release('cart-1');
+    expect(await store.reserve('ONCE', 'cart-2', 1)).toBe(true);
+    
+    await store.confirm('ONCE', 'cart-2');
+    expect(store.count('ONCE')).toBe(1);
+    expect(await store.reserve('ONCE', 'cart-3', 1)).toBe(false);
+    expect(await store.reserve('ONCE', 'cart-3', null)).toBe(true);
+  });
+  
+  it('lets reservations that were never settled expire', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const store = new MemoryRedemptionStore({ reservationTtlSeconds: 60 });
+    
+    await store.reserve('ONCE', 'cart-1', 1);
+    jest.advanceTimersByTime(60 * 1000);
+    
+    expect(store.count('ONCE')).toBe(0);
+    expect(await store.reserve('ONCE', 'cart-2', 1)).toBe(true);
+    expect(store.reservations.has('cart-1')).toBe(false);
+  });
+});
+
+describe('FileRedemptionStore', () => {
+  let dataDir;
+  let filePath;
+  
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redemptions-'));
+    filePath = path.join(dataDir, 'nested', 'redemptions.json');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  it('keeps redemptions and reservations across instances', async () => {
+    const store = new FileRedemptionStore(filePath);
+    await store.reserve('TWICE', 'cart-1', 2);
+    await store.confirm('TWICE', 'cart-1');
+    await store.reserve('TWICE', 'cart-2', 2);
+    
+    const reloaded = new FileRedemptionStore(filePath);
+    
+    expect(reloaded.count('TWICE')).toBe(2);
+    expect(await reloaded.reserve('TWICE', 'cart-3', 2)).toBe(false);
+  });
+});
+
+describe('createRedemptionStore', () => {
+  it('creates the selected store', () => {
+    expect(createRedemptionStore('memory')).toBeInstanceOf(MemoryRedemptionStore);
+    expect(() => createRedemptionStore('redis')).toThrow('Unknown redemption store: redis');
+  });
+});
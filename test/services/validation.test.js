@@ -0,0 +1,99 @@
+/**
+ * Validation Tests
+ */
+
+const { validate, assertValid } = require('../../services/validation');
+const { ValidationError } = require('../../services/errors');
+
+describe('validate', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      name: { type: 'string', required: true, minLength: 1, maxLength: 5 },
+      amount: { type: 'amount' },
+      items: {
+        type: 'array',
+        maxItems: 2,
+        items: {
+          type: 'object',
+          properties: { quantity: { type: 'integer', minimum: 1 } },
+        },
+      },
+    },
+  };
+  
+  it('accepts valid input', () => {
+    expect(validate({ name: 'card', amount: '10.50', items: [{ quantity: 2 }] }, schema)).toEqual([]);
+  });
+  
+  it('reports nested field paths', () => {
+    expect(validate({ name: 'card', items: [{ quantity: 1 }, { quantity: 0.5, extra: true }] }, schema)).toEqual([
+      { field: 'items[1].quantity', message: 'must be an integer' },
+      { field: 'items[1].extra', message: 'is not an allowed field' },
+    ]);
+  });
+  
+  it('enforces string lengths and array sizes', () => {
+    expect(validate({ name: '', items: [{}, {}, {}] }, schema)).toEqual([
+      { field: 'name', message: 'must not be empty' },
+      { field: 'items', message: 'must contain at most 2 items' },
+    ]);
+    expect(validate({ name: 'too long' }, schema)).toEqual([
+      { field: 'name', message: 'must be at most 5 characters' },
+    ]);
+  });
+  
+  it.each([
+    ['29.99', true],
+    [29.99, true],
+    ['10', true],
+    ['0.00', false],
+    ['-1.00', false],
+    [-1, false],
+    ['1.999', false],
+    [1.999, false],
+    ['abc', false],
+    ['1e3', false],
+    [null, false],
+  ])('checks decimal amount %p', (amount, valid) => {
+    expect(validate({ name: 'a', amount }, schema).length === 0).toBe(valid);
+  });
+  
+  it('rejects inherited Object property names as undeclared fields', () => {
+    const input = JSON.parse('{"name":"a","toString":{},"constructor":1,"__proto__":{},"items":[{"hasOwnProperty":1}]}');
+    
+    expect(validate(input, schema)).toEqual([
+      { field: 'items[0].hasOwnProperty', message: 'is not an allowed field' },
+      { field: 'toString', message: 'is not an allowed field' },
+      { field: 'constructor', message: 'is not an allowed field' },
+      { field: '__proto__', message: 'is not an allowed field' },
+    ]);
+  });
+  
+  it('rejects a non-object body', () => {
+    expect(validate([], schema)).toEqual([{ field: '(root)', message: 'must be an object' }]);
+  });
+});
+
+describe('assertValid', () => {
+  it('throws a ValidationError carrying every problem', () => {
+    const schema = { type: 'object', properties: { id: { type: 'string', required: true } } };
+    
+    expect(() => assertValid({}, schema)).toThrow(ValidationError);
+    
+    const error = (() => {
+      try {
+        assertValid({ other: 1 }, schema);
+      } catch (caught) {
+        return caught;
+      }
+      return null;
+    })();
+    
+    expect(error.statusCode).toBe(400);
+    expect(error.details).toEqual([
+      { field: 'id', message: 'is required' },
+      { field: 'other', message: 'is not an allowed field' },
+    ]);
+  });
+});
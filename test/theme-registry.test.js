@@ -0,0 +1,79 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * ThemeRegistry Tests
+ * Registration, defaults, JSON loading and persistence of themes
+ */
+
+const { installBrowserFakes, loadModules, jsonResponse } = require('./helpers/browser');
+
+describe('ThemeRegistry', () => {
+  let ThemeRegistry;
+  let themes;
+  
+  beforeAll(() => {
+    installBrowserFakes();
+    ({ ThemeRegistry } = loadModules());
+  });
+  
+  beforeEach(() => {
+    window.localStorage.clear();
+    themes = new ThemeRegistry();
+  });
+  
+  it('includes the built-in themes', () => {
+    expect(themes.list().map(theme => theme.id)).toEqual(['default', 'cyberpunk', 'space']);
+    expect(themes.get('space').lights.directional).toEqual({ color: '#ffffff', intensity: 1 });
+  });
+  
+  it('fills in a partial theme from the default theme', () => {
+    const theme = themes.register({
+      id: 'sunset',
+      name: 'Sunset',
+      fog: { color: '#ff7e5f' },
+      css: { '--accent-color': '#feb47b' },
+    });
+    
+    expect(theme.fog).toEqual({ color: '#ff7e5f', near: 10, far: 50 });
+    expect(theme.css['--accent-color']).toBe('#feb47b');
+    expect(theme.css['--text-color']).toBe('#ffffff');
+    expect(theme.card).toEqual(themes.get('default').card);
+    expect(themes.nextThemeId('space')).toBe('sunset');
+    expect(themes.nextThemeId('sunset')).toBe('default');
+  });
+  
+  it('rejects invalid themes', () => {
+    expect(() => themes.register({ id: 'Bad Theme', name: 'Bad' })).toThrow('id must use lowercase');
+    expect(() => themes.register({ id: 'nameless' })).toThrow('name is required');
+    expect(() => themes.register({ id: 'loose', name: 'Loose', css: { color: 'red' } }))
+      .toThrow('color is not a CSS custom property');
+    expect(() => themes.get('missing')).toThrow('Unknown theme: missing');
+  });
+  
+  it('loads themes from JSON', async () => {
+    window.fetch.mockImplementation(() => jsonResponse([
+      { id: 'mint', name: 'Mint' },
+      { id: 'ember', name: 'Ember' },
+    ]));
+    
+    const loaded = await themes.load('/themes/pack.json');
+    
+    expect(window.fetch).toHaveBeenCalledWith('/themes/pack.json');
+    expect(loaded.map(theme => theme.id)).toEqual(['mint', 'ember']);
+    expect(themes.has('ember')).toBe(true);
+    
+    window.fetch.mockImplementation(() => jsonResponse({}, 404));
+    await expect(themes.load('/themes/missing.json')).rejects.toThrow('Failed to load theme');
+  });
+  
+  it('applies CSS custom properties and remembers the theme', () => {
+    themes.applyCssProperties(themes.get('cyberpunk'));
+    themes.saveThemeId('cyberpunk');
+    
+    expect(document.documentElement.style.getPropertyValue('--highlight-color')).toBe('#ff0066');
+    expect(document.documentElement.dataset.theme).toBe('cyberpunk');
+    expect(new ThemeRegistry().loadSavedThemeId()).toBe('cyberpunk');
+  });
+});